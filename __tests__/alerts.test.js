@@ -0,0 +1,127 @@
+import { ALERT_TYPES, parseAlertRules, alertRuleId, createAlertEngine } from '../lib/alerts.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2024-03-01T15:00:00.000Z');
+
+describe('parseAlertRules', () => {
+    it('should return no rules when the block is missing', () => {
+        expect(parseAlertRules(undefined)).toEqual({ rules: [], errors: [] });
+    });
+
+    it('should reject a non-list block', () => {
+        expect(parseAlertRules({ AAPL: 200 }).errors).toEqual(['alerts must be a list']);
+    });
+
+    it('should normalise every rule type', () => {
+        const { rules, errors } = parseAlertRules([
+            { symbol: 'aapl', type: 'above', price: 200 },
+            { symbol: 'AAPL', type: 'below', price: 150, cooldownMinutes: 0 },
+            { symbol: 'NVDA', type: 'dayChange', percent: 5 },
+            { symbol: 'TSLA', type: 'move', percent: 3, minutes: 15 },
+            { symbol: 'SPY', type: '52wHigh' },
+            { symbol: 'SPY', type: '52wLow' }
+        ]);
+
+        expect(errors).toEqual([]);
+        expect(rules.map(r => r.type)).toEqual(ALERT_TYPES);
+        expect(rules[0]).toMatchObject({ id: 'AAPL:above:200', symbol: 'AAPL', price: 200, cooldownMinutes: 30 });
+        expect(rules[1].cooldownMinutes).toBe(0);
+        expect(rules[3].id).toBe('TSLA:move:3%:15m');
+    });
+
+    it('should report invalid rules and keep the valid ones', () => {
+        const { rules, errors } = parseAlertRules([
+            { type: 'above', price: 1 },
+            { symbol: 'AAPL', type: 'sideways' },
+            { symbol: 'AAPL', type: 'above' },
+            { symbol: 'AAPL', type: 'dayChange', percent: -1 },
+            { symbol: 'AAPL', type: 'move', percent: 2 },
+            { symbol: 'AAPL', type: 'below', price: 100 }
+        ]);
+
+        expect(rules).toHaveLength(1);
+        expect(errors).toEqual([
+            'alerts[0]: symbol is required',
+            expect.stringContaining('alerts[1]: type must be one of'),
+            'alerts[2]: price is required for above',
+            'alerts[3]: percent must be a positive number for dayChange',
+            'alerts[4]: minutes must be a positive number for move'
+        ]);
+    });
+});
+
+describe('alertRuleId', () => {
+    it('should include only the parameters a rule uses', () => {
+        expect(alertRuleId({ symbol: 'SPY', type: '52wHigh', price: null, percent: null, minutes: null })).toBe('SPY:52wHigh');
+    });
+});
+
+describe('createAlertEngine', () => {
+    const engineFor = raw => createAlertEngine(parseAlertRules(raw).rules);
+
+    it('should fire once when a price crosses above a threshold', () => {
+        const engine = engineFor([{ symbol: 'AAPL', type: 'above', price: 200 }]);
+
+        expect(engine.evaluate('AAPL', { price: 199 }, T0)).toEqual([]);
+        const fired = engine.evaluate('AAPL', { price: 201 }, T0 + MINUTE);
+        expect(fired).toEqual([{
+            ruleId: 'AAPL:above:200',
+            symbol: 'AAPL',
+            type: 'above',
+            message: 'AAPL rose above $200.00 (now $201.00)',
+            price: 201,
+            threshold: 200,
+            firedAt: new Date(T0 + MINUTE).toISOString()
+        }]);
+        // Still above — no repeat
+        expect(engine.evaluate('AAPL', { price: 205 }, T0 + 2 * MINUTE)).toEqual([]);
+    });
+
+    it('should ignore other symbols and quotes without a price', () => {
+        const engine = engineFor([{ symbol: 'AAPL', type: 'below', price: 150 }]);
+
+        expect(engine.evaluate('MSFT', { price: 100 }, T0)).toEqual([]);
+        expect(engine.evaluate('AAPL', { price: null }, T0)).toEqual([]);
+    });
+
+    it('should re-arm after the condition clears, subject to the cooldown', () => {
+        const engine = engineFor([{ symbol: 'AAPL', type: 'below', price: 150, cooldownMinutes: 10 }]);
+
+        expect(engine.evaluate('AAPL', { price: 149 }, T0)).toHaveLength(1);
+        expect(engine.evaluate('AAPL', { price: 151 }, T0 + MINUTE)).toEqual([]);
+        // Crossed again inside the cooldown
+        expect(engine.evaluate('AAPL', { price: 149 }, T0 + 2 * MINUTE)).toEqual([]);
+        expect(engine.evaluate('AAPL', { price: 151 }, T0 + 11 * MINUTE)).toEqual([]);
+        expect(engine.evaluate('AAPL', { price: 149 }, T0 + 12 * MINUTE)).toHaveLength(1);
+    });
+
+    it('should fire on large day moves in either direction', () => {
+        const engine = engineFor([{ symbol: 'NVDA', type: 'dayChange', percent: 5, cooldownMinutes: 0 }]);
+
+        expect(engine.evaluate('NVDA', { price: 100, changePercent: 4.9 }, T0)).toEqual([]);
+        expect(engine.evaluate('NVDA', { price: 95, changePercent: -5.2 }, T0)[0].message)
+            .toBe('NVDA is -5.20% on the day (now $95.00)');
+    });
+
+    it('should fire on a percent move within the window only', () => {
+        const engine = engineFor([{ symbol: 'TSLA', type: 'move', percent: 3, minutes: 15 }]);
+
+        engine.evaluate('TSLA', { price: 100 }, T0);
+        // +3% but the 100 sample has aged out of the 15-minute window
+        engine.evaluate('TSLA', { price: 101 }, T0 + 10 * MINUTE);
+        expect(engine.evaluate('TSLA', { price: 103 }, T0 + 20 * MINUTE)).toEqual([]);
+        // -3.9% against the 103 sample five minutes ago
+        const fired = engine.evaluate('TSLA', { price: 99 }, T0 + 25 * MINUTE);
+        expect(fired).toHaveLength(1);
+        expect(fired[0].message).toBe('TSLA moved -3.88% in 15 min (now $99.00)');
+    });
+
+    it('should fire when price reaches the 52-week high or low', () => {
+        const engine = engineFor([{ symbol: 'SPY', type: '52wHigh' }, { symbol: 'SPY', type: '52wLow' }]);
+
+        expect(engine.evaluate('SPY', { price: 500 }, T0)).toEqual([]);
+        expect(engine.evaluate('SPY', { price: 499, fiftyTwoWeekHigh: 510, fiftyTwoWeekLow: 400 }, T0)).toEqual([]);
+        const fired = engine.evaluate('SPY', { price: 512, fiftyTwoWeekHigh: 512, fiftyTwoWeekLow: 400 }, T0);
+        expect(fired).toMatchObject([{ ruleId: 'SPY:52wHigh', threshold: 512 }]);
+    });
+});
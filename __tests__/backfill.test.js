@@ -0,0 +1,97 @@
+import { createBackfiller, rangeStart, toDailyBars, DAILY_RANGES } from '../lib/backfill.js';
+
+const NOW = Date.parse('2026-10-19T15:00:00.000Z');
+
+function setup({ latest = {}, history = () => [] } = {}) {
+    const stored = new Map();
+    const requests = [];
+    const errors = [];
+    const backfiller = createBackfiller({
+        fetchHistory: async (symbol, options) => {
+            requests.push({ symbol, ...options });
+            return history(symbol, options);
+        },
+        storeBars: async (symbol, bars) => stored.set(symbol, bars),
+        latestBarDate: async symbol => latest[symbol] ?? null,
+        onError: (symbol, error) => errors.push(`${symbol}: ${error.message}`),
+        now: () => NOW
+    });
+    return { backfiller, stored, requests, errors };
+}
+
+describe('rangeStart', () => {
+    it('should count back whole months from today', () => {
+        const now = new Date(NOW);
+        expect(rangeStart('1M', now)).toBe('2026-09-19');
+        expect(rangeStart('6M', now)).toBe('2026-04-19');
+        expect(rangeStart('1Y', now)).toBe('2025-10-19');
+        expect(rangeStart('5Y', now)).toBe('2021-10-19');
+        expect(rangeStart('2D', now)).toBeNull();
+        expect(Object.keys(DAILY_RANGES)).toEqual(['1M', '6M', '1Y', '5Y']);
+    });
+});
+
+describe('toDailyBars', () => {
+    it('should date bars by day, drop empty ones and keep the last bar of a day', () => {
+        expect(toDailyBars([
+            { date: '2026-10-16T13:30:00.000Z', close: 101 },
+            { date: '2026-10-15T13:30:00.000Z', close: 100 },
+            { date: '2026-10-16T20:00:00.000Z', close: 102 },
+            { date: '2026-10-17T13:30:00.000Z', close: null }
+        ])).toEqual([
+            { date: '2026-10-15', close: 100 },
+            { date: '2026-10-16', close: 102 }
+        ]);
+    });
+});
+
+describe('createBackfiller', () => {
+    it('should fetch five years of daily bars for a symbol without any', async () => {
+        const { backfiller, stored, requests } = setup({
+            history: () => [{ date: '2021-10-19T13:30:00.000Z', open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 }]
+        });
+
+        await backfiller.backfill(['AAPL']);
+
+        expect(requests).toEqual([{
+            symbol: 'AAPL',
+            from: new Date('2021-10-19T00:00:00.000Z'),
+            to: new Date(NOW),
+            interval: '1d'
+        }]);
+        expect(stored.get('AAPL')).toEqual([{ date: '2021-10-19', open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 }]);
+    });
+
+    it('should only fetch days since the newest stored bar', async () => {
+        const { backfiller, requests } = setup({ latest: { AAPL: '2026-10-14', SPY: '2026-10-19' } });
+
+        await backfiller.backfill(['AAPL', 'SPY']);
+
+        expect(requests.map(r => [r.symbol, r.from.toISOString()])).toEqual([['AAPL', '2026-10-14T00:00:00.000Z']]);
+    });
+
+    it('should carry on past a failing symbol and not store empty results', async () => {
+        const { backfiller, stored, errors } = setup({
+            history: symbol => {
+                if (symbol === 'BAD') throw new Error('No data found');
+                return symbol === 'AAPL' ? [{ date: '2026-10-16T13:30:00.000Z', close: 1 }] : [];
+            }
+        });
+
+        await backfiller.backfill(['BAD', 'EMPTY', 'AAPL']);
+
+        expect(errors).toEqual(['BAD: No data found']);
+        expect([...stored.keys()]).toEqual(['AAPL']);
+    });
+
+    it('should not queue a symbol twice while it is pending', async () => {
+        const { backfiller, requests } = setup();
+
+        backfiller.backfill(['AAPL', 'SPY']);
+        expect(backfiller.pending()).toEqual(['AAPL', 'SPY']);
+        await backfiller.backfill(['AAPL']);
+
+        expect(requests.map(r => r.symbol)).toEqual(['AAPL', 'SPY']);
+        expect(backfiller.pending()).toEqual([]);
+    });
+});
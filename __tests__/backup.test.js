@@ -0,0 +1,166 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    parseBackupConfig,
+    backupFileName,
+    createBackupManager,
+    priceHistoryCsvRows,
+    priceHistoryColumns,
+    parsePriceHistoryCsv,
+    parsePriceHistoryColumns
+} from '../lib/backup.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+describe('parseBackupConfig', () => {
+    it('should default to on-request backups kept in data/backups', () => {
+        expect(parseBackupConfig(undefined)).toEqual({ dir: 'data/backups', intervalMs: null, keep: 7, errors: [] });
+        expect(parseBackupConfig({ dir: '/backups', everyHours: 12, keep: 3 }))
+            .toEqual({ dir: '/backups', intervalMs: 12 * HOUR, keep: 3, errors: [] });
+    });
+
+    it('should accept intervals longer than a timer can hold', () => {
+        expect(parseBackupConfig({ everyHours: 720 })).toMatchObject({ intervalMs: 720 * HOUR, errors: [] });
+    });
+
+    it('should report invalid settings and fall back to the defaults', () => {
+        expect(parseBackupConfig({ dir: '', everyHours: -1, keep: 1.5 })).toEqual({
+            dir: 'data/backups',
+            intervalMs: null,
+            keep: 7,
+            errors: [
+                'backup.dir: must be a directory path',
+                'backup.everyHours: must be a number of hours (0 turns scheduled backups off)',
+                'backup.keep: must be a positive whole number'
+            ]
+        });
+    });
+});
+
+describe('backupFileName', () => {
+    it('should name backups after the database and the time, without colons', () => {
+        expect(backupFileName('stocks', NOW)).toBe('stocks-2026-10-19T12-00-00-000Z.db');
+    });
+});
+
+describe('createBackupManager', () => {
+    let tmpDir;
+    let clock;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backuptest-'));
+        clock = NOW;
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const setup = (options = {}) => createBackupManager({
+        dir: path.join(tmpDir, 'backups'),
+        keep: 2,
+        backup: async (file) => fs.writeFileSync(file, 'sqlite'),
+        now: () => clock,
+        ...options
+    });
+
+    it('should write timestamped backups and keep only the newest', async () => {
+        const backups = setup();
+
+        for (let i = 0; i < 3; i++) {
+            clock = NOW + i * HOUR;
+            await backups.run();
+        }
+        fs.writeFileSync(path.join(tmpDir, 'backups', 'notes.txt'), 'not a backup');
+        clock = NOW + 3 * HOUR;
+        const result = await backups.run();
+
+        expect(result).toEqual({ file: 'stocks-2026-10-19T15-00-00-000Z.db', sizeBytes: 6, removed: ['stocks-2026-10-19T13-00-00-000Z.db'] });
+        expect(backups.list()).toEqual([
+            { file: 'stocks-2026-10-19T15-00-00-000Z.db', createdAt: '2026-10-19T15:00:00.000Z', sizeBytes: 6 },
+            { file: 'stocks-2026-10-19T14-00-00-000Z.db', createdAt: '2026-10-19T14:00:00.000Z', sizeBytes: 6 }
+        ]);
+        expect(fs.existsSync(path.join(tmpDir, 'backups', 'notes.txt'))).toBe(true);
+    });
+
+    it('should leave nothing behind when a backup fails', async () => {
+        const backups = setup({
+            backup: async (file) => {
+                fs.writeFileSync(file, 'half');
+                throw new Error('disk full');
+            }
+        });
+
+        await expect(backups.run()).rejects.toThrow('disk full');
+
+        expect(fs.readdirSync(path.join(tmpDir, 'backups'))).toEqual([]);
+    });
+
+    it('should only resolve paths of listed backups', async () => {
+        const backups = setup();
+        const { file } = await backups.run();
+
+        expect(backups.pathFor(file)).toBe(path.join(tmpDir, 'backups', file));
+        expect(backups.pathFor('../stocks-2026-10-19T12-00-00-000Z.db')).toBeNull();
+        expect(backups.pathFor('stocks.db')).toBeNull();
+    });
+});
+
+describe('price history exports', () => {
+    const rows = [
+        { symbol: 'AAPL', timestamp: '2026-10-19T12:00:00.000Z', price: 150, change: 1, change_percent: 0.67, market_state: 'REGULAR' },
+        { symbol: 'AAPL', timestamp: '2026-10-19T12:01:00.000Z', price: 151, change: null, change_percent: null, market_state: null }
+    ];
+
+    it('should lay rows out for CSV and as columns', () => {
+        expect(priceHistoryCsvRows(rows)).toEqual([
+            ['AAPL', '2026-10-19T12:00:00.000Z', 150, 1, 0.67, 'REGULAR'],
+            ['AAPL', '2026-10-19T12:01:00.000Z', 151, null, null, null]
+        ]);
+        expect(priceHistoryColumns(rows)).toEqual({
+            timestamp: ['2026-10-19T12:00:00.000Z', '2026-10-19T12:01:00.000Z'],
+            price: [150, 151],
+            change: [1, null],
+            change_percent: [0.67, null],
+            market_state: ['REGULAR', null]
+        });
+    });
+
+    it('should read both formats back into the same rows', () => {
+        const csv = 'symbol,timestamp,price,change,change_percent,market_state\n' +
+            'AAPL,2026-10-19T12:00:00Z,150,1,0.67,REGULAR\n' +
+            'AAPL,1792411260000,151,,,\n';
+
+        expect(parsePriceHistoryCsv(csv)).toEqual({ rows, errors: [] });
+        expect(parsePriceHistoryColumns({ AAPL: priceHistoryColumns(rows) })).toEqual({ rows, errors: [] });
+    });
+
+    it('should report every invalid row', () => {
+        expect(parsePriceHistoryCsv('symbol,timestamp,price\nAAPL,yesterday,abc\n,2026-10-19T12:00:00Z,1\n').errors).toEqual([
+            'line 2: timestamp must be an ISO date or epoch milliseconds',
+            'line 2: price must be a number',
+            'line 3: symbol is required'
+        ]);
+        expect(parsePriceHistoryCsv('symbol,date,close\nAAPL,2026-10-19,1\n').errors).toEqual(['CSV header is missing timestamp, price']);
+        expect(parsePriceHistoryColumns({
+            AAPL: { timestamp: ['2026-10-19T12:00:00Z'], price: [null] },
+            MSFT: { timestamp: ['2026-10-19T12:00:00Z'], price: [1, 2] },
+            GOOG: { price: [1] }
+        }).errors).toEqual([
+            'AAPL[0]: price must be a number',
+            'MSFT: price must be arrays as long as timestamp',
+            'GOOG: timestamp and price must be arrays'
+        ]);
+    });
+
+    it('should cap the number of errors reported', () => {
+        const csv = 'symbol,timestamp,price\n' + 'AAPL,bad,1\n'.repeat(25);
+
+        const { errors } = parsePriceHistoryCsv(csv);
+
+        expect(errors).toHaveLength(21);
+        expect(errors[20]).toBe('…and 5 more');
+    });
+});
@@ -0,0 +1,66 @@
+import { BAR_INTERVALS, bucketStart, volumeDelta, createBarRecorder } from '../lib/bars.js';
+
+describe('bucketStart', () => {
+    it('should align buckets to the interval', () => {
+        const time = Date.parse('2024-03-01T14:37:42.500Z');
+
+        expect(bucketStart(time, BAR_INTERVALS['1m'])).toBe('2024-03-01T14:37:00.000Z');
+        expect(bucketStart(time, BAR_INTERVALS['5m'])).toBe('2024-03-01T14:35:00.000Z');
+        expect(bucketStart(time, BAR_INTERVALS['1h'])).toBe('2024-03-01T14:00:00.000Z');
+    });
+});
+
+describe('volumeDelta', () => {
+    it('should take the difference of cumulative readings', () => {
+        expect(volumeDelta(1000, 1500)).toBe(500);
+        expect(volumeDelta(1500, 1500)).toBe(0);
+    });
+
+    it('should treat a drop as a new trading day', () => {
+        expect(volumeDelta(90000, 1200)).toBe(1200);
+    });
+
+    it('should count nothing without two readings', () => {
+        expect(volumeDelta(undefined, 1200)).toBe(0);
+        expect(volumeDelta(1200, null)).toBe(0);
+    });
+});
+
+describe('createBarRecorder', () => {
+    it('should store a one-tick bar per interval with the volume since the last poll', async () => {
+        const stored = [];
+        const recorder = createBarRecorder({ storeBars: async bars => stored.push(bars) });
+        const time = Date.parse('2024-03-01T14:37:42.500Z');
+
+        await recorder.record('AAPL', { time, price: 150, volume: 1000 });
+        await recorder.record('AAPL', { time: time + 5000, price: 151, volume: 1600 });
+
+        expect(stored[0].map(b => [b.interval, b.start, b.volume])).toEqual([
+            ['1m', '2024-03-01T14:37:00.000Z', 0],
+            ['5m', '2024-03-01T14:35:00.000Z', 0],
+            ['1h', '2024-03-01T14:00:00.000Z', 0]
+        ]);
+        expect(stored[1][0]).toEqual({
+            symbol: 'AAPL',
+            interval: '1m',
+            start: '2024-03-01T14:37:00.000Z',
+            open: 151,
+            high: 151,
+            low: 151,
+            close: 151,
+            volume: 600
+        });
+    });
+
+    it('should skip ticks without a price and restart volume after forget', async () => {
+        const stored = [];
+        const recorder = createBarRecorder({ storeBars: async bars => stored.push(bars), intervals: ['1m'] });
+
+        await expect(recorder.record('AAPL', { time: 0, price: null })).resolves.toEqual([]);
+        await recorder.record('AAPL', { time: 0, price: 1, volume: 100 });
+        recorder.forget('AAPL');
+        await recorder.record('AAPL', { time: 1000, price: 1, volume: 300 });
+
+        expect(stored.map(bars => bars[0].volume)).toEqual([0, 0]);
+    });
+});
@@ -0,0 +1,126 @@
+import {
+    BUILT_IN_MAPPINGS,
+    loadMappings,
+    mappingFromConfig,
+    detectMapping,
+    mapRecord,
+    parseBrokerNumber,
+    parseBrokerDate
+} from '../lib/brokerMappings.js';
+
+describe('parseBrokerNumber', () => {
+    it('should strip currency symbols and thousands separators', () => {
+        expect(parseBrokerNumber('$1,234.56')).toBe(1234.56);
+        expect(parseBrokerNumber(' -12.5 ')).toBe(-12.5);
+    });
+
+    it('should treat parentheses as negative', () => {
+        expect(parseBrokerNumber('($50.00)')).toBe(-50);
+    });
+
+    it('should return null for empty cells and NaN for junk', () => {
+        expect(parseBrokerNumber('')).toBeNull();
+        expect(parseBrokerNumber('--')).toBeNull();
+        expect(parseBrokerNumber(undefined)).toBeNull();
+        expect(parseBrokerNumber('abc')).toBeNaN();
+    });
+});
+
+describe('parseBrokerDate', () => {
+    it('should pass ISO dates through', () => {
+        expect(parseBrokerDate('2024-01-02')).toBe('2024-01-02');
+        expect(parseBrokerDate('2024-01-02T10:00:00Z')).toBe('2024-01-02');
+    });
+
+    it('should convert US dates', () => {
+        expect(parseBrokerDate('1/2/2024')).toBe('2024-01-02');
+        expect(parseBrokerDate('12/31/2023')).toBe('2023-12-31');
+    });
+
+    it('should take the trade date from "as of" dates', () => {
+        expect(parseBrokerDate('03/04/2024 as of 03/01/2024')).toBe('2024-03-04');
+    });
+});
+
+describe('detectMapping', () => {
+    it('should recognise a Fidelity export', () => {
+        const headers = ['Run Date', 'Action', 'Symbol', 'Quantity', 'Price ($)', 'Amount ($)'];
+        expect(detectMapping(BUILT_IN_MAPPINGS, headers).name).toBe('fidelity');
+    });
+
+    it('should recognise a Schwab export', () => {
+        const headers = ['Date', 'Action', 'Symbol', 'Description', 'Quantity', 'Price', 'Fees & Comm', 'Amount'];
+        expect(detectMapping(BUILT_IN_MAPPINGS, headers).name).toBe('schwab');
+    });
+
+    it('should fall back to the generic mapping', () => {
+        expect(detectMapping(BUILT_IN_MAPPINGS, ['date', 'ticker', 'type', 'shares', 'price']).name).toBe('generic');
+    });
+
+    it('should return null when required columns are missing', () => {
+        expect(detectMapping(BUILT_IN_MAPPINGS, ['Foo', 'Bar'])).toBeNull();
+    });
+});
+
+describe('mapRecord', () => {
+    it('should map a Schwab buy with absolute quantities', () => {
+        const tx = mapRecord(BUILT_IN_MAPPINGS.schwab, {
+            Date: '01/02/2024', Action: 'Buy', Symbol: 'AAPL', Quantity: '10',
+            Price: '$150.00', 'Fees & Comm': '$1.00', Amount: '-$1,501.00'
+        });
+
+        expect(tx).toMatchObject({
+            symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 10, price: 150, fees: 1, amount: null
+        });
+        expect(tx.notes).toBe('Imported (schwab): Buy');
+    });
+
+    it('should map Fidelity actions by pattern', () => {
+        const sell = mapRecord(BUILT_IN_MAPPINGS.fidelity, {
+            'Run Date': '02/01/2024', Action: 'YOU SOLD APPLE INC (AAPL) (Cash)', Symbol: 'AAPL',
+            Quantity: '-5', 'Price ($)': '180', 'Amount ($)': '900'
+        });
+        expect(sell).toMatchObject({ type: 'sell', shares: 5, price: 180 });
+
+        const div = mapRecord(BUILT_IN_MAPPINGS.fidelity, {
+            'Run Date': '02/15/2024', Action: 'DIVIDEND RECEIVED APPLE INC', Symbol: 'AAPL', 'Amount ($)': '2.40'
+        });
+        expect(div).toMatchObject({ type: 'dividend', amount: 2.4 });
+    });
+
+    it('should keep the sign of transfer quantities', () => {
+        const tx = mapRecord(BUILT_IN_MAPPINGS.generic, { Date: '2024-01-02', Symbol: 'AAPL', Type: 'transfer', Shares: '-3' });
+        expect(tx.shares).toBe(-3);
+    });
+
+    it('should return null for untracked actions', () => {
+        expect(mapRecord(BUILT_IN_MAPPINGS.schwab, { Date: '01/02/2024', Action: 'Bank Interest', Symbol: '' })).toBeNull();
+    });
+});
+
+describe('config-defined mappings', () => {
+    const definition = {
+        columns: { date: 'When', symbol: ['Ticker', 'Sym'], action: 'Side', shares: 'Units', price: 'Px' },
+        actions: { '^B$': 'BUY', '^S$': 'sell' }
+    };
+
+    it('should build a mapping with regex actions', () => {
+        const mapping = mappingFromConfig('mybroker', definition);
+
+        expect(mapping.columns.date).toEqual(['When']);
+        expect(mapping.columns.symbol).toEqual(['Ticker', 'Sym']);
+        expect(mapRecord(mapping, { When: '2024-01-02', Sym: 'AAPL', Side: 'b', Units: '2', Px: '10' }))
+            .toMatchObject({ type: 'buy', symbol: 'AAPL', shares: 2, price: 10 });
+    });
+
+    it('should merge config mappings over the built-ins', () => {
+        const mappings = loadMappings({ import: { mappings: { mybroker: definition } } });
+
+        expect(Object.keys(mappings)).toEqual(expect.arrayContaining(['fidelity', 'schwab', 'generic', 'mybroker']));
+        expect(detectMapping(mappings, ['When', 'Ticker', 'Side']).name).toBe('mybroker');
+    });
+
+    it('should return only built-ins without config', () => {
+        expect(Object.keys(loadMappings(undefined))).toEqual(Object.keys(BUILT_IN_MAPPINGS));
+    });
+});
@@ -0,0 +1,240 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    addWatchlistSymbol,
+    removeWatchlistSymbol,
+    moveWatchlistSymbol,
+    reorderWatchlist,
+    addSection,
+    renameSection,
+    deleteSection,
+    writeConfigFile
+} from '../lib/configEditor.js';
+
+const CONFIG = `# My dashboard
+server:
+  port: 3000  # aligned comment
+
+sections:
+  - name: Tech
+    stocks:
+      - AAPL    # Apple
+      # Position written out in full
+      - symbol: NVDA  # NVIDIA
+        shares: 10
+        costBasis: 450.00
+
+  - name: ETFs
+    stocks:
+      - SPY     # S&P 500
+
+alerts:
+  - symbol: SPY
+    type: above
+    price: 600
+`;
+
+describe('addWatchlistSymbol', () => {
+    it('should add a line to the section and leave the rest of the file alone', () => {
+        expect(addWatchlistSymbol(CONFIG, { symbol: 'QQQ', section: 1 })).toBe(CONFIG.replace(
+            '      - SPY     # S&P 500\n',
+            '      - SPY     # S&P 500\n      - QQQ\n'
+        ));
+        expect(addWatchlistSymbol(CONFIG, { symbol: '^GSPC', section: 0, index: 0 })).toBe(CONFIG.replace(
+            '      - AAPL',
+            '      - ^GSPC\n      - AAPL'
+        ));
+    });
+
+    it('should start a list in a section without one', () => {
+        const config = 'sections:\n  - name: Empty\n    stocks:\n  - name: None\n# end\n';
+
+        expect(addWatchlistSymbol(config, { symbol: 'AAPL', section: 0 }))
+            .toBe('sections:\n  - name: Empty\n    stocks:\n      - AAPL\n  - name: None\n# end\n');
+        expect(addWatchlistSymbol(config, { symbol: 'AAPL', section: 1 }))
+            .toBe('sections:\n  - name: Empty\n    stocks:\n  - name: None\n    stocks:\n      - AAPL\n# end\n');
+    });
+
+    it('should edit flow lists and legacy watchlists', () => {
+        expect(addWatchlistSymbol('sections:\n  - name: A\n    stocks: [SPY, "QQQ"]\n', { symbol: 'DIA', section: 0, index: 1 }))
+            .toBe('sections:\n  - name: A\n    stocks: [SPY, DIA, "QQQ"]\n');
+        expect(addWatchlistSymbol('watchlist:\n- AAPL\n', { symbol: 'MSFT' })).toBe('watchlist:\n- AAPL\n- MSFT\n');
+        expect(addWatchlistSymbol('server:\n  port: 3000', { symbol: 'MSFT' })).toBe('server:\n  port: 3000\nwatchlist:\n  - MSFT\n');
+    });
+
+    it('should refuse duplicates, unknown sections and broken YAML', () => {
+        expect(() => addWatchlistSymbol(CONFIG, { symbol: 'NVDA', section: 1 })).toThrow('NVDA is already in the watchlist');
+        expect(() => addWatchlistSymbol(CONFIG, { symbol: 'QQQ', section: 2 })).toThrow('section must be a section index from 0 to 1');
+        expect(() => addWatchlistSymbol(CONFIG, { symbol: 'QQQ', section: 0, index: 5 })).toThrow('index must be a position from 0 to 2');
+        expect(() => addWatchlistSymbol('sections: [\n', { symbol: 'QQQ' })).toThrow(/^config.yaml has YAML errors/);
+    });
+});
+
+describe('removeWatchlistSymbol', () => {
+    it('should remove the entry with its position data but keep comment lines', () => {
+        expect(removeWatchlistSymbol(CONFIG, { symbol: 'NVDA' })).toBe(CONFIG.replace(
+            '      - symbol: NVDA  # NVIDIA\n        shares: 10\n        costBasis: 450.00\n',
+            ''
+        ));
+    });
+
+    it('should take comment lines indented under an entry with it', () => {
+        const config = 'sections:\n  - name: A\n    stocks:\n      - symbol: NVDA\n        shares: 10\n        # sold half in May\n\n  - name: B\n';
+
+        expect(removeWatchlistSymbol(config, { symbol: 'NVDA' })).toBe('sections:\n  - name: A\n    stocks:\n\n  - name: B\n');
+        expect(addWatchlistSymbol(config, { symbol: 'QQQ', section: 0 })).toBe(config.replace('May\n', 'May\n      - QQQ\n'));
+    });
+
+    it('should remove a symbol from every section unless one is given', () => {
+        const config = 'sections:\n  - name: A\n    stocks:\n      - SPY\n  - name: B\n    stocks: [SPY, QQQ]\n';
+
+        expect(removeWatchlistSymbol(config, { symbol: 'SPY', section: 1 }))
+            .toBe('sections:\n  - name: A\n    stocks:\n      - SPY\n  - name: B\n    stocks: [QQQ]\n');
+        expect(removeWatchlistSymbol(config, { symbol: 'SPY' }))
+            .toBe('sections:\n  - name: A\n    stocks:\n  - name: B\n    stocks: [QQQ]\n');
+        expect(() => removeWatchlistSymbol(config, { symbol: 'QQQ', section: 0 })).toThrow('QQQ is not in section 0');
+    });
+});
+
+describe('moveWatchlistSymbol', () => {
+    it('should carry an entry to another section', () => {
+        expect(moveWatchlistSymbol(CONFIG, { symbol: 'NVDA', section: 1, index: 0 })).toBe(CONFIG
+            .replace('      - symbol: NVDA  # NVIDIA\n        shares: 10\n        costBasis: 450.00\n', '')
+            .replace('      - SPY', '      - symbol: NVDA  # NVIDIA\n        shares: 10\n        costBasis: 450.00\n      - SPY'));
+    });
+
+    it('should re-indent an entry for a list indented differently', () => {
+        const config = 'sections:\n  - name: A\n    stocks:\n      - symbol: NVDA\n        shares: 10\n  - name: B\n    stocks:\n    - SPY\n';
+
+        expect(moveWatchlistSymbol(config, { symbol: 'NVDA', section: 1 }))
+            .toBe('sections:\n  - name: A\n    stocks:\n  - name: B\n    stocks:\n    - SPY\n    - symbol: NVDA\n      shares: 10\n');
+    });
+
+    it('should reorder within a section', () => {
+        expect(moveWatchlistSymbol(CONFIG, { symbol: 'AAPL', section: 0 })).toBe(CONFIG
+            .replace('      - AAPL    # Apple\n', '')
+            .replace('        costBasis: 450.00\n', '        costBasis: 450.00\n      - AAPL    # Apple\n'));
+    });
+
+    it('should move into a flow list as a flow entry', () => {
+        const config = 'sections:\n  - name: A\n    stocks:\n      - symbol: NVDA\n        shares: 10\n  - name: B\n    stocks: []\n';
+
+        expect(moveWatchlistSymbol(config, { symbol: 'NVDA', section: 1 }))
+            .toBe('sections:\n  - name: A\n    stocks:\n  - name: B\n    stocks: [{ symbol: NVDA, shares: 10 }]\n');
+    });
+
+    it('should turn a flow list into a block list to keep a moved entry\'s comments', () => {
+        const config = 'sections:\n  - name: A\n    stocks:\n      - symbol: NVDA  # NVIDIA\n        shares: 10\n  - name: B\n    stocks: [SPY, QQQ]  # index funds\n';
+        const moved = 'sections:\n  - name: A\n    stocks:\n  - name: B\n    stocks:  # index funds\n      - SPY\n      - symbol: NVDA  # NVIDIA\n        shares: 10\n      - QQQ\n';
+
+        expect(moveWatchlistSymbol(config, { symbol: 'NVDA', section: 1, index: 1 })).toBe(moved);
+        expect(moveWatchlistSymbol(moveWatchlistSymbol(config, { symbol: 'SPY', section: 0 }), { symbol: 'NVDA', section: 1 }))
+            .toBe('sections:\n  - name: A\n    stocks:\n      - SPY\n  - name: B\n    stocks:  # index funds\n      - QQQ\n      - symbol: NVDA  # NVIDIA\n        shares: 10\n');
+        expect(moveWatchlistSymbol(config.replace('[SPY, QQQ]', '[]'), { symbol: 'NVDA', section: 1 }))
+            .toBe('sections:\n  - name: A\n    stocks:\n  - name: B\n    stocks:  # index funds\n      - symbol: NVDA  # NVIDIA\n        shares: 10\n');
+    });
+
+    it('should ask which copy to move when a symbol is listed twice', () => {
+        const config = 'sections:\n  - name: A\n    stocks: [SPY]\n  - name: B\n    stocks: [SPY]\n  - name: C\n    stocks: []\n';
+
+        expect(() => moveWatchlistSymbol(config, { symbol: 'SPY', section: 2 })).toThrow('SPY is listed more than once');
+        expect(moveWatchlistSymbol(config, { symbol: 'SPY', section: 2, from: 1 }))
+            .toBe('sections:\n  - name: A\n    stocks: [SPY]\n  - name: B\n    stocks: []\n  - name: C\n    stocks: [SPY]\n');
+    });
+});
+
+describe('reorderWatchlist', () => {
+    const TECH = '  - name: Tech\n    stocks:\n      - AAPL    # Apple\n      # Position written out in full\n      - symbol: NVDA  # NVIDIA\n        shares: 10\n        costBasis: 450.00\n';
+    const ETFS = '  - name: ETFs\n    stocks:\n      - SPY     # S&P 500\n';
+
+    it('should swap whole sections and keep the blank lines between them', () => {
+        expect(reorderWatchlist(CONFIG, [{ section: 1, stocks: ['SPY'] }, { section: 0, stocks: ['AAPL', 'NVDA'] }]))
+            .toBe(CONFIG.replace(`${TECH}\n${ETFS}`, `${ETFS}\n${TECH}`));
+    });
+
+    it('should move only the symbols that changed place', () => {
+        expect(reorderWatchlist(CONFIG, [{ section: 0, stocks: ['NVDA'] }, { section: 1, stocks: ['AAPL', 'SPY'] }])).toBe(CONFIG
+            .replace('      - AAPL    # Apple\n', '')
+            .replace('      - SPY', '      - AAPL    # Apple\n      - SPY'));
+        expect(reorderWatchlist(CONFIG, [{ section: 0, stocks: ['AAPL', 'NVDA'] }, { section: 1, stocks: ['SPY'] }])).toBe(CONFIG);
+    });
+
+    it('should only accept the sections and symbols already in the file', () => {
+        expect(() => reorderWatchlist(CONFIG, [{ section: 0, stocks: ['AAPL', 'NVDA', 'SPY'] }]))
+            .toThrow('sections must list each of the 2 sections once');
+        expect(() => reorderWatchlist(CONFIG, [{ section: 0, stocks: ['AAPL', 'NVDA'] }, { section: 0, stocks: ['SPY'] }]))
+            .toThrow('sections must list each of the 2 sections once');
+        expect(() => reorderWatchlist(CONFIG, [{ section: 0, stocks: ['AAPL', 'NVDA', 'QQQ'] }, { section: 1, stocks: ['SPY'] }]))
+            .toThrow('QQQ is not in config.yaml');
+        expect(() => reorderWatchlist(CONFIG, [{ section: 0, stocks: ['AAPL'] }, { section: 1, stocks: ['SPY'] }]))
+            .toThrow('The new order leaves out NVDA');
+    });
+
+    it('should reorder a legacy watchlist', () => {
+        expect(reorderWatchlist('watchlist:\n  - AAPL\n  - MSFT  # Microsoft\n', [{ section: 0, stocks: ['MSFT', 'AAPL'] }]))
+            .toBe('watchlist:\n  - MSFT  # Microsoft\n  - AAPL\n');
+    });
+});
+
+describe('addSection', () => {
+    it('should add an empty section spaced like the others', () => {
+        expect(addSection(CONFIG, { name: 'Crypto miners' })).toBe(CONFIG.replace(
+            '      - SPY     # S&P 500\n',
+            '      - SPY     # S&P 500\n\n  - name: Crypto miners\n    stocks:\n'
+        ));
+        expect(addSection(CONFIG, { name: 'Watch: later', index: 0 })).toBe(CONFIG.replace(
+            '  - name: Tech',
+            '  - name: "Watch: later"\n    stocks:\n\n  - name: Tech'
+        ));
+    });
+
+    it('should refuse taken names and legacy watchlists', () => {
+        expect(() => addSection(CONFIG, { name: ' ETFs ' })).toThrow('There is already a section named ETFs');
+        expect(() => addSection(CONFIG, { name: '' })).toThrow('name must be a section name');
+        expect(() => addSection('watchlist:\n  - AAPL\n', { name: 'Tech' })).toThrow(/no sections/);
+    });
+});
+
+describe('renameSection', () => {
+    it('should replace only the name', () => {
+        expect(renameSection(CONFIG, { section: 1, name: 'Index funds' })).toBe(CONFIG.replace('name: ETFs', 'name: Index funds'));
+        expect(renameSection('sections:\n  - stocks: [SPY]\n', { section: 0, name: 'ETFs' }))
+            .toBe('sections:\n  - name: ETFs\n    stocks: [SPY]\n');
+        expect(() => renameSection(CONFIG, { section: 0, name: 'ETFs' })).toThrow('There is already a section named ETFs');
+    });
+});
+
+describe('deleteSection', () => {
+    it('should remove the section with its symbols', () => {
+        expect(deleteSection(CONFIG, { section: 1 })).toBe(CONFIG.replace('\n  - name: ETFs\n    stocks:\n      - SPY     # S&P 500\n', ''));
+        expect(deleteSection(CONFIG, { section: 0 })).toBe(CONFIG.replace(/ {2}- name: Tech[^]*?\n\n/, ''));
+    });
+
+    it('should keep the last section', () => {
+        expect(() => deleteSection('sections:\n  - name: A\n', { section: 0 })).toThrow('The only section can\'t be deleted');
+        expect(() => deleteSection(CONFIG, { section: 2 })).toThrow('section must be a section index from 0 to 1');
+    });
+});
+
+describe('writeConfigFile', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'configeditortest-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should replace the file and leave no temporary file behind', () => {
+        const file = path.join(tmpDir, 'config.yaml');
+        fs.writeFileSync(file, 'watchlist: []\n');
+
+        writeConfigFile(file, 'watchlist: [SPY]\n');
+
+        expect(fs.readFileSync(file, 'utf8')).toBe('watchlist: [SPY]\n');
+        expect(fs.readdirSync(tmpDir)).toEqual(['config.yaml']);
+    });
+});
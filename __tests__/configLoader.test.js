@@ -1,7 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { parseConfigFile, diffWatchlist } from '../lib/configLoader.js';
+import { parseConfigFile, parseConfigText, diffWatchlist, normalizeStockEntry } from '../lib/configLoader.js';
 
 describe('diffWatchlist', () => {
     it('should return no changes when lists are identical', () => {
@@ -133,6 +133,20 @@ server:
     });
 });
 
+describe('parseConfigText', () => {
+    it('should parse config text like the file it came from', () => {
+        const result = parseConfigText('crypto:\n  - btc\nwatchlist:\n  - AAPL\n');
+
+        expect(result.watchlist).toEqual(['BTC-USD', 'AAPL']);
+        expect(result.cryptoSymbols).toEqual(['BTC']);
+    });
+
+    it('should throw for text the server could not load', () => {
+        expect(() => parseConfigText('crypto: 5\nwatchlist:\n  - AAPL\n')).toThrow();
+        expect(() => parseConfigText('watchlist: [unterminated\n')).toThrow();
+    });
+});
+
 describe('parseConfigFile with sections', () => {
     let tmpDir;
 
@@ -334,3 +348,135 @@ sections: []
         expect(result.cryptoTickers).toEqual(['BTC-USD', 'DOGE-USD']);
     });
 });
+
+describe('normalizeStockEntry', () => {
+    it('should treat a bare string as a watch-only symbol', () => {
+        expect(normalizeStockEntry('AAPL')).toEqual({ symbol: 'AAPL', holding: null });
+    });
+
+    it('should return null for entries without a symbol', () => {
+        expect(normalizeStockEntry(null)).toBeNull();
+        expect(normalizeStockEntry(42)).toBeNull();
+        expect(normalizeStockEntry({ shares: 10 })).toBeNull();
+        expect(normalizeStockEntry({ symbol: '  ' })).toBeNull();
+    });
+
+    it('should read shares and costBasis from an object entry', () => {
+        expect(normalizeStockEntry({ symbol: 'AAPL', shares: 10, costBasis: 120.5 })).toEqual({
+            symbol: 'AAPL',
+            holding: { shares: 10, costBasis: 120.5, lots: [] }
+        });
+    });
+
+    it('should treat an object without shares as watch-only', () => {
+        expect(normalizeStockEntry({ symbol: 'AAPL' })).toEqual({ symbol: 'AAPL', holding: null });
+    });
+
+    it('should default costBasis to null when omitted', () => {
+        expect(normalizeStockEntry({ symbol: 'AAPL', shares: 3 }).holding.costBasis).toBeNull();
+    });
+
+    it('should derive shares and weighted cost basis from lots', () => {
+        const { holding } = normalizeStockEntry({
+            symbol: 'NVDA',
+            shares: 999,
+            lots: [
+                { shares: 10, costBasis: 100, date: '2024-01-02' },
+                { shares: 30, costBasis: 200 },
+            ]
+        });
+
+        expect(holding.shares).toBe(40);
+        expect(holding.costBasis).toBe(175);
+        expect(holding.lots).toEqual([
+            { shares: 10, costBasis: 100, date: '2024-01-02' },
+            { shares: 30, costBasis: 200, date: null },
+        ]);
+    });
+
+    it('should leave costBasis null when any lot is missing one', () => {
+        const { holding } = normalizeStockEntry({
+            symbol: 'NVDA',
+            lots: [{ shares: 10, costBasis: 100 }, { shares: 5 }]
+        });
+
+        expect(holding.shares).toBe(15);
+        expect(holding.costBasis).toBeNull();
+    });
+});
+
+describe('parseConfigFile holdings', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'configtest-holdings-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function writeConfig(filename, content) {
+        const filePath = path.join(tmpDir, filename);
+        fs.writeFileSync(filePath, content, 'utf8');
+        return filePath;
+    }
+
+    it('should accept a mix of strings and position objects', () => {
+        const filePath = writeConfig('config.yaml', `
+sections:
+  - name: Tech
+    stocks:
+      - symbol: AAPL
+        shares: 10
+        costBasis: 150
+      - MSFT
+`);
+        const result = parseConfigFile(filePath);
+
+        expect(result.sections).toEqual([{ name: 'Tech', stocks: ['AAPL', 'MSFT'] }]);
+        expect(result.watchlist).toEqual(['AAPL', 'MSFT']);
+        expect(result.holdings).toEqual({ AAPL: { shares: 10, costBasis: 150, lots: [] } });
+    });
+
+    it('should return empty holdings for a plain watchlist', () => {
+        const filePath = writeConfig('config.yaml', `
+watchlist:
+  - AAPL
+`);
+        expect(parseConfigFile(filePath).holdings).toEqual({});
+    });
+
+    it('should parse lots into a holding', () => {
+        const filePath = writeConfig('config.yaml', `
+sections:
+  - name: Chips
+    stocks:
+      - symbol: NVDA
+        lots:
+          - shares: 5
+            costBasis: 400
+            date: 2023-06-01
+          - shares: 5
+            costBasis: 600
+`);
+        const { holdings } = parseConfigFile(filePath);
+
+        expect(holdings.NVDA.shares).toBe(10);
+        expect(holdings.NVDA.costBasis).toBe(500);
+        expect(holdings.NVDA.lots).toHaveLength(2);
+    });
+
+    it('should skip object entries without a symbol', () => {
+        const filePath = writeConfig('config.yaml', `
+sections:
+  - name: Tech
+    stocks:
+      - shares: 10
+      - AAPL
+`);
+        const result = parseConfigFile(filePath);
+
+        expect(result.watchlist).toEqual(['AAPL']);
+    });
+});
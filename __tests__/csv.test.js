@@ -0,0 +1,80 @@
+import { parseCsv, parseCsvRecords, toCsv } from '../lib/csv.js';
+
+describe('parseCsv', () => {
+    it('should split simple rows and fields', () => {
+        expect(parseCsv('a,b,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    it('should handle quoted fields with commas and escaped quotes', () => {
+        expect(parseCsv('"Smith, J","say ""hi"""')).toEqual([['Smith, J', 'say "hi"']]);
+    });
+
+    it('should keep newlines inside quoted fields', () => {
+        expect(parseCsv('"line1\nline2",x')).toEqual([['line1\nline2', 'x']]);
+    });
+
+    it('should handle CRLF line endings and drop blank lines', () => {
+        expect(parseCsv('a,b\r\n\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should strip a leading byte order mark', () => {
+        expect(parseCsv('\uFEFFDate,Symbol')).toEqual([['Date', 'Symbol']]);
+    });
+
+    it('should keep empty fields', () => {
+        expect(parseCsv('a,,c')).toEqual([['a', '', 'c']]);
+    });
+});
+
+describe('parseCsvRecords', () => {
+    it('should key records by trimmed header and record line numbers', () => {
+        const { headers, records } = parseCsvRecords('Date , Symbol\n2024-01-02, AAPL\n2024-01-03,MSFT');
+
+        expect(headers).toEqual(['Date', 'Symbol']);
+        expect(records).toEqual([
+            { __line: 2, Date: '2024-01-02', Symbol: 'AAPL' },
+            { __line: 3, Date: '2024-01-03', Symbol: 'MSFT' },
+        ]);
+    });
+
+    it('should skip banner rows above the header', () => {
+        const text = 'Account XYZ\n\nDate,Symbol\n2024-01-02,AAPL';
+        const { headers, records } = parseCsvRecords(text, cells => cells.includes('Date'));
+
+        expect(headers).toEqual(['Date', 'Symbol']);
+        expect(records[0].__line).toBe(4);
+    });
+
+    it('should return nothing when no header row matches', () => {
+        expect(parseCsvRecords('a,b\n1,2', () => false)).toEqual({ headers: [], records: [] });
+    });
+
+    it('should report the starting line of rows with embedded newlines', () => {
+        const { records } = parseCsvRecords('a,b\n"multi\nline",1\n2,3');
+        expect(records.map(r => r.__line)).toEqual([2, 4]);
+    });
+
+    it('should fill missing trailing cells with empty strings', () => {
+        const { records } = parseCsvRecords('a,b,c\n1,2');
+        expect(records[0]).toEqual({ __line: 2, a: '1', b: '2', c: '' });
+    });
+});
+
+describe('toCsv', () => {
+    it('should join rows with a trailing newline', () => {
+        expect(toCsv([['a', 'b'], [1, 2]])).toBe('a,b\n1,2\n');
+    });
+
+    it('should quote fields with commas, quotes and newlines', () => {
+        expect(toCsv([['x,y', 'say "hi"', 'two\nlines']])).toBe('"x,y","say ""hi""","two\nlines"\n');
+    });
+
+    it('should write null and undefined as empty fields', () => {
+        expect(toCsv([[null, undefined, 0]])).toBe(',,0\n');
+    });
+
+    it('should round-trip through parseCsv', () => {
+        const rows = [['a', 'b,c'], ['"q"', 'x']];
+        expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+});
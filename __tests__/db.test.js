@@ -1,4 +1,40 @@
-import { addPriceHistory, getPriceHistory, getLatestPrice } from '../db.js';
+import {
+    addPriceHistory,
+    getPriceHistory,
+    getPriceHistoryRange,
+    getPriceHistorySymbols,
+    exportPriceHistory,
+    mergePriceHistory,
+    getLatestPrice,
+    addTransaction,
+    getTransactions,
+    getTransaction,
+    updateTransaction,
+    deleteTransaction,
+    importTransactions,
+    getPriceAt,
+    addAlert,
+    getAlerts,
+    addAlertDelivery,
+    getAlertDeliveries,
+    getAlert,
+    countUnacknowledgedAlerts,
+    acknowledgeAlerts,
+    setAlertSnooze,
+    getAlertSnoozes,
+    deleteAlertSnooze,
+    upsertDailyBars,
+    getDailyBars,
+    getLatestDailyBarDate,
+    upsertBars,
+    getBars,
+    thinPriceHistory,
+    deletePriceHistoryBefore,
+    deleteBarsBefore,
+    getStorageStats,
+    vacuumDatabase,
+    applyQueuedWrites
+} from '../db.js';
 import { createTestDatabase, closeTestDatabase, insertTestPriceData, clearTestData } from './helpers/testDb.js';
 
 describe('Database Module', () => {
@@ -133,6 +169,48 @@ describe('Database Module', () => {
         });
     });
 
+    describe('getPriceHistoryRange', () => {
+        beforeEach(async () => {
+            // AAPL every 2 minutes from 14:30 to 14:48, plus one SPY row
+            for (let i = 0; i < 10; i++) {
+                const ts = new Date(Date.parse('2024-03-01T14:30:00.000Z') + i * 2 * 60 * 1000).toISOString();
+                await insertTestPriceData(db, 'AAPL', 100 + i, i, i / 100, ts);
+            }
+            await insertTestPriceData(db, 'SPY', 500, 0, 0, '2024-03-01T14:40:00.000Z');
+        });
+
+        it('should return rows between from and to, oldest first', async () => {
+            const { rows, truncated } = await getPriceHistoryRange(db, 'AAPL', {
+                from: '2024-03-01T14:34:00.000Z',
+                to: '2024-03-01T14:40:00.000Z'
+            });
+
+            expect(rows.map(r => r.price)).toEqual([102, 103, 104, 105]);
+            expect(rows[0]).toEqual({
+                symbol: 'AAPL',
+                timestamp: '2024-03-01T14:34:00.000Z',
+                price: 102,
+                change: 2,
+                change_percent: 0.02,
+                market_state: null
+            });
+            expect(truncated).toBe(false);
+        });
+
+        it('should keep the last row of each bucket', async () => {
+            const { rows } = await getPriceHistoryRange(db, 'AAPL', { bucketMs: 10 * 60 * 1000 });
+
+            expect(rows.map(r => r.timestamp)).toEqual(['2024-03-01T14:38:00.000Z', '2024-03-01T14:48:00.000Z']);
+        });
+
+        it('should keep the newest rows when over the limit', async () => {
+            const { rows, truncated } = await getPriceHistoryRange(db, 'AAPL', { limit: 3 });
+
+            expect(rows.map(r => r.price)).toEqual([107, 108, 109]);
+            expect(truncated).toBe(true);
+        });
+    });
+
     describe('getLatestPrice', () => {
         beforeEach(async () => {
             await insertTestPriceData(db, 'AAPL', 150.00, 1.00, 0.67, '2024-01-01T10:00:00.000Z');
@@ -175,4 +253,343 @@ describe('Database Module', () => {
             expect(latest).toHaveProperty('change_percent');
         });
     });
+
+    describe('getPriceAt', () => {
+        beforeEach(async () => {
+            await insertTestPriceData(db, 'AAPL', 150.00, 1.00, 0.67, '2024-01-01T10:00:00.000Z');
+            await insertTestPriceData(db, 'AAPL', 151.00, 2.00, 1.34, '2024-01-02T10:00:00.000Z');
+        });
+
+        it('should return the last price at or before the timestamp', async () => {
+            expect((await getPriceAt(db, 'AAPL', '2024-01-01T23:59:59.000Z')).price).toBe(150.00);
+            expect((await getPriceAt(db, 'AAPL', '2024-01-02T10:00:00.000Z')).price).toBe(151.00);
+        });
+
+        it('should return undefined before the first record', async () => {
+            expect(await getPriceAt(db, 'AAPL', '2023-12-31T00:00:00.000Z')).toBeUndefined();
+        });
+    });
+
+    describe('transactions', () => {
+        const buy = { symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 10, price: 150, fees: 1 };
+
+        it('should insert a transaction and return its id', async () => {
+            const id = await addTransaction(db, buy);
+            const row = await getTransaction(db, id);
+
+            expect(row).toMatchObject({ id, ...buy, amount: null, ratio: null, lot_id: null, notes: null });
+            expect(row.created_at).toBeDefined();
+        });
+
+        it('should default fees to 0 when omitted', async () => {
+            const id = await addTransaction(db, { symbol: 'AAPL', type: 'dividend', date: '2024-01-02', amount: 5 });
+            expect((await getTransaction(db, id)).fees).toBe(0);
+        });
+
+        it('should list transactions in date order and filter by symbol', async () => {
+            await addTransaction(db, { ...buy, date: '2024-03-01' });
+            await addTransaction(db, { ...buy, symbol: 'MSFT' });
+            await addTransaction(db, buy);
+
+            const all = await getTransactions(db);
+            expect(all.map(t => t.date)).toEqual(['2024-01-02', '2024-01-02', '2024-03-01']);
+
+            const aapl = await getTransactions(db, { symbol: 'AAPL' });
+            expect(aapl).toHaveLength(2);
+            expect(aapl.every(t => t.symbol === 'AAPL')).toBe(true);
+        });
+
+        it('should update an existing transaction', async () => {
+            const id = await addTransaction(db, buy);
+            const updated = await updateTransaction(db, id, { ...buy, shares: 12 });
+
+            expect(updated).toBe(true);
+            expect((await getTransaction(db, id)).shares).toBe(12);
+        });
+
+        it('should report false when updating or deleting a missing id', async () => {
+            expect(await updateTransaction(db, 999, buy)).toBe(false);
+            expect(await deleteTransaction(db, 999)).toBe(false);
+        });
+
+        it('should delete a transaction', async () => {
+            const id = await addTransaction(db, buy);
+
+            expect(await deleteTransaction(db, id)).toBe(true);
+            expect(await getTransaction(db, id)).toBeUndefined();
+        });
+
+        it('should import a batch of transactions', async () => {
+            const count = await importTransactions(db, [buy, { ...buy, date: '2024-01-03' }]);
+
+            expect(count).toBe(2);
+            expect(await getTransactions(db)).toHaveLength(2);
+        });
+
+        it('should roll back the whole batch when one insert fails', async () => {
+            await expect(importTransactions(db, [buy, { ...buy, symbol: null }])).rejects.toThrow();
+
+            expect(await getTransactions(db)).toEqual([]);
+        });
+    });
+
+    describe('alerts', () => {
+        const alert = (symbol, firedAt) => ({
+            ruleId: `${symbol}:above:200`, symbol, type: 'above', message: `${symbol} rose above $200.00`,
+            price: 201, threshold: 200, firedAt
+        });
+
+        it('should store fired alerts and return them newest first', async () => {
+            await addAlert(db, alert('AAPL', '2024-01-01T10:00:00.000Z'));
+            await addAlert(db, alert('AAPL', '2024-01-02T10:00:00.000Z'));
+
+            const rows = await getAlerts(db);
+            expect(rows.map(r => r.fired_at)).toEqual(['2024-01-02T10:00:00.000Z', '2024-01-01T10:00:00.000Z']);
+            expect(rows[0]).toMatchObject({ rule_id: 'AAPL:above:200', symbol: 'AAPL', type: 'above', price: 201, threshold: 200 });
+        });
+
+        it('should filter by symbol and respect the limit', async () => {
+            await addAlert(db, alert('AAPL', '2024-01-01T10:00:00.000Z'));
+            await addAlert(db, alert('MSFT', '2024-01-02T10:00:00.000Z'));
+            await addAlert(db, alert('MSFT', '2024-01-03T10:00:00.000Z'));
+
+            expect(await getAlerts(db, { symbol: 'AAPL' })).toHaveLength(1);
+            expect(await getAlerts(db, { limit: 2 })).toHaveLength(2);
+        });
+
+        it('should return only alerts stored after a given id', async () => {
+            const first = await addAlert(db, alert('AAPL', '2024-01-01T10:00:00.000Z'));
+            await addAlert(db, alert('MSFT', '2024-01-02T10:00:00.000Z'));
+
+            expect((await getAlerts(db, { afterId: first })).map(r => r.symbol)).toEqual(['MSFT']);
+        });
+
+        it('should acknowledge selected or all alerts', async () => {
+            const a = await addAlert(db, alert('AAPL', '2024-01-01T10:00:00.000Z'));
+            await addAlert(db, alert('MSFT', '2024-01-02T10:00:00.000Z'));
+            await addAlert(db, alert('NVDA', '2024-01-03T10:00:00.000Z'));
+
+            expect(await countUnacknowledgedAlerts(db)).toBe(3);
+            expect(await acknowledgeAlerts(db, [a])).toBe(1);
+            expect((await getAlert(db, a)).acknowledged_at).not.toBeNull();
+            // Already acknowledged alerts keep their original time and aren't counted again
+            expect(await acknowledgeAlerts(db, [a])).toBe(0);
+            expect(await acknowledgeAlerts(db, [])).toBe(0);
+            expect(await acknowledgeAlerts(db)).toBe(2);
+            expect(await countUnacknowledgedAlerts(db)).toBe(0);
+        });
+    });
+
+    describe('alert deliveries', () => {
+        const delivery = (alertId, channel, deliveredAt, extra = {}) => ({
+            alertId, channel, channelType: 'webhook', status: 'sent', attempts: 1, error: null, deliveredAt, ...extra
+        });
+
+        it('should log deliveries and return them newest first', async () => {
+            await addAlertDelivery(db, delivery(1, 'chat', '2024-01-01T10:00:00.000Z'));
+            await addAlertDelivery(db, delivery(1, 'phone', '2024-01-01T10:00:01.000Z', { status: 'failed', attempts: 3, error: 'HTTP 500' }));
+
+            const rows = await getAlertDeliveries(db);
+            expect(rows.map(r => r.channel)).toEqual(['phone', 'chat']);
+            expect(rows[0]).toMatchObject({ alert_id: 1, channel_type: 'webhook', status: 'failed', attempts: 3, error: 'HTTP 500' });
+        });
+
+        it('should filter by alert id', async () => {
+            await addAlertDelivery(db, delivery(1, 'chat', '2024-01-01T10:00:00.000Z'));
+            await addAlertDelivery(db, delivery(2, 'chat', '2024-01-02T10:00:00.000Z'));
+
+            expect((await getAlertDeliveries(db, { alertId: 2 })).map(r => r.alert_id)).toEqual([2]);
+        });
+    });
+
+    describe('alert snoozes', () => {
+        it('should set, replace and lift a snooze', async () => {
+            await setAlertSnooze(db, 'AAPL:above:200', '2024-01-01T11:00:00.000Z');
+            await setAlertSnooze(db, 'AAPL:above:200', '2024-01-01T12:00:00.000Z');
+
+            expect(await getAlertSnoozes(db, '2024-01-01T10:00:00.000Z'))
+                .toEqual([{ rule_id: 'AAPL:above:200', until: '2024-01-01T12:00:00.000Z' }]);
+            expect(await deleteAlertSnooze(db, 'AAPL:above:200')).toBe(true);
+            expect(await deleteAlertSnooze(db, 'AAPL:above:200')).toBe(false);
+        });
+
+        it('should drop expired snoozes', async () => {
+            await setAlertSnooze(db, 'AAPL:above:200', '2024-01-01T11:00:00.000Z');
+            await setAlertSnooze(db, 'SPY:52wHigh', '2024-01-01T13:00:00.000Z');
+
+            expect((await getAlertSnoozes(db, '2024-01-01T12:00:00.000Z')).map(s => s.rule_id)).toEqual(['SPY:52wHigh']);
+            expect(await getAlertSnoozes(db, '2024-01-01T14:00:00.000Z')).toEqual([]);
+        });
+    });
+
+    describe('daily bars', () => {
+        const bar = (date, close) => ({ date, open: close - 1, high: close + 1, low: close - 2, close, volume: 1000 });
+
+        it('should store bars and return them oldest first from a date', async () => {
+            await upsertDailyBars(db, 'AAPL', [bar('2024-03-04', 175), bar('2024-03-01', 180), bar('2024-03-05', 170)]);
+            await upsertDailyBars(db, 'SPY', [bar('2024-03-05', 510)]);
+
+            expect((await getDailyBars(db, 'AAPL')).map(b => b.date)).toEqual(['2024-03-01', '2024-03-04', '2024-03-05']);
+            expect(await getDailyBars(db, 'AAPL', { from: '2024-03-05' }))
+                .toEqual([{ date: '2024-03-05', open: 169, high: 171, low: 168, close: 170, volume: 1000 }]);
+            expect(await getLatestDailyBarDate(db, 'AAPL')).toBe('2024-03-05');
+            expect(await getLatestDailyBarDate(db, 'MSFT')).toBeNull();
+        });
+
+        it('should replace a day that is stored again', async () => {
+            await upsertDailyBars(db, 'AAPL', [bar('2024-03-05', 170)]);
+            await upsertDailyBars(db, 'AAPL', [bar('2024-03-05', 172)]);
+
+            expect((await getDailyBars(db, 'AAPL')).map(b => b.close)).toEqual([172]);
+        });
+
+        it('should write nothing when a bar is invalid', async () => {
+            await expect(upsertDailyBars(db, 'AAPL', [bar('2024-03-04', 175), { date: '2024-03-05', close: null }]))
+                .rejects.toThrow();
+
+            expect(await getDailyBars(db, 'AAPL')).toEqual([]);
+        });
+    });
+
+    describe('intraday bars', () => {
+        const tick = (start, price, volume = 0) => ({ symbol: 'AAPL', interval: '1m', start, open: price, high: price, low: price, close: price, volume });
+
+        it('should merge ticks into the bar for their bucket', async () => {
+            await upsertBars(db, [tick('2024-03-01T14:30:00.000Z', 100, 10)]);
+            await upsertBars(db, [tick('2024-03-01T14:30:00.000Z', 103, 5)]);
+            await upsertBars(db, [tick('2024-03-01T14:30:00.000Z', 98, 0)]);
+            await upsertBars(db, [tick('2024-03-01T14:30:00.000Z', 101, 20)]);
+
+            expect(await getBars(db, 'AAPL', '1m')).toEqual([
+                { start: '2024-03-01T14:30:00.000Z', open: 100, high: 103, low: 98, close: 101, volume: 35 }
+            ]);
+        });
+
+        it('should return the latest bars of one interval, oldest first', async () => {
+            await upsertBars(db, [
+                tick('2024-03-01T14:31:00.000Z', 2),
+                tick('2024-03-01T14:30:00.000Z', 1),
+                tick('2024-03-01T14:32:00.000Z', 3),
+                { ...tick('2024-03-01T14:30:00.000Z', 9), interval: '5m' }
+            ]);
+
+            expect((await getBars(db, 'AAPL', '1m', 2)).map(b => b.close)).toEqual([2, 3]);
+            expect((await getBars(db, 'AAPL', '5m')).map(b => b.close)).toEqual([9]);
+        });
+    });
+
+    describe('applyQueuedWrites', () => {
+        const price = (timestamp, value) => ({ type: 'price', symbol: 'AAPL', timestamp, price: value, change: 1, changePercent: 0.5, marketState: 'REGULAR' });
+        const bar = close => ({ symbol: 'AAPL', interval: '1m', start: '2024-03-01T14:30:00.000Z', open: close, high: close, low: close, close, volume: 1 });
+
+        it('should write prices and bars in order', async () => {
+            await applyQueuedWrites(db, [
+                price('2024-03-01T14:30:05.000Z', 100),
+                { type: 'bars', bars: [bar(100)] },
+                price('2024-03-01T14:30:35.000Z', 102),
+                { type: 'bars', bars: [bar(102)] }
+            ]);
+
+            expect((await getPriceHistory(db, 'AAPL')).map(r => [r.timestamp, r.price, r.market_state])).toEqual([
+                ['2024-03-01T14:30:35.000Z', 102, 'REGULAR'],
+                ['2024-03-01T14:30:05.000Z', 100, 'REGULAR']
+            ]);
+            expect(await getBars(db, 'AAPL', '1m')).toEqual([
+                { start: '2024-03-01T14:30:00.000Z', open: 100, high: 102, low: 100, close: 102, volume: 2 }
+            ]);
+        });
+
+        it('should write nothing from a batch that fails', async () => {
+            await expect(applyQueuedWrites(db, [
+                price('2024-03-01T14:30:05.000Z', 100),
+                { type: 'bars', bars: [{ ...bar(100), open: null }] }
+            ])).rejects.toThrow();
+
+            expect(await getPriceHistory(db, 'AAPL')).toEqual([]);
+        });
+    });
+
+    describe('export and merge', () => {
+        const row = (symbol, timestamp, price) => ({ symbol, timestamp, price, change: 1, change_percent: 0.5, market_state: 'REGULAR' });
+
+        it('should export one symbol oldest first within a range', async () => {
+            await mergePriceHistory(db, [
+                row('MSFT', '2024-03-01T14:30:00.000Z', 400),
+                row('AAPL', '2024-03-02T14:30:00.000Z', 102),
+                row('AAPL', '2024-03-01T14:30:00.000Z', 101),
+                row('AAPL', '2024-03-03T14:30:00.000Z', 103)
+            ]);
+
+            expect(await getPriceHistorySymbols(db)).toEqual(['AAPL', 'MSFT']);
+            expect(await exportPriceHistory(db, 'AAPL', { from: '2024-03-01T14:30:00.000Z', to: '2024-03-02T14:30:00.000Z' }))
+                .toEqual([row('AAPL', '2024-03-01T14:30:00.000Z', 101), row('AAPL', '2024-03-02T14:30:00.000Z', 102)]);
+        });
+
+        it('should skip rows already stored instead of overwriting or duplicating them', async () => {
+            await mergePriceHistory(db, [row('AAPL', '2024-03-01T14:30:00.000Z', 101)]);
+
+            const inserted = await mergePriceHistory(db, [
+                row('AAPL', '2024-03-01T14:30:00.000Z', 999),
+                row('AAPL', '2024-03-02T14:30:00.000Z', 102),
+                row('AAPL', '2024-03-02T14:30:00.000Z', 102)
+            ]);
+
+            expect(inserted).toBe(1);
+            expect((await exportPriceHistory(db, 'AAPL')).map(r => [r.timestamp, r.price])).toEqual([
+                ['2024-03-01T14:30:00.000Z', 101],
+                ['2024-03-02T14:30:00.000Z', 102]
+            ]);
+        });
+
+        it('should merge more rows than fit in one statement', async () => {
+            const rows = Array.from({ length: 1200 }, (_, i) => row('AAPL', new Date(Date.UTC(2024, 2, 1) + i * 60000).toISOString(), i));
+
+            expect(await mergePriceHistory(db, rows)).toBe(1200);
+            expect(await mergePriceHistory(db, rows)).toBe(0);
+        });
+    });
+
+    describe('retention', () => {
+        it('should keep the last row per symbol and bucket inside the range only', async () => {
+            for (const [symbol, ts, price] of [
+                ['AAPL', '2024-03-01T14:30:10.000Z', 1],
+                ['AAPL', '2024-03-01T14:33:00.000Z', 2],
+                ['AAPL', '2024-03-01T14:36:00.000Z', 3],
+                ['SPY', '2024-03-01T14:31:00.000Z', 4],
+                ['AAPL', '2024-03-02T14:30:00.000Z', 5],
+                ['AAPL', '2024-03-02T14:31:00.000Z', 6]
+            ]) {
+                await insertTestPriceData(db, symbol, price, 0, 0, ts);
+            }
+
+            const removed = await thinPriceHistory(db, { from: '2024-03-01T00:00:00.000Z', to: '2024-03-02T00:00:00.000Z', bucketMs: 5 * 60 * 1000 });
+
+            expect(removed).toBe(1);
+            const rows = await db.all('SELECT symbol, price FROM price_history ORDER BY timestamp');
+            expect(rows.map(r => r.price)).toEqual([4, 2, 3, 5, 6]);
+        });
+
+        it('should delete old price history and bars', async () => {
+            await insertTestPriceData(db, 'AAPL', 1, 0, 0, '2024-01-01T00:00:00.000Z');
+            await insertTestPriceData(db, 'AAPL', 2, 0, 0, '2024-03-01T00:00:00.000Z');
+            const bar = (interval, start) => ({ symbol: 'AAPL', interval, start, open: 1, high: 1, low: 1, close: 1, volume: 0 });
+            await upsertBars(db, [bar('1m', '2024-01-01T00:00:00.000Z'), bar('1m', '2024-03-01T00:00:00.000Z'), bar('1h', '2024-01-01T00:00:00.000Z')]);
+
+            expect(await deletePriceHistoryBefore(db, '2024-02-01T00:00:00.000Z')).toBe(1);
+            expect(await deleteBarsBefore(db, '1m', '2024-02-01T00:00:00.000Z')).toBe(1);
+            expect((await db.all('SELECT interval FROM bars ORDER BY interval')).map(r => r.interval)).toEqual(['1h', '1m']);
+        });
+
+        it('should report row counts and file size, and vacuum', async () => {
+            await insertTestPriceData(db, 'AAPL', 1, 0, 0, '2024-01-01T00:00:00.000Z');
+            await insertTestPriceData(db, 'AAPL', 2, 0, 0, '2024-03-01T00:00:00.000Z');
+
+            const stats = await getStorageStats(db);
+
+            expect(stats.rows).toMatchObject({ price_history: 2, bars: 0, daily_bars: 0, transactions: 0 });
+            expect(stats.priceHistory).toEqual({ oldest: '2024-01-01T00:00:00.000Z', newest: '2024-03-01T00:00:00.000Z' });
+            expect(stats.sizeBytes).toBeGreaterThan(0);
+            await expect(vacuumDatabase(db)).resolves.toBeUndefined();
+        });
+    });
 });
@@ -0,0 +1,97 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import { formatSseEvent, createEventHub } from '../lib/eventStream.js';
+
+// Minimal stand-in for an http.ServerResponse
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.ended = false;
+    res.write = chunk => { res.chunks.push(chunk); return true; };
+    res.end = () => { res.ended = true; res.emit('close'); };
+    return res;
+}
+
+describe('formatSseEvent', () => {
+    it('should serialise an event with id and JSON data', () => {
+        expect(formatSseEvent('price', { symbol: 'AAPL', price: 150 }, 3))
+            .toBe('id: 3\nevent: price\ndata: {"symbol":"AAPL","price":150}\n\n');
+    });
+
+    it('should omit the id line when no id is given', () => {
+        expect(formatSseEvent('hello', {})).toBe('event: hello\ndata: {}\n\n');
+    });
+});
+
+describe('createEventHub', () => {
+    let hub;
+
+    afterEach(() => {
+        hub?.close();
+        jest.useRealTimers();
+    });
+
+    it('should publish to every subscriber with increasing ids', () => {
+        hub = createEventHub({ heartbeatMs: 0 });
+        const a = fakeResponse();
+        const b = fakeResponse();
+        hub.subscribe(a);
+        hub.subscribe(b);
+
+        hub.publish('watchlist', { watchlistVersion: 2 });
+        hub.publish('watchlist', { watchlistVersion: 3 });
+
+        expect(a.chunks).toEqual(b.chunks);
+        expect(a.chunks[0]).toMatch(/^id: 1\n/);
+        expect(a.chunks[1]).toMatch(/^id: 2\n/);
+    });
+
+    it('should send to a single client', () => {
+        hub = createEventHub({ heartbeatMs: 0 });
+        const a = fakeResponse();
+        const b = fakeResponse();
+        hub.subscribe(a);
+        hub.subscribe(b);
+
+        hub.send(a, 'hello', { ok: true });
+
+        expect(a.chunks).toHaveLength(1);
+        expect(b.chunks).toEqual([]);
+    });
+
+    it('should drop clients when their connection closes', () => {
+        hub = createEventHub({ heartbeatMs: 0 });
+        const a = fakeResponse();
+        hub.subscribe(a);
+        a.emit('close');
+
+        hub.publish('price', {});
+
+        expect(hub.size()).toBe(0);
+        expect(a.chunks).toEqual([]);
+    });
+
+    it('should send heartbeats only while clients are connected', () => {
+        jest.useFakeTimers();
+        hub = createEventHub({ heartbeatMs: 1000 });
+        const a = fakeResponse();
+        hub.subscribe(a);
+
+        jest.advanceTimersByTime(2500);
+        expect(a.chunks).toEqual([': ping\n\n', ': ping\n\n']);
+
+        a.emit('close');
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('should end all streams on close', () => {
+        hub = createEventHub({ heartbeatMs: 0 });
+        const a = fakeResponse();
+        hub.subscribe(a);
+
+        hub.close();
+
+        expect(a.ended).toBe(true);
+        expect(hub.size()).toBe(0);
+    });
+});
@@ -1,4 +1,20 @@
-import { formatVolume, formatMarketCap, buildFundamentalsHTML } from '../lib/formatters.js';
+import {
+    formatVolume,
+    formatMarketCap,
+    buildFundamentalsHTML,
+    formatCurrency,
+    formatCandleTooltip,
+    formatSignedCurrency,
+    buildPositionHTML,
+    buildSectionTotalsHTML,
+    buildPortfolioSummaryHTML,
+    formatTimeAgo,
+    buildAlertItemHTML,
+    formatCountdown,
+    buildMarketPillHTML,
+    escapeHTML,
+    buildSearchResultHTML
+} from '../lib/formatters.js';
 
 describe('formatVolume', () => {
     it('should return null for null input', () => {
@@ -130,3 +146,232 @@ describe('buildFundamentalsHTML', () => {
         expect(html).toContain('class="fund-value"');
     });
 });
+
+describe('formatCandleTooltip', () => {
+    it('should list open, high, low and close, plus volume when known', () => {
+        expect(formatCandleTooltip({ open: 10, high: 12.5, low: 9.75, close: 11, volume: 25000 }))
+            .toEqual(['Open $10.00', 'High $12.50', 'Low $9.75', 'Close $11.00', 'Vol 25K']);
+        expect(formatCandleTooltip({ open: 1, high: 1, low: 1, close: 1, volume: 0 })).toHaveLength(4);
+    });
+});
+
+describe('formatCurrency', () => {
+    it('should return null for null input', () => {
+        expect(formatCurrency(null)).toBeNull();
+        expect(formatCurrency(undefined)).toBeNull();
+    });
+
+    it('should format with two decimals and thousands separators', () => {
+        expect(formatCurrency(0)).toBe('$0.00');
+        expect(formatCurrency(1234.5)).toBe('$1,234.50');
+    });
+
+    it('should put the minus sign before the dollar sign', () => {
+        expect(formatCurrency(-42.1)).toBe('-$42.10');
+    });
+});
+
+describe('formatSignedCurrency', () => {
+    it('should prefix positive and zero values with +', () => {
+        expect(formatSignedCurrency(12)).toBe('+$12.00');
+        expect(formatSignedCurrency(0)).toBe('+$0.00');
+    });
+
+    it('should keep the minus sign for negative values', () => {
+        expect(formatSignedCurrency(-3.5)).toBe('-$3.50');
+    });
+});
+
+describe('buildPositionHTML', () => {
+    const position = {
+        shares: 10,
+        marketValue: 1500,
+        unrealizedPnl: 300,
+        unrealizedPnlPercent: 25,
+        dayPnl: -15
+    };
+
+    it('should include share count and market value', () => {
+        const html = buildPositionHTML(position);
+        expect(html).toContain('10 sh');
+        expect(html).toContain('$1,500.00');
+    });
+
+    it('should colour unrealized and day P&L by sign', () => {
+        const html = buildPositionHTML(position);
+        expect(html).toContain('pnl-value positive">+$300.00 (+25.00%)');
+        expect(html).toContain('pnl-value negative">-$15.00');
+    });
+
+    it('should omit unrealized P&L when there is no cost basis', () => {
+        const html = buildPositionHTML({ ...position, unrealizedPnl: null, unrealizedPnlPercent: null });
+        expect(html).not.toContain('P&amp;L');
+    });
+});
+
+describe('buildSectionTotalsHTML', () => {
+    it('should render value, day change and unrealized P&L', () => {
+        const html = buildSectionTotalsHTML({
+            marketValue: 2050,
+            dayPnl: 15,
+            dayPnlPercent: 0.74,
+            unrealizedPnl: 50,
+            unrealizedPnlPercent: 2.5
+        });
+        expect(html).toContain('$2,050.00');
+        expect(html).toContain('+$15.00 (+0.74%)');
+        expect(html).toContain('+$50.00 (+2.50%)');
+    });
+});
+
+describe('buildPortfolioSummaryHTML', () => {
+    const summary = {
+        totals: { marketValue: 4000, dayPnl: 25, dayPnlPercent: 0.63, unrealizedPnl: 700, unrealizedPnlPercent: 21.21 },
+        sections: [{ name: 'Tech', weight: 75 }, { name: null, weight: 25 }]
+    };
+
+    it('should render total value and day change', () => {
+        const html = buildPortfolioSummaryHTML(summary);
+        expect(html).toContain('$4,000.00');
+        expect(html).toContain('+$25.00 (+0.63%)');
+    });
+
+    it('should render section allocation with a fallback name for unnamed sections', () => {
+        const html = buildPortfolioSummaryHTML(summary);
+        expect(html).toContain('Tech</span><span class="allocation-weight">75.0%');
+        expect(html).toContain('Holdings</span><span class="allocation-weight">25.0%');
+    });
+
+    it('should escape section names', () => {
+        const html = buildPortfolioSummaryHTML({ ...summary, sections: [{ name: '<img src=x onerror=alert(1)>', weight: 100 }] });
+        expect(html).toContain('<span class="allocation-name">&lt;img src=x onerror=alert(1)&gt;</span>');
+        expect(html).not.toContain('<img');
+    });
+
+    it('should omit unrealized P&L when no position has a cost basis', () => {
+        const html = buildPortfolioSummaryHTML({
+            ...summary,
+            totals: { ...summary.totals, unrealizedPnl: null, unrealizedPnlPercent: null }
+        });
+        expect(html).not.toContain('Unrealized');
+    });
+});
+
+describe('formatTimeAgo', () => {
+    const now = Date.parse('2024-03-01T15:00:00.000Z');
+
+    it('should describe recent times coarsely', () => {
+        expect(formatTimeAgo('2024-03-01T14:59:30.000Z', now)).toBe('just now');
+        expect(formatTimeAgo('2024-03-01T14:55:00.000Z', now)).toBe('5m ago');
+        expect(formatTimeAgo('2024-03-01T12:00:00.000Z', now)).toBe('3h ago');
+        expect(formatTimeAgo('2024-02-28T15:00:00.000Z', now)).toBe('2d ago');
+    });
+
+    it('should treat future times as just now', () => {
+        expect(formatTimeAgo('2024-03-01T15:05:00.000Z', now)).toBe('just now');
+    });
+});
+
+describe('buildAlertItemHTML', () => {
+    const now = Date.parse('2024-03-01T15:00:00.000Z');
+    const alert = { id: 3, message: 'AAPL rose above $200.00 (now $201.00)', fired_at: '2024-03-01T14:50:00.000Z', acknowledged_at: null };
+
+    it('should render an unread alert with acknowledge and snooze actions', () => {
+        const html = buildAlertItemHTML(alert, { now });
+
+        expect(html).toContain('class="alert-item unread" data-alert-id="3"');
+        expect(html).toContain(alert.message);
+        expect(html).toContain('10m ago');
+        expect(html).toContain('data-action="ack"');
+        expect(html).toContain('data-action="snooze"');
+    });
+
+    it('should drop actions that no longer apply', () => {
+        const html = buildAlertItemHTML({ ...alert, acknowledged_at: '2024-03-01T14:55:00.000Z' }, { snoozed: true, now });
+
+        expect(html).toContain('class="alert-item" ');
+        expect(html).toContain('snoozed');
+        expect(html).not.toContain('data-action');
+    });
+
+    it('should escape the message', () => {
+        const html = buildAlertItemHTML({ ...alert, message: 'Feed <img src=x onerror=alert(1)> & co' }, { now });
+
+        expect(html).toContain('Feed &lt;img src=x onerror=alert(1)&gt; &amp; co');
+        expect(html).not.toContain('<img');
+    });
+});
+
+describe('formatCountdown', () => {
+    it('should format durations from minutes to days', () => {
+        expect(formatCountdown(20 * 1000)).toBe('<1m');
+        expect(formatCountdown(45 * 60 * 1000)).toBe('45m');
+        expect(formatCountdown((2 * 60 + 14) * 60 * 1000)).toBe('2h 14m');
+        expect(formatCountdown((3 * 24 + 4) * 60 * 60 * 1000)).toBe('3d 4h');
+    });
+
+    it('should not go negative', () => {
+        expect(formatCountdown(-5000)).toBe('<1m');
+    });
+});
+
+describe('buildMarketPillHTML', () => {
+    const now = Date.parse('2026-10-19T11:16:00.000Z');
+    const market = {
+        displayName: 'NYSE',
+        marketState: 'PRE',
+        reason: 'Pre-market',
+        nextOpen: '2026-10-19T13:30:00.000Z',
+        nextClose: '2026-10-19T20:00:00.000Z'
+    };
+
+    it('should count down to the open while the market is shut', () => {
+        const html = buildMarketPillHTML(market, now);
+
+        expect(html).toContain('class="market-pill pill-extended" title="Pre-market"');
+        expect(html).toContain('<span class="pill-status">Pre</span>');
+        expect(html).toContain('<span class="pill-countdown">opens in 2h 14m</span>');
+    });
+
+    it('should count down to the close while open', () => {
+        const html = buildMarketPillHTML({ ...market, marketState: 'REGULAR' }, Date.parse('2026-10-19T19:15:00.000Z'));
+
+        expect(html).toContain('pill-open');
+        expect(html).toContain('closes in 45m');
+    });
+
+    it('should omit the countdown for exchanges without calendar times', () => {
+        const html = buildMarketPillHTML({ displayName: 'OTC', marketState: 'CLOSED', nextOpen: null, nextClose: null }, now);
+
+        expect(html).toContain('pill-closed');
+        expect(html).not.toContain('pill-countdown');
+        expect(html).not.toContain('title=');
+    });
+});
+
+describe('escapeHTML', () => {
+    it('should escape markup and quotes', () => {
+        expect(escapeHTML('<b>"AT&T" & \'Co\'</b>')).toBe('&lt;b&gt;&quot;AT&amp;T&quot; &amp; &#39;Co&#39;&lt;/b&gt;');
+        expect(escapeHTML(null)).toBe('');
+    });
+});
+
+describe('buildSearchResultHTML', () => {
+    it('should offer to add a symbol that is not listed yet', () => {
+        const html = buildSearchResultHTML({ symbol: 'BRK-B', name: 'Berkshire Hathaway <B>', exchange: 'NYQ', type: 'EQUITY', inWatchlist: false });
+
+        expect(html).toContain('data-symbol="BRK-B"');
+        expect(html).toContain('<span class="search-result-name">Berkshire Hathaway &lt;B&gt;</span>');
+        expect(html).toContain('<span class="search-result-meta">NYQ · EQUITY</span>');
+        expect(html).toContain('data-action="add"');
+    });
+
+    it('should mark symbols already in the watchlist', () => {
+        const html = buildSearchResultHTML({ symbol: 'SPY', name: null, exchange: null, type: null, inWatchlist: true });
+
+        expect(html).toContain('<span class="search-result-name">SPY</span>');
+        expect(html).toContain('search-result-listed');
+        expect(html).not.toContain('data-action="add"');
+        expect(html).not.toContain('search-result-meta');
+    });
+});
@@ -0,0 +1,92 @@
+import http from 'http';
+import net from 'net';
+
+/**
+ * Starts a local HTTP server that records every request and answers with the
+ * next status from `statuses` (the last status repeats). Stands in for webhook,
+ * ntfy and Gotify endpoints.
+ */
+export async function startHttpStandIn(statuses = [200]) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const status = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Starts a minimal plain-text SMTP server (no TLS) that accepts any login and
+ * records each message's envelope and data.
+ */
+export async function startSmtpStandIn() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let current = { from: null, to: [], data: '' };
+        const reply = line => socket.write(`${line}\r\n`);
+
+        reply('220 localhost ESMTP stand-in');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(current);
+                        current = { from: null, to: [], data: '' };
+                        reply('250 OK: queued');
+                    } else {
+                        current.data += `${line}\n`;
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO') {
+                    socket.write('250-localhost\r\n250 AUTH PLAIN LOGIN\r\n');
+                } else if (command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'AUTH') {
+                    reply('235 Authentication successful');
+                } else if (command === 'MAIL') {
+                    current.from = line.match(/<(.*)>/)?.[1] ?? null;
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    current.to.push(line.match(/<(.*)>/)?.[1] ?? null);
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -1,30 +1,33 @@
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
+import { migrateDatabase } from '../../db.js';
+import { openSqliteStorage } from '../../lib/storage/sqlite.js';
+
+// Set to a PostgreSQL connection string to run the database tests against PostgreSQL
+const POSTGRES_URL = process.env.TEST_DATABASE_URL;
+
+// Throwaway PostgreSQL schema of each open test database, dropped on close
+const schemas = new WeakMap();
 
 /**
- * Creates an in-memory SQLite database for isolated test runs.
- * Each call returns a fresh database instance with the price_history table.
+ * Creates an isolated database for a test run: in-memory SQLite by default,
+ * or a fresh schema in the PostgreSQL database at TEST_DATABASE_URL.
+ * Each call returns a fresh database migrated to the current schema by the
+ * same migrations the app runs on startup. Pass `{ migrate: false }` for an
+ * empty database, e.g. to test the migrations themselves.
  */
-export async function createTestDatabase() {
-    const db = await open({
-        filename: ':memory:',
-        driver: sqlite3.Database
-    });
-
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS price_history (
-            symbol TEXT,
-            timestamp DATETIME,
-            price REAL,
-            change REAL,
-            change_percent REAL,
-            market_state TEXT,
-            PRIMARY KEY (symbol, timestamp)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_symbol_timestamp
-        ON price_history(symbol, timestamp);
-    `);
+export async function createTestDatabase({ migrate = true } = {}) {
+    let db;
+    if (POSTGRES_URL) {
+        const { openPostgresStorage } = await import('../../lib/storage/postgres.js');
+        const schema = `test_${process.pid}_${Math.random().toString(36).slice(2, 10)}`;
+        db = await openPostgresStorage({ url: POSTGRES_URL, schema, poolSize: 2 });
+        schemas.set(db, schema);
+    } else {
+        db = await openSqliteStorage({ file: ':memory:' });
+    }
+
+    if (migrate) {
+        await migrateDatabase(db);
+    }
 
     return db;
 }
@@ -34,6 +37,9 @@ export async function createTestDatabase() {
  */
 export async function closeTestDatabase(db) {
     if (db) {
+        if (schemas.has(db)) {
+            await db.exec(`DROP SCHEMA ${schemas.get(db)} CASCADE`);
+        }
         await db.close();
     }
 }
@@ -45,8 +51,12 @@ export async function closeTestDatabase(db) {
 export async function insertTestPriceData(db, symbol, price, change, changePercent, timestamp = null) {
     const ts = timestamp || new Date().toISOString();
     await db.run(
-        `INSERT OR REPLACE INTO price_history (symbol, timestamp, price, change, change_percent)
-         VALUES (?, ?, ?, ?, ?)`,
+        `INSERT INTO price_history (symbol, timestamp, price, change, change_percent)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(symbol, timestamp) DO UPDATE SET
+            price = excluded.price,
+            change = excluded.change,
+            change_percent = excluded.change_percent`,
         [symbol, ts, price, change, changePercent]
     );
 }
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import { planImport, transactionFingerprint, diffPositions } from '../lib/importer.js';
+import { BUILT_IN_MAPPINGS } from '../lib/brokerMappings.js';
+
+const schwabCsv = [
+    '"Transactions for account ...1234 as of 03/01/2024"',
+    'Date,Action,Symbol,Description,Quantity,Price,Fees & Comm,Amount',
+    '01/02/2024,Buy,AAPL,APPLE INC,10,$150.00,,-$1500.00',
+    '01/02/2024,Buy,AAPL,APPLE INC,10,$150.00,,-$1500.00',
+    '01/15/2024,Bank Interest,,INTEREST,,,,$0.12',
+    '02/01/2024,Sell,AAPL,APPLE INC,5,$180.00,$0.50,$899.50',
+    '02/10/2024,Buy,FAKE,NOT A STOCK,1,$1.00,,-$1.00',
+    '02/11/2024,Buy,MSFT,MICROSOFT,,$400.00,,-$400.00',
+].join('\n');
+
+const knownSymbols = async (symbol) => ['AAPL', 'MSFT'].includes(symbol);
+
+describe('transactionFingerprint', () => {
+    it('should ignore notes and ids', () => {
+        const a = { id: 1, symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 10, price: 150, notes: 'x' };
+        const b = { id: 9, symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 10.0, price: 150.0, notes: null };
+        expect(transactionFingerprint(a)).toBe(transactionFingerprint(b));
+    });
+
+    it('should differ when trade details differ', () => {
+        const a = { symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 10, price: 150 };
+        expect(transactionFingerprint(a)).not.toBe(transactionFingerprint({ ...a, price: 151 }));
+    });
+});
+
+describe('planImport', () => {
+    it('should auto-detect the broker and classify rows', async () => {
+        const plan = await planImport({ text: schwabCsv, mappings: BUILT_IN_MAPPINGS, validateSymbol: knownSymbols });
+
+        expect(plan.broker).toBe('schwab');
+        expect(plan.summary).toEqual({ total: 6, new: 3, duplicate: 0, invalid: 2, skipped: 1 });
+        expect(plan.rows.map(r => r.status)).toEqual(['new', 'new', 'skipped', 'new', 'invalid', 'invalid']);
+        expect(plan.rows[0].line).toBe(3);
+    });
+
+    it('should report unknown symbols and validation errors', async () => {
+        const plan = await planImport({ text: schwabCsv, mappings: BUILT_IN_MAPPINGS, validateSymbol: knownSymbols });
+
+        expect(plan.rows[4].errors).toEqual(['Unknown symbol FAKE']);
+        expect(plan.rows[5].errors).toContain('shares must be greater than 0 for a buy');
+    });
+
+    it('should look up each symbol once', async () => {
+        const validateSymbol = jest.fn(knownSymbols);
+        await planImport({ text: schwabCsv, mappings: BUILT_IN_MAPPINGS, validateSymbol });
+
+        expect(validateSymbol.mock.calls.map(c => c[0]).sort()).toEqual(['AAPL', 'FAKE']);
+    });
+
+    it('should mark rows already in the ledger as duplicates on re-import', async () => {
+        const first = await planImport({ text: schwabCsv, mappings: BUILT_IN_MAPPINGS, validateSymbol: knownSymbols });
+        const existing = first.rows.filter(r => r.status === 'new').map((r, i) => ({ id: i + 1, ...r.transaction }));
+
+        const second = await planImport({ text: schwabCsv, mappings: BUILT_IN_MAPPINGS, existing, validateSymbol: knownSymbols });
+
+        expect(second.summary.new).toBe(0);
+        expect(second.summary.duplicate).toBe(3);
+    });
+
+    it('should keep repeated identical fills beyond what is already stored', async () => {
+        const buy = { symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 10, price: 150, fees: 0 };
+        const plan = await planImport({ text: schwabCsv, mappings: BUILT_IN_MAPPINGS, existing: [buy], validateSymbol: knownSymbols });
+
+        expect(plan.rows[0].status).toBe('duplicate');
+        expect(plan.rows[1].status).toBe('new');
+    });
+
+    it('should preview position changes', async () => {
+        const plan = await planImport({ text: schwabCsv, mappings: BUILT_IN_MAPPINGS, validateSymbol: knownSymbols });
+
+        expect(plan.positionChanges).toEqual([
+            { symbol: 'AAPL', sharesBefore: 0, sharesAfter: 15, costBasisBefore: null, costBasisAfter: 150 }
+        ]);
+    });
+
+    it('should mark sells beyond the shares held as invalid', async () => {
+        const csv = 'Date,Symbol,Type,Shares,Price\n2024-01-02,AAPL,buy,5,100\n2024-02-01,AAPL,sell,8,120';
+        const existing = [{ id: 1, symbol: 'AAPL', type: 'buy', date: '2023-12-01', shares: 2, price: 90, fees: 0 }];
+        const plan = await planImport({ text: csv, mappings: BUILT_IN_MAPPINGS, broker: 'generic', existing });
+
+        expect(plan.rows.map(r => r.status)).toEqual(['new', 'invalid']);
+        expect(plan.rows[1].errors).toEqual(['sell of 8 AAPL on 2024-02-01 exceeds the 7 shares held']);
+        expect(plan.positionChanges[0].sharesAfter).toBe(7);
+    });
+
+    it('should honour an explicit broker', async () => {
+        const csv = 'Date,Symbol,Type,Shares,Price\n2024-01-02,AAPL,buy,1,100';
+        const plan = await planImport({ text: csv, mappings: BUILT_IN_MAPPINGS, broker: 'generic' });
+
+        expect(plan.broker).toBe('generic');
+        expect(plan.summary.new).toBe(1);
+    });
+
+    it('should throw for an unknown broker', async () => {
+        await expect(planImport({ text: 'a,b', mappings: BUILT_IN_MAPPINGS, broker: 'nope' }))
+            .rejects.toThrow('Unknown broker mapping "nope"');
+    });
+
+    it('should throw when no header matches', async () => {
+        await expect(planImport({ text: 'foo,bar\n1,2', mappings: BUILT_IN_MAPPINGS }))
+            .rejects.toThrow('Could not find a header row');
+    });
+});
+
+describe('diffPositions', () => {
+    it('should list only symbols whose position changed', () => {
+        const before = { AAPL: { shares: 10, totalCost: 1000, dividends: 0, costBasis: 100 } };
+        const after = {
+            AAPL: { shares: 10, totalCost: 1000, dividends: 0, costBasis: 100 },
+            MSFT: { shares: 2, totalCost: 800, dividends: 0, costBasis: 400 },
+        };
+
+        expect(diffPositions(before, after)).toEqual([
+            { symbol: 'MSFT', sharesBefore: 0, sharesAfter: 2, costBasisBefore: null, costBasisAfter: 400 }
+        ]);
+    });
+});
@@ -0,0 +1,226 @@
+import {
+    validateTransaction, derivePositions, positionsToHoldings, compareTransactions, findOversells, describeOversell
+} from '../lib/ledger.js';
+
+describe('validateTransaction', () => {
+    it('should normalise a valid buy', () => {
+        const { value, errors } = validateTransaction({
+            symbol: ' aapl ', type: 'BUY', date: '2024-01-02', shares: '10', price: 150, fees: 1, notes: '  first  '
+        });
+
+        expect(errors).toEqual([]);
+        expect(value).toEqual({
+            symbol: 'AAPL',
+            type: 'buy',
+            date: '2024-01-02',
+            shares: 10,
+            price: 150,
+            amount: null,
+            fees: 1,
+            ratio: null,
+            lot_id: null,
+            notes: 'first'
+        });
+    });
+
+    it('should default fees to 0', () => {
+        const { value } = validateTransaction({ symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 1, price: 1 });
+        expect(value.fees).toBe(0);
+    });
+
+    it('should normalise full timestamps to ISO', () => {
+        const { value } = validateTransaction({
+            symbol: 'AAPL', type: 'buy', date: '2024-01-02T15:30:00Z', shares: 1, price: 1
+        });
+        expect(value.date).toBe('2024-01-02T15:30:00.000Z');
+    });
+
+    it('should reject non-objects', () => {
+        expect(validateTransaction(null).value).toBeNull();
+        expect(validateTransaction('buy').errors).toHaveLength(1);
+    });
+
+    it('should reject unknown types, missing symbols and bad dates', () => {
+        const { value, errors } = validateTransaction({ type: 'gift', date: 'not a date' });
+
+        expect(value).toBeNull();
+        expect(errors).toContain('symbol is required');
+        expect(errors.some(e => e.startsWith('type must be one of'))).toBe(true);
+        expect(errors).toContain('date must be a valid date');
+    });
+
+    it('should require shares and price for buys and sells', () => {
+        expect(validateTransaction({ symbol: 'A', type: 'sell', date: '2024-01-02', price: 1 }).errors)
+            .toContain('shares must be greater than 0 for a sell');
+        expect(validateTransaction({ symbol: 'A', type: 'buy', date: '2024-01-02', shares: 1 }).errors)
+            .toContain('price is required for a buy');
+    });
+
+    it('should require an amount for dividends and fees', () => {
+        expect(validateTransaction({ symbol: 'A', type: 'dividend', date: '2024-01-02' }).errors)
+            .toContain('amount must be greater than 0 for a dividend');
+        expect(validateTransaction({ symbol: 'A', type: 'fee', date: '2024-01-02', amount: 2 }).errors).toEqual([]);
+    });
+
+    it('should require a positive ratio for splits', () => {
+        expect(validateTransaction({ symbol: 'A', type: 'split', date: '2024-01-02', ratio: 0 }).errors)
+            .toContain('ratio must be greater than 0 for a split');
+    });
+
+    it('should require non-zero shares for transfers', () => {
+        expect(validateTransaction({ symbol: 'A', type: 'transfer', date: '2024-01-02', shares: 0 }).errors)
+            .toContain('shares must be non-zero for a transfer');
+        expect(validateTransaction({ symbol: 'A', type: 'transfer', date: '2024-01-02', shares: -5 }).errors)
+            .toEqual([]);
+    });
+
+    it('should accept a lot_id on sells only', () => {
+        const sell = { symbol: 'A', type: 'sell', date: '2024-01-02', shares: 1, price: 1, lot_id: 7 };
+        expect(validateTransaction(sell).value.lot_id).toBe(7);
+        expect(validateTransaction({ ...sell, type: 'buy' }).errors).toContain('lot_id only applies to sells');
+        expect(validateTransaction({ ...sell, lot_id: 1.5 }).errors).toContain('lot_id must be a transaction id');
+    });
+
+    it('should reject non-numeric and negative fee values', () => {
+        const { errors } = validateTransaction({ symbol: 'A', type: 'buy', date: '2024-01-02', shares: 'ten', price: 1, fees: -1 });
+        expect(errors).toContain('shares must be a number');
+        expect(errors).toContain('fees must not be negative');
+    });
+});
+
+describe('compareTransactions', () => {
+    it('should order by date then id', () => {
+        const txs = [
+            { id: 3, date: '2024-01-02' },
+            { id: 1, date: '2024-01-03' },
+            { id: 2, date: '2024-01-02' },
+        ];
+        expect(txs.sort(compareTransactions).map(t => t.id)).toEqual([2, 3, 1]);
+    });
+});
+
+describe('derivePositions', () => {
+    const tx = (id, date, type, fields) => ({ id, symbol: 'AAPL', date, type, fees: 0, ...fields });
+
+    it('should accumulate buys at average cost including fees', () => {
+        const { AAPL } = derivePositions([
+            tx(1, '2024-01-01', 'buy', { shares: 10, price: 100, fees: 5 }),
+            tx(2, '2024-02-01', 'buy', { shares: 10, price: 200 }),
+        ]);
+
+        expect(AAPL.shares).toBe(20);
+        expect(AAPL.totalCost).toBe(3005);
+        expect(AAPL.costBasis).toBeCloseTo(150.25, 5);
+        expect(AAPL.fees).toBe(5);
+    });
+
+    it('should realize gains on sells against average cost', () => {
+        const { AAPL } = derivePositions([
+            tx(1, '2024-01-01', 'buy', { shares: 10, price: 100 }),
+            tx(2, '2024-01-01', 'buy', { shares: 10, price: 200 }),
+            tx(3, '2024-03-01', 'sell', { shares: 5, price: 180, fees: 2 }),
+        ]);
+
+        expect(AAPL.shares).toBe(15);
+        expect(AAPL.realizedGain).toBeCloseTo(5 * 180 - 2 - 5 * 150, 5);
+        expect(AAPL.costBasis).toBeCloseTo(150, 5);
+    });
+
+    it('should replay transactions in date order regardless of input order', () => {
+        const { AAPL } = derivePositions([
+            tx(2, '2024-03-01', 'sell', { shares: 10, price: 120 }),
+            tx(1, '2024-01-01', 'buy', { shares: 10, price: 100 }),
+        ]);
+
+        expect(AAPL.shares).toBe(0);
+        expect(AAPL.realizedGain).toBe(200);
+        expect(AAPL.costBasis).toBeNull();
+    });
+
+    it('should adjust shares but not total cost on splits', () => {
+        const { AAPL } = derivePositions([
+            tx(1, '2024-01-01', 'buy', { shares: 10, price: 100 }),
+            tx(2, '2024-06-01', 'split', { ratio: 4 }),
+        ]);
+
+        expect(AAPL.shares).toBe(40);
+        expect(AAPL.totalCost).toBe(1000);
+        expect(AAPL.costBasis).toBe(25);
+    });
+
+    it('should track dividends separately and charge fees to realized gain', () => {
+        const { AAPL } = derivePositions([
+            tx(1, '2024-01-01', 'buy', { shares: 10, price: 100 }),
+            tx(2, '2024-02-01', 'dividend', { amount: 12.5 }),
+            tx(3, '2024-02-02', 'fee', { amount: 3 }),
+        ]);
+
+        expect(AAPL.dividends).toBe(12.5);
+        expect(AAPL.realizedGain).toBe(-3);
+        expect(AAPL.fees).toBe(3);
+        expect(AAPL.shares).toBe(10);
+    });
+
+    it('should move shares in at the given basis and out at average cost', () => {
+        const { AAPL } = derivePositions([
+            tx(1, '2024-01-01', 'transfer', { shares: 10, price: 50 }),
+            tx(2, '2024-02-01', 'transfer', { shares: -4 }),
+        ]);
+
+        expect(AAPL.shares).toBe(6);
+        expect(AAPL.totalCost).toBe(300);
+        expect(AAPL.realizedGain).toBe(0);
+    });
+
+    it('should keep symbols separate', () => {
+        const positions = derivePositions([
+            tx(1, '2024-01-01', 'buy', { shares: 1, price: 10 }),
+            { id: 2, symbol: 'MSFT', date: '2024-01-01', type: 'buy', shares: 2, price: 20, fees: 0 },
+        ]);
+
+        expect(Object.keys(positions).sort()).toEqual(['AAPL', 'MSFT']);
+        expect(positions.MSFT.totalCost).toBe(40);
+    });
+});
+
+describe('findOversells', () => {
+    const tx = (id, date, type, fields) => ({ id, symbol: 'AAPL', date, type, fees: 0, ...fields });
+
+    it('should accept sells covered by the shares held', () => {
+        expect(findOversells([
+            tx(1, '2024-01-01', 'buy', { shares: 10, price: 100 }),
+            tx(2, '2024-02-01', 'sell', { shares: 10, price: 120 }),
+        ])).toEqual([]);
+    });
+
+    it('should flag a sell larger than the position at its date', () => {
+        const sell = tx(2, '2024-01-01', 'sell', { shares: 5, price: 120 });
+        const oversells = findOversells([tx(1, '2024-02-01', 'buy', { shares: 10, price: 100 }), sell]);
+
+        expect(oversells).toEqual([{ transaction: sell, held: 0 }]);
+        expect(describeOversell(oversells[0])).toBe('sell of 5 AAPL on 2024-01-01 exceeds the 0 shares held');
+    });
+
+    it('should apply splits and count transfers out', () => {
+        const oversells = findOversells([
+            tx(1, '2024-01-01', 'buy', { shares: 10, price: 100 }),
+            tx(2, '2024-02-01', 'split', { ratio: 2 }),
+            tx(3, '2024-03-01', 'sell', { shares: 15, price: 60 }),
+            tx(4, '2024-04-01', 'transfer', { shares: -6 }),
+        ]);
+
+        expect(oversells).toHaveLength(1);
+        expect(describeOversell(oversells[0])).toBe('transfer out of 6 AAPL on 2024-04-01 exceeds the 5 shares held');
+    });
+});
+
+describe('positionsToHoldings', () => {
+    it('should keep only open positions in holding shape', () => {
+        const holdings = positionsToHoldings({
+            AAPL: { shares: 10, costBasis: 100 },
+            MSFT: { shares: 0, costBasis: null },
+        });
+
+        expect(holdings).toEqual({ AAPL: { shares: 10, costBasis: 100, lots: [] } });
+    });
+});
@@ -0,0 +1,195 @@
+import {
+    LOT_METHODS,
+    isLongTerm,
+    matchLots,
+    buildRealizedGainsReport,
+    valueOpenLots,
+    realizedGainsRows
+} from '../lib/lots.js';
+
+const buy = (id, date, shares, price, fees = 0) => ({ id, symbol: 'AAPL', type: 'buy', date, shares, price, fees });
+const sell = (id, date, shares, price, extra = {}) => ({ id, symbol: 'AAPL', type: 'sell', date, shares, price, fees: 0, ...extra });
+
+// Two lots at different costs, then a partial sale
+const ledger = [
+    buy(1, '2022-01-10', 10, 100),
+    buy(2, '2023-06-01', 10, 200),
+    sell(3, '2023-12-01', 15, 250),
+];
+
+describe('isLongTerm', () => {
+    it('should require more than one year', () => {
+        expect(isLongTerm('2023-01-10', '2024-01-10')).toBe(false);
+        expect(isLongTerm('2023-01-10', '2024-01-11')).toBe(true);
+    });
+
+    it('should accept ISO timestamps', () => {
+        expect(isLongTerm('2022-01-10T15:00:00.000Z', '2023-06-01T10:00:00.000Z')).toBe(true);
+    });
+});
+
+describe('matchLots', () => {
+    it('should list the supported methods', () => {
+        expect(LOT_METHODS).toEqual(['fifo', 'lifo', 'specific', 'average']);
+    });
+
+    it('should throw on an unknown method', () => {
+        expect(() => matchLots(ledger, 'hifo')).toThrow('Unknown lot method "hifo"');
+    });
+
+    it('should close the oldest lots first with FIFO', () => {
+        const { realized, openLots } = matchLots(ledger, 'fifo');
+
+        expect(realized.map(r => [r.lotId, r.shares, r.costBasis, r.term])).toEqual([
+            [1, 10, 1000, 'long'],
+            [2, 5, 1000, 'short'],
+        ]);
+        expect(openLots.AAPL).toEqual([{ lotId: 2, acquired: '2023-06-01', shares: 5, costPerShare: 200 }]);
+    });
+
+    it('should close the newest lots first with LIFO', () => {
+        const { realized, openLots } = matchLots(ledger, 'lifo');
+
+        expect(realized.map(r => [r.lotId, r.shares, r.costBasis])).toEqual([
+            [2, 10, 2000],
+            [1, 5, 500],
+        ]);
+        expect(openLots.AAPL[0].lotId).toBe(1);
+    });
+
+    it('should take the named lot first with specific identification', () => {
+        const txs = [...ledger.slice(0, 2), sell(3, '2023-12-01', 12, 250, { lot_id: 2 })];
+        const { realized } = matchLots(txs, 'specific');
+
+        expect(realized.map(r => [r.lotId, r.shares])).toEqual([[2, 10], [1, 2]]);
+    });
+
+    it('should use the running average cost with average method', () => {
+        const { realized } = matchLots(ledger, 'average');
+        const totalCost = realized.reduce((sum, r) => sum + r.costBasis, 0);
+
+        expect(totalCost).toBeCloseTo(15 * 150, 5);
+        // Holding period still follows FIFO lot order
+        expect(realized.map(r => r.term)).toEqual(['long', 'short']);
+    });
+
+    it('should not let the average drift across consecutive sells', () => {
+        const { realized } = matchLots([
+            buy(1, '2024-01-01', 10, 10),
+            buy(2, '2024-02-01', 10, 20),
+            sell(3, '2024-03-01', 10, 25),
+            sell(4, '2024-04-01', 10, 25),
+        ], 'average');
+
+        expect(realized.map(r => r.costBasis)).toEqual([150, 150]);
+        expect(realized.reduce((sum, r) => sum + r.costBasis, 0)).toBe(300);
+    });
+
+    it('should compute proceeds net of sell fees and include buy fees in cost', () => {
+        const { realized } = matchLots([buy(1, '2024-01-01', 10, 100, 10), sell(2, '2024-02-01', 10, 120, { fees: 5 })]);
+
+        expect(realized[0].proceeds).toBe(1195);
+        expect(realized[0].costBasis).toBe(1010);
+        expect(realized[0].gain).toBe(185);
+    });
+
+    it('should adjust lot shares and per-share cost on splits, keeping acquisition dates', () => {
+        const { openLots } = matchLots([
+            buy(1, '2022-01-01', 10, 400),
+            { id: 2, symbol: 'AAPL', type: 'split', date: '2022-08-01', ratio: 4 },
+        ]);
+
+        expect(openLots.AAPL).toEqual([{ lotId: 1, acquired: '2022-01-01', shares: 40, costPerShare: 100 }]);
+    });
+
+    it('should open lots for inbound transfers and remove shares for outbound ones', () => {
+        const { openLots, realized } = matchLots([
+            { id: 1, symbol: 'AAPL', type: 'transfer', date: '2022-01-01', shares: 10, price: 50 },
+            { id: 2, symbol: 'AAPL', type: 'transfer', date: '2022-02-01', shares: -4 },
+        ]);
+
+        expect(realized).toEqual([]);
+        expect(openLots.AAPL).toEqual([{ lotId: 1, acquired: '2022-01-01', shares: 6, costPerShare: 50 }]);
+    });
+
+    it('should record oversold shares with zero basis', () => {
+        const { realized } = matchLots([buy(1, '2024-01-01', 5, 10), sell(2, '2024-02-01', 8, 20)]);
+
+        expect(realized[1]).toMatchObject({ lotId: null, acquired: null, shares: 3, costBasis: 0, term: 'short' });
+    });
+
+    it('should ignore dividends and fees', () => {
+        const { realized, openLots } = matchLots([
+            buy(1, '2024-01-01', 5, 10),
+            { id: 2, symbol: 'AAPL', type: 'dividend', date: '2024-02-01', amount: 3 },
+            { id: 3, symbol: 'AAPL', type: 'fee', date: '2024-02-01', amount: 1 },
+        ]);
+
+        expect(realized).toEqual([]);
+        expect(openLots.AAPL[0].shares).toBe(5);
+    });
+});
+
+describe('buildRealizedGainsReport', () => {
+    const txs = [
+        ...ledger,
+        sell(4, '2024-03-01', 5, 300),
+        buy(5, '2025-01-05', 1, 100),
+        { id: 6, symbol: 'AAPL', type: 'dividend', date: '2024-05-01', amount: 12 },
+    ];
+
+    it('should only include sells in the requested year', () => {
+        const report = buildRealizedGainsReport(txs, { year: 2024 });
+
+        expect(report.rows).toHaveLength(1);
+        expect(report.rows[0]).toMatchObject({ lotId: 2, shares: 5, sold: '2024-03-01', term: 'short' });
+    });
+
+    it('should split totals by holding period', () => {
+        const report = buildRealizedGainsReport(txs, { year: 2023, method: 'fifo' });
+
+        expect(report.totals.long).toEqual({ proceeds: 2500, costBasis: 1000, gain: 1500 });
+        expect(report.totals.short).toEqual({ proceeds: 1250, costBasis: 1000, gain: 250 });
+        expect(report.totals.total.gain).toBe(1750);
+    });
+
+    it('should total dividends for the year', () => {
+        expect(buildRealizedGainsReport(txs, { year: 2024 }).dividends).toBe(12);
+        expect(buildRealizedGainsReport(txs, { year: 2023 }).dividends).toBe(0);
+    });
+
+    it('should report lots still open at year end', () => {
+        const report = buildRealizedGainsReport(txs, { year: 2023 });
+
+        expect(report.openLots.AAPL).toEqual([{ lotId: 2, acquired: '2023-06-01', shares: 5, costPerShare: 200 }]);
+        expect(buildRealizedGainsReport(txs, { year: 2024 }).openLots).toEqual({});
+    });
+});
+
+describe('valueOpenLots', () => {
+    it('should value lots at the given prices', () => {
+        const lots = valueOpenLots({ AAPL: [{ lotId: 1, acquired: '2024-01-01', shares: 5, costPerShare: 100 }] }, { AAPL: 120 });
+
+        expect(lots).toEqual([{
+            symbol: 'AAPL', lotId: 1, acquired: '2024-01-01', shares: 5, costPerShare: 100,
+            price: 120, marketValue: 600, unrealizedGain: 100
+        }]);
+    });
+
+    it('should leave value null without a price', () => {
+        const [lot] = valueOpenLots({ MSFT: [{ lotId: 1, acquired: '2024-01-01', shares: 1, costPerShare: 1 }] }, {});
+
+        expect(lot.marketValue).toBeNull();
+        expect(lot.unrealizedGain).toBeNull();
+    });
+});
+
+describe('realizedGainsRows', () => {
+    it('should produce a header and rounded rows', () => {
+        const report = buildRealizedGainsReport(ledger, { year: 2023, method: 'lifo' });
+        const rows = realizedGainsRows(report);
+
+        expect(rows[0]).toEqual(['symbol', 'acquired', 'sold', 'shares', 'proceeds', 'cost_basis', 'gain', 'term', 'method']);
+        expect(rows[1]).toEqual(['AAPL', '2023-06-01', '2023-12-01', 10, 2500, 2000, 500, 'short', 'lifo']);
+    });
+});
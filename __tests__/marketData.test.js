@@ -0,0 +1,195 @@
+import { PROVIDER_TYPES, parseProviderConfig, createProvider, createMarketData } from '../lib/marketData.js';
+import { createYahooFinanceClient } from '../lib/yahooClient.js';
+
+// Provider stand-in answering from a symbol → price table, optionally failing
+function fakeProvider(name, prices, { fail = null, history = null, search = null } = {}) {
+    const calls = [];
+    const provider = {
+        name,
+        type: 'fake',
+        calls,
+        async quote(symbols) {
+            calls.push(symbols);
+            if (fail) throw new Error(fail);
+            return symbols.filter(s => s in prices).map(s => ({ symbol: s, regularMarketPrice: prices[s] }));
+        }
+    };
+    if (history) provider.history = async () => history;
+    if (search) provider.search = async () => search;
+    return provider;
+}
+
+describe('parseProviderConfig', () => {
+    it('should default to Yahoo alone', () => {
+        expect(parseProviderConfig(undefined)).toEqual({
+            sources: [{ name: 'yahoo', type: 'yahoo' }],
+            order: ['yahoo'],
+            symbols: {},
+            cooldownMs: 300000,
+            errors: []
+        });
+    });
+
+    it('should read sources, order and per-symbol overrides', () => {
+        const parsed = parseProviderConfig({
+            order: ['yahoo', 'stooq'],
+            cooldownSeconds: 60,
+            sources: [{ type: 'stooq' }, { type: 'rest', name: 'broker', quoteUrl: 'http://x/{{symbol}}', quoteFields: { regularMarketPrice: 'last' } }],
+            symbols: { 'novo-b.co': ['broker', 'yahoo'] }
+        });
+
+        expect(parsed.errors).toEqual([]);
+        expect(parsed.sources.map(s => s.name)).toEqual(['yahoo', 'stooq', 'broker']);
+        expect(parsed.order).toEqual(['yahoo', 'stooq']);
+        expect(parsed.symbols).toEqual({ 'NOVO-B.CO': ['broker', 'yahoo'] });
+        expect(parsed.cooldownMs).toBe(60000);
+    });
+
+    it('should report invalid sources and unknown provider names', () => {
+        const { sources, order, errors } = parseProviderConfig({
+            order: ['stooq', 'nope'],
+            sources: [{ type: 'bloomberg' }, { type: 'rest', name: 'bad' }, { type: 'stooq' }, { type: 'stooq' }]
+        });
+
+        expect(sources.map(s => s.name)).toEqual(['yahoo', 'stooq']);
+        expect(order).toEqual(['stooq']);
+        expect(errors).toEqual([
+            `providers.sources[0]: type must be one of ${PROVIDER_TYPES.join(', ')}`,
+            'providers.sources[1]: rest requires quoteUrl and quoteFields.regularMarketPrice',
+            'providers.sources[3]: duplicate provider name "stooq"',
+            'providers.order: unknown provider "nope"'
+        ]);
+    });
+});
+
+describe('createProvider', () => {
+    it('should build each provider type', () => {
+        const yahooClient = { quote: async () => [] };
+        expect(createProvider({ name: 'yahoo', type: 'yahoo' }, { yahooClient }).type).toBe('yahoo');
+        expect(createProvider({ name: 's', type: 'stooq' }, { yahooClient }).type).toBe('stooq');
+        expect(createProvider({ name: 'r', type: 'rest', quoteUrl: 'http://x', quoteFields: { regularMarketPrice: 'p' } }, { yahooClient }).type).toBe('rest');
+    });
+});
+
+describe('createMarketData', () => {
+    it('should batch symbols per provider and tag quotes with their provider', async () => {
+        const primary = fakeProvider('primary', { AAPL: 150, SPY: 450 });
+        const marketData = createMarketData({ providers: [primary], order: ['primary'] });
+
+        const quotes = await marketData.quote(['AAPL', 'SPY']);
+
+        expect(primary.calls).toEqual([['AAPL', 'SPY']]);
+        expect(quotes).toEqual([
+            { symbol: 'AAPL', regularMarketPrice: 150, provider: 'primary' },
+            { symbol: 'SPY', regularMarketPrice: 450, provider: 'primary' }
+        ]);
+    });
+
+    it('should match mock Yahoo quotes that leave out the symbol', async () => {
+        const yahooClient = createYahooFinanceClient({ YAHOO_FINANCE_MOCK_DATA: JSON.stringify({ AAPL: { regularMarketPrice: 150 } }) });
+        const yahoo = createProvider({ name: 'yahoo', type: 'yahoo' }, { yahooClient });
+        const marketData = createMarketData({ providers: [yahoo], order: ['yahoo'] });
+
+        const quotes = await marketData.quote(['AAPL']);
+
+        expect(quotes.map(q => [q.symbol, q.regularMarketPrice])).toEqual([['AAPL', 150]]);
+    });
+
+    it('should fall back to the next provider for symbols the first one lacks', async () => {
+        const primary = fakeProvider('primary', { AAPL: 150 });
+        const backup = fakeProvider('backup', { 'VOD.L': 70 });
+        const marketData = createMarketData({ providers: [primary, backup], order: ['primary', 'backup'] });
+
+        const quotes = await marketData.quote(['AAPL', 'VOD.L', 'NOPE']);
+
+        expect(quotes.map(q => [q.symbol, q.provider])).toEqual([['AAPL', 'primary'], ['VOD.L', 'backup']]);
+        expect(backup.calls).toEqual([['VOD.L', 'NOPE']]);
+        expect(marketData.status().every(p => p.healthy)).toBe(true);
+    });
+
+    it('should fail over when a provider errors and try it last during its cooldown', async () => {
+        let clock = 0;
+        const errors = [];
+        const primary = fakeProvider('primary', {}, { fail: 'HTTP 503' });
+        const backup = fakeProvider('backup', { AAPL: 151 });
+        const marketData = createMarketData({
+            providers: [primary, backup],
+            order: ['primary', 'backup'],
+            cooldownMs: 60000,
+            onError: (provider, error) => errors.push(`${provider.name}: ${error.message}`),
+            now: () => clock
+        });
+
+        expect((await marketData.quote(['AAPL']))[0].provider).toBe('backup');
+        expect(errors).toEqual(['primary: HTTP 503']);
+        expect(marketData.status()[0]).toMatchObject({ name: 'primary', healthy: false, failures: 1, lastError: 'HTTP 503' });
+
+        await marketData.quote(['AAPL']);
+        expect(primary.calls).toHaveLength(1);
+
+        clock = 61000;
+        await marketData.quote(['AAPL']);
+        expect(primary.calls).toHaveLength(2);
+    });
+
+    it('should honour per-symbol provider order', async () => {
+        const primary = fakeProvider('primary', { AAPL: 150, 'NOVO-B.CO': 1 });
+        const local = fakeProvider('local', { 'NOVO-B.CO': 700 });
+        const marketData = createMarketData({
+            providers: [primary, local],
+            order: ['primary'],
+            symbols: { 'NOVO-B.CO': ['local', 'primary'] }
+        });
+
+        const quotes = await marketData.quote(['AAPL', 'NOVO-B.CO']);
+
+        expect(quotes.map(q => q.provider)).toEqual(['primary', 'local']);
+        expect(primary.calls).toEqual([['AAPL']]);
+    });
+
+    it('should throw the last error when nothing could be quoted', async () => {
+        const marketData = createMarketData({
+            providers: [fakeProvider('a', {}, { fail: 'HTTP 429' }), fakeProvider('b', {}, { fail: 'timeout' })],
+            order: ['a', 'b']
+        });
+
+        await expect(marketData.quote(['AAPL'])).rejects.toThrow('timeout');
+    });
+
+    it('should return history from the first provider that has it', async () => {
+        const bars = [{ date: '2024-03-01T00:00:00.000Z', open: 1, high: 2, low: 1, close: 2, volume: 10 }];
+        const marketData = createMarketData({
+            providers: [fakeProvider('quotesOnly', {}), fakeProvider('empty', {}, { history: [] }), fakeProvider('full', {}, { history: bars })],
+            order: ['quotesOnly', 'empty', 'full']
+        });
+
+        await expect(marketData.history('AAPL', { from: '2024-01-01' })).resolves.toEqual(bars);
+    });
+
+    it('should search through providers that support it', async () => {
+        const results = [{ symbol: 'AAPL', name: 'Apple Inc.', exchange: 'NASDAQ', type: 'EQUITY' }];
+        const withSearch = createMarketData({
+            providers: [fakeProvider('a', {}), fakeProvider('b', {}, { search: results })],
+            order: ['a', 'b']
+        });
+        const without = createMarketData({ providers: [fakeProvider('a', {})], order: ['a'] });
+
+        await expect(withSearch.search('apple')).resolves.toEqual(results);
+        await expect(without.search('apple')).rejects.toThrow('No configured provider supports search');
+    });
+
+    it('should report provider capabilities', () => {
+        const marketData = createMarketData({ providers: [fakeProvider('a', {}, { history: [] })], order: ['a'] });
+
+        expect(marketData.status()).toEqual([{
+            name: 'a',
+            type: 'fake',
+            capabilities: ['quote', 'history'],
+            healthy: true,
+            failures: 0,
+            lastError: null,
+            lastFailureAt: null,
+            cooldownUntil: null
+        }]);
+    });
+});
@@ -0,0 +1,165 @@
+import {
+    EXCHANGE_DISPLAY,
+    MARKET_HOURS,
+    localTime,
+    getHolidays,
+    getMarketStatus,
+    getMarketSession,
+    tradingPhase
+} from '../lib/marketHours.js';
+
+describe('localTime', () => {
+    it('should convert to exchange local time across daylight saving', () => {
+        // 14:30 UTC is 09:30 in New York in winter (EST) and 10:30 in summer (EDT)
+        expect(localTime(new Date('2024-01-16T14:30:00Z'), 'America/New_York'))
+            .toEqual({ year: 2024, month: 1, day: 16, weekday: 2, minutes: 570 });
+        expect(localTime(new Date('2024-07-16T14:30:00Z'), 'America/New_York'))
+            .toEqual({ year: 2024, month: 7, day: 16, weekday: 2, minutes: 630 });
+    });
+
+    it('should roll the local date over midnight', () => {
+        expect(localTime(new Date('2024-03-05T23:30:00Z'), 'Asia/Tokyo')).toMatchObject({ month: 3, day: 6, weekday: 3, minutes: 510 });
+    });
+});
+
+describe('getHolidays', () => {
+    it('should compute the US market holidays for a year', () => {
+        expect([...getHolidays('NYSE', 2026).keys()]).toEqual([
+            '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25',
+            '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25'
+        ]);
+    });
+
+    it('should observe US weekend holidays on the nearest weekday, except New Year on a Saturday', () => {
+        const holidays = getHolidays('NASDAQ', 2022);
+        expect(holidays.get('2022-06-20')).toBe('Juneteenth');
+        expect(holidays.get('2022-12-26')).toBe('Christmas Day');
+        expect(holidays.has('2021-12-31')).toBe(false);
+        expect([...holidays.values()]).not.toContain("New Year's Day");
+    });
+
+    it('should move UK holidays past each other onto the following weekdays', () => {
+        const holidays = getHolidays('London', 2021);
+        expect(holidays.get('2021-12-27')).toBe('Christmas Day');
+        expect(holidays.get('2021-12-28')).toBe('Boxing Day');
+    });
+
+    it('should substitute Japanese Sunday holidays with the next free weekday', () => {
+        // Constitution Day 2026 is a Sunday; the 4th and 5th are holidays already
+        expect(getHolidays('Tokyo', 2026).get('2026-05-06')).toBe('Constitution Memorial Day');
+        expect(getHolidays('Tokyo', 2026).get('2026-03-20')).toBe('Vernal Equinox Day');
+    });
+
+    it('should compute Easter-based holidays', () => {
+        expect(getHolidays('XETRA', 2025).get('2025-04-18')).toBe('Good Friday');
+        expect(getHolidays('XETRA', 2025).get('2025-04-21')).toBe('Easter Monday');
+    });
+
+    it('should return no holidays for unknown exchanges', () => {
+        expect(getHolidays('Nowhere', 2026).size).toBe(0);
+    });
+});
+
+describe('getMarketStatus', () => {
+    it('should give the close of the current session and the next open while trading', () => {
+        expect(getMarketStatus('NYSE', new Date('2026-10-19T14:00:00Z'))).toEqual({
+            session: 'regular',
+            reason: 'Regular session',
+            nextOpen: '2026-10-20T13:30:00.000Z',
+            nextClose: '2026-10-19T20:00:00.000Z'
+        });
+    });
+
+    it('should skip weekends and holidays when looking for the next open', () => {
+        expect(getMarketStatus('NYSE', new Date('2026-12-25T15:00:00Z'))).toEqual({
+            session: 'closed',
+            reason: 'Christmas Day',
+            nextOpen: '2026-12-28T14:30:00.000Z',
+            nextClose: '2026-12-28T21:00:00.000Z'
+        });
+        expect(getMarketStatus('London', new Date('2026-10-17T12:00:00Z'))).toMatchObject({
+            reason: 'Weekend',
+            nextOpen: '2026-10-19T07:00:00.000Z'
+        });
+    });
+
+    it('should close early on shortened days', () => {
+        const status = getMarketStatus('NYSE', new Date('2026-11-27T17:30:00Z'));
+        expect(status).toMatchObject({ session: 'regular', reason: 'Day after Thanksgiving (early close)' });
+        expect(status.nextClose).toBe('2026-11-27T18:00:00.000Z');
+    });
+
+    it('should report lunch breaks and reopen after them', () => {
+        expect(getMarketStatus('Tokyo', new Date('2026-03-06T03:10:00Z'))).toEqual({
+            session: 'closed',
+            reason: 'Lunch break',
+            nextOpen: '2026-03-06T03:30:00.000Z',
+            nextClose: '2026-03-06T06:30:00.000Z'
+        });
+    });
+
+    it('should return null for unknown exchanges', () => {
+        expect(getMarketStatus('Nowhere')).toBeNull();
+    });
+});
+
+describe('getMarketSession', () => {
+    it('should report US pre-market, regular, post-market and closed sessions', () => {
+        expect(getMarketSession('NYSE', new Date('2024-03-05T12:00:00Z'))).toBe('pre');
+        expect(getMarketSession('NYSE', new Date('2024-03-05T14:30:00Z'))).toBe('regular');
+        expect(getMarketSession('NASDAQ', new Date('2024-03-05T21:00:00Z'))).toBe('post');
+        expect(getMarketSession('NASDAQ', new Date('2024-03-06T02:00:00Z'))).toBe('closed');
+    });
+
+    it('should treat weekends and holidays as closed', () => {
+        expect(getMarketSession('NYSE', new Date('2024-03-09T15:00:00Z'))).toBe('closed');
+        expect(getMarketSession('NYSE', new Date('2024-07-04T15:00:00Z'))).toBe('closed');
+    });
+
+    it('should have no extended session outside the US', () => {
+        expect(getMarketSession('London', new Date('2024-03-05T07:30:00Z'))).toBe('closed');
+        expect(getMarketSession('London', new Date('2024-03-05T08:00:00Z'))).toBe('regular');
+        expect(getMarketSession('London', new Date('2024-03-05T16:30:00Z'))).toBe('closed');
+    });
+
+    it('should close for lunch breaks', () => {
+        // 03:00 UTC is 12:00 in Tokyo
+        expect(getMarketSession('Tokyo', new Date('2024-03-05T03:00:00Z'))).toBe('closed');
+        expect(getMarketSession('Tokyo', new Date('2024-03-05T04:00:00Z'))).toBe('regular');
+    });
+
+    it('should return null for unknown exchanges', () => {
+        expect(getMarketSession('Nowhere')).toBeNull();
+    });
+
+    it('should know the hours of every displayed exchange', () => {
+        for (const displayName of new Set(Object.values(EXCHANGE_DISPLAY))) {
+            expect(MARKET_HOURS[displayName]).toBeDefined();
+        }
+    });
+});
+
+describe('tradingPhase', () => {
+    const tuesdayOpen = new Date('2024-03-05T15:00:00Z');
+    const sunday = new Date('2024-03-10T15:00:00Z');
+
+    it('should poll crypto around the clock', () => {
+        expect(tradingPhase({ crypto: true }, sunday)).toBe('crypto');
+        expect(tradingPhase({ exchange: 'CCC' }, sunday)).toBe('crypto');
+    });
+
+    it('should use the exchange calendar for known exchanges', () => {
+        expect(tradingPhase({ exchange: 'NMS', marketState: 'CLOSED' }, tuesdayOpen)).toBe('regular');
+        expect(tradingPhase({ exchange: 'NYQ' }, sunday)).toBe('closed');
+        expect(tradingPhase({ exchange: 'NYQ' }, new Date('2024-03-05T22:00:00Z'))).toBe('extended');
+    });
+
+    it("should fall back to Yahoo's market state for other exchanges", () => {
+        expect(tradingPhase({ exchange: 'XYZ', marketState: 'POST' }, sunday)).toBe('extended');
+        expect(tradingPhase({ exchange: 'XYZ', marketState: 'CLOSED' }, sunday)).toBe('closed');
+    });
+
+    it('should poll symbols with nothing known yet at the regular rate', () => {
+        expect(tradingPhase({}, sunday)).toBe('regular');
+    });
+});
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sortMigrations, loadMigrations, getSchemaVersion, runMigrations } from '../lib/migrations.js';
+import { migrateDatabase, MIGRATIONS_DIR } from '../db.js';
+import { createTestDatabase, closeTestDatabase } from './helpers/testDb.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+const createTable = (version, name, table) => ({
+    version,
+    name,
+    up: db => db.exec(`CREATE TABLE ${table} (id INTEGER PRIMARY KEY)`)
+});
+
+const tableNames = async db => (await db.all(db.dialect === 'postgres'
+    ? `SELECT table_name AS name FROM information_schema.tables WHERE table_schema = current_schema() ORDER BY table_name`
+    : `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`
+)).map(row => row.name);
+
+// Databases from before versioned migrations only exist in SQLite
+const itOnSqlite = process.env.TEST_DATABASE_URL ? it.skip : it;
+
+describe('sortMigrations', () => {
+    it('should order migrations by version', () => {
+        const sorted = sortMigrations([createTable(2, 'b', 'b'), createTable(1, 'a', 'a')]);
+
+        expect(sorted.map(m => m.name)).toEqual(['a', 'b']);
+    });
+
+    it('should reject duplicate and missing versions', () => {
+        expect(() => sortMigrations([createTable(1, 'a', 'a'), createTable(1, 'b', 'b')]))
+            .toThrow('Duplicate migration version 1');
+        expect(() => sortMigrations([createTable(1, 'a', 'a'), createTable(3, 'c', 'c')]))
+            .toThrow('Missing migration version 2 (next is 3_c)');
+        expect(() => sortMigrations([{ version: 1, name: 'a' }]))
+            .toThrow('Migration 1_a does not export an up(db) function');
+    });
+});
+
+describe('loadMigrations', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrationtest-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load numbered files and ignore everything else', async () => {
+        fs.writeFileSync(path.join(tmpDir, '002_add_notes.js'), 'export async function up() {}');
+        fs.writeFileSync(path.join(tmpDir, '001_initial.js'), 'export async function up() {}');
+        fs.writeFileSync(path.join(tmpDir, 'README.md'), '# notes');
+
+        const migrations = await loadMigrations(tmpDir);
+
+        expect(migrations.map(m => [m.version, m.name])).toEqual([[1, 'initial'], [2, 'add_notes']]);
+    });
+
+    it('should load the shipped migrations', async () => {
+        const migrations = await loadMigrations(MIGRATIONS_DIR);
+
+        expect(migrations[0]).toMatchObject({ version: 1, name: 'initial_schema', baseline: null });
+        expect(migrations[1]).toMatchObject({ version: 2, name: 'postgres_schema', baseline: 'postgres' });
+    });
+});
+
+describe('runMigrations', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await createTestDatabase({ migrate: false });
+    });
+
+    afterEach(async () => {
+        await closeTestDatabase(db);
+    });
+
+    it('should apply pending migrations in order and record them', async () => {
+        const applied = [];
+
+        const result = await runMigrations(db, [createTable(1, 'create_a', 'a'), createTable(2, 'create_b', 'b')], {
+            onApply: m => applied.push(m.version),
+            now: () => NOW
+        });
+
+        expect(result).toEqual({ from: 0, to: 2, applied: ['1_create_a', '2_create_b'] });
+        expect(applied).toEqual([1, 2]);
+        expect(await tableNames(db)).toEqual(['a', 'b', 'schema_migrations']);
+        expect(await db.all('SELECT * FROM schema_migrations ORDER BY version')).toEqual([
+            { version: 1, name: 'create_a', applied_at: '2026-10-19T12:00:00.000Z' },
+            { version: 2, name: 'create_b', applied_at: '2026-10-19T12:00:00.000Z' }
+        ]);
+    });
+
+    it('should only run migrations newer than the database', async () => {
+        await runMigrations(db, [createTable(1, 'create_a', 'a')]);
+
+        const result = await runMigrations(db, [createTable(1, 'create_a', 'a'), createTable(2, 'create_b', 'b')]);
+
+        expect(result).toEqual({ from: 1, to: 2, applied: ['2_create_b'] });
+        expect(await runMigrations(db, [createTable(1, 'create_a', 'a'), createTable(2, 'create_b', 'b')]))
+            .toEqual({ from: 2, to: 2, applied: [] });
+    });
+
+    it('should roll back a failed migration and stop', async () => {
+        const failing = {
+            version: 2,
+            name: 'half_done',
+            up: async (db) => {
+                await db.exec('CREATE TABLE b (id INTEGER PRIMARY KEY)');
+                await db.exec('INSERT INTO missing_table VALUES (1)');
+            }
+        };
+
+        await expect(runMigrations(db, [createTable(1, 'create_a', 'a'), failing, createTable(3, 'create_c', 'c')]))
+            .rejects.toThrow(/^Migration 2_half_done failed: .*missing_table/);
+
+        expect(await tableNames(db)).toEqual(['a', 'schema_migrations']);
+        expect(await getSchemaVersion(db)).toBe(1);
+    });
+
+    it('should start an empty database from the baseline for its dialect', async () => {
+        const migrations = [
+            createTable(1, 'create_a', 'a'),
+            { ...createTable(2, 'create_b', 'b'), baseline: db.dialect },
+            createTable(3, 'create_c', 'c')
+        ];
+
+        expect(await runMigrations(db, migrations)).toEqual({ from: 0, to: 3, applied: ['2_create_b', '3_create_c'] });
+        expect(await tableNames(db)).toEqual(['b', 'c', 'schema_migrations']);
+    });
+
+    it('should ignore baselines for other dialects and databases already migrated', async () => {
+        const other = { ...createTable(2, 'create_b', 'b'), baseline: 'elsewhere' };
+        expect(await runMigrations(db, [createTable(1, 'create_a', 'a'), other]))
+            .toEqual({ from: 0, to: 2, applied: ['1_create_a', '2_create_b'] });
+
+        const own = { ...createTable(3, 'create_c', 'c'), baseline: db.dialect };
+        expect(await runMigrations(db, [createTable(1, 'create_a', 'a'), other, own]))
+            .toEqual({ from: 2, to: 3, applied: ['3_create_c'] });
+    });
+
+    it('should refuse a database migrated by a newer release', async () => {
+        await runMigrations(db, [createTable(1, 'create_a', 'a'), createTable(2, 'create_b', 'b')]);
+
+        await expect(runMigrations(db, [createTable(1, 'create_a', 'a')])).rejects.toThrow(
+            'Database schema version 2 is newer than this build supports (1)'
+        );
+    });
+});
+
+describe('shipped migrations', () => {
+    let db;
+
+    afterEach(async () => {
+        await closeTestDatabase(db);
+    });
+
+    it('should create the full schema on an empty database', async () => {
+        db = await createTestDatabase();
+
+        expect(await getSchemaVersion(db)).toBe(2);
+        expect(await tableNames(db)).toEqual(expect.arrayContaining([
+            'alert_deliveries', 'alert_snoozes', 'alerts', 'bars', 'daily_bars', 'price_history', 'transactions'
+        ]));
+    });
+
+    itOnSqlite('should adopt a database created before migrations were versioned', async () => {
+        db = await createTestDatabase({ migrate: false });
+        await db.exec(`
+            CREATE TABLE price_history (
+                symbol TEXT, timestamp DATETIME, price REAL, change REAL, change_percent REAL,
+                PRIMARY KEY (symbol, timestamp)
+            );
+            CREATE TABLE transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, symbol TEXT NOT NULL, type TEXT NOT NULL, date TEXT NOT NULL,
+                shares REAL, price REAL, amount REAL, fees REAL NOT NULL DEFAULT 0, ratio REAL, notes TEXT,
+                created_at DATETIME NOT NULL
+            );
+            CREATE TABLE alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, rule_id TEXT NOT NULL, symbol TEXT NOT NULL, type TEXT NOT NULL,
+                message TEXT NOT NULL, price REAL, threshold REAL, fired_at DATETIME NOT NULL
+            );
+            INSERT INTO price_history VALUES ('AAPL', '2026-10-19T12:00:00.000Z', 150, 1, 0.67);
+        `);
+
+        const result = await migrateDatabase(db);
+
+        expect(result).toEqual({ from: 0, to: 2, applied: ['1_initial_schema', '2_postgres_schema'] });
+        const columns = async table => (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+        expect(await columns('price_history')).toContain('market_state');
+        expect(await columns('transactions')).toContain('lot_id');
+        expect(await columns('alerts')).toContain('acknowledged_at');
+        expect(await db.get('SELECT symbol, price, market_state FROM price_history'))
+            .toEqual({ symbol: 'AAPL', price: 150, market_state: null });
+    });
+});
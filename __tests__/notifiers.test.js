@@ -0,0 +1,233 @@
+import { CHANNEL_TYPES, parseNotifierChannels, renderTemplate, createNotifier } from '../lib/notifiers.js';
+import { startHttpStandIn, startSmtpStandIn } from './helpers/standInServers.js';
+
+const alert = {
+    id: 7,
+    ruleId: 'AAPL:above:200',
+    symbol: 'AAPL',
+    type: 'above',
+    message: 'AAPL rose above $200.00 (now $201.00)',
+    price: 201,
+    threshold: 200,
+    firedAt: '2024-03-01T15:00:00.000Z'
+};
+
+// Retries without waiting
+const noSleep = async () => {};
+
+function channelsFor(raw) {
+    const { channels, errors } = parseNotifierChannels(raw);
+    expect(errors).toEqual([]);
+    return channels;
+}
+
+describe('parseNotifierChannels', () => {
+    it('should return no channels when the block is missing', () => {
+        expect(parseNotifierChannels(undefined)).toEqual({ channels: [], errors: [] });
+    });
+
+    it('should apply defaults and name unnamed channels', () => {
+        const [channel] = channelsFor([{ type: 'webhook', url: 'http://hooks.local/alerts/' }]);
+
+        expect(channel).toMatchObject({
+            name: 'webhook-1',
+            url: 'http://hooks.local/alerts',
+            retries: 2,
+            retryDelayMs: 1000,
+            rateLimit: { max: 30, perMinutes: 60 }
+        });
+    });
+
+    it('should fall back to the default timeout unless it is positive', () => {
+        const channels = channelsFor([
+            { type: 'webhook', url: 'http://a.local', name: 'zero', timeoutMs: 0 },
+            { type: 'webhook', url: 'http://b.local', name: 'set', timeoutMs: 2500 }
+        ]);
+
+        expect(channels.map(c => c.timeoutMs)).toEqual([10000, 2500]);
+    });
+
+    it('should allow rate limiting to be disabled', () => {
+        expect(channelsFor([{ type: 'ntfy', url: 'http://ntfy.local', topic: 't', rateLimit: false }])[0].rateLimit).toBeNull();
+    });
+
+    it('should report unknown types, missing fields and duplicate names', () => {
+        const { channels, errors } = parseNotifierChannels([
+            { type: 'pager' },
+            { type: 'gotify', url: 'http://gotify.local' },
+            { type: 'smtp', host: 'mail.local', from: 'a@x', to: 'b@x', name: 'mail' },
+            { type: 'webhook', url: 'http://x', name: 'mail' }
+        ]);
+
+        expect(channels.map(c => c.name)).toEqual(['mail']);
+        expect(errors).toEqual([
+            `notifications.channels[0]: type must be one of ${CHANNEL_TYPES.join(', ')}`,
+            'notifications.channels[1]: gotify requires token',
+            'notifications.channels[3]: duplicate channel name "mail"'
+        ]);
+    });
+});
+
+describe('renderTemplate', () => {
+    it('should substitute placeholders in nested templates', () => {
+        const rendered = renderTemplate({ text: '{{symbol}}: {{message}}', data: ['{{ price }}', 'fixed'] }, alert);
+
+        expect(rendered).toEqual({ text: `AAPL: ${alert.message}`, data: [201, 'fixed'] });
+    });
+
+    it('should render unknown placeholders as empty', () => {
+        expect(renderTemplate('x{{nope}}y', alert)).toBe('xy');
+        expect(renderTemplate('{{nope}}', alert)).toBeNull();
+    });
+});
+
+describe('createNotifier', () => {
+    let http;
+
+    afterEach(async () => {
+        await http?.close();
+        http = null;
+    });
+
+    it('should post a templated JSON body to a webhook', async () => {
+        http = await startHttpStandIn();
+        const notifier = createNotifier(channelsFor([{
+            type: 'webhook',
+            name: 'chat',
+            url: `${http.url}/hook`,
+            headers: { Authorization: 'Bearer abc' },
+            body: { content: '🔔 {{message}}', price: '{{price}}' }
+        }]));
+
+        const [record] = await notifier.notify(alert);
+
+        expect(record).toMatchObject({ alertId: 7, channel: 'chat', channelType: 'webhook', status: 'sent', attempts: 1, error: null });
+        expect(http.requests).toHaveLength(1);
+        expect(http.requests[0]).toMatchObject({ method: 'POST', url: '/hook' });
+        expect(http.requests[0].headers.authorization).toBe('Bearer abc');
+        expect(JSON.parse(http.requests[0].body)).toEqual({ content: `🔔 ${alert.message}`, price: 201 });
+    });
+
+    it('should send the alert itself when a webhook has no body template', async () => {
+        http = await startHttpStandIn();
+        await createNotifier(channelsFor([{ type: 'webhook', url: http.url }])).notify(alert);
+
+        expect(JSON.parse(http.requests[0].body)).toEqual(alert);
+    });
+
+    it('should publish to an ntfy topic', async () => {
+        http = await startHttpStandIn();
+        await createNotifier(channelsFor([{ type: 'ntfy', url: http.url, topic: 'stocks', priority: 'high', tags: ['chart'] }])).notify(alert);
+
+        const [request] = http.requests;
+        expect(request.url).toBe('/stocks');
+        expect(request.body).toBe(alert.message);
+        expect(request.headers).toMatchObject({ title: 'PortfolioWrangler: AAPL alert', priority: 'high', tags: 'chart' });
+    });
+
+    it('should post a Gotify message with the app token', async () => {
+        http = await startHttpStandIn();
+        await createNotifier(channelsFor([{ type: 'gotify', url: http.url, token: 'tok' }])).notify(alert);
+
+        const [request] = http.requests;
+        expect(request.url).toBe('/message');
+        expect(request.headers['x-gotify-key']).toBe('tok');
+        expect(JSON.parse(request.body)).toEqual({ title: 'PortfolioWrangler: AAPL alert', message: alert.message, priority: 5 });
+    });
+
+    it('should retry with exponential backoff until a send succeeds', async () => {
+        http = await startHttpStandIn([500, 502, 200]);
+        const delays = [];
+        const notifier = createNotifier(channelsFor([{ type: 'webhook', url: http.url, retryDelayMs: 100 }]), {
+            sleep: async ms => { delays.push(ms); }
+        });
+
+        const [record] = await notifier.notify(alert);
+
+        expect(record).toMatchObject({ status: 'sent', attempts: 3, error: null });
+        expect(delays).toEqual([100, 200]);
+    });
+
+    it('should give up after the configured retries', async () => {
+        http = await startHttpStandIn([503]);
+        const notifier = createNotifier(channelsFor([{ type: 'webhook', url: http.url, retries: 1 }]), { sleep: noSleep });
+
+        const [record] = await notifier.notify(alert);
+
+        expect(record.status).toBe('failed');
+        expect(record.attempts).toBe(2);
+        expect(record.error).toMatch(/HTTP 503/);
+        expect(http.requests).toHaveLength(2);
+    });
+
+    it('should rate limit each channel over a sliding window', async () => {
+        http = await startHttpStandIn();
+        let clock = Date.parse('2024-03-01T15:00:00.000Z');
+        const notifier = createNotifier(channelsFor([{ type: 'webhook', url: http.url, rateLimit: { max: 2, perMinutes: 10 } }]), {
+            now: () => clock
+        });
+
+        const statuses = [];
+        for (const minutes of [0, 1, 2, 11]) {
+            clock = Date.parse('2024-03-01T15:00:00.000Z') + minutes * 60 * 1000;
+            statuses.push((await notifier.notify(alert))[0].status);
+        }
+
+        expect(statuses).toEqual(['sent', 'sent', 'rate_limited', 'sent']);
+        expect(http.requests).toHaveLength(3);
+    });
+
+    it('should report every delivery to onDelivery', async () => {
+        http = await startHttpStandIn();
+        const deliveries = [];
+        const notifier = createNotifier(channelsFor([
+            { type: 'webhook', name: 'a', url: http.url },
+            { type: 'ntfy', name: 'b', url: http.url, topic: 't' }
+        ]), { onDelivery: async d => { deliveries.push(d); } });
+
+        await notifier.notify(alert);
+
+        expect(deliveries.map(d => d.channel).sort()).toEqual(['a', 'b']);
+        expect(deliveries.every(d => d.deliveredAt)).toBe(true);
+    });
+
+    it('should email alerts through an SMTP server', async () => {
+        const smtp = await startSmtpStandIn();
+        try {
+            const notifier = createNotifier(channelsFor([{
+                type: 'smtp',
+                host: '127.0.0.1',
+                port: smtp.port,
+                starttls: false,
+                user: 'me',
+                pass: 'secret',
+                from: 'wrangler@example.com',
+                to: ['me@example.com', 'you@example.com']
+            }]));
+
+            const [record] = await notifier.notify(alert);
+
+            expect(record).toMatchObject({ channelType: 'smtp', status: 'sent', attempts: 1 });
+            expect(smtp.messages).toHaveLength(1);
+            expect(smtp.messages[0].from).toBe('wrangler@example.com');
+            expect(smtp.messages[0].to).toEqual(['me@example.com', 'you@example.com']);
+            expect(smtp.messages[0].data).toContain('Subject: [PortfolioWrangler] AAPL rose above');
+            expect(smtp.messages[0].data).toContain('Rule: AAPL:above:200');
+        } finally {
+            await smtp.close();
+        }
+    });
+
+    it('should record a failure when the SMTP server is unreachable', async () => {
+        const smtp = await startSmtpStandIn();
+        await smtp.close();
+        const notifier = createNotifier(channelsFor([{
+            type: 'smtp', host: '127.0.0.1', port: smtp.port, starttls: false, retries: 0, from: 'a@example.com', to: 'b@example.com'
+        }]));
+
+        const [record] = await notifier.notify(alert);
+
+        expect(record.status).toBe('failed');
+        expect(record.error).toBeTruthy();
+    });
+});
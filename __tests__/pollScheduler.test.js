@@ -0,0 +1,282 @@
+import {
+    DEFAULT_POLLING,
+    parsePollingConfig,
+    chunk,
+    planCycle,
+    isRateLimitError,
+    createPollScheduler
+} from '../lib/pollScheduler.js';
+
+// Manual timer queue: run() fires the pending timer and waits for its batch
+function fakeTimers() {
+    let pending = null;
+    const delays = [];
+    return {
+        delays,
+        setTimer(fn, ms) {
+            delays.push(ms);
+            pending = fn;
+            return {};
+        },
+        clearTimer() {
+            pending = null;
+        },
+        async run() {
+            const fn = pending;
+            pending = null;
+            await fn?.();
+        },
+        hasPending: () => pending != null
+    };
+}
+
+describe('parsePollingConfig', () => {
+    it('should apply defaults when the block is missing', () => {
+        expect(parsePollingConfig(undefined)).toEqual({
+            batchSize: DEFAULT_POLLING.batchSize,
+            cycleMs: 60000,
+            minDelayMs: 2000,
+            maxBackoffMs: 300000,
+            intervals: { regular: 60000, extended: 120000, closed: 900000, crypto: 60000 }
+        });
+    });
+
+    it('should poll regular sessions once per cycle', () => {
+        expect(parsePollingConfig({ cycleSeconds: 30, closedSeconds: 600 }).intervals)
+            .toEqual({ regular: 30000, extended: 120000, closed: 600000, crypto: 60000 });
+    });
+
+    it('should ignore invalid values and floor the batch size', () => {
+        expect(parsePollingConfig({ batchSize: 7.8, cycleSeconds: -5, minDelaySeconds: 'x', maxBackoffSeconds: 60 }))
+            .toMatchObject({ batchSize: 7, cycleMs: 60000, minDelayMs: 2000, maxBackoffMs: 60000 });
+    });
+});
+
+describe('chunk', () => {
+    it('should split symbols into batches of the given size', () => {
+        expect(chunk(['A', 'B', 'C', 'D', 'E'], 2)).toEqual([['A', 'B'], ['C', 'D'], ['E']]);
+        expect(chunk([], 3)).toEqual([]);
+    });
+});
+
+describe('planCycle', () => {
+    const polling = parsePollingConfig({ batchSize: 10, cycleSeconds: 60, minDelaySeconds: 5 });
+
+    it('should spread batches evenly over the cycle', () => {
+        expect(planCycle(40, polling)).toEqual({ batches: 4, delayMs: 15000, windowMs: 60000 });
+    });
+
+    it('should stretch the window rather than go below the minimum delay', () => {
+        expect(planCycle(200, polling)).toEqual({ batches: 20, delayMs: 5000, windowMs: 100000 });
+    });
+
+    it('should plan a single batch for an empty list', () => {
+        expect(planCycle(0, polling).batches).toBe(1);
+    });
+});
+
+describe('isRateLimitError', () => {
+    it('should recognise rate limit responses', () => {
+        expect(isRateLimitError(new Error('HTTP 429'))).toBe(true);
+        expect(isRateLimitError(new Error('Too Many Requests'))).toBe(true);
+        expect(isRateLimitError(new Error('socket hang up'))).toBe(false);
+        expect(isRateLimitError(undefined)).toBe(false);
+    });
+});
+
+describe('createPollScheduler', () => {
+    const polling = parsePollingConfig({ batchSize: 2, cycleSeconds: 30, minDelaySeconds: 1, maxBackoffSeconds: 60 });
+
+    it('should fetch every batch in turn and start a new cycle', async () => {
+        const timers = fakeTimers();
+        const fetched = [];
+        const poller = createPollScheduler({
+            getSymbols: () => ['A', 'B', 'C'],
+            fetchBatch: async batch => { fetched.push(batch); },
+            polling,
+            ...timers
+        });
+
+        poller.start();
+        for (let i = 0; i < 3; i++) await timers.run();
+
+        expect(fetched).toEqual([['A', 'B'], ['C'], ['A', 'B']]);
+        expect(timers.delays).toEqual([0, 15000, 15000, 15000]);
+    });
+
+    it('should pick up watchlist changes at the start of the next cycle', async () => {
+        const timers = fakeTimers();
+        let symbols = ['A', 'B', 'C'];
+        const fetched = [];
+        const poller = createPollScheduler({
+            getSymbols: () => symbols,
+            fetchBatch: async batch => { fetched.push(batch); },
+            polling,
+            ...timers
+        });
+
+        poller.start();
+        await timers.run();
+        symbols = ['X'];
+        await timers.run();
+        await timers.run();
+
+        expect(fetched).toEqual([['A', 'B'], ['C'], ['X']]);
+    });
+
+    it('should back off on errors, harder on rate limits, and recover on success', async () => {
+        const timers = fakeTimers();
+        const outcomes = [new Error('boom'), new Error('HTTP 429'), null, null];
+        const onError = [];
+        const poller = createPollScheduler({
+            getSymbols: () => ['A', 'B', 'C', 'D'],
+            fetchBatch: async () => {
+                const error = outcomes.shift();
+                if (error) throw error;
+            },
+            polling,
+            onError: (error, batch, backoff) => onError.push([error.message, batch, backoff]),
+            ...timers
+        });
+
+        poller.start();
+        for (let i = 0; i < 4; i++) await timers.run();
+
+        expect(onError).toEqual([['boom', ['A', 'B'], 2], ['HTTP 429', ['C', 'D'], 4]]);
+        expect(timers.delays.slice(1)).toEqual([30000, 60000, 30000, 15000]);
+        expect(poller.stats()).toMatchObject({ backoff: 1, errors: 2, rateLimited: 1 });
+    });
+
+    it('should cap the backoff at the maximum delay', async () => {
+        const timers = fakeTimers();
+        const poller = createPollScheduler({
+            getSymbols: () => ['A'],
+            fetchBatch: async () => { throw new Error('Too many requests'); },
+            polling,
+            ...timers
+        });
+
+        poller.start();
+        for (let i = 0; i < 3; i++) await timers.run();
+
+        expect(timers.delays.at(-1)).toBe(60000);
+    });
+
+    it('should only include symbols whose interval elapses within the window', async () => {
+        const timers = fakeTimers();
+        let clock = 0;
+        const fetched = [];
+        const intervals = { A: 0, B: 600000, C: 0 };
+        const poller = createPollScheduler({
+            getSymbols: () => ['A', 'B', 'C'],
+            fetchBatch: async batch => { fetched.push(batch); },
+            polling,
+            intervalFor: symbol => intervals[symbol],
+            now: () => clock,
+            ...timers
+        });
+
+        poller.start();
+        for (let i = 0; i < 4; i++) {
+            await timers.run();
+            clock += 15000;
+        }
+        // B comes due 10 minutes after it was fetched (less the 30s window)
+        clock = 570000;
+        await timers.run();
+
+        expect(fetched).toEqual([['A', 'B'], ['C'], ['A', 'C'], ['A', 'C'], ['A', 'B']]);
+        expect(poller.stats().cycleSymbols).toBe(3);
+    });
+
+    it('should keep checking when nothing is due', async () => {
+        const timers = fakeTimers();
+        const fetched = [];
+        const poller = createPollScheduler({
+            getSymbols: () => ['A'],
+            fetchBatch: async batch => { fetched.push(batch); },
+            polling,
+            intervalFor: () => 3600000,
+            now: () => 0,
+            ...timers
+        });
+
+        poller.start();
+        await timers.run();
+        await timers.run();
+        await timers.run();
+
+        expect(fetched).toEqual([['A']]);
+        expect(timers.hasPending()).toBe(true);
+    });
+
+    it('should retry symbols from a failed batch in the next cycle', async () => {
+        const timers = fakeTimers();
+        const fetched = [];
+        let fail = true;
+        const poller = createPollScheduler({
+            getSymbols: () => ['A'],
+            fetchBatch: async batch => {
+                fetched.push(batch);
+                if (fail) {
+                    fail = false;
+                    throw new Error('boom');
+                }
+            },
+            polling,
+            intervalFor: () => 3600000,
+            now: () => 0,
+            ...timers
+        });
+
+        poller.start();
+        await timers.run();
+        await timers.run();
+        await timers.run();
+
+        expect(fetched).toEqual([['A'], ['A']]);
+    });
+
+    it('should stop scheduling once stopped', async () => {
+        const timers = fakeTimers();
+        const poller = createPollScheduler({ getSymbols: () => ['A'], fetchBatch: async () => {}, polling, ...timers });
+
+        poller.start();
+        await timers.run();
+        poller.stop();
+
+        expect(timers.hasPending()).toBe(false);
+    });
+
+    it('should report the current plan and cycle time', async () => {
+        const timers = fakeTimers();
+        let clock = 0;
+        const poller = createPollScheduler({
+            getSymbols: () => ['A', 'B', 'C'],
+            fetchBatch: async () => {},
+            polling,
+            now: () => clock,
+            ...timers
+        });
+
+        poller.start();
+        await timers.run();
+        clock = 15000;
+        await timers.run();
+        clock = 30000;
+        await timers.run();
+
+        expect(poller.stats()).toEqual({
+            symbols: 3,
+            batchSize: 2,
+            batches: 2,
+            delayMs: 15000,
+            windowMs: 30000,
+            backoff: 1,
+            lastCycleMs: 30000,
+            cycleSymbols: 3,
+            errors: 0,
+            rateLimited: 0
+        });
+    });
+});
@@ -0,0 +1,154 @@
+import { calculatePosition, summarizePositions, buildPortfolioSummary } from '../lib/portfolio.js';
+
+describe('calculatePosition', () => {
+    it('should return null when there is no holding', () => {
+        expect(calculatePosition(null, 150, 1)).toBeNull();
+        expect(calculatePosition(undefined, 150, 1)).toBeNull();
+    });
+
+    it('should return null when price is missing', () => {
+        expect(calculatePosition({ shares: 10, costBasis: 100 }, undefined, 1)).toBeNull();
+    });
+
+    it('should compute market value, unrealized and day P&L', () => {
+        const p = calculatePosition({ shares: 10, costBasis: 120 }, 150, 1.5);
+
+        expect(p.marketValue).toBe(1500);
+        expect(p.totalCost).toBe(1200);
+        expect(p.unrealizedPnl).toBe(300);
+        expect(p.unrealizedPnlPercent).toBeCloseTo(25, 5);
+        expect(p.dayPnl).toBe(15);
+    });
+
+    it('should report negative P&L for losing positions', () => {
+        const p = calculatePosition({ shares: 4, costBasis: 250 }, 245, -5);
+
+        expect(p.unrealizedPnl).toBe(-20);
+        expect(p.unrealizedPnlPercent).toBeCloseTo(-2, 5);
+        expect(p.dayPnl).toBe(-20);
+    });
+
+    it('should leave unrealized P&L null without a cost basis', () => {
+        const p = calculatePosition({ shares: 10, costBasis: null }, 150, 1);
+
+        expect(p.marketValue).toBe(1500);
+        expect(p.totalCost).toBeNull();
+        expect(p.unrealizedPnl).toBeNull();
+        expect(p.unrealizedPnlPercent).toBeNull();
+        expect(p.dayPnl).toBe(10);
+    });
+
+    it('should treat a missing change as zero day P&L', () => {
+        const p = calculatePosition({ shares: 10, costBasis: 100 }, 150, undefined);
+
+        expect(p.dayPnl).toBe(0);
+    });
+});
+
+describe('summarizePositions', () => {
+    it('should return null for no positions', () => {
+        expect(summarizePositions([])).toBeNull();
+        expect(summarizePositions([null, undefined])).toBeNull();
+    });
+
+    it('should sum market value and P&L across positions', () => {
+        const totals = summarizePositions([
+            calculatePosition({ shares: 10, costBasis: 100 }, 110, 2),
+            calculatePosition({ shares: 5, costBasis: 200 }, 190, -1),
+        ]);
+
+        expect(totals.marketValue).toBe(2050);
+        expect(totals.totalCost).toBe(2000);
+        expect(totals.unrealizedPnl).toBe(50);
+        expect(totals.unrealizedPnlPercent).toBeCloseTo(2.5, 5);
+        expect(totals.dayPnl).toBe(15);
+        expect(totals.dayPnlPercent).toBeCloseTo(15 / 2035 * 100, 5);
+    });
+
+    it('should exclude positions without cost basis from unrealized totals', () => {
+        const totals = summarizePositions([
+            calculatePosition({ shares: 10, costBasis: 100 }, 110, 0),
+            calculatePosition({ shares: 1, costBasis: null }, 500, 0),
+        ]);
+
+        expect(totals.marketValue).toBe(1600);
+        expect(totals.totalCost).toBe(1000);
+        expect(totals.unrealizedPnl).toBe(100);
+    });
+
+    it('should leave unrealized totals null when nothing has a cost basis', () => {
+        const totals = summarizePositions([calculatePosition({ shares: 2, costBasis: null }, 50, 1)]);
+
+        expect(totals.unrealizedPnl).toBeNull();
+        expect(totals.totalCost).toBeNull();
+        expect(totals.unrealizedPnlPercent).toBeNull();
+    });
+});
+
+describe('buildPortfolioSummary', () => {
+    const sections = [
+        { name: 'Tech', stocks: ['AAPL', 'MSFT', 'WATCH'] },
+        { name: 'ETFs', stocks: ['SPY'] },
+    ];
+    const holdings = {
+        AAPL: { shares: 10, costBasis: 100 },
+        MSFT: { shares: 5, costBasis: 300 },
+        SPY: { shares: 2, costBasis: 400 },
+    };
+    const prices = new Map([
+        ['AAPL', { price: 150, change: 2 }],
+        ['MSFT', { price: 300, change: -1 }],
+        ['SPY', { price: 500, change: 5 }],
+        ['WATCH', { price: 10, change: 1 }],
+    ]);
+
+    it('should total market value and day P&L across all sections', () => {
+        const summary = buildPortfolioSummary(sections, holdings, prices);
+
+        expect(summary.totals.marketValue).toBe(4000);
+        expect(summary.totals.dayPnl).toBe(25);
+        expect(summary.totals.unrealizedPnl).toBe(700);
+    });
+
+    it('should count a symbol listed in two sections once', () => {
+        const summary = buildPortfolioSummary([...sections, { name: 'Favourites', stocks: ['AAPL'] }], holdings, prices);
+
+        expect(summary.totals.marketValue).toBe(4000);
+        expect(summary.sections.map(s => [s.name, s.weight])).toEqual([['Tech', 75], ['ETFs', 25], ['Favourites', 37.5]]);
+    });
+
+    it('should weight each section by its share of total value', () => {
+        const summary = buildPortfolioSummary(sections, holdings, prices);
+
+        expect(summary.sections.map(s => s.name)).toEqual(['Tech', 'ETFs']);
+        expect(summary.sections[0].marketValue).toBe(3000);
+        expect(summary.sections[0].weight).toBeCloseTo(75, 5);
+        expect(summary.sections[1].weight).toBeCloseTo(25, 5);
+    });
+
+    it('should list positions with portfolio and section allocation', () => {
+        const summary = buildPortfolioSummary(sections, holdings, prices);
+        const aapl = summary.positions.find(p => p.symbol === 'AAPL');
+
+        expect(summary.positions.map(p => p.symbol)).toEqual(['AAPL', 'MSFT', 'SPY']);
+        expect(aapl.section).toBe('Tech');
+        expect(aapl.weight).toBeCloseTo(37.5, 5);
+        expect(aapl.sectionWeight).toBeCloseTo(50, 5);
+    });
+
+    it('should skip holdings that have no price yet', () => {
+        const summary = buildPortfolioSummary(sections, holdings, new Map([['SPY', { price: 500, change: 0 }]]));
+
+        expect(summary.sections).toHaveLength(1);
+        expect(summary.sections[0].weight).toBeCloseTo(100, 5);
+        expect(summary.positions).toHaveLength(1);
+    });
+
+    it('should return null totals when nothing is held', () => {
+        const summary = buildPortfolioSummary(sections, {}, prices);
+
+        expect(summary.totals).toBeNull();
+        expect(summary.sections).toEqual([]);
+        expect(summary.positions).toEqual([]);
+    });
+});
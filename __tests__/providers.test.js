@@ -0,0 +1,187 @@
+import { createYahooProvider } from '../lib/providers/yahoo.js';
+import { createStooqProvider } from '../lib/providers/stooq.js';
+import { createRestProvider, getPath, fillUrl } from '../lib/providers/rest.js';
+
+// fetch stand-in: url → body (string for CSV, object for JSON) or HTTP status number
+function fakeFetch(routes) {
+    const urls = [];
+    const fetchFn = async (url) => {
+        urls.push(url);
+        const entry = Object.entries(routes).find(([prefix]) => url.startsWith(prefix));
+        const body = entry ? entry[1] : 404;
+        if (typeof body === 'number') return { ok: false, status: body };
+        return {
+            ok: true,
+            status: 200,
+            text: async () => body,
+            json: async () => body
+        };
+    };
+    fetchFn.urls = urls;
+    return fetchFn;
+}
+
+describe('Yahoo provider', () => {
+    const client = {
+        quote: async (symbols) => symbols.filter(s => s === 'AAPL').map(symbol => ({ symbol, regularMarketPrice: 150 })),
+        chart: async () => ({
+            quotes: [
+                { date: new Date('2024-03-01T14:30:00Z'), open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 },
+                { date: new Date('2024-03-02T14:30:00Z'), open: null, high: null, low: null, close: null, volume: null }
+            ]
+        }),
+        search: async () => ({
+            quotes: [
+                { symbol: 'AAPL', longname: 'Apple Inc.', exchDisp: 'NASDAQ', quoteType: 'EQUITY', isYahooFinance: true },
+                { index: 'news', isYahooFinance: false }
+            ]
+        })
+    };
+    const provider = createYahooProvider({ client });
+
+    it('should tag quotes with the provider name', async () => {
+        await expect(provider.quote(['AAPL', 'NOPE'])).resolves.toEqual([
+            { symbol: 'AAPL', regularMarketPrice: 150, provider: 'yahoo' }
+        ]);
+    });
+
+    it('should map chart data to bars and drop empty ones', async () => {
+        await expect(provider.history('AAPL', { from: '2024-03-01' })).resolves.toEqual([
+            { date: '2024-03-01T14:30:00.000Z', open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 }
+        ]);
+    });
+
+    it('should map search results', async () => {
+        await expect(provider.search('apple')).resolves.toEqual([
+            { symbol: 'AAPL', name: 'Apple Inc.', exchange: 'NASDAQ', type: 'EQUITY' }
+        ]);
+    });
+
+    it('should reject history and search on clients without them', async () => {
+        const bare = createYahooProvider({ client: { quote: async () => [] } });
+
+        await expect(bare.history('AAPL', { from: 0 })).rejects.toThrow('history is not available');
+        await expect(bare.search('apple')).rejects.toThrow('search is not available');
+    });
+});
+
+describe('Stooq provider', () => {
+    const quoteCsv = [
+        'Symbol,Date,Time,Open,High,Low,Close,Prev,Volume,Name',
+        'AAPL.US,2024-03-01,22:00:00,179.5,180.5,177.4,180,178,73488997,APPLE',
+        'VOD.UK,2024-03-01,17:35:00,68,69,67.5,68.5,68,1000,VODAFONE',
+        'NOPE.US,N/D,N/D,N/D,N/D,N/D,N/D,N/D,N/D,N/D'
+    ].join('\n');
+
+    it('should quote several symbols in one request', async () => {
+        const fetchFn = fakeFetch({ 'https://stooq.com/q/l/': quoteCsv });
+        const provider = createStooqProvider({ symbols: { 'VOD.L': 'vod.uk' }, fetch: fetchFn });
+
+        const quotes = await provider.quote(['AAPL', 'VOD.L', 'NOPE']);
+
+        expect(fetchFn.urls).toEqual(['https://stooq.com/q/l/?s=aapl.us+vod.uk+nope.us&f=sd2t2ohlcpvn&h&e=csv']);
+        expect(quotes.map(q => q.symbol)).toEqual(['AAPL', 'VOD.L']);
+        expect(quotes[0]).toMatchObject({
+            shortName: 'APPLE',
+            regularMarketPrice: 180,
+            regularMarketPreviousClose: 178,
+            regularMarketChange: 2,
+            regularMarketVolume: 73488997,
+            regularMarketTime: '2024-03-01T22:00:00',
+            provider: 'stooq'
+        });
+    });
+
+    it('should read daily history', async () => {
+        const fetchFn = fakeFetch({
+            'https://stooq.com/q/d/l/': 'Date,Open,High,Low,Close,Volume\n2024-03-01,1,2,0.5,1.5,100\n'
+        });
+        const provider = createStooqProvider({ fetch: fetchFn });
+
+        const bars = await provider.history('AAPL', { from: '2024-03-01', to: '2024-03-05' });
+
+        expect(fetchFn.urls[0]).toBe('https://stooq.com/q/d/l/?s=aapl.us&i=d&d1=20240301&d2=20240305');
+        expect(bars).toEqual([{ date: '2024-03-01T00:00:00.000Z', open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 }]);
+    });
+
+    it('should reject intraday history and HTTP errors', async () => {
+        const provider = createStooqProvider({ fetch: fakeFetch({ 'https://stooq.com': 503 }) });
+
+        await expect(provider.history('AAPL', { from: 0, interval: '5m' })).rejects.toThrow('Stooq has no 5m history');
+        await expect(provider.quote(['AAPL'])).rejects.toThrow('HTTP 503');
+    });
+});
+
+describe('REST provider', () => {
+    it('should read dot paths and fill URL templates', () => {
+        expect(getPath({ data: { quotes: [{ price: 5 }] } }, 'data.quotes.0.price')).toBe(5);
+        expect(getPath({ a: 1 }, 'b.c')).toBeUndefined();
+        expect(getPath({ a: 1 }, '')).toEqual({ a: 1 });
+        expect(fillUrl('https://api.test/q/{{symbol}}?x={{ missing }}', { symbol: 'BRK.B&' })).toBe('https://api.test/q/BRK.B%26?x=');
+    });
+
+    it('should map quote fields and convert numbers', async () => {
+        const provider = createRestProvider({
+            name: 'broker',
+            quoteUrl: 'https://api.test/quote/{{symbol}}',
+            quotePath: 'data',
+            quoteFields: { regularMarketPrice: 'last', regularMarketPreviousClose: 'prev.close', shortName: 'name' },
+            fetch: fakeFetch({
+                'https://api.test/quote/AAPL': { data: { last: '110', prev: { close: 100 }, name: 'Apple' } },
+                'https://api.test/quote/EMPTY': { data: {} }
+            })
+        });
+
+        const quotes = await provider.quote(['AAPL', 'EMPTY']);
+
+        expect(quotes).toEqual([{
+            symbol: 'AAPL',
+            shortName: 'Apple',
+            regularMarketPrice: 110,
+            regularMarketPreviousClose: 100,
+            regularMarketChange: 10,
+            regularMarketChangePercent: 10,
+            provider: 'broker'
+        }]);
+    });
+
+    it('should only throw when every symbol failed', async () => {
+        const provider = createRestProvider({
+            name: 'broker',
+            quoteUrl: 'https://api.test/quote/{{symbol}}',
+            quoteFields: { regularMarketPrice: 'price' },
+            fetch: fakeFetch({ 'https://api.test/quote/AAPL': { price: 1 }, 'https://api.test/quote/DOWN': 500 })
+        });
+
+        await expect(provider.quote(['AAPL', 'DOWN'])).resolves.toHaveLength(1);
+        await expect(provider.quote(['DOWN'])).rejects.toThrow('HTTP 500');
+    });
+
+    it('should offer history and search only when configured', async () => {
+        const bare = createRestProvider({ name: 'r', quoteUrl: 'https://api.test/{{symbol}}', quoteFields: { regularMarketPrice: 'p' } });
+        expect(bare.history).toBeUndefined();
+        expect(bare.search).toBeUndefined();
+
+        const provider = createRestProvider({
+            name: 'r',
+            quoteUrl: 'https://api.test/{{symbol}}',
+            quoteFields: { regularMarketPrice: 'p' },
+            historyUrl: 'https://api.test/bars/{{symbol}}?from={{from}}',
+            historyPath: 'bars',
+            historyFields: { date: 't', open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v' },
+            searchUrl: 'https://api.test/search?q={{query}}',
+            searchPath: 'results',
+            fetch: fakeFetch({
+                'https://api.test/bars/AAPL': { bars: [{ t: 1709251200, o: 1, h: 2, l: 0.5, c: '1.5', v: 100 }, { t: 1709337600 }] },
+                'https://api.test/search': { results: [{ symbol: 'AAPL', name: 'Apple Inc.' }, { name: 'no symbol' }] }
+            })
+        });
+
+        await expect(provider.history('AAPL', { from: '2024-03-01' })).resolves.toEqual([
+            { date: '2024-03-01T00:00:00.000Z', open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 }
+        ]);
+        await expect(provider.search('apple')).resolves.toEqual([
+            { symbol: 'AAPL', name: 'Apple Inc.', exchange: null, type: null }
+        ]);
+    });
+});
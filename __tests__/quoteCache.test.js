@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { createQuoteCache, DEFAULT_QUOTE_TTL_SECONDS } from '../lib/quoteCache.js';
+
+const T0 = Date.parse('2024-03-01T15:00:00.000Z');
+const entry = (price, fetchedAt) => ({ price, change: 1, fetchedAt, response: { 'Global Quote': { '05. price': String(price) } } });
+
+function setup({ store = new Map(), ttlMs = 60000, fetchQuote } = {}) {
+    let clock = T0;
+    const fetchMock = jest.fn(fetchQuote ?? (async symbol => entry(200, clock)));
+    const cache = createQuoteCache({
+        fetchQuote: fetchMock,
+        lookup: symbol => store.get(symbol),
+        getTtlMs: () => ttlMs,
+        now: () => clock
+    });
+    return { cache, fetchMock, store, advance: ms => { clock += ms; } };
+}
+
+describe('createQuoteCache', () => {
+    it('should default to a one-minute TTL', () => {
+        expect(DEFAULT_QUOTE_TTL_SECONDS).toBe(60);
+    });
+
+    it('should serve a fresh poller result without fetching', async () => {
+        const { cache, fetchMock, store, advance } = setup();
+        store.set('AAPL', entry(150, T0));
+        advance(30000);
+
+        const result = await cache.get('AAPL');
+
+        expect(result).toMatchObject({ status: 'hit', ageMs: 30000 });
+        expect(result.entry.price).toBe(150);
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should fetch once the freshest quote is older than the TTL', async () => {
+        const { cache, fetchMock, store, advance } = setup();
+        store.set('AAPL', entry(150, T0));
+        advance(61000);
+
+        const result = await cache.get('AAPL');
+
+        expect(result).toMatchObject({ status: 'miss', ageMs: 0 });
+        expect(result.entry.price).toBe(200);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        // The fetched quote is now cached for later requests
+        advance(1000);
+        expect(await cache.get('AAPL')).toMatchObject({ status: 'hit', ageMs: 1000 });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore lookup entries that have no formatted response', async () => {
+        const { cache, fetchMock, store } = setup();
+        store.set('AAPL', { price: 150, change: 1, timestamp: '2024-03-01T14:59:00.000Z' });
+
+        expect((await cache.get('AAPL')).status).toBe('miss');
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should prefer whichever source is newer', async () => {
+        const { cache, store, advance } = setup();
+        await cache.get('AAPL');
+        advance(10000);
+        store.set('AAPL', entry(175, T0 + 10000));
+
+        expect((await cache.get('AAPL')).entry.price).toBe(175);
+    });
+
+    it('should coalesce concurrent misses into one upstream request', async () => {
+        let release;
+        const { cache, fetchMock } = setup({
+            fetchQuote: () => new Promise(resolve => { release = () => resolve(entry(200, T0)); })
+        });
+
+        const pending = [cache.get('AAPL'), cache.get('AAPL'), cache.get('AAPL')];
+        release();
+        const results = await Promise.all(pending);
+
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(results.map(r => r.status)).toEqual(['miss', 'miss', 'miss']);
+    });
+
+    it('should fall back to a stale quote when the refresh fails', async () => {
+        const { cache, store, advance } = setup({ fetchQuote: async () => { throw new Error('rate limited'); } });
+        store.set('AAPL', entry(150, T0));
+        advance(120000);
+
+        expect(await cache.get('AAPL')).toMatchObject({ status: 'stale', ageMs: 120000 });
+    });
+
+    it('should throw when the refresh fails and nothing is cached', async () => {
+        const { cache } = setup({ fetchQuote: async () => { throw new Error('rate limited'); } });
+
+        await expect(cache.get('AAPL')).rejects.toThrow('rate limited');
+    });
+
+    it('should retry upstream after a failed request', async () => {
+        const { cache, fetchMock } = setup({ fetchQuote: async () => { throw new Error('down'); } });
+
+        await expect(cache.get('AAPL')).rejects.toThrow();
+        await expect(cache.get('AAPL')).rejects.toThrow();
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('should evict the oldest entries past maxEntries', async () => {
+        const fetchQuote = jest.fn(async () => entry(1, T0));
+        const cache = createQuoteCache({ fetchQuote, maxEntries: 2, now: () => T0 });
+
+        await cache.get('A');
+        await cache.get('B');
+        await cache.get('C');
+        await cache.get('A');
+
+        expect(fetchQuote).toHaveBeenCalledTimes(4);
+    });
+});
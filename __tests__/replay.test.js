@@ -0,0 +1,153 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRecording, createReplayClient, createRecordingClient, loadReplayClient } from '../lib/replay.js';
+import { createYahooFinanceClient } from '../lib/yahooClient.js';
+
+const line = (t, quote) => JSON.stringify({ t, quote });
+
+const SESSION = [
+    line('2026-10-19T13:29:00.000Z', { symbol: 'AAPL', shortName: 'Apple Inc.', regularMarketPrice: 150, marketState: 'PRE' }),
+    line('2026-10-19T13:29:00.000Z', { symbol: 'SPY', shortName: 'SPDR S&P 500', regularMarketPrice: 450, marketState: 'PRE' }),
+    line('2026-10-19T13:30:00.000Z', { symbol: 'AAPL', shortName: 'Apple Inc.', regularMarketPrice: 151, marketState: 'REGULAR' }),
+    line('2026-10-19T13:31:00.000Z', { symbol: 'AAPL', shortName: 'Apple Inc.', regularMarketPrice: 152, marketState: 'REGULAR' }),
+    ''
+].join('\n');
+
+describe('parseRecording', () => {
+    it('should group quotes into per-symbol timelines', () => {
+        const recording = parseRecording(SESSION);
+
+        expect(recording.start).toBe(Date.parse('2026-10-19T13:29:00.000Z'));
+        expect(recording.end).toBe(Date.parse('2026-10-19T13:31:00.000Z'));
+        expect(recording.timelines.get('AAPL').map(e => e.quote.regularMarketPrice)).toEqual([150, 151, 152]);
+        expect(recording.timelines.get('SPY')).toHaveLength(1);
+    });
+
+    it('should report the line of a malformed record', () => {
+        expect(() => parseRecording(`${SESSION}{oops`)).toThrow(/Invalid recording line 5/);
+        expect(() => parseRecording('{"t":"later","quote":{"symbol":"AAPL"}}')).toThrow(/Invalid recording line 1/);
+        expect(() => parseRecording('\n\n')).toThrow('Recording contains no quotes');
+    });
+});
+
+describe('createReplayClient', () => {
+    let clock;
+    const now = () => clock;
+
+    beforeEach(() => {
+        clock = 1_000_000;
+    });
+
+    it('should replay quotes and market states as time passes', async () => {
+        const client = createReplayClient({ recording: parseRecording(SESSION), now });
+
+        await expect(client.quote('AAPL')).resolves.toMatchObject({ regularMarketPrice: 150, marketState: 'PRE' });
+        clock += 60_000;
+        await expect(client.quote('AAPL')).resolves.toMatchObject({ regularMarketPrice: 151, marketState: 'REGULAR' });
+        expect(client.position().toISOString()).toBe('2026-10-19T13:30:00.000Z');
+    });
+
+    it('should hold the last quote of a symbol between its records', async () => {
+        const client = createReplayClient({ recording: parseRecording(SESSION), now });
+        clock += 90_000;
+
+        const quotes = await client.quote(['SPY', 'MSFT', 'AAPL']);
+
+        expect(quotes.map(q => [q.symbol, q.regularMarketPrice])).toEqual([['SPY', 450], ['AAPL', 151]]);
+        await expect(client.quote('MSFT')).rejects.toThrow('No recorded Yahoo Finance quote for symbol MSFT');
+    });
+
+    it('should speed up replay and loop back to the start', async () => {
+        const client = createReplayClient({ recording: parseRecording(SESSION), speed: 60, now });
+
+        clock += 2_000;
+        await expect(client.quote('AAPL')).resolves.toMatchObject({ regularMarketPrice: 152 });
+        clock += 1_000;
+        await expect(client.quote('AAPL')).resolves.toMatchObject({ regularMarketPrice: 150 });
+    });
+
+    it('should hold the final quotes when not looping', async () => {
+        const client = createReplayClient({ recording: parseRecording(SESSION), loop: false, now });
+
+        clock += 3_600_000;
+        await expect(client.quote('AAPL')).resolves.toMatchObject({ regularMarketPrice: 152 });
+    });
+
+    it('should search recorded symbols and names', async () => {
+        const client = createReplayClient({ recording: parseRecording(SESSION), now });
+
+        const { quotes } = await client.search('s&p');
+
+        expect(quotes).toEqual([expect.objectContaining({ symbol: 'SPY', shortname: 'SPDR S&P 500', isYahooFinance: true })]);
+    });
+});
+
+describe('createRecordingClient', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replaytest-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should append returned quotes in a format the replay client reads back', async () => {
+        const file = path.join(tmpDir, 'session.jsonl');
+        let clock = Date.parse('2026-10-19T13:30:00.000Z');
+        const live = {
+            quote: async (symbols) => symbols.map(symbol => ({ symbol, regularMarketPrice: clock / 1e10 })),
+            search: async () => ({ quotes: [] })
+        };
+        const errors = [];
+        const client = createRecordingClient({ client: live, file, onError: e => errors.push(e), now: () => clock });
+
+        await client.quote(['AAPL', 'SPY']);
+        clock += 60_000;
+        await client.quote(['AAPL']);
+        await expect(client.search('x')).resolves.toEqual({ quotes: [] });
+
+        await client.flush();
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        expect(lines).toHaveLength(3);
+        expect(JSON.parse(lines[2])).toEqual({ t: '2026-10-19T13:31:00.000Z', quote: { symbol: 'AAPL', regularMarketPrice: clock / 1e10 } });
+        expect(errors).toEqual([]);
+
+        const replay = loadReplayClient(file, { now: () => 0 });
+        await expect(replay.quote(['AAPL', 'SPY'])).resolves.toHaveLength(2);
+    });
+
+    it('should report write failures without failing the request', async () => {
+        const errors = [];
+        const client = createRecordingClient({
+            client: { quote: async () => ({ symbol: 'AAPL' }) },
+            file: path.join(tmpDir, 'missing', 'session.jsonl'),
+            onError: e => errors.push(e)
+        });
+
+        await expect(client.quote('AAPL')).resolves.toEqual({ symbol: 'AAPL' });
+        await client.flush();
+        expect(errors).toHaveLength(1);
+    });
+
+    it('should be selected through the environment', async () => {
+        const file = path.join(tmpDir, 'session.jsonl');
+        fs.writeFileSync(file, SESSION);
+
+        const replay = createYahooFinanceClient({ YAHOO_FINANCE_REPLAY: file, YAHOO_FINANCE_REPLAY_SPEED: '10' });
+        await expect(replay.quote('SPY')).resolves.toMatchObject({ regularMarketPrice: 450 });
+
+        expect(() => createYahooFinanceClient({ YAHOO_FINANCE_REPLAY: file, YAHOO_FINANCE_REPLAY_SPEED: '0' }))
+            .toThrow('Invalid YAHOO_FINANCE_REPLAY_SPEED');
+        expect(() => createYahooFinanceClient({ YAHOO_FINANCE_REPLAY: path.join(tmpDir, 'nope.jsonl') }))
+            .toThrow(/Invalid YAHOO_FINANCE_REPLAY: ENOENT/);
+
+        const recorded = path.join(tmpDir, 'recorded.jsonl');
+        const recording = createYahooFinanceClient({ YAHOO_FINANCE_MOCK_DATA: '{"AAPL":{"symbol":"AAPL"}}', YAHOO_FINANCE_RECORD: recorded });
+        await recording.quote('AAPL');
+        await recording.flush();
+        expect(fs.readFileSync(recorded, 'utf8')).toContain('"symbol":"AAPL"');
+    });
+});
@@ -0,0 +1,289 @@
+import {
+    RESOLUTIONS,
+    parseRetentionConfig,
+    planCompaction,
+    createMaintenanceScheduler
+} from '../lib/retention.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const daysAgo = days => new Date(NOW - days * DAY).toISOString();
+
+// Timer stand-in keyed by handle, so compaction and vacuum timers can be fired separately
+function fakeTimers() {
+    const pending = new Map();
+    let next = 1;
+    return {
+        pending,
+        setTimer(fn, ms) {
+            const id = next++;
+            pending.set(id, { fn, ms });
+            return id;
+        },
+        clearTimer(id) {
+            pending.delete(id);
+        },
+        async fire(ms) {
+            const [id, timer] = [...pending].find(([, t]) => t.ms === ms);
+            pending.delete(id);
+            await timer.fn();
+        }
+    };
+}
+
+describe('parseRetentionConfig', () => {
+    it('should default to raw for 7 days, 5-minute for 90 and daily forever', () => {
+        expect(parseRetentionConfig(undefined)).toEqual({
+            tiers: [
+                { resolution: 'raw', resolutionMs: 0, fromDays: 0, toDays: 7 },
+                { resolution: '5m', resolutionMs: RESOLUTIONS['5m'], fromDays: 7, toDays: 97 },
+                { resolution: '1d', resolutionMs: DAY, fromDays: 97, toDays: null }
+            ],
+            compactIntervalMs: 6 * 60 * 60 * 1000,
+            vacuumIntervalMs: 7 * DAY,
+            errors: []
+        });
+    });
+
+    it('should read custom tiers and schedules', () => {
+        const policy = parseRetentionConfig({
+            tiers: [{ resolution: 'raw', days: 2 }, { resolution: '1h', days: 30 }],
+            compactEveryHours: 1,
+            vacuumEveryDays: 0
+        });
+
+        expect(policy.tiers.map(t => [t.resolution, t.fromDays, t.toDays])).toEqual([['raw', 0, 2], ['1h', 2, 32]]);
+        expect(policy.compactIntervalMs).toBe(60 * 60 * 1000);
+        expect(policy.vacuumIntervalMs).toBeNull();
+        expect(policy.errors).toEqual([]);
+    });
+
+    it('should fall back to the default tiers when any tier is invalid', () => {
+        const policy = parseRetentionConfig({
+            tiers: [{ resolution: '1h', days: 7 }, { resolution: '5m' }, { resolution: '2w' }],
+            compactEveryHours: -1
+        });
+
+        expect(policy.tiers.map(t => t.resolution)).toEqual(['raw', '5m', '1d']);
+        expect(policy.errors).toEqual([
+            'retention.tiers[1]: days must be a positive number (only the last tier may omit it)',
+            `retention.tiers[2]: resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`,
+            'retention.compactEveryHours: must be a positive number'
+        ]);
+        expect(parseRetentionConfig({ tiers: [{ resolution: '1d', days: 1 }, { resolution: '5m', days: 1 }] }).errors)
+            .toEqual(['retention.tiers[1]: resolution must not be finer than the tier before it']);
+    });
+});
+
+describe('planCompaction', () => {
+    it('should thin each tier to its resolution and keep daily rows forever', () => {
+        const plan = planCompaction(parseRetentionConfig(undefined).tiers, NOW);
+
+        expect(plan.thin).toEqual([
+            { from: daysAgo(97), to: daysAgo(7), bucketMs: RESOLUTIONS['5m'] },
+            { from: new Date(0).toISOString(), to: daysAgo(97), bucketMs: DAY }
+        ]);
+        expect(plan.deleteBefore).toBeNull();
+        expect(plan.bars).toEqual([
+            { interval: '1m', before: daysAgo(7) },
+            { interval: '5m', before: daysAgo(97) },
+            { interval: '1h', before: daysAgo(97) }
+        ]);
+    });
+
+    it('should delete everything past a last tier with days', () => {
+        const { tiers } = parseRetentionConfig({ tiers: [{ resolution: 'raw', days: 3 }, { resolution: '1m', days: 27 }] });
+
+        const plan = planCompaction(tiers, NOW);
+
+        expect(plan.deleteBefore).toBe(daysAgo(30));
+        expect(plan.bars).toEqual([
+            { interval: '1m', before: daysAgo(30) },
+            { interval: '5m', before: daysAgo(30) },
+            { interval: '1h', before: daysAgo(30) }
+        ]);
+    });
+});
+
+describe('createMaintenanceScheduler', () => {
+    function setup({ compact = async () => ({ removed: 1 }), vacuumIntervalMs = 7 * DAY } = {}) {
+        const timers = fakeTimers();
+        const calls = [];
+        const errors = [];
+        const scheduler = createMaintenanceScheduler({
+            compact: async () => {
+                calls.push('compact');
+                return compact();
+            },
+            vacuum: async () => { calls.push('vacuum'); },
+            compactIntervalMs: 6 * 60 * 60 * 1000,
+            vacuumIntervalMs,
+            initialDelayMs: 1000,
+            onError: (task, error) => errors.push(`${task}: ${error.message}`),
+            setTimer: timers.setTimer,
+            clearTimer: timers.clearTimer,
+            now: () => NOW
+        });
+        return { scheduler, timers, calls, errors };
+    }
+
+    it('should compact shortly after start and then on its interval', async () => {
+        const { scheduler, timers, calls } = setup();
+        scheduler.start();
+
+        expect([...timers.pending.values()].map(t => t.ms)).toEqual([1000, 7 * DAY]);
+        expect(scheduler.status().nextCompactionAt).toBe(new Date(NOW + 1000).toISOString());
+
+        await timers.fire(1000);
+
+        expect(calls).toEqual(['compact']);
+        expect(scheduler.status().lastCompaction).toEqual({ at: new Date(NOW).toISOString(), durationMs: 0, result: { removed: 1 } });
+        expect([...timers.pending.values()].map(t => t.ms)).toEqual([7 * DAY, 6 * 60 * 60 * 1000]);
+    });
+
+    it('should wait out intervals longer than a timer can hold', async () => {
+        const timers = fakeTimers();
+        const calls = [];
+        let clock = NOW;
+        const scheduler = createMaintenanceScheduler({
+            compact: async () => {},
+            vacuum: async () => { calls.push('vacuum'); },
+            compactIntervalMs: 6 * 60 * 60 * 1000,
+            vacuumIntervalMs: 30 * DAY,
+            initialDelayMs: 1000,
+            setTimer: timers.setTimer,
+            clearTimer: timers.clearTimer,
+            now: () => clock
+        });
+        scheduler.start();
+
+        const MAX = 2 ** 31 - 1;
+        expect([...timers.pending.values()].map(t => t.ms)).toEqual([1000, MAX]);
+        clock += MAX;
+        await timers.fire(MAX);
+
+        expect(calls).toEqual([]);
+        expect([...timers.pending.values()].map(t => t.ms)).toEqual([1000, 30 * DAY - MAX]);
+        expect(scheduler.status().nextVacuumAt).toBe(new Date(NOW + 30 * DAY).toISOString());
+
+        clock = NOW + 30 * DAY;
+        await timers.fire(30 * DAY - MAX);
+        expect(calls).toEqual(['vacuum']);
+        scheduler.stop();
+    });
+
+    it('should record failures and keep the schedule going', async () => {
+        const { scheduler, timers, errors } = setup({ compact: async () => { throw new Error('database is locked'); } });
+        scheduler.start();
+
+        await timers.fire(1000);
+
+        expect(errors).toEqual(['compaction: database is locked']);
+        expect(scheduler.status().lastCompaction.error).toBe('database is locked');
+        expect(timers.pending.size).toBe(2);
+    });
+
+    it('should not schedule VACUUM when it is turned off, and clear timers on stop', async () => {
+        const { scheduler, timers, calls } = setup({ vacuumIntervalMs: null });
+        scheduler.start();
+        expect(timers.pending.size).toBe(1);
+
+        scheduler.stop();
+        expect(timers.pending.size).toBe(0);
+        expect(scheduler.status().nextCompactionAt).toBeNull();
+
+        await scheduler.runVacuum();
+        expect(calls).toEqual(['vacuum']);
+    });
+
+    it('should schedule backups when they have an interval and report each run', async () => {
+        const timers = fakeTimers();
+        const scheduler = createMaintenanceScheduler({
+            compact: async () => {},
+            vacuum: async () => {},
+            backup: async () => ({ file: 'stocks-2026-10-19T12-00-00-000Z.db' }),
+            compactIntervalMs: 6 * 60 * 60 * 1000,
+            vacuumIntervalMs: null,
+            backupIntervalMs: DAY,
+            initialDelayMs: 1000,
+            setTimer: timers.setTimer,
+            clearTimer: timers.clearTimer,
+            now: () => NOW
+        });
+        scheduler.start();
+
+        expect(scheduler.status().nextBackupAt).toBe(new Date(NOW + DAY).toISOString());
+        expect(await scheduler.runBackup()).toEqual({
+            at: new Date(NOW).toISOString(),
+            durationMs: 0,
+            result: { file: 'stocks-2026-10-19T12-00-00-000Z.db' }
+        });
+        expect(scheduler.status().lastBackup.result.file).toBe('stocks-2026-10-19T12-00-00-000Z.db');
+    });
+
+    it('should not back up early when backups are a month apart', async () => {
+        const timers = fakeTimers();
+        const backups = [];
+        let clock = NOW;
+        const scheduler = createMaintenanceScheduler({
+            compact: async () => {},
+            vacuum: async () => {},
+            backup: async () => { backups.push(clock); },
+            compactIntervalMs: 6 * 60 * 60 * 1000,
+            vacuumIntervalMs: null,
+            backupIntervalMs: 720 * 60 * 60 * 1000,
+            initialDelayMs: 1000,
+            setTimer: timers.setTimer,
+            clearTimer: timers.clearTimer,
+            now: () => clock
+        });
+        scheduler.start();
+
+        const MAX = 2 ** 31 - 1;
+        clock += MAX;
+        await timers.fire(MAX);
+        expect(backups).toEqual([]);
+
+        clock = NOW + 30 * DAY;
+        await timers.fire(30 * DAY - MAX);
+        expect(backups).toEqual([NOW + 30 * DAY]);
+        expect(scheduler.status().nextBackupAt).toBe(new Date(NOW + 60 * DAY).toISOString());
+        scheduler.stop();
+    });
+
+    it('should run tasks one after another', async () => {
+        let release;
+        const { scheduler, calls } = setup({ compact: () => new Promise(resolve => { release = resolve; }) });
+
+        const compaction = scheduler.runCompaction();
+        const vacuum = scheduler.runVacuum();
+        await Promise.resolve();
+        expect(calls).toEqual(['compact']);
+
+        release();
+        await Promise.all([compaction, vacuum]);
+        expect(calls).toEqual(['compact', 'vacuum']);
+    });
+
+    it('should take new intervals without overlapping a run or losing its record', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const { scheduler, timers, calls } = setup({ compact: () => gate });
+        scheduler.start();
+        await scheduler.runVacuum();
+
+        const scheduled = timers.fire(1000);
+        await Promise.resolve();
+        scheduler.reconfigure({ compactIntervalMs: 60 * 60 * 1000, vacuumIntervalMs: DAY });
+        const manual = scheduler.runCompaction();
+        await Promise.resolve();
+        expect(calls).toEqual(['vacuum', 'compact']);
+
+        release();
+        await Promise.all([scheduled, manual]);
+        expect(calls).toEqual(['vacuum', 'compact', 'compact']);
+        expect(scheduler.status().lastVacuum).not.toBeNull();
+        expect([...timers.pending.values()].map(t => t.ms).sort((a, b) => a - b)).toEqual([1000, DAY]);
+        scheduler.stop();
+    });
+});
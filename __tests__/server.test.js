@@ -1,9 +1,15 @@
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { load } from 'js-yaml';
 import {
     calculatePriceFromQuote,
     formatApiResponse,
     formatCachedResponse,
-    extractConfigSettings
+    extractConfigSettings,
+    completeQuote
 } from '../lib/priceCalculation.js';
 import {
     regularMarketQuote,
@@ -153,6 +159,37 @@ describe('API Response Formatting', () => {
     });
 });
 
+describe('Quote completion', () => {
+    it('should derive the change from price and previous close', () => {
+        const quote = completeQuote({ regularMarketPrice: 110, regularMarketPreviousClose: 100 });
+
+        expect(quote.regularMarketChange).toBe(10);
+        expect(quote.regularMarketChangePercent).toBe(10);
+    });
+
+    it('should derive the previous close from price and change', () => {
+        const quote = completeQuote({ regularMarketPrice: 90, regularMarketChange: -10 });
+
+        expect(quote.regularMarketPreviousClose).toBe(100);
+        expect(quote.regularMarketChangePercent).toBe(-10);
+    });
+
+    it('should keep values the provider reported', () => {
+        const quote = completeQuote({ regularMarketPrice: 110, regularMarketPreviousClose: 100, regularMarketChange: 9, regularMarketChangePercent: 9.1 });
+
+        expect(quote).toMatchObject({ regularMarketChange: 9, regularMarketChangePercent: 9.1 });
+    });
+
+    it('should report a zero change percent when the previous close is unknown', () => {
+        expect(calculatePriceFromQuote({ regularMarketPrice: 50 }).finalChangePercent).toBe(0);
+    });
+
+    it('should pass through the provider that supplied a quote', () => {
+        expect(formatApiResponse({ ...regularMarketQuote, provider: 'stooq' }).provider).toBe('stooq');
+        expect(formatApiResponse(regularMarketQuote).provider).toBeNull();
+    });
+});
+
 describe('Fundamentals Block', () => {
     it('should include fundamentals key in response', () => {
         const response = formatApiResponse(quoteWithFundamentals);
@@ -307,3 +344,61 @@ watchlist:
         expect(config.watchlist).toEqual(['AAPL']);
     });
 });
+
+describe('Transaction routes', () => {
+    const projectRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+    const port = 30000 + Math.floor(Math.random() * 10000);
+    const api = (route, init = {}) => fetch(`http://127.0.0.1:${port}/api/transactions${route}`, {
+        ...init,
+        headers: { 'Content-Type': 'application/json' },
+        body: init.body && JSON.stringify(init.body)
+    });
+    let tmpDir;
+    let serverProc;
+
+    beforeAll(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routetest-'));
+        fs.writeFileSync(path.join(tmpDir, 'config.yaml'), 'watchlist: []\n');
+        serverProc = spawn('node', ['server.js'], {
+            cwd: projectRoot,
+            env: {
+                ...process.env,
+                PORT: String(port),
+                CONFIG_PATH: path.join(tmpDir, 'config.yaml'),
+                DATABASE_PATH: path.join(tmpDir, 'stocks.db'),
+                YAHOO_FINANCE_MOCK_DATA: '{}'
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        // Requests need both the listener and the database
+        await new Promise((resolve, reject) => {
+            let stdout = '';
+            serverProc.stdout.on('data', (data) => {
+                stdout += data.toString();
+                if (stdout.includes('Server running on') && stdout.includes('Database initialized')) resolve();
+            });
+            serverProc.on('exit', code => reject(new Error(`server exited with code ${code}`)));
+        });
+    }, 15000);
+
+    afterAll(() => {
+        serverProc?.kill();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should refuse to delete a buy that a later sell depends on', async () => {
+        const buy = await (await api('', {
+            method: 'POST', body: { symbol: 'AAPL', type: 'buy', date: '2024-01-02', shares: 10, price: 100 }
+        })).json();
+        const sell = await api('', {
+            method: 'POST', body: { symbol: 'AAPL', type: 'sell', date: '2024-02-01', shares: 4, price: 120 }
+        });
+        expect(sell.status).toBe(201);
+
+        const res = await api(`/${buy.id}`, { method: 'DELETE' });
+
+        expect(res.status).toBe(400);
+        expect((await res.json()).details).toEqual(['sell of 4 AAPL on 2024-02-01 exceeds the 0 shares held']);
+        expect((await api(`/${buy.id}`)).status).toBe(200);
+    });
+});
@@ -0,0 +1,126 @@
+import { createWriteQueue } from '../lib/writeQueue.js';
+
+// Timer stand-in holding at most the queue's one flush timer
+function fakeTimer() {
+    const timer = { fn: null, ms: null };
+    return {
+        timer,
+        setTimer(fn, ms) {
+            Object.assign(timer, { fn, ms });
+            return 1;
+        },
+        clearTimer() {
+            Object.assign(timer, { fn: null, ms: null });
+        },
+        fire() {
+            const { fn } = timer;
+            Object.assign(timer, { fn: null, ms: null });
+            fn();
+        }
+    };
+}
+
+describe('createWriteQueue', () => {
+    function setup(options = {}) {
+        const timers = fakeTimer();
+        const batches = [];
+        const errors = [];
+        const queue = createWriteQueue({
+            write: async (items) => { batches.push(items); },
+            flushMs: 250,
+            maxSize: 3,
+            onError: (error, items) => errors.push([error.message, items]),
+            setTimer: timers.setTimer,
+            clearTimer: timers.clearTimer,
+            now: () => 0,
+            ...options
+        });
+        return { queue, timers, batches, errors };
+    }
+
+    it('should batch writes pushed within the flush delay', async () => {
+        const { queue, timers, batches } = setup();
+
+        queue.push('a');
+        queue.push('b');
+        expect(timers.timer.ms).toBe(250);
+        expect(batches).toEqual([]);
+
+        timers.fire();
+        await queue.flush();
+
+        expect(batches).toEqual([['a', 'b']]);
+        expect(queue.status()).toMatchObject({ pending: 0, written: 2, batches: 1, failed: 0, dropped: 0 });
+    });
+
+    it('should write a full batch without waiting', async () => {
+        const { queue, timers, batches } = setup();
+
+        ['a', 'b', 'c', 'd'].forEach(item => queue.push(item));
+        await Promise.resolve();
+
+        expect(batches).toEqual([['a', 'b', 'c']]);
+        expect(timers.timer.fn).toBeNull();
+
+        await queue.flush();
+        expect(batches).toEqual([['a', 'b', 'c'], ['d']]);
+    });
+
+    it('should write one batch at a time and keep collecting meanwhile', async () => {
+        const releases = [];
+        const batches = [];
+        const { queue } = setup({
+            write: items => new Promise(resolve => {
+                batches.push(items);
+                releases.push(resolve);
+            })
+        });
+
+        queue.push('a');
+        const flushed = queue.flush();
+        await Promise.resolve();
+        queue.push('b');
+        queue.push('c');
+        expect(queue.status()).toMatchObject({ pending: 2, writing: 1 });
+
+        releases.shift()();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(batches).toEqual([['a'], ['b', 'c']]);
+
+        releases.shift()();
+        await flushed;
+        expect(queue.status()).toMatchObject({ pending: 0, writing: 0, written: 3, batches: 2 });
+    });
+
+    it('should report a failed batch and carry on', async () => {
+        let fail = true;
+        const { queue, errors, batches } = setup({
+            write: async (items) => {
+                if (fail) {
+                    fail = false;
+                    throw new Error('database is locked');
+                }
+                batches.push(items);
+            }
+        });
+
+        queue.push('a');
+        await queue.flush();
+        queue.push('b');
+        await queue.flush();
+
+        expect(errors).toEqual([['database is locked', ['a']]]);
+        expect(batches).toEqual([['b']]);
+        expect(queue.status()).toMatchObject({ written: 1, failed: 1, lastBatch: { size: 1 } });
+    });
+
+    it('should drop the oldest writes past maxPending', async () => {
+        const { queue, batches } = setup({ maxSize: 10, maxPending: 2 });
+
+        ['a', 'b', 'c'].forEach(item => queue.push(item));
+        await queue.flush();
+
+        expect(batches).toEqual([['b', 'c']]);
+        expect(queue.status().dropped).toBe(1);
+    });
+});
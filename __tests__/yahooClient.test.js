@@ -0,0 +1,49 @@
+import { createYahooFinanceClient } from '../lib/yahooClient.js';
+
+describe('createYahooFinanceClient', () => {
+    it('should return a real client when no mock data is set', () => {
+        const client = createYahooFinanceClient({});
+        expect(typeof client.quote).toBe('function');
+    });
+
+    it('should serve mock quotes from YAHOO_FINANCE_MOCK_DATA', async () => {
+        const client = createYahooFinanceClient({
+            YAHOO_FINANCE_MOCK_DATA: JSON.stringify({ AAPL: { symbol: 'AAPL', regularMarketPrice: 150 } })
+        });
+
+        await expect(client.quote('AAPL')).resolves.toEqual({ symbol: 'AAPL', regularMarketPrice: 150 });
+    });
+
+    it('should return the known quotes for an array of symbols', async () => {
+        const client = createYahooFinanceClient({
+            YAHOO_FINANCE_MOCK_DATA: JSON.stringify({ AAPL: { symbol: 'AAPL' }, SPY: { symbol: 'SPY' } })
+        });
+
+        await expect(client.quote(['SPY', 'MSFT', 'AAPL'])).resolves.toEqual([{ symbol: 'SPY' }, { symbol: 'AAPL' }]);
+    });
+
+    it('should fill in the symbol for mock entries that leave it out', async () => {
+        const client = createYahooFinanceClient({
+            YAHOO_FINANCE_MOCK_DATA: JSON.stringify({ AAPL: { regularMarketPrice: 150 } })
+        });
+
+        await expect(client.quote('AAPL')).resolves.toEqual({ symbol: 'AAPL', regularMarketPrice: 150 });
+        await expect(client.quote(['AAPL'])).resolves.toEqual([{ symbol: 'AAPL', regularMarketPrice: 150 }]);
+    });
+
+    it('should reject symbols missing from the mock data', async () => {
+        const client = createYahooFinanceClient({ YAHOO_FINANCE_MOCK_DATA: '{}' });
+
+        await expect(client.quote('MSFT')).rejects.toThrow('No mock Yahoo Finance quote configured for symbol MSFT');
+    });
+
+    it('should throw on invalid JSON', () => {
+        expect(() => createYahooFinanceClient({ YAHOO_FINANCE_MOCK_DATA: '{not json' }))
+            .toThrow(/Invalid YAHOO_FINANCE_MOCK_DATA/);
+    });
+
+    it('should throw when the mock data is not an object', () => {
+        expect(() => createYahooFinanceClient({ YAHOO_FINANCE_MOCK_DATA: '[1,2]' }))
+            .toThrow('Invalid YAHOO_FINANCE_MOCK_DATA: expected JSON object mapping symbols to quote responses');
+    });
+});
@@ -1,18 +1,31 @@
-import { buildFundamentalsHTML } from './lib/formatters.js';
+import { buildFundamentalsHTML, buildPositionHTML, buildSectionTotalsHTML, buildPortfolioSummaryHTML, buildAlertItemHTML, buildMarketPillHTML, buildSearchResultHTML, formatCandleTooltip } from './lib/formatters.js';
+import { summarizePositions } from './lib/portfolio.js';
 
 let stocks = [];
 let sections = [];
 let cryptoSymbols = [];
 let cryptoTickers = [];
 const REFRESH_INTERVAL = 1 * 60 * 1000; // Refresh every minute
+const ALERT_POLL_INTERVAL = 15 * 1000;
+const ALERT_SNOOZE_MINUTES = 60;
 let lastRefreshTime = {};
 let lastPrices = {};
+let positions = {};
 let priceChart = null;
 let currentWatchlistVersion = null;
-let currentHistoryData = [];
 let currentHistorySymbol = null;
 let initialCommitHash = null;
 let currentSort = localStorage.getItem('sort') ?? 'default';
+let recentAlerts = [];
+let lastAlertId = null; // null until the first fetch, so existing alerts aren't announced
+let alertSnoozes = {};
+let unacknowledgedAlerts = 0;
+// Last /api/market-status markets, re-rendered so the pill countdowns tick
+let lastMarkets = [];
+const MARKET_COUNTDOWN_INTERVAL = 30 * 1000;
+const SEARCH_DEBOUNCE_MS = 300;
+// True while /api/stream is delivering updates; polling only runs when it isn't
+let streamConnected = false;
 
 // Dark mode initialization
 const darkModeToggle = document.getElementById('darkModeToggle');
@@ -70,20 +83,42 @@ document.querySelectorAll('.sort-btn').forEach(btn => {
     });
 });
 
-// Range buttons
+// Range buttons — data-hours filter the polled history, data-range loads daily
+// bars and data-interval switches to candlesticks
 document.querySelectorAll('.range-btn').forEach(btn => {
     btn.addEventListener('click', () => {
-        document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+        setActiveRangeButton(btn);
+        if (btn.dataset.interval) {
+            showCandles(currentHistorySymbol, btn.dataset.interval);
+            return;
+        }
+        if (btn.dataset.range) {
+            showDailyBars(currentHistorySymbol, btn.dataset.range);
+            return;
+        }
         const hours = btn.dataset.hours ? parseFloat(btn.dataset.hours) : null;
-        renderChart(filterByHours(currentHistoryData, hours));
+        showHistoryRange(currentHistorySymbol, hours);
     });
 });
 
-function filterByHours(data, hours) {
-    if (!hours) return data;
-    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
-    return data.filter(d => new Date(d.timestamp) >= cutoff);
+function setActiveRangeButton(btn) {
+    document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
+    if (btn) btn.classList.add('active');
+}
+
+// Bucket size for each polled-history range, so no range draws more than ~1500 points
+function historyIntervalFor(hours) {
+    if (!hours) return '1h';
+    return hours <= 24 ? 'raw' : '5m';
+}
+
+// Polled prices for the last `hours` (all of them when hours is null), oldest first
+async function fetchHistory(symbol, hours) {
+    const params = new URLSearchParams({ interval: historyIntervalFor(hours) });
+    if (hours) params.set('from', new Date(Date.now() - hours * 60 * 60 * 1000).toISOString());
+    const response = await fetch(`/api/history/${encodeURIComponent(symbol)}?${params}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).rows;
 }
 
 function formatChartLabel(timestamp, spansMultipleDays) {
@@ -94,6 +129,14 @@ function formatChartLabel(timestamp, spansMultipleDays) {
     return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
 }
 
+// Daily bars are dated YYYY-MM-DD in UTC; show them without a time
+function formatDailyLabel(date, spansYears) {
+    const options = spansYears
+        ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+        : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', options);
+}
+
 // Maps Yahoo marketState values to display style for the session bar
 function marketStateStyle(state, isDark) {
     switch (state) {
@@ -158,16 +201,21 @@ function marketStateBarPlugin(states) {
     };
 }
 
-function renderChart(data) {
+// `daily` data is daily bars mapped to { timestamp: 'YYYY-MM-DD', price: close }
+function renderChart(data, { daily = false } = {}) {
     if (data.length === 0) return;
 
     const first = new Date(data[0].timestamp);
     const last = new Date(data[data.length - 1].timestamp);
     const spansMultipleDays = first.toDateString() !== last.toDateString();
+    const spansYears = last - first > 366 * 24 * 60 * 60 * 1000;
 
-    const labels = data.map(d => formatChartLabel(d.timestamp, spansMultipleDays));
+    const labels = data.map(d => daily
+        ? formatDailyLabel(d.timestamp, spansYears)
+        : formatChartLabel(d.timestamp, spansMultipleDays));
     const prices = data.map(d => d.price);
-    const states = data.map(d => d.market_state ?? null);
+    // Daily bars span sessions, so there's no market-state bar for them
+    const states = daily ? null : data.map(d => d.market_state ?? null);
 
     if (priceChart) priceChart.destroy();
 
@@ -183,7 +231,7 @@ function renderChart(data) {
                 borderColor: '#2563eb',
                 backgroundColor: 'rgba(37, 99, 235, 0.1)',
                 borderWidth: 2,
-                pointRadius: 1,
+                pointRadius: daily ? 0 : 1,
                 fill: true,
                 tension: 0.4
             }]
@@ -197,7 +245,7 @@ function renderChart(data) {
                 tooltip: {
                     callbacks: {
                         afterLabel: (item) => {
-                            const s = states[item.dataIndex];
+                            const s = states?.[item.dataIndex];
                             return s ? `Market: ${marketStateStyle(s, false).label}` : '';
                         }
                     }
@@ -268,12 +316,16 @@ function displayCryptoPrice(symbol, ticker, quote) {
     pill.classList.toggle('pill-negative', change < 0);
 }
 
-function createStockCard(symbol) {
+function createStockCard(symbol, sectionIndex) {
     const stockCard = document.createElement('div');
     stockCard.className = 'stock-card';
     stockCard.setAttribute('data-symbol', symbol);
+    stockCard.dataset.sectionIndex = sectionIndex;
     stockCard.onclick = () => showPriceHistory(symbol);
     stockCard.innerHTML = `
+        <div class="card-actions">
+            <button class="card-action" data-action="remove" title="Remove from watchlist" aria-label="Remove ${symbol} from watchlist"><i class="fas fa-xmark"></i></button>
+        </div>
         <h2>${symbol}</h2>
         <div class="company-name">Loading...</div>
         <div class="stock-price">Loading...</div>
@@ -282,9 +334,61 @@ function createStockCard(symbol) {
             <div class="last-updated">Loading...</div>
         </div>
     `;
+
+    const actions = stockCard.querySelector('.card-actions');
+    // Moving only makes sense between named sections
+    if (sections.length > 1 && sections.every(s => s.name !== null)) {
+        const move = document.createElement('select');
+        move.className = 'card-move';
+        move.title = 'Move to another section';
+        move.setAttribute('aria-label', `Move ${symbol} to another section`);
+        move.add(new Option('Move to…', '', true, true));
+        move.options[0].disabled = true;
+        sections.forEach((section, i) => {
+            if (i !== sectionIndex) move.add(new Option(section.name, i));
+        });
+        move.addEventListener('change', async () => {
+            if (!await moveSymbol(symbol, sectionIndex, Number(move.value))) move.selectedIndex = 0;
+        });
+        actions.prepend(move);
+    }
+    // Keep clicks on the actions from opening the chart
+    actions.addEventListener('click', event => event.stopPropagation());
+    actions.querySelector('[data-action="remove"]').addEventListener('click', () => removeSymbol(symbol, sectionIndex));
     return stockCard;
 }
 
+function createSectionHeader(section, index) {
+    const header = document.createElement('div');
+    header.className = 'section-header';
+    header.dataset.sectionIndex = index;
+    header.innerHTML = `
+        <span class="section-title">
+            <span class="section-name"></span>
+            <span class="section-actions">
+                <button class="section-action" data-action="rename" title="Rename section"><i class="fas fa-pen"></i></button>
+                <button class="section-action" data-action="delete" title="Delete section"><i class="fas fa-trash"></i></button>
+            </span>
+        </span>
+        <span class="section-totals"></span>
+    `;
+    header.querySelector('.section-name').textContent = section.name;
+    header.querySelector('[data-action="rename"]').addEventListener('click', () => renameSection(index));
+    const remove = header.querySelector('[data-action="delete"]');
+    if (sections.length > 1) remove.addEventListener('click', () => deleteSection(index));
+    else remove.remove();
+    return header;
+}
+
+// Recompute a section header's subtotal from the positions of its cards
+function updateSectionTotals(sectionIndex) {
+    const header = document.querySelector(`.section-header[data-section-index="${sectionIndex}"]`);
+    if (!header) return;
+    const symbols = sections[sectionIndex]?.stocks ?? [];
+    const totals = summarizePositions(symbols.map(s => positions[s]));
+    header.querySelector('.section-totals').innerHTML = totals ? buildSectionTotalsHTML(totals) : '';
+}
+
 async function loadWatchlist() {
     try {
         const response = await fetch('/api/watchlist');
@@ -305,22 +409,19 @@ async function loadWatchlist() {
         const container = document.getElementById('stocks-container');
         sections.forEach((section, i) => {
             if (section.name !== null) {
-                const header = document.createElement('div');
-                header.className = 'section-header';
-                header.textContent = section.name;
-                container.appendChild(header);
+                container.appendChild(createSectionHeader(section, i));
             }
             section.stocks.forEach(symbol => {
-                const stockCard = createStockCard(symbol);
-                stockCard.dataset.sectionIndex = i;
+                const stockCard = createStockCard(symbol, i);
                 container.appendChild(stockCard);
 
                 if (data.initialPrices && data.initialPrices[symbol]) {
                     const initialData = data.initialPrices[symbol];
-                    displayStockPrice(symbol, initialData['Global Quote'], initialData.companyName, initialData.fundamentals);
+                    displayStockPrice(symbol, initialData['Global Quote'], initialData.companyName, initialData.fundamentals, initialData.position);
                 }
             });
         });
+        updateWatchlistControls();
 
         fetchAllStockPrices();
     } catch (error) {
@@ -352,25 +453,23 @@ async function checkWatchlistChanges() {
             container.innerHTML = '';
             lastRefreshTime = {};
             lastPrices = {};
+            positions = {};
 
             sections.forEach((section, i) => {
                 if (section.name !== null) {
-                    const header = document.createElement('div');
-                    header.className = 'section-header';
-                    header.textContent = section.name;
-                    container.appendChild(header);
+                    container.appendChild(createSectionHeader(section, i));
                 }
                 section.stocks.forEach(symbol => {
-                    const stockCard = createStockCard(symbol);
-                    stockCard.dataset.sectionIndex = i;
+                    const stockCard = createStockCard(symbol, i);
                     container.appendChild(stockCard);
 
                     if (data.initialPrices && data.initialPrices[symbol]) {
                         const initialData = data.initialPrices[symbol];
-                        displayStockPrice(symbol, initialData['Global Quote'], initialData.companyName, initialData.fundamentals);
+                        displayStockPrice(symbol, initialData['Global Quote'], initialData.companyName, initialData.fundamentals, initialData.position);
                     }
                 });
             });
+            updateWatchlistControls();
 
             fetchAllStockPrices();
         }
@@ -379,6 +478,259 @@ async function checkWatchlistChanges() {
     }
 }
 
+// Send a watchlist edit. The server writes it to config.yaml and reloads the
+// config, which bumps watchlistVersion; the cards are rebuilt from that.
+async function editWatchlist(url, options) {
+    try {
+        const response = await fetch(url, { headers: { 'Content-Type': 'application/json' }, ...options });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast({ icon: 'fa-triangle-exclamation', message: data.error, variant: 'error' });
+            return false;
+        }
+        await checkWatchlistChanges();
+        return true;
+    } catch (error) {
+        console.error('Error editing watchlist:', error);
+        showToast({ icon: 'fa-triangle-exclamation', message: 'Failed to update the watchlist', variant: 'error' });
+        return false;
+    }
+}
+
+function addSymbol(symbol, section) {
+    return editWatchlist('/api/watchlist/symbols', { method: 'POST', body: JSON.stringify({ symbol, section }) });
+}
+
+function removeSymbol(symbol, sectionIndex) {
+    let message = `Remove ${symbol} from the watchlist?`;
+    if (positions[symbol]) message += ' Shares and cost basis written with it in config.yaml are removed too.';
+    if (!confirm(message)) return Promise.resolve(false);
+    return editWatchlist(`/api/watchlist/symbols/${encodeURIComponent(symbol)}?section=${sectionIndex}`, { method: 'DELETE' });
+}
+
+function moveSymbol(symbol, from, section) {
+    return editWatchlist(`/api/watchlist/symbols/${encodeURIComponent(symbol)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ section, from })
+    });
+}
+
+// Cards can be dragged, and sections added, renamed and deleted, in the
+// default order when every section is named (or there is only one)
+function canReorder() {
+    return currentSort === 'default' && (sections.length === 1 || sections.every(s => s.name !== null));
+}
+
+function updateWatchlistControls() {
+    document.getElementById('add-section-btn').style.display =
+        currentSort === 'default' && sections.every(s => s.name !== null) ? '' : 'none';
+    document.querySelectorAll('#stocks-container .stock-card, #stocks-container .section-header').forEach((el) => {
+        el.draggable = canReorder();
+    });
+}
+
+function addSection() {
+    const name = prompt('Name of the new section');
+    if (!name?.trim()) return Promise.resolve(false);
+    return editWatchlist('/api/watchlist', { method: 'PATCH', body: JSON.stringify({ action: 'add', name }) });
+}
+
+function renameSection(index) {
+    const name = prompt('Rename section', sections[index].name);
+    if (!name?.trim() || name.trim() === sections[index].name) return Promise.resolve(false);
+    return editWatchlist('/api/watchlist', { method: 'PATCH', body: JSON.stringify({ action: 'rename', section: index, name }) });
+}
+
+function deleteSection(index) {
+    const { name, stocks: symbols } = sections[index];
+    let message = `Delete the ${name} section?`;
+    if (symbols.length > 0) {
+        message += ` Its ${symbols.length} symbol${symbols.length === 1 ? ' is' : 's are'} removed from the watchlist,` +
+            ' with any shares and cost basis written with them in config.yaml.';
+    }
+    if (!confirm(message)) return Promise.resolve(false);
+    return editWatchlist('/api/watchlist', { method: 'PATCH', body: JSON.stringify({ action: 'delete', section: index }) });
+}
+
+// A section header and the cards under it
+function sectionGroup(header) {
+    const group = [header];
+    for (let el = header.nextElementSibling; el && !el.classList.contains('section-header'); el = el.nextElementSibling) {
+        group.push(el);
+    }
+    return group;
+}
+
+function sectionHeaderOf(el) {
+    while (el && !el.classList.contains('section-header')) el = el.previousElementSibling;
+    return el;
+}
+
+// Save the order the cards are in now, when it differs from config.yaml
+async function saveLayout() {
+    const layout = [];
+    for (const el of document.getElementById('stocks-container').children) {
+        if (el.classList.contains('section-header')) {
+            layout.push({ section: Number(el.dataset.sectionIndex), stocks: [] });
+        } else if (el.classList.contains('stock-card')) {
+            if (layout.length === 0) layout.push({ section: 0, stocks: [] });
+            layout.at(-1).stocks.push(el.dataset.symbol);
+        }
+    }
+    const unchanged = layout.every((s, i) => s.section === i && s.stocks.join() === sections[i].stocks.join());
+    if (unchanged) return;
+    if (!await editWatchlist('/api/watchlist', { method: 'PUT', body: JSON.stringify({ sections: layout }) })) {
+        // Put everything back the way config.yaml has it
+        applySortToContainer();
+    }
+}
+
+// Drag cards within and between sections, or a section header to move the
+// whole section. Elements move as the pointer passes over others; the order
+// is saved when the drag ends.
+function initializeDragAndDrop() {
+    const container = document.getElementById('stocks-container');
+    let dragged = null;
+
+    container.addEventListener('dragstart', (event) => {
+        dragged = canReorder() ? event.target.closest?.('.stock-card, .section-header') : null;
+        if (!dragged) {
+            event.preventDefault();
+            return;
+        }
+        dragged.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag that carries data
+        event.dataTransfer.setData('text/plain', dragged.dataset.symbol ?? dragged.textContent.trim());
+    });
+    container.addEventListener('dragover', (event) => {
+        if (!dragged) return;
+        event.preventDefault();
+        const target = event.target.closest('.stock-card, .section-header');
+        if (!target || target === dragged) return;
+
+        if (dragged.classList.contains('stock-card')) {
+            if (target.classList.contains('section-header')) {
+                target.after(dragged);
+                return;
+            }
+            const rect = target.getBoundingClientRect();
+            if (event.clientX < rect.left + rect.width / 2) target.before(dragged);
+            else target.after(dragged);
+            return;
+        }
+
+        const targetHeader = sectionHeaderOf(target);
+        if (!targetHeader || targetHeader === dragged) return;
+        const headers = [...container.querySelectorAll('.section-header')];
+        const group = sectionGroup(dragged);
+        if (headers.indexOf(targetHeader) < headers.indexOf(dragged)) targetHeader.before(...group);
+        else sectionGroup(targetHeader).at(-1).after(...group);
+    });
+    container.addEventListener('drop', event => event.preventDefault());
+    container.addEventListener('dragend', () => {
+        if (!dragged) return;
+        dragged.classList.remove('dragging');
+        dragged = null;
+        saveLayout();
+    });
+
+    document.getElementById('add-section-btn').addEventListener('click', addSection);
+}
+
+// Header search box: provider symbol search, with Add buttons writing to config.yaml
+function initializeSearch() {
+    const input = document.getElementById('symbol-search-input');
+    const panel = document.getElementById('symbol-search-panel');
+    const results = document.getElementById('symbol-search-results');
+    const target = document.getElementById('symbol-search-target');
+    const sectionSelect = document.getElementById('symbol-search-section');
+    let debounceTimer = null;
+    let latestQuery = '';
+
+    const closePanel = () => { panel.style.display = 'none'; };
+
+    function openPanel() {
+        // Choose the destination section when there are named ones
+        const named = sections.every(s => s.name !== null);
+        target.style.display = named ? '' : 'none';
+        if (named) {
+            const selected = sectionSelect.value;
+            sectionSelect.innerHTML = '';
+            sections.forEach((section, i) => sectionSelect.add(new Option(section.name, i)));
+            if (selected && Number(selected) < sections.length) sectionSelect.value = selected;
+        }
+        panel.style.display = '';
+    }
+
+    function showStatus(text) {
+        const item = document.createElement('li');
+        item.className = 'symbol-search-status';
+        item.textContent = text;
+        results.replaceChildren(item);
+    }
+
+    async function search(query) {
+        latestQuery = query;
+        showStatus('Searching…');
+        openPanel();
+        try {
+            const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+            const data = await response.json();
+            // A newer search is on its way
+            if (query !== latestQuery) return;
+            if (!response.ok) throw new Error(data.error);
+            if (data.results.length > 0) results.innerHTML = data.results.map(r => buildSearchResultHTML(r)).join('');
+            else showStatus(`No matches — press Enter to add ${query.toUpperCase()} as typed`);
+        } catch (error) {
+            if (query !== latestQuery) return;
+            console.error('Error searching symbols:', error);
+            showStatus('Search is unavailable — press Enter to add the symbol as typed');
+        }
+    }
+
+    async function add(symbol) {
+        const section = target.style.display === 'none' ? 0 : Number(sectionSelect.value);
+        if (await addSymbol(symbol, section)) {
+            showToast({ icon: 'fa-check', message: `Added ${symbol} to the watchlist` });
+            input.value = '';
+            latestQuery = '';
+            closePanel();
+        }
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        const query = input.value.trim();
+        if (!query) {
+            latestQuery = '';
+            closePanel();
+            return;
+        }
+        debounceTimer = setTimeout(() => search(query), SEARCH_DEBOUNCE_MS);
+    });
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            closePanel();
+        } else if (event.key === 'Enter' && input.value.trim()) {
+            // The first result that can be added, otherwise the text as typed
+            const first = results.querySelector('.search-result-add');
+            add(first ? first.closest('.search-result').dataset.symbol : input.value.trim().toUpperCase());
+        }
+    });
+    input.addEventListener('focus', () => {
+        if (input.value.trim() && results.children.length > 0) openPanel();
+    });
+    input.addEventListener('click', event => event.stopPropagation());
+    panel.addEventListener('click', event => event.stopPropagation());
+    document.addEventListener('click', closePanel);
+
+    results.addEventListener('click', (event) => {
+        const button = event.target.closest('.search-result-add');
+        if (button) add(button.closest('.search-result').dataset.symbol);
+    });
+}
+
 async function fetchStockPrice(symbol) {
     try {
         const response = await fetch(`/api/stock/${symbol}`);
@@ -389,13 +741,7 @@ async function fetchStockPrice(symbol) {
         const data = await response.json();
 
         if (data['Global Quote']) {
-            lastRefreshTime[symbol] = new Date();
-            const cryptoIdx = cryptoTickers.indexOf(symbol);
-            if (cryptoIdx !== -1) {
-                displayCryptoPrice(cryptoSymbols[cryptoIdx], symbol, data['Global Quote']);
-            } else {
-                displayStockPrice(symbol, data['Global Quote'], data.companyName, data.fundamentals);
-            }
+            applyQuote(symbol, data);
         } else if (data.error) {
             console.error('API Error:', data.error);
         } else {
@@ -406,7 +752,18 @@ async function fetchStockPrice(symbol) {
     }
 }
 
-function displayStockPrice(symbol, quote, companyName, fundamentals = null) {
+// Render a /api/stock/:symbol-shaped payload (from polling or the stream)
+function applyQuote(symbol, data) {
+    lastRefreshTime[symbol] = new Date();
+    const cryptoIdx = cryptoTickers.indexOf(symbol);
+    if (cryptoIdx !== -1) {
+        displayCryptoPrice(cryptoSymbols[cryptoIdx], symbol, data['Global Quote']);
+    } else {
+        displayStockPrice(symbol, data['Global Quote'], data.companyName, data.fundamentals, data.position);
+    }
+}
+
+function displayStockPrice(symbol, quote, companyName, fundamentals = null, position = null) {
     const stockCard = document.querySelector(`.stock-card[data-symbol="${symbol}"]`);
     if (!stockCard) return;
 
@@ -451,6 +808,22 @@ function displayStockPrice(symbol, quote, companyName, fundamentals = null) {
         stockCard.classList.remove('cached');
     }
 
+    let positionStrip = stockCard.querySelector('.position-strip');
+    if (!positionStrip) {
+        positionStrip = document.createElement('div');
+        positionStrip.className = 'position-strip';
+        stockCard.querySelector('.stock-details').after(positionStrip);
+    }
+    if (position) {
+        positions[symbol] = position;
+        positionStrip.innerHTML = buildPositionHTML(position);
+        positionStrip.style.display = '';
+    } else {
+        delete positions[symbol];
+        positionStrip.style.display = 'none';
+    }
+    updateSectionTotals(stockCard.dataset.sectionIndex);
+
     let strip = stockCard.querySelector('.fundamentals-strip');
     if (!strip) {
         strip = document.createElement('div');
@@ -466,29 +839,157 @@ function displayStockPrice(symbol, quote, companyName, fundamentals = null) {
 }
 
 
-async function showPriceHistory(symbol) {
+const CANDLE_UP = '#16a34a';
+const CANDLE_DOWN = '#dc2626';
+
+// Candlesticks from two overlapping floating-bar datasets: a thin low–high
+// wick behind a wider open–close body
+function renderCandles(bars) {
+    if (bars.length === 0) return;
+
+    const first = new Date(bars[0].start);
+    const last = new Date(bars[bars.length - 1].start);
+    const spansMultipleDays = first.toDateString() !== last.toDateString();
+    const labels = bars.map(b => formatChartLabel(b.start, spansMultipleDays));
+    const colors = bars.map(b => (b.close >= b.open ? CANDLE_UP : CANDLE_DOWN));
+
+    if (priceChart) priceChart.destroy();
+
+    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+    const ctx = document.getElementById('priceChart').getContext('2d');
+    priceChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: 'Range',
+                data: bars.map(b => [b.low, b.high]),
+                backgroundColor: colors,
+                barPercentage: 0.15,
+                grouped: false
+            }, {
+                label: `${currentHistorySymbol} Price`,
+                data: bars.map(b => [Math.min(b.open, b.close), Math.max(b.open, b.close)]),
+                backgroundColor: colors,
+                barPercentage: 0.7,
+                minBarLength: 1,
+                grouped: false
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    filter: item => item.datasetIndex === 1,
+                    callbacks: {
+                        label: item => formatCandleTooltip(bars[item.dataIndex])
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    display: true,
+                    ticks: {
+                        maxTicksLimit: 8,
+                        maxRotation: 0
+                    },
+                    grid: { display: false }
+                },
+                y: {
+                    display: true,
+                    title: { display: true, text: 'Price ($)' },
+                    grid: {
+                        color: isDark ? '#404040' : 'rgba(0, 0, 0, 0.05)'
+                    }
+                }
+            },
+            interaction: { intersect: false, mode: 'index' }
+        }
+    });
+}
+
+async function showCandles(symbol, interval) {
+    try {
+        const response = await fetch(`/api/bars/${encodeURIComponent(symbol)}?interval=${interval}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { bars } = await response.json();
+        if (bars.length === 0) {
+            alert('No bars recorded yet');
+            return;
+        }
+        renderCandles(bars);
+    } catch (error) {
+        console.error('Error fetching bars:', error);
+        alert('Error loading candlesticks');
+    }
+}
+
+async function fetchDailyBars(symbol, range) {
+    const response = await fetch(`/api/daily-bars/${encodeURIComponent(symbol)}?range=${range}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).bars;
+}
+
+function renderDailyBars(bars) {
+    renderChart(bars.map(bar => ({ timestamp: bar.date, price: bar.close })), { daily: true });
+}
+
+async function showDailyBars(symbol, range) {
     try {
-        const response = await fetch(`/api/history/${symbol}`);
-        const history = await response.json();
+        const bars = await fetchDailyBars(symbol, range);
+        if (bars.length === 0) {
+            alert('No daily history available yet');
+            return;
+        }
+        renderDailyBars(bars);
+    } catch (error) {
+        console.error('Error fetching daily bars:', error);
+        alert('Error loading daily history');
+    }
+}
 
+async function showHistoryRange(symbol, hours) {
+    try {
+        const history = await fetchHistory(symbol, hours);
         if (history.length === 0) {
-            alert('No historical data available yet');
+            alert('No prices recorded in this range');
             return;
         }
+        renderChart(history);
+    } catch (error) {
+        console.error('Error fetching price history:', error);
+        alert('Error loading price history');
+    }
+}
 
-        currentHistoryData = history.reverse(); // oldest → newest
-        currentHistorySymbol = symbol;
+async function showPriceHistory(symbol) {
+    // Opens on "3D"
+    const defaultHours = 72;
+    try {
+        const history = await fetchHistory(symbol, defaultHours);
 
+        currentHistorySymbol = symbol;
         chartTitle.textContent = `${symbol} Price History`;
 
-        // Reset range buttons to default "3D"
-        const defaultHours = 72;
-        document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
-        const defaultBtn = document.querySelector(`.range-btn[data-hours="${defaultHours}"]`);
-        if (defaultBtn) defaultBtn.classList.add('active');
+        // Nothing polled lately (e.g. just added) — open on the backfilled daily bars
+        if (history.length === 0) {
+            const bars = await fetchDailyBars(symbol, '1Y');
+            if (bars.length === 0) {
+                alert('No historical data available yet');
+                return;
+            }
+            setActiveRangeButton(document.querySelector('.range-btn[data-range="1Y"]'));
+            modal.style.display = 'block';
+            renderDailyBars(bars);
+            return;
+        }
+
+        setActiveRangeButton(document.querySelector(`.range-btn[data-hours="${defaultHours}"]`));
 
         modal.style.display = 'block';
-        renderChart(filterByHours(currentHistoryData, defaultHours));
+        renderChart(history);
     } catch (error) {
         console.error('Error fetching price history:', error);
         alert('Error loading price history');
@@ -511,15 +1012,15 @@ function applySortToContainer() {
         cards.forEach(c => container.appendChild(c));
     } else {
         // Show section headers and restore declared order
-        const headers = [...container.querySelectorAll('.section-header')];
-        headers.forEach(h => { h.style.display = ''; });
+        container.querySelectorAll('.section-header').forEach(h => { h.style.display = ''; });
         sections.forEach((section, i) => {
-            const header = headers[i];
+            const header = container.querySelector(`.section-header[data-section-index="${i}"]`);
             if (header) container.appendChild(header);
             const cards = [...container.querySelectorAll(`.stock-card[data-section-index="${i}"]`)];
             cards.forEach(c => container.appendChild(c));
         });
     }
+    updateWatchlistControls();
 }
 
 function fetchAllStockPrices() {
@@ -534,6 +1035,24 @@ function fetchAllStockPrices() {
     });
 }
 
+async function fetchPortfolioSummary() {
+    try {
+        const res = await fetch('/api/portfolio/summary');
+        updatePortfolioSummary(await res.json());
+    } catch { /* silent */ }
+}
+
+function updatePortfolioSummary(summary) {
+    const band = document.getElementById('portfolio-summary');
+    if (!band) return;
+    if (!summary?.totals) {
+        band.style.display = 'none';
+        return;
+    }
+    band.style.display = '';
+    band.innerHTML = buildPortfolioSummaryHTML(summary);
+}
+
 async function fetchMarketStatus() {
     try {
         const res = await fetch('/api/market-status');
@@ -543,6 +1062,7 @@ async function fetchMarketStatus() {
 }
 
 function updateMarketStatusBar(markets) {
+    lastMarkets = markets;
     const bar = document.getElementById('market-status-bar');
     if (!bar) return;
     if (!markets || markets.length === 0) {
@@ -551,19 +1071,173 @@ function updateMarketStatusBar(markets) {
     }
     bar.style.display = '';
     bar.className = 'market-status-bar';
-    bar.innerHTML = markets.map(buildMarketPillHTML).join('');
+    bar.innerHTML = markets.map(market => buildMarketPillHTML(market)).join('');
 }
 
-function buildMarketPillHTML({ displayName, marketState }) {
-    const stateMap = {
-        REGULAR:   { label: 'Open',   cls: 'pill-open'     },
-        PRE:       { label: 'Pre',    cls: 'pill-extended'  },
-        POST:      { label: 'After',  cls: 'pill-extended'  },
-        PREPRE:    { label: 'Closed', cls: 'pill-closed'    },
-        POSTPOST:  { label: 'Closed', cls: 'pill-closed'    },
-    };
-    const s = stateMap[marketState] ?? { label: 'Closed', cls: 'pill-closed' };
-    return `<span class="market-pill ${s.cls}"><span class="status-dot"></span>${displayName}<span class="pill-status">${s.label}</span></span>`;
+async function fetchAlerts() {
+    try {
+        const query = lastAlertId == null ? 'limit=20' : `afterId=${lastAlertId}`;
+        const res = await fetch(`/api/alerts?${query}`);
+        const data = await res.json();
+        if (lastAlertId != null) {
+            [...data.alerts].reverse().forEach(announceAlert);
+        }
+        lastAlertId = Math.max(lastAlertId ?? 0, ...data.alerts.map(a => a.id));
+        recentAlerts = [...data.alerts, ...recentAlerts].slice(0, 20);
+        alertSnoozes = Object.fromEntries(data.snoozes.map(s => [s.ruleId, s.until]));
+        unacknowledgedAlerts = data.unacknowledged;
+        renderAlertPanel();
+    } catch { /* silent */ }
+}
+
+// An alert pushed over the stream
+function receiveAlert(alert) {
+    if (lastAlertId == null || alert.id <= lastAlertId) return;
+    lastAlertId = alert.id;
+    recentAlerts = [alert, ...recentAlerts].slice(0, 20);
+    unacknowledgedAlerts++;
+    announceAlert(alert);
+    renderAlertPanel();
+}
+
+function announceAlert(alert) {
+    showToast({ icon: 'fa-bell', message: alert.message, variant: 'alert', duration: 8000, onClick: openAlertPanel });
+    if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification('Portfolio Wrangler', { body: alert.message, tag: `alert-${alert.id}` });
+    }
+}
+
+function renderAlertPanel() {
+    const badge = document.getElementById('alert-badge');
+    badge.textContent = unacknowledgedAlerts > 99 ? '99+' : String(unacknowledgedAlerts);
+    badge.style.display = unacknowledgedAlerts > 0 ? '' : 'none';
+
+    const now = Date.now();
+    const list = document.getElementById('alert-list');
+    list.innerHTML = recentAlerts.length === 0
+        ? '<li class="alert-list-empty">No alerts yet</li>'
+        : recentAlerts.map(alert => buildAlertItemHTML(alert, {
+            snoozed: alertSnoozes[alert.rule_id] != null && new Date(alertSnoozes[alert.rule_id]).getTime() > now,
+            now
+        })).join('');
+
+    // Browser notifications need a secure context (https or localhost)
+    const notifyBtn = document.getElementById('alert-notify-btn');
+    notifyBtn.style.display = 'Notification' in window && window.isSecureContext && Notification.permission === 'default' ? '' : 'none';
+}
+
+function openAlertPanel() {
+    document.getElementById('alert-panel').style.display = '';
+    document.getElementById('alertBell').setAttribute('aria-expanded', 'true');
+}
+
+function closeAlertPanel() {
+    document.getElementById('alert-panel').style.display = 'none';
+    document.getElementById('alertBell').setAttribute('aria-expanded', 'false');
+}
+
+async function acknowledgeAlerts(ids) {
+    try {
+        const res = await fetch('/api/alerts/acknowledge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(ids ? { ids } : {})
+        });
+        const { unacknowledged } = await res.json();
+        const acknowledgedAt = new Date().toISOString();
+        for (const alert of recentAlerts) {
+            if (!ids || ids.includes(alert.id)) alert.acknowledged_at ??= acknowledgedAt;
+        }
+        unacknowledgedAlerts = unacknowledged;
+        renderAlertPanel();
+    } catch (error) {
+        console.error('Error acknowledging alerts:', error);
+    }
+}
+
+async function snoozeAlert(id) {
+    try {
+        const res = await fetch(`/api/alerts/${id}/snooze`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ minutes: ALERT_SNOOZE_MINUTES })
+        });
+        const { ruleId, until } = await res.json();
+        alertSnoozes[ruleId] = until;
+        const alert = recentAlerts.find(a => a.id === id);
+        if (alert && alert.acknowledged_at == null) {
+            alert.acknowledged_at = new Date().toISOString();
+            unacknowledgedAlerts = Math.max(0, unacknowledgedAlerts - 1);
+        }
+        renderAlertPanel();
+    } catch (error) {
+        console.error('Error snoozing alert:', error);
+    }
+}
+
+function initializeAlertMenu() {
+    const bell = document.getElementById('alertBell');
+    const panel = document.getElementById('alert-panel');
+
+    bell.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (panel.style.display === 'none') openAlertPanel();
+        else closeAlertPanel();
+    });
+    panel.addEventListener('click', event => event.stopPropagation());
+    document.addEventListener('click', closeAlertPanel);
+
+    document.getElementById('alert-ack-all').addEventListener('click', () => acknowledgeAlerts());
+    document.getElementById('alert-notify-btn').addEventListener('click', async () => {
+        await Notification.requestPermission();
+        renderAlertPanel();
+    });
+    document.getElementById('alert-list').addEventListener('click', (event) => {
+        const button = event.target.closest('.alert-action');
+        if (!button) return;
+        const id = Number(button.closest('.alert-item').dataset.alertId);
+        if (button.dataset.action === 'ack') acknowledgeAlerts([id]);
+        else if (button.dataset.action === 'snooze') snoozeAlert(id);
+    });
+}
+
+// Subscribe to /api/stream. EventSource reconnects on its own; while it is
+// down, streamConnected is false and the polling loops take over.
+function connectStream() {
+    if (!('EventSource' in window)) return;
+    const stream = new EventSource('/api/stream');
+
+    stream.addEventListener('hello', (event) => {
+        const data = JSON.parse(event.data);
+        streamConnected = true;
+        if (initialCommitHash && data.version.commitHash !== initialCommitHash) {
+            showUpdateToast();
+            return;
+        }
+        if (currentWatchlistVersion !== null && data.watchlistVersion !== currentWatchlistVersion) {
+            checkWatchlistChanges();
+        }
+        updateMarketStatusBar(data.markets);
+        for (const [symbol, quote] of Object.entries(data.prices)) {
+            applyQuote(symbol, quote);
+        }
+        if (currentSort !== 'default') applySortToContainer();
+        // Pick up anything fired while disconnected
+        fetchAlerts();
+    });
+    stream.addEventListener('price', (event) => {
+        const { symbol, ...quote } = JSON.parse(event.data);
+        applyQuote(symbol, quote);
+        if (currentSort !== 'default') applySortToContainer();
+    });
+    stream.addEventListener('market-status', event => updateMarketStatusBar(JSON.parse(event.data).markets));
+    stream.addEventListener('watchlist', (event) => {
+        if (JSON.parse(event.data).watchlistVersion !== currentWatchlistVersion) checkWatchlistChanges();
+    });
+    stream.addEventListener('alert', event => receiveAlert(JSON.parse(event.data)));
+    stream.addEventListener('error', () => {
+        streamConnected = false;
+    });
 }
 
 async function loadVersion() {
@@ -595,12 +1269,40 @@ async function checkForUpdates() {
     }
 }
 
-function showUpdateToast() {
+// Show a toast in the bottom stack; duration 0 keeps it until the page changes
+function showToast({ icon, message, variant = 'info', duration = 6000, onClick = null }) {
+    let stack = document.getElementById('toast-stack');
+    if (!stack) {
+        stack = document.createElement('div');
+        stack.id = 'toast-stack';
+        stack.className = 'toast-stack';
+        document.body.appendChild(stack);
+    }
+
     const toast = document.createElement('div');
-    toast.className = 'update-toast';
-    toast.innerHTML = '<i class="fas fa-arrows-rotate"></i> New version deployed — refreshing...';
-    document.body.appendChild(toast);
+    toast.className = `toast toast-${variant}`;
+    toast.innerHTML = `<i class="fas ${icon}"></i><span></span>`;
+    toast.querySelector('span').textContent = message;
+    if (onClick) {
+        toast.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+            dismissToast(toast);
+        });
+    }
+    stack.appendChild(toast);
     requestAnimationFrame(() => requestAnimationFrame(() => toast.classList.add('show')));
+    if (duration) setTimeout(() => dismissToast(toast), duration);
+    return toast;
+}
+
+function dismissToast(toast) {
+    toast.classList.remove('show');
+    setTimeout(() => toast.remove(), 350);
+}
+
+function showUpdateToast() {
+    showToast({ icon: 'fa-arrows-rotate', message: 'New version deployed — refreshing...', duration: 0 });
     setTimeout(() => window.location.reload(), 4000);
 }
 
@@ -609,11 +1311,28 @@ initializeDarkMode();
 loadWatchlist();
 loadVersion();
 fetchMarketStatus();
+fetchPortfolioSummary();
+initializeAlertMenu();
+initializeSearch();
+initializeDragAndDrop();
+fetchAlerts();
+connectStream();
+
+// Polling fallback for when the stream is down. Alerts are polled more often
+// than prices so toasts appear promptly.
+setInterval(() => {
+    if (!streamConnected) fetchAlerts();
+}, ALERT_POLL_INTERVAL);
+
+setInterval(() => updateMarketStatusBar(lastMarkets), MARKET_COUNTDOWN_INTERVAL);
 
 // Auto-refresh — also checks for watchlist changes and new deployments
 setInterval(() => {
-    checkWatchlistChanges();
-    fetchAllStockPrices();
-    checkForUpdates();
-    fetchMarketStatus();
+    if (!streamConnected) {
+        checkWatchlistChanges();
+        fetchAllStockPrices();
+        checkForUpdates();
+        fetchMarketStatus();
+    }
+    fetchPortfolioSummary();
 }, REFRESH_INTERVAL);
@@ -1,49 +1,71 @@
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadMigrations, runMigrations } from './lib/migrations.js';
+import { openStorage, enableTimescale } from './lib/storage.js';
 
 // Recreate __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Database initialization
-export async function initializeDatabase() {
-    const db = await open({
-        filename: path.join(__dirname, 'data', 'stocks.db'),
-        driver: sqlite3.Database
-    });
+// SQLite database file, unless storage.sqlite.path or DATABASE_PATH says otherwise
+export const SQLITE_FILE = path.join(__dirname, 'data', 'stocks.db');
 
-    // Create tables if they don't exist
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS price_history (
-            symbol TEXT,
-            timestamp DATETIME,
-            price REAL,
-            change REAL,
-            change_percent REAL,
-            PRIMARY KEY (symbol, timestamp)
-        );
-        
-        CREATE INDEX IF NOT EXISTS idx_symbol_timestamp 
-        ON price_history(symbol, timestamp);
-    `);
-
-    // Migration: add market_state column to databases created before it existed
-    const columns = await db.all(`PRAGMA table_info(price_history)`);
-    if (!columns.some(c => c.name === 'market_state')) {
-        await db.exec(`ALTER TABLE price_history ADD COLUMN market_state TEXT`);
+// SQLite file for storage settings; relative paths are taken from the app directory
+export function sqliteFileFor(settings) {
+    const configured = settings?.sqlite?.path;
+    return configured ? path.resolve(__dirname, configured) : SQLITE_FILE;
+}
+
+// Numbered schema migrations, applied in order on startup (see lib/migrations.js)
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Bring a database up to the current schema.
+ *
+ * @param {Object} db - Storage handle (see lib/storage.js)
+ * @param {Object} [options] - Passed to runMigrations (onApply, now)
+ * @returns {Promise<{ from: number, to: number, applied: string[] }>}
+ * @throws {Error} When the database was migrated by a newer release
+ */
+export async function migrateDatabase(db, options) {
+    return runMigrations(db, await loadMigrations(MIGRATIONS_DIR), options);
+}
+
+/**
+ * Open the configured storage and bring it up to the current schema.
+ *
+ * @param {Object} [settings] - From parseStorageConfig; SQLite when omitted
+ * @returns {Promise<Object>} Storage handle, passed as `db` to every function below
+ */
+export async function initializeDatabase(settings = { driver: 'sqlite' }) {
+    const db = await openStorage(settings, { sqliteFile: sqliteFileFor(settings) });
+
+    try {
+        const { from, to, applied } = await migrateDatabase(db);
+        if (applied.length > 0) {
+            console.log(`Database schema migrated from version ${from} to ${to} (${applied.join(', ')})`);
+        }
+        if (settings.postgres?.timescale) {
+            await enableTimescale(db);
+        }
+    } catch (error) {
+        await db.close();
+        throw error;
     }
 
     return db;
 }
 
 // Add price data to history
-export async function addPriceHistory(db, symbol, price, change, changePercent, marketState = null) {
-    const timestamp = new Date().toISOString();
+export async function addPriceHistory(db, symbol, price, change, changePercent, marketState = null, timestamp = new Date().toISOString()) {
     await db.run(
-        `INSERT OR REPLACE INTO price_history (symbol, timestamp, price, change, change_percent, market_state)
-         VALUES (?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO price_history (symbol, timestamp, price, change, change_percent, market_state)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(symbol, timestamp) DO UPDATE SET
+            price = excluded.price,
+            change = excluded.change,
+            change_percent = excluded.change_percent,
+            market_state = excluded.market_state`,
         [symbol, timestamp, price, change, changePercent, marketState]
     );
 }
@@ -59,6 +81,86 @@ export async function getPriceHistory(db, symbol, limit = 5000) {
     );
 }
 
+// Get price history between two timestamps, oldest first. With bucketMs only the
+// last row in each bucket is returned. `limit` keeps the newest rows and
+// `truncated` reports whether older ones were left out.
+export async function getPriceHistoryRange(db, symbol, { from, to, bucketMs = 0, limit = 5000 } = {}) {
+    const where = ['symbol = ?'];
+    const params = [symbol];
+    if (from) {
+        where.push('timestamp >= ?');
+        params.push(from);
+    }
+    if (to) {
+        where.push('timestamp <= ?');
+        params.push(to);
+    }
+    const source = bucketMs > 0
+        ? `SELECT * FROM (
+               SELECT *, ROW_NUMBER() OVER (
+                   PARTITION BY ${db.epochSeconds('timestamp')} / ?
+                   ORDER BY timestamp DESC
+               ) AS rn
+               FROM price_history WHERE ${where.join(' AND ')}
+           ) ranked WHERE rn = 1`
+        : `SELECT * FROM price_history WHERE ${where.join(' AND ')}`;
+    const rows = await db.all(
+        `SELECT symbol, timestamp, price, change, change_percent, market_state FROM (${source}) history
+         ORDER BY timestamp DESC
+         LIMIT ?`,
+        [...(bucketMs > 0 ? [Math.max(1, Math.floor(bucketMs / 1000))] : []), ...params, limit + 1]
+    );
+    return { rows: rows.slice(0, limit).reverse(), truncated: rows.length > limit };
+}
+
+// Symbols with stored price history, alphabetically
+export async function getPriceHistorySymbols(db) {
+    const rows = await db.all(`SELECT DISTINCT symbol FROM price_history ORDER BY symbol`);
+    return rows.map(row => row.symbol);
+}
+
+// Every price_history row for a symbol within [from, to] (either optional), oldest first, for exports
+export async function exportPriceHistory(db, symbol, { from, to } = {}) {
+    const where = ['symbol = ?'];
+    const params = [symbol];
+    if (from) {
+        where.push('timestamp >= ?');
+        params.push(from);
+    }
+    if (to) {
+        where.push('timestamp <= ?');
+        params.push(to);
+    }
+    return await db.all(
+        `SELECT symbol, timestamp, price, change, change_percent, market_state FROM price_history
+         WHERE ${where.join(' AND ')}
+         ORDER BY timestamp ASC`,
+        params
+    );
+}
+
+const MERGE_CHUNK_SIZE = 500;
+
+// Insert imported price_history rows in one transaction, skipping any (symbol, timestamp) already
+// stored so restores never overwrite or duplicate; returns how many rows were inserted
+export async function mergePriceHistory(db, rows) {
+    let inserted = 0;
+    await db.transaction(async (tx) => {
+        for (let i = 0; i < rows.length; i += MERGE_CHUNK_SIZE) {
+            const chunk = rows.slice(i, i + MERGE_CHUNK_SIZE);
+            const result = await tx.run(
+                `INSERT INTO price_history (symbol, timestamp, price, change, change_percent, market_state)
+                 VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+                 ON CONFLICT(symbol, timestamp) DO NOTHING`,
+                chunk.flatMap(row => [row.symbol, row.timestamp, row.price, row.change ?? null,
+                    row.change_percent ?? null, row.market_state ?? null])
+            );
+            inserted += result.changes;
+        }
+    });
+    return inserted;
+}
+
 // Get the latest price for a symbol
 export async function getLatestPrice(db, symbol) {
     return await db.get(
@@ -68,4 +170,307 @@ export async function getLatestPrice(db, symbol) {
          LIMIT 1`,
         [symbol]
     );
-}
\ No newline at end of file
+}
+
+const TRANSACTION_COLUMNS = ['symbol', 'type', 'date', 'shares', 'price', 'amount', 'fees', 'ratio', 'lot_id', 'notes'];
+
+// Add a ledger transaction; returns the new row id
+export async function addTransaction(db, tx) {
+    const row = await db.get(
+        `INSERT INTO transactions (${TRANSACTION_COLUMNS.join(', ')}, created_at)
+         VALUES (${TRANSACTION_COLUMNS.map(() => '?').join(', ')}, ?)
+         RETURNING id`,
+        [...TRANSACTION_COLUMNS.map(c => tx[c] ?? (c === 'fees' ? 0 : null)), new Date().toISOString()]
+    );
+    return row.id;
+}
+
+// Get ledger transactions in date order, optionally for a single symbol
+export async function getTransactions(db, { symbol } = {}) {
+    if (symbol) {
+        return await db.all(
+            `SELECT * FROM transactions WHERE symbol = ? ORDER BY date ASC, id ASC`,
+            [symbol]
+        );
+    }
+    return await db.all(`SELECT * FROM transactions ORDER BY date ASC, id ASC`);
+}
+
+// Get a single transaction by id
+export async function getTransaction(db, id) {
+    return await db.get(`SELECT * FROM transactions WHERE id = ?`, [id]);
+}
+
+// Replace a transaction's fields; returns true when a row was updated
+export async function updateTransaction(db, id, tx) {
+    const result = await db.run(
+        `UPDATE transactions SET ${TRANSACTION_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...TRANSACTION_COLUMNS.map(c => tx[c] ?? (c === 'fees' ? 0 : null)), id]
+    );
+    return result.changes > 0;
+}
+
+// Delete a transaction; returns true when a row was removed
+export async function deleteTransaction(db, id) {
+    const result = await db.run(`DELETE FROM transactions WHERE id = ?`, [id]);
+    return result.changes > 0;
+}
+
+// Insert many transactions atomically (used by CSV import); returns the count written
+export async function importTransactions(db, transactions) {
+    await db.transaction(async (tx) => {
+        for (const transaction of transactions) {
+            await addTransaction(tx, transaction);
+        }
+    });
+    return transactions.length;
+}
+
+// Get the last recorded price at or before a timestamp (used to value open lots)
+export async function getPriceAt(db, symbol, timestamp) {
+    return await db.get(
+        `SELECT * FROM price_history
+         WHERE symbol = ? AND timestamp <= ?
+         ORDER BY timestamp DESC
+         LIMIT 1`,
+        [symbol, timestamp]
+    );
+}
+
+// Record a fired price alert; returns the new row id
+export async function addAlert(db, alert) {
+    const row = await db.get(
+        `INSERT INTO alerts (rule_id, symbol, type, message, price, threshold, fired_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         RETURNING id`,
+        [alert.ruleId, alert.symbol, alert.type, alert.message, alert.price ?? null, alert.threshold ?? null, alert.firedAt]
+    );
+    return row.id;
+}
+
+// Get fired alerts, newest first. `symbol` narrows to one symbol and
+// `afterId` returns only alerts stored after that id (for polling clients).
+export async function getAlerts(db, { symbol, afterId, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (symbol) {
+        where.push('symbol = ?');
+        params.push(symbol);
+    }
+    if (afterId != null) {
+        where.push('id > ?');
+        params.push(afterId);
+    }
+    return await db.all(
+        `SELECT * FROM alerts ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY fired_at DESC, id DESC LIMIT ?`,
+        [...params, limit]
+    );
+}
+
+// Get a single fired alert by id
+export async function getAlert(db, id) {
+    return await db.get(`SELECT * FROM alerts WHERE id = ?`, [id]);
+}
+
+// Number of fired alerts not yet acknowledged (the bell badge)
+export async function countUnacknowledgedAlerts(db) {
+    const row = await db.get(`SELECT COUNT(*) AS count FROM alerts WHERE acknowledged_at IS NULL`);
+    return row.count;
+}
+
+// Mark alerts as seen — the given ids, or every unacknowledged alert when ids is omitted.
+// Returns the number of alerts changed.
+export async function acknowledgeAlerts(db, ids) {
+    const acknowledgedAt = new Date().toISOString();
+    if (ids === undefined) {
+        const result = await db.run(
+            `UPDATE alerts SET acknowledged_at = ? WHERE acknowledged_at IS NULL`,
+            [acknowledgedAt]
+        );
+        return result.changes;
+    }
+    if (ids.length === 0) return 0;
+    const result = await db.run(
+        `UPDATE alerts SET acknowledged_at = ?
+         WHERE acknowledged_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+        [acknowledgedAt, ...ids]
+    );
+    return result.changes;
+}
+
+// Silence a rule until the given time (replaces any existing snooze)
+export async function setAlertSnooze(db, ruleId, until) {
+    await db.run(
+        `INSERT INTO alert_snoozes (rule_id, until) VALUES (?, ?)
+         ON CONFLICT(rule_id) DO UPDATE SET until = excluded.until`,
+        [ruleId, until]
+    );
+}
+
+// Snoozes still in effect at `now`; expired ones are removed
+export async function getAlertSnoozes(db, now = new Date().toISOString()) {
+    await db.run(`DELETE FROM alert_snoozes WHERE until <= ?`, [now]);
+    return await db.all(`SELECT * FROM alert_snoozes ORDER BY until ASC`);
+}
+
+// Lift a snooze early; returns true when one was removed
+export async function deleteAlertSnooze(db, ruleId) {
+    const result = await db.run(`DELETE FROM alert_snoozes WHERE rule_id = ?`, [ruleId]);
+    return result.changes > 0;
+}
+
+// Record the outcome of sending an alert to a notification channel
+export async function addAlertDelivery(db, delivery) {
+    const row = await db.get(
+        `INSERT INTO alert_deliveries (alert_id, channel, channel_type, status, attempts, error, delivered_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         RETURNING id`,
+        [delivery.alertId ?? null, delivery.channel, delivery.channelType, delivery.status,
+            delivery.attempts, delivery.error ?? null, delivery.deliveredAt]
+    );
+    return row.id;
+}
+
+// Get the delivery log, newest first, optionally for a single alert
+export async function getAlertDeliveries(db, { alertId, limit = 100 } = {}) {
+    if (alertId != null) {
+        return await db.all(
+            `SELECT * FROM alert_deliveries WHERE alert_id = ? ORDER BY delivered_at DESC, id DESC LIMIT ?`,
+            [alertId, limit]
+        );
+    }
+    return await db.all(`SELECT * FROM alert_deliveries ORDER BY delivered_at DESC, id DESC LIMIT ?`, [limit]);
+}
+
+// Insert or replace daily OHLCV bars for a symbol in one transaction; returns the count written
+export async function upsertDailyBars(db, symbol, bars) {
+    await db.transaction(async (tx) => {
+        for (const bar of bars) {
+            await tx.run(
+                `INSERT INTO daily_bars (symbol, date, open, high, low, close, volume)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(symbol, date) DO UPDATE SET
+                    open = excluded.open,
+                    high = excluded.high,
+                    low = excluded.low,
+                    close = excluded.close,
+                    volume = excluded.volume`,
+                [symbol, bar.date, bar.open ?? null, bar.high ?? null, bar.low ?? null, bar.close, bar.volume ?? null]
+            );
+        }
+    });
+    return bars.length;
+}
+
+// Get daily bars for a symbol, oldest first, optionally from a YYYY-MM-DD date onwards
+export async function getDailyBars(db, symbol, { from } = {}) {
+    return await db.all(
+        `SELECT date, open, high, low, close, volume FROM daily_bars
+         WHERE symbol = ? AND date >= ?
+         ORDER BY date ASC`,
+        [symbol, from ?? '']
+    );
+}
+
+// Date (YYYY-MM-DD) of the newest daily bar stored for a symbol, or null
+export async function getLatestDailyBarDate(db, symbol) {
+    const row = await db.get(`SELECT MAX(date) AS date FROM daily_bars WHERE symbol = ?`, [symbol]);
+    return row?.date ?? null;
+}
+
+// Merge one-tick bars into the stored intraday bars (see lib/bars.js)
+export async function upsertBars(db, bars) {
+    for (const bar of bars) {
+        await db.run(
+            `INSERT INTO bars (symbol, interval, start, open, high, low, close, volume)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(symbol, interval, start) DO UPDATE SET
+                high = ${db.greatest('bars.high', 'excluded.high')},
+                low = ${db.least('bars.low', 'excluded.low')},
+                close = excluded.close,
+                volume = bars.volume + excluded.volume`,
+            [bar.symbol, bar.interval, bar.start, bar.open, bar.high, bar.low, bar.close, bar.volume ?? 0]
+        );
+    }
+}
+
+// Apply writes batched by the write queue (lib/writeQueue.js) in one transaction, in order. Each is
+// { type: 'price', symbol, timestamp, price, change, changePercent, marketState } or { type: 'bars', bars }
+export async function applyQueuedWrites(db, writes) {
+    await db.transaction(async (tx) => {
+        for (const write of writes) {
+            if (write.type === 'bars') {
+                await upsertBars(tx, write.bars);
+            } else {
+                await addPriceHistory(tx, write.symbol, write.price, write.change, write.changePercent,
+                    write.marketState ?? null, write.timestamp);
+            }
+        }
+    });
+}
+
+// Get the most recent intraday bars for a symbol and interval, oldest first
+export async function getBars(db, symbol, interval, limit = 500) {
+    const rows = await db.all(
+        `SELECT start, open, high, low, close, volume FROM bars
+         WHERE symbol = ? AND interval = ?
+         ORDER BY start DESC
+         LIMIT ?`,
+        [symbol, interval, limit]
+    );
+    return rows.reverse();
+}
+
+// Keep only the last price_history row per symbol and bucket in [from, to); returns rows removed
+export async function thinPriceHistory(db, { from, to, bucketMs }) {
+    const result = await db.run(
+        `DELETE FROM price_history WHERE (symbol, timestamp) IN (
+            SELECT symbol, timestamp FROM (
+                SELECT symbol, timestamp, ROW_NUMBER() OVER (
+                    PARTITION BY symbol, ${db.epochSeconds('timestamp')} / ?
+                    ORDER BY timestamp DESC
+                ) AS rn
+                FROM price_history
+                WHERE timestamp >= ? AND timestamp < ?
+            ) ranked WHERE rn > 1
+        )`,
+        [Math.max(1, Math.floor(bucketMs / 1000)), from, to]
+    );
+    return result.changes;
+}
+
+// Delete price_history rows older than a timestamp; returns rows removed
+export async function deletePriceHistoryBefore(db, before) {
+    const result = await db.run(`DELETE FROM price_history WHERE timestamp < ?`, [before]);
+    return result.changes;
+}
+
+// Delete intraday bars of one interval that start before a timestamp; returns rows removed
+export async function deleteBarsBefore(db, interval, before) {
+    const result = await db.run(`DELETE FROM bars WHERE interval = ? AND start < ?`, [interval, before]);
+    return result.changes;
+}
+
+const STORAGE_TABLES = ['price_history', 'bars', 'daily_bars', 'transactions', 'alerts', 'alert_deliveries'];
+
+// Row counts, price_history span and database size figures for the storage endpoint
+export async function getStorageStats(db) {
+    const rows = {};
+    for (const table of STORAGE_TABLES) {
+        rows[table] = (await db.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+    }
+    const span = await db.get(`SELECT MIN(timestamp) AS oldest, MAX(timestamp) AS newest FROM price_history`);
+    const { sizeBytes, freeBytes } = await db.size();
+    return {
+        rows,
+        priceHistory: { oldest: span.oldest ?? null, newest: span.newest ?? null },
+        sizeBytes,
+        freeBytes
+    };
+}
+
+// Return space freed by deletes (SQLite rebuilds the file; PostgreSQL marks it reusable)
+export async function vacuumDatabase(db) {
+    await db.vacuum(STORAGE_TABLES);
+}
@@ -0,0 +1,118 @@
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import { initializeDatabase, getTransactions, importTransactions } from './db.js';
+import { parseConfigFile } from './lib/configLoader.js';
+import { loadMappings } from './lib/brokerMappings.js';
+import { planImport } from './lib/importer.js';
+import { createYahooFinanceClient } from './lib/yahooClient.js';
+import { parseProviderConfig, createProvider, createMarketData } from './lib/marketData.js';
+import { parseStorageConfig } from './lib/storage.js';
+
+// Command-line broker CSV import:
+//   node import.js <export.csv> [--broker <name>] [--dry-run]
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function parseArgs(argv) {
+    const args = { file: null, broker: undefined, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--broker') args.broker = argv[++i];
+        else if (arg === '--dry-run') args.dryRun = true;
+        else if (!args.file) args.file = arg;
+    }
+    return args;
+}
+
+function loadImportConfig() {
+    const configPath = process.env.CONFIG_PATH || path.join(__dirname, 'config.yaml');
+    try {
+        return parseConfigFile(configPath).config;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Ignoring config file (${error.message}); using built-in mappings only`);
+        }
+        return {};
+    }
+}
+
+function printPlan(plan) {
+    console.log(`Broker mapping: ${plan.broker}`);
+    const { total, new: added, duplicate, invalid, skipped } = plan.summary;
+    console.log(`Rows: ${total} — new: ${added}, duplicate: ${duplicate}, invalid: ${invalid}, skipped: ${skipped}`);
+
+    for (const row of plan.rows.filter(r => r.status === 'invalid')) {
+        console.log(`  line ${row.line}: ${row.errors.join('; ')}`);
+    }
+
+    if (plan.positionChanges.length > 0) {
+        console.log('Position changes:');
+        for (const c of plan.positionChanges) {
+            console.log(`  ${c.symbol}: ${c.sharesBefore} → ${c.sharesAfter} shares`);
+        }
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('Usage: node import.js <export.csv> [--broker <name>] [--dry-run]');
+        process.exit(1);
+    }
+
+    const text = fs.readFileSync(args.file, 'utf8');
+    const config = loadImportConfig();
+    const mappings = loadMappings(config);
+    const yahooClient = createYahooFinanceClient(process.env);
+    const { sources, order, symbols, cooldownMs } = parseProviderConfig(config.providers);
+    const marketData = createMarketData({
+        providers: sources.map(source => createProvider(source, { yahooClient })),
+        order,
+        symbols,
+        cooldownMs
+    });
+
+    const dataDir = path.join(__dirname, 'data');
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir);
+    }
+    const storage = parseStorageConfig(config.storage);
+    if (storage.errors.length > 0) {
+        throw new Error(`invalid storage setting — ${storage.errors.join('; ')}`);
+    }
+    const db = await initializeDatabase(storage);
+
+    try {
+        const plan = await planImport({
+            text,
+            mappings,
+            broker: args.broker,
+            existing: await getTransactions(db),
+            validateSymbol: async (symbol) => {
+                try {
+                    return (await marketData.quote([symbol])).length > 0;
+                } catch {
+                    return false;
+                }
+            }
+        });
+        printPlan(plan);
+
+        if (args.dryRun) {
+            console.log('Dry run — nothing written');
+            return;
+        }
+        const imported = await importTransactions(db, plan.rows.filter(r => r.status === 'new').map(r => r.transaction));
+        console.log(`Imported ${imported} transaction(s)`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+});
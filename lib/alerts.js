@@ -0,0 +1,199 @@
+/**
+ * Price alert rules from config.yaml and their evaluation against polled quotes.
+ *
+ * Rules are edge-triggered: an alert fires when its condition becomes true,
+ * then re-arms once the condition is false again. `cooldownMinutes` stops a
+ * price hovering around a threshold from firing over and over.
+ */
+
+export const ALERT_TYPES = ['above', 'below', 'dayChange', 'move', '52wHigh', '52wLow'];
+
+const DEFAULT_COOLDOWN_MINUTES = 30;
+const MINUTE = 60 * 1000;
+
+/**
+ * Validate and normalise the `alerts:` block of config.yaml.
+ *
+ * Rule shapes:
+ *   { symbol, type: above|below, price }
+ *   { symbol, type: dayChange, percent }            — |day change %| >= percent
+ *   { symbol, type: move, percent, minutes }        — |move %| within the last N minutes
+ *   { symbol, type: 52wHigh|52wLow }                — price reaches the 52-week high/low
+ * Every rule accepts an optional `cooldownMinutes`.
+ *
+ * @param {Array} rawAlerts - Parsed YAML list (may be undefined)
+ * @returns {{ rules: Object[], errors: string[] }}
+ */
+export function parseAlertRules(rawAlerts) {
+    const rules = [];
+    const errors = [];
+    if (rawAlerts == null) return { rules, errors };
+    if (!Array.isArray(rawAlerts)) {
+        return { rules, errors: ['alerts must be a list'] };
+    }
+
+    rawAlerts.forEach((raw, index) => {
+        const where = `alerts[${index}]`;
+        const symbol = typeof raw?.symbol === 'string' ? raw.symbol.trim().toUpperCase() : '';
+        if (!symbol) {
+            errors.push(`${where}: symbol is required`);
+            return;
+        }
+        if (!ALERT_TYPES.includes(raw.type)) {
+            errors.push(`${where}: type must be one of ${ALERT_TYPES.join(', ')}`);
+            return;
+        }
+
+        const rule = {
+            symbol,
+            type: raw.type,
+            price: null,
+            percent: null,
+            minutes: null,
+            cooldownMinutes: Number.isFinite(raw.cooldownMinutes) && raw.cooldownMinutes >= 0
+                ? raw.cooldownMinutes
+                : DEFAULT_COOLDOWN_MINUTES
+        };
+
+        if (raw.type === 'above' || raw.type === 'below') {
+            if (!Number.isFinite(raw.price)) {
+                errors.push(`${where}: price is required for ${raw.type}`);
+                return;
+            }
+            rule.price = raw.price;
+        } else if (raw.type === 'dayChange' || raw.type === 'move') {
+            if (!(Number.isFinite(raw.percent) && raw.percent > 0)) {
+                errors.push(`${where}: percent must be a positive number for ${raw.type}`);
+                return;
+            }
+            rule.percent = raw.percent;
+            if (raw.type === 'move') {
+                if (!(Number.isFinite(raw.minutes) && raw.minutes > 0)) {
+                    errors.push(`${where}: minutes must be a positive number for move`);
+                    return;
+                }
+                rule.minutes = raw.minutes;
+            }
+        }
+
+        rule.id = alertRuleId(rule);
+        rules.push(rule);
+    });
+
+    return { rules, errors };
+}
+
+/**
+ * Stable identifier for a rule, so its fired history survives config reloads.
+ */
+export function alertRuleId(rule) {
+    const parts = [rule.symbol, rule.type];
+    if (rule.price != null) parts.push(rule.price);
+    if (rule.percent != null) parts.push(`${rule.percent}%`);
+    if (rule.minutes != null) parts.push(`${rule.minutes}m`);
+    return parts.join(':');
+}
+
+const fmtPrice = v => `$${v.toFixed(2)}`;
+const fmtPct = v => `${v >= 0 ? '+' : ''}${v.toFixed(2)}%`;
+
+// Returns { met, threshold, message } for a rule against the latest quote
+function checkRule(rule, quote, history, now) {
+    const { price } = quote;
+    switch (rule.type) {
+        case 'above':
+            return { met: price >= rule.price, threshold: rule.price, message: `${rule.symbol} rose above ${fmtPrice(rule.price)} (now ${fmtPrice(price)})` };
+        case 'below':
+            return { met: price <= rule.price, threshold: rule.price, message: `${rule.symbol} fell below ${fmtPrice(rule.price)} (now ${fmtPrice(price)})` };
+        case 'dayChange': {
+            const pct = quote.changePercent ?? 0;
+            return { met: Math.abs(pct) >= rule.percent, threshold: rule.percent, message: `${rule.symbol} is ${fmtPct(pct)} on the day (now ${fmtPrice(price)})` };
+        }
+        case 'move': {
+            const cutoff = now - rule.minutes * MINUTE;
+            let biggest = 0;
+            for (const sample of history) {
+                if (sample.time < cutoff || !sample.price) continue;
+                const pct = ((price - sample.price) / sample.price) * 100;
+                if (Math.abs(pct) > Math.abs(biggest)) biggest = pct;
+            }
+            return {
+                met: Math.abs(biggest) >= rule.percent,
+                threshold: rule.percent,
+                message: `${rule.symbol} moved ${fmtPct(biggest)} in ${rule.minutes} min (now ${fmtPrice(price)})`
+            };
+        }
+        case '52wHigh': {
+            const high = quote.fiftyTwoWeekHigh;
+            return { met: high != null && price >= high, threshold: high, message: `${rule.symbol} hit a 52-week high of ${fmtPrice(price)}` };
+        }
+        case '52wLow': {
+            const low = quote.fiftyTwoWeekLow;
+            return { met: low != null && price <= low, threshold: low, message: `${rule.symbol} hit a 52-week low of ${fmtPrice(price)}` };
+        }
+        default:
+            return { met: false, threshold: null, message: '' };
+    }
+}
+
+/**
+ * Create an evaluator holding per-rule trigger state and a short price
+ * history per symbol (for `move` rules).
+ *
+ * @param {Object[]} rules - Normalised rules from parseAlertRules
+ * @returns {{ evaluate: Function, rules: Object[] }}
+ */
+export function createAlertEngine(rules) {
+    const state = new Map(rules.map(r => [r.id, { active: false, lastFiredAt: null }]));
+    const history = new Map();
+    const longestWindow = Math.max(0, ...rules.filter(r => r.type === 'move').map(r => r.minutes)) * MINUTE;
+
+    /**
+     * Evaluate all rules for a symbol against its latest quote.
+     *
+     * @param {string} symbol - Polled symbol
+     * @param {{ price: number, changePercent?: number, fiftyTwoWeekHigh?: number, fiftyTwoWeekLow?: number }} quote
+     * @param {number} [now=Date.now()] - Evaluation time in ms
+     * @returns {Object[]} Alerts that fired on this update
+     */
+    function evaluate(symbol, quote, now = Date.now()) {
+        if (!Number.isFinite(quote?.price)) return [];
+
+        const samples = history.get(symbol) ?? [];
+        const fired = [];
+        for (const rule of rules) {
+            if (rule.symbol !== symbol) continue;
+            const s = state.get(rule.id);
+            const { met, threshold, message } = checkRule(rule, quote, samples, now);
+
+            if (!met) {
+                s.active = false;
+                continue;
+            }
+            if (s.active) continue;
+            s.active = true;
+
+            const cooling = s.lastFiredAt != null && now - s.lastFiredAt < rule.cooldownMinutes * MINUTE;
+            if (cooling) continue;
+            s.lastFiredAt = now;
+            fired.push({
+                ruleId: rule.id,
+                symbol,
+                type: rule.type,
+                message,
+                price: quote.price,
+                threshold: threshold ?? null,
+                firedAt: new Date(now).toISOString()
+            });
+        }
+
+        if (longestWindow > 0) {
+            samples.push({ time: now, price: quote.price });
+            while (samples.length > 0 && samples[0].time < now - longestWindow) samples.shift();
+            history.set(symbol, samples);
+        }
+        return fired;
+    }
+
+    return { evaluate, rules };
+}
@@ -0,0 +1,119 @@
+/**
+ * Daily bar backfill for the long-range charts.
+ *
+ * New symbols get several years of daily OHLCV bars from the market data
+ * providers. Symbols that already have bars only fetch what's missing since
+ * the newest stored bar, so running a backfill again after a restart (or on a
+ * timer) keeps the table current. Symbols are fetched one at a time to stay
+ * clear of provider rate limits, and a symbol already queued is not queued
+ * twice.
+ */
+
+export const DEFAULT_BACKFILL_YEARS = 5;
+
+// Chart ranges served from daily bars
+export const DAILY_RANGES = {
+    '1M': { months: 1 },
+    '6M': { months: 6 },
+    '1Y': { months: 12 },
+    '5Y': { months: 60 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * First date (YYYY-MM-DD, UTC) included in a daily chart range.
+ *
+ * @param {string} range - Key of DAILY_RANGES
+ * @param {Date} [now]
+ * @returns {string|null} null for an unknown range
+ */
+export function rangeStart(range, now = new Date()) {
+    const spec = DAILY_RANGES[range];
+    if (!spec) return null;
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - spec.months, now.getUTCDate()));
+    return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Provider bars (`date` as an ISO timestamp) → stored bars (`date` as YYYY-MM-DD).
+ * Bars without a close are dropped and the last bar of a day wins.
+ */
+export function toDailyBars(bars) {
+    const byDate = new Map();
+    for (const bar of bars) {
+        if (bar?.close == null || !bar.date) continue;
+        const date = new Date(bar.date).toISOString().slice(0, 10);
+        byDate.set(date, { ...bar, date });
+    }
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.fetchHistory - async (symbol, { from, to, interval }) => provider bars
+ * @param {Function} options.storeBars - async (symbol, bars) => void
+ * @param {Function} options.latestBarDate - async (symbol) => 'YYYY-MM-DD' | null
+ * @param {number} [options.years=DEFAULT_BACKFILL_YEARS] - History fetched for a symbol without bars
+ * @param {Function} [options.onError] - (symbol, error) => void
+ * @param {Function} [options.onComplete] - (symbol, count) => void, after bars are stored
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ backfill: Function, pending: Function }}
+ */
+export function createBackfiller({
+    fetchHistory,
+    storeBars,
+    latestBarDate,
+    years = DEFAULT_BACKFILL_YEARS,
+    onError = () => {},
+    onComplete = () => {},
+    now = Date.now
+}) {
+    const queued = new Set();
+    let queue = Promise.resolve();
+
+    async function backfillSymbol(symbol) {
+        const latest = await latestBarDate(symbol);
+        const to = new Date(now());
+        if (latest && to - Date.parse(latest) < DAY_MS) return 0;
+
+        // Refetch the newest stored day too — it may have been stored mid-session
+        const from = latest
+            ? new Date(latest)
+            : new Date(Date.UTC(to.getUTCFullYear() - years, to.getUTCMonth(), to.getUTCDate()));
+        const bars = toDailyBars(await fetchHistory(symbol, { from, to, interval: '1d' }));
+        if (bars.length > 0) {
+            await storeBars(symbol, bars);
+        }
+        return bars.length;
+    }
+
+    /**
+     * Queue symbols for backfill. Resolves once they have all been processed;
+     * failures are reported through onError and don't stop the queue.
+     *
+     * @param {string[]} symbols
+     * @returns {Promise<void>}
+     */
+    function backfill(symbols) {
+        const fresh = symbols.filter(symbol => !queued.has(symbol));
+        for (const symbol of fresh) {
+            queued.add(symbol);
+            queue = queue.then(async () => {
+                try {
+                    onComplete(symbol, await backfillSymbol(symbol));
+                } catch (error) {
+                    onError(symbol, error);
+                } finally {
+                    queued.delete(symbol);
+                }
+            });
+        }
+        return queue;
+    }
+
+    return {
+        backfill,
+        pending: () => [...queued]
+    };
+}
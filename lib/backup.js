@@ -0,0 +1,269 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseCsvRecords } from './csv.js';
+
+/**
+ * Backups, exports and restores of stored price history.
+ *
+ * The `backup:` block of config.yaml schedules online backups of the SQLite
+ * database into timestamped files, and rotates the oldest away:
+ *
+ *   backup:
+ *     dir: data/backups   # relative to the app directory
+ *     everyHours: 24      # 0 (the default) only backs up on request
+ *     keep: 7             # newest backups kept, scheduled or not
+ *
+ * price_history can also be exported per symbol and date range, as CSV or as
+ * columnar JSON (one object of equal-length arrays per symbol, the way
+ * Parquet lays data out), and imported back from either. Imports merge:
+ * rows whose (symbol, timestamp) is already stored are skipped, never
+ * overwritten or duplicated.
+ */
+
+export const DEFAULT_BACKUP = {
+    dir: 'data/backups',
+    everyHours: 0,
+    keep: 7
+};
+
+// Exported columns in order: the CSV header, and (after symbol) the columnar JSON keys
+export const PRICE_HISTORY_COLUMNS = ['symbol', 'timestamp', 'price', 'change', 'change_percent', 'market_state'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Normalise the `backup:` block of config.yaml; invalid values fall back to
+ * the defaults.
+ *
+ * @param {Object} [raw] - Parsed YAML block
+ * @returns {{ dir: string, intervalMs: number|null, keep: number, errors: string[] }}
+ *   intervalMs — null when everyHours is 0; may exceed what one setTimeout can
+ *   hold, which createMaintenanceScheduler waits out in steps
+ */
+export function parseBackupConfig(raw) {
+    const errors = [];
+
+    let dir = raw?.dir ?? DEFAULT_BACKUP.dir;
+    if (typeof dir !== 'string' || !dir.trim()) {
+        errors.push('backup.dir: must be a directory path');
+        dir = DEFAULT_BACKUP.dir;
+    }
+    let everyHours = raw?.everyHours ?? DEFAULT_BACKUP.everyHours;
+    if (!(Number.isFinite(everyHours) && everyHours >= 0)) {
+        errors.push('backup.everyHours: must be a number of hours (0 turns scheduled backups off)');
+        everyHours = DEFAULT_BACKUP.everyHours;
+    }
+    let keep = raw?.keep ?? DEFAULT_BACKUP.keep;
+    if (!(Number.isInteger(keep) && keep > 0)) {
+        errors.push('backup.keep: must be a positive whole number');
+        keep = DEFAULT_BACKUP.keep;
+    }
+
+    return { dir, intervalMs: everyHours > 0 ? everyHours * HOUR_MS : null, keep, errors };
+}
+
+/**
+ * Backup file name for a point in time, e.g. `stocks-2026-10-19T05-17-25-123Z.db`.
+ * Names sort in time order and are valid on every filesystem.
+ *
+ * @param {string} prefix - Usually the database file name without its extension
+ * @param {number} at - ms since epoch
+ * @returns {string}
+ */
+export function backupFileName(prefix, at) {
+    return `${prefix}-${new Date(at).toISOString().replace(/[:.]/g, '-')}.db`;
+}
+
+// Creation time (ms) encoded in a backup file name, or null for any other file
+function backupTime(prefix, name) {
+    if (!name.startsWith(`${prefix}-`)) return null;
+    const match = name.slice(prefix.length + 1).match(/^(\d{4}-\d\d-\d\dT)(\d\d)-(\d\d)-(\d\d)-(\d{3})Z\.db$/);
+    return match ? Date.parse(`${match[1]}${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+/**
+ * Timestamped backups in one directory, rotated after each new one.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Created on the first backup
+ * @param {number} options.keep - Newest backups kept; older ones are deleted after each run
+ * @param {Function} options.backup - async (file) => void, writes a new database file (storage.backup)
+ * @param {string} [options.prefix='stocks']
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ run: Function, list: Function, pathFor: Function }}
+ */
+export function createBackupManager({ dir, keep, backup, prefix = 'stocks', now = Date.now }) {
+    // Newest first: { file, createdAt, sizeBytes }
+    function list() {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .map(file => ({ file, at: backupTime(prefix, file) }))
+            .filter(({ at }) => at !== null)
+            .sort((a, b) => b.at - a.at)
+            .map(({ file, at }) => ({
+                file,
+                createdAt: new Date(at).toISOString(),
+                sizeBytes: fs.statSync(path.join(dir, file)).size
+            }));
+    }
+
+    return {
+        /**
+         * Back up now, then delete all but the newest `keep` backups.
+         *
+         * @returns {Promise<{ file: string, sizeBytes: number, removed: string[] }>}
+         */
+        async run() {
+            fs.mkdirSync(dir, { recursive: true });
+            const file = backupFileName(prefix, now());
+            const target = path.join(dir, file);
+            // Written under another name first so a failed backup never looks like a good one
+            const partial = `${target}.partial`;
+            fs.rmSync(partial, { force: true });
+            try {
+                await backup(partial);
+                fs.renameSync(partial, target);
+            } catch (error) {
+                fs.rmSync(partial, { force: true });
+                throw error;
+            }
+
+            const removed = list().slice(keep).map(b => b.file);
+            for (const old of removed) {
+                fs.rmSync(path.join(dir, old), { force: true });
+            }
+            return { file, sizeBytes: fs.statSync(target).size, removed };
+        },
+        list,
+        // Full path of a listed backup, or null for any other name (so request input can't leave dir)
+        pathFor(file) {
+            return list().some(b => b.file === file) ? path.join(dir, file) : null;
+        }
+    };
+}
+
+/**
+ * price_history rows as CSV rows in PRICE_HISTORY_COLUMNS order (header not included).
+ *
+ * @param {Object[]} rows
+ * @returns {Array<Array<string|number|null>>}
+ */
+export function priceHistoryCsvRows(rows) {
+    return rows.map(row => PRICE_HISTORY_COLUMNS.map(column => row[column] ?? null));
+}
+
+/**
+ * One symbol's price_history rows as columns: `{ timestamp: [...], price: [...], ... }`.
+ *
+ * @param {Object[]} rows
+ * @returns {Object<string, Array>}
+ */
+export function priceHistoryColumns(rows) {
+    const columns = Object.fromEntries(PRICE_HISTORY_COLUMNS.slice(1).map(column => [column, []]));
+    for (const row of rows) {
+        for (const column of Object.keys(columns)) {
+            columns[column].push(row[column] ?? null);
+        }
+    }
+    return columns;
+}
+
+// Imported value → number, null when empty and optional; undefined when invalid
+function toNumber(value, required) {
+    if (value === undefined || value === null || value === '') return required ? undefined : null;
+    const number = typeof value === 'string' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+}
+
+// Validate one imported row; returns [row, problems]
+function normaliseRow(values) {
+    const problems = [];
+    const symbol = typeof values.symbol === 'string' ? values.symbol.trim() : '';
+    if (!symbol) problems.push('symbol is required');
+
+    const ms = typeof values.timestamp === 'string' || typeof values.timestamp === 'number'
+        ? (/^\d+$/.test(String(values.timestamp)) ? Number(values.timestamp) : Date.parse(values.timestamp))
+        : NaN;
+    if (!Number.isFinite(ms)) problems.push('timestamp must be an ISO date or epoch milliseconds');
+
+    const numbers = {};
+    for (const column of ['price', 'change', 'change_percent']) {
+        numbers[column] = toNumber(values[column], column === 'price');
+        if (numbers[column] === undefined) problems.push(`${column} must be a number`);
+    }
+
+    const marketState = values.market_state === undefined || values.market_state === '' ? null : values.market_state;
+    if (marketState !== null && typeof marketState !== 'string') problems.push('market_state must be text');
+
+    if (problems.length > 0) return [null, problems];
+    return [{ symbol, timestamp: new Date(ms).toISOString(), ...numbers, market_state: marketState }, []];
+}
+
+function capErrors(errors) {
+    return errors.length > MAX_REPORTED_ERRORS
+        ? [...errors.slice(0, MAX_REPORTED_ERRORS), `…and ${errors.length - MAX_REPORTED_ERRORS} more`]
+        : errors;
+}
+
+/**
+ * Parse a price_history CSV export. Needs symbol, timestamp and price
+ * columns; change, change_percent and market_state are optional.
+ *
+ * @param {string} text
+ * @returns {{ rows: Object[], errors: string[] }} Rows with ISO timestamps; errors name the line
+ */
+export function parsePriceHistoryCsv(text) {
+    const { headers, records } = parseCsvRecords(text);
+    const missing = ['symbol', 'timestamp', 'price'].filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+        return { rows: [], errors: [`CSV header is missing ${missing.join(', ')}`] };
+    }
+
+    const rows = [];
+    const errors = [];
+    for (const record of records) {
+        const [row, problems] = normaliseRow(record);
+        if (row) rows.push(row);
+        else errors.push(...problems.map(problem => `line ${record.__line}: ${problem}`));
+    }
+    return { rows, errors: capErrors(errors) };
+}
+
+/**
+ * Parse a columnar JSON export: `{ SYMBOL: { timestamp: [...], price: [...], ... } }`.
+ * timestamp and price are required; every column must be as long as timestamp.
+ *
+ * @param {Object} data
+ * @returns {{ rows: Object[], errors: string[] }} Rows with ISO timestamps; errors name symbol and index
+ */
+export function parsePriceHistoryColumns(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { rows: [], errors: ['Expected an object of columns per symbol'] };
+    }
+
+    const rows = [];
+    const errors = [];
+    for (const [symbol, columns] of Object.entries(data)) {
+        if (!Array.isArray(columns?.timestamp) || !Array.isArray(columns?.price)) {
+            errors.push(`${symbol}: timestamp and price must be arrays`);
+            continue;
+        }
+        const length = columns.timestamp.length;
+        const uneven = PRICE_HISTORY_COLUMNS.slice(1)
+            .filter(column => columns[column] !== undefined
+                && !(Array.isArray(columns[column]) && columns[column].length === length));
+        if (uneven.length > 0) {
+            errors.push(`${symbol}: ${uneven.join(', ')} must be arrays as long as timestamp`);
+            continue;
+        }
+        for (let i = 0; i < length; i++) {
+            const values = { symbol };
+            for (const column of PRICE_HISTORY_COLUMNS.slice(1)) values[column] = columns[column]?.[i];
+            const [row, problems] = normaliseRow(values);
+            if (row) rows.push(row);
+            else errors.push(...problems.map(problem => `${symbol}[${i}]: ${problem}`));
+        }
+    }
+    return { rows, errors: capErrors(errors) };
+}
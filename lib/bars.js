@@ -0,0 +1,84 @@
+/**
+ * Intraday OHLCV bars built from polled ticks.
+ *
+ * Every poll result is one tick: a price and Yahoo's cumulative
+ * `regularMarketVolume` for the day. Each tick becomes a one-tick bar per
+ * interval, and the store merges it into the stored bar for that bucket
+ * (keeping the first open, widening high/low, taking the latest close and
+ * adding volume). Because the merge happens in storage, a restart mid-bar
+ * carries on the same bar instead of overwriting it.
+ */
+
+// Bar interval → bucket length in ms
+export const BAR_INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000
+};
+
+/**
+ * Start of the bucket containing a time, as an ISO string. Buckets are
+ * aligned to the epoch, so hourly bars start on the hour (UTC).
+ *
+ * @param {number} time - ms since epoch
+ * @param {number} intervalMs
+ * @returns {string}
+ */
+export function bucketStart(time, intervalMs) {
+    return new Date(Math.floor(time / intervalMs) * intervalMs).toISOString();
+}
+
+/**
+ * Volume traded between two readings of a cumulative daily volume. A drop
+ * means the day's counter was reset, so the new reading is all new volume.
+ *
+ * @param {number|null} previous
+ * @param {number|null} current
+ * @returns {number} 0 when either reading is unknown
+ */
+export function volumeDelta(previous, current) {
+    if (!Number.isFinite(current) || !Number.isFinite(previous)) return 0;
+    return current >= previous ? current - previous : current;
+}
+
+/**
+ * Turns ticks into one-tick bars for the store to merge.
+ *
+ * @param {Object} options
+ * @param {Function} options.storeBars - async (bars) => void
+ * @param {string[]} [options.intervals] - Keys of BAR_INTERVALS to build
+ * @returns {{ record: Function, forget: Function }}
+ */
+export function createBarRecorder({ storeBars, intervals = Object.keys(BAR_INTERVALS) }) {
+    const lastVolumes = new Map();
+
+    /**
+     * @param {string} symbol
+     * @param {{ time: number, price: number, volume?: number|null }} tick
+     * @returns {Promise<Object[]>} The bars passed to storeBars
+     */
+    async function record(symbol, { time, price, volume = null }) {
+        if (!Number.isFinite(price)) return [];
+        const delta = volumeDelta(lastVolumes.get(symbol), volume);
+        if (Number.isFinite(volume)) lastVolumes.set(symbol, volume);
+
+        const bars = intervals.map(interval => ({
+            symbol,
+            interval,
+            start: bucketStart(time, BAR_INTERVALS[interval]),
+            open: price,
+            high: price,
+            low: price,
+            close: price,
+            volume: delta
+        }));
+        await storeBars(bars);
+        return bars;
+    }
+
+    return {
+        record,
+        // Drop volume tracking for symbols that left the watchlist
+        forget: symbol => lastVolumes.delete(symbol)
+    };
+}
@@ -0,0 +1,217 @@
+/**
+ * Column mappings that turn broker CSV exports into ledger transactions.
+ *
+ * A mapping names the CSV column(s) holding each transaction field and a
+ * list of [pattern, type] pairs that classify the broker's action text.
+ * Rows whose action matches no pattern (cash sweeps, interest, journal
+ * entries…) are skipped rather than rejected. Extra mappings can be supplied
+ * in config.yaml under `import.mappings`.
+ */
+
+export const BUILT_IN_MAPPINGS = {
+    fidelity: {
+        name: 'fidelity',
+        columns: {
+            date: ['Run Date', 'Trade Date'],
+            symbol: ['Symbol'],
+            action: ['Action'],
+            shares: ['Quantity'],
+            price: ['Price ($)', 'Price'],
+            fees: ['Commission ($)', 'Fees ($)'],
+            amount: ['Amount ($)', 'Amount']
+        },
+        actions: [
+            [/REINVESTMENT/i, 'buy'],
+            [/YOU BOUGHT/i, 'buy'],
+            [/YOU SOLD/i, 'sell'],
+            [/DIVIDEND RECEIVED/i, 'dividend'],
+            [/FEE CHARGED/i, 'fee'],
+            [/TRANSFERRED (FROM|TO)/i, 'transfer']
+        ]
+    },
+    schwab: {
+        name: 'schwab',
+        columns: {
+            date: ['Date'],
+            symbol: ['Symbol'],
+            action: ['Action'],
+            shares: ['Quantity'],
+            price: ['Price'],
+            fees: ['Fees & Comm'],
+            amount: ['Amount']
+        },
+        actions: [
+            [/^Reinvest Shares$/i, 'buy'],
+            [/^Buy/i, 'buy'],
+            [/^Sell/i, 'sell'],
+            [/Dividend/i, 'dividend'],
+            [/^(ADR Mgmt Fee|Service Fee|Foreign Tax Paid)$/i, 'fee'],
+            [/^Journaled Shares$/i, 'transfer']
+        ]
+    },
+    generic: {
+        name: 'generic',
+        columns: {
+            date: ['Date', 'Trade Date'],
+            symbol: ['Symbol', 'Ticker'],
+            action: ['Type', 'Action', 'Transaction Type'],
+            shares: ['Shares', 'Quantity', 'Qty'],
+            price: ['Price'],
+            fees: ['Fees', 'Commission', 'Fee'],
+            amount: ['Amount', 'Total'],
+            ratio: ['Ratio']
+        },
+        actions: [
+            [/^buy$/i, 'buy'],
+            [/^sell$/i, 'sell'],
+            [/^div(idend)?$/i, 'dividend'],
+            [/^split$/i, 'split'],
+            [/^fee$/i, 'fee'],
+            [/^transfer$/i, 'transfer']
+        ]
+    }
+};
+
+const REQUIRED_COLUMNS = ['date', 'symbol', 'action'];
+
+function toArray(value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Build a mapping from a config.yaml `import.mappings` entry. Column names may
+ * be a string or a list of alternatives; action keys are case-insensitive
+ * regular expressions.
+ *
+ * @param {string} name - Mapping name
+ * @param {{ columns?: Object, actions?: Object }} definition - Raw YAML definition
+ * @returns {Object} Mapping
+ */
+export function mappingFromConfig(name, definition) {
+    const columns = {};
+    for (const [field, value] of Object.entries(definition?.columns ?? {})) {
+        columns[field] = toArray(value);
+    }
+    const actions = Object.entries(definition?.actions ?? {})
+        .map(([pattern, type]) => [new RegExp(pattern, 'i'), String(type).toLowerCase()]);
+    return { name, columns, actions };
+}
+
+/**
+ * Merge built-in mappings with those defined in config.yaml (config wins on name clashes).
+ *
+ * @param {Object} [config] - Parsed config.yaml
+ * @returns {Object<string, Object>} Mapping name → mapping
+ */
+export function loadMappings(config) {
+    const mappings = { ...BUILT_IN_MAPPINGS };
+    for (const [name, definition] of Object.entries(config?.import?.mappings ?? {})) {
+        mappings[name] = mappingFromConfig(name, definition);
+    }
+    return mappings;
+}
+
+function findColumn(headers, candidates) {
+    const lower = headers.map(h => h.toLowerCase());
+    for (const candidate of candidates) {
+        const index = lower.indexOf(candidate.toLowerCase());
+        if (index !== -1) return headers[index];
+    }
+    return null;
+}
+
+/**
+ * Check whether a header row carries the columns a mapping needs.
+ *
+ * @param {Object} mapping - Broker mapping
+ * @param {string[]} headers - CSV header cells
+ * @returns {boolean}
+ */
+export function mappingMatches(mapping, headers) {
+    return REQUIRED_COLUMNS.every(field => findColumn(headers, mapping.columns[field] ?? []));
+}
+
+/**
+ * Pick the first mapping whose required columns appear in the header row.
+ * Built-in broker mappings are tried before the generic one.
+ *
+ * @param {Object<string, Object>} mappings - Available mappings
+ * @param {string[]} headers - CSV header cells
+ * @returns {Object|null}
+ */
+export function detectMapping(mappings, headers) {
+    const ordered = Object.values(mappings).sort((a, b) =>
+        (a.name === 'generic') - (b.name === 'generic'));
+    return ordered.find(m => mappingMatches(m, headers)) ?? null;
+}
+
+/**
+ * Parse a broker number: strips $, commas and whitespace, and treats
+ * parenthesised values as negative. Empty cells give null.
+ */
+export function parseBrokerNumber(value) {
+    if (value == null) return null;
+    let text = String(value).trim();
+    if (!text || text === '--') return null;
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    const n = Number(text.replace(/[$,\s]/g, ''));
+    if (!Number.isFinite(n)) return NaN;
+    return negative ? -n : n;
+}
+
+/**
+ * Normalise a broker date to YYYY-MM-DD. Accepts ISO dates, MM/DD/YYYY and
+ * Schwab's "MM/DD/YYYY as of MM/DD/YYYY" (the first date is the trade date).
+ */
+export function parseBrokerDate(value) {
+    const text = String(value ?? '').trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    return text;
+}
+
+/**
+ * Convert a CSV record into raw transaction fields using a mapping.
+ * Returns null when the action is not one the ledger tracks.
+ *
+ * @param {Object} mapping - Broker mapping
+ * @param {Object} record - CSV record keyed by header
+ * @returns {Object|null} Unvalidated transaction fields
+ */
+export function mapRecord(mapping, record) {
+    const headers = Object.keys(record);
+    const read = field => {
+        const column = findColumn(headers, mapping.columns[field] ?? []);
+        return column ? record[column] : undefined;
+    };
+
+    const action = read('action') ?? '';
+    const match = mapping.actions.find(([pattern]) => pattern.test(action));
+    if (!match) return null;
+    const type = match[1];
+
+    const shares = parseBrokerNumber(read('shares'));
+    const amount = parseBrokerNumber(read('amount'));
+    const fees = parseBrokerNumber(read('fees'));
+
+    return {
+        symbol: read('symbol'),
+        type,
+        date: parseBrokerDate(read('date')),
+        // Exports sign quantities and amounts by cash direction; the ledger uses the type instead
+        shares: shares == null || type === 'transfer' ? shares : Math.abs(shares),
+        price: parseBrokerNumber(read('price')),
+        // Cash amount only matters for income/expense rows; trades are valued from shares × price
+        amount: amount == null || !['dividend', 'fee'].includes(type) ? null : Math.abs(amount),
+        fees: fees == null ? null : Math.abs(fees),
+        ratio: parseBrokerNumber(read('ratio')),
+        notes: `Imported (${mapping.name}): ${action}`
+    };
+}
@@ -0,0 +1,574 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseDocument, stringify, isMap, isScalar, isSeq } from 'yaml';
+
+/**
+ * Watchlist edits written back to config.yaml.
+ *
+ * The dashboard adds, removes and moves symbols, and adds, renames, deletes
+ * and reorders sections, by rewriting the same file people edit by hand. The
+ * file is parsed only to find where each list entry sits in the text; the
+ * edit then cuts or inserts just those lines, so comments, blank lines, key
+ * order and comment alignment everywhere else stay exactly as written. A
+ * moved entry takes its position data and trailing comment with it,
+ * re-indented for its new list; a moved section takes the comment lines just
+ * above it.
+ *
+ * Sections are addressed by their index in config order, the same index
+ * `/api/watchlist` reports. A config using the legacy `watchlist:` list has
+ * one section, index 0. Each edit takes the file's text and returns the new
+ * text, throwing an Error with a message fit to show the user when the edit
+ * doesn't apply.
+ */
+
+const lineStart = (text, pos) => text.lastIndexOf('\n', pos - 1) + 1;
+const column = (text, pos) => pos - lineStart(text, pos);
+const splice = (text, start, end, insert) => text.slice(0, start) + insert + text.slice(end);
+
+// Index just past the end of the line holding pos
+function lineEnd(text, pos) {
+    const newline = text.indexOf('\n', pos);
+    return newline === -1 ? text.length : newline + 1;
+}
+
+// Index just past the last line of the block entry starting on pos's line. Later
+// lines indented deeper than that line (comments included) belong to the entry;
+// blank lines only when more of it follows.
+function blockEnd(text, pos) {
+    const indent = (line) => line.search(/[^ ]/);
+    const own = indent(text.slice(lineStart(text, pos), lineEnd(text, pos)));
+    let end = lineEnd(text, pos);
+    for (let next = end; next < text.length; next = lineEnd(text, next)) {
+        const line = text.slice(next, lineEnd(text, next));
+        if (!line.trim()) continue;
+        if (indent(line) <= own) break;
+        end = lineEnd(text, next);
+    }
+    return end;
+}
+
+// Insert whole lines at a line boundary, adding the newline a last line may lack
+function insertLines(text, at, lines) {
+    return at === text.length && text.length > 0 && !text.endsWith('\n')
+        ? `${text}\n${lines}`
+        : splice(text, at, at, lines);
+}
+
+function parse(text) {
+    const doc = parseDocument(text);
+    if (doc.errors.length > 0) {
+        throw new Error(`config.yaml has YAML errors, fix them by hand first: ${doc.errors[0].message}`);
+    }
+    return doc;
+}
+
+// Symbol of a stocks entry: a bare ticker, or a map with `symbol` and position data
+function entrySymbol(item) {
+    const value = isScalar(item) ? item.value : isMap(item) ? item.get('symbol') : null;
+    return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * Each section's stocks list, in config order:
+ * `{ seq, insertEmpty(text, entry), unflow(text, index, entry) }` where seq is
+ * the YAMLSeq (null when the list is missing or empty), insertEmpty writes a
+ * first entry into it and unflow rewrites a `[a, b]` list as a block list with
+ * the entry at index.
+ */
+function sectionLists(doc) {
+    // A `stocks:` or `watchlist:` key with no list yet
+    const emptyPair = pair => (text, entry) => {
+        if (pair.value && pair.value.range[1] > pair.value.range[0]) {
+            // An explicit null such as `stocks: ~`
+            return splice(text, pair.value.range[0], pair.value.range[1], `[${entry.inline}]`);
+        }
+        const indent = column(text, pair.key.range[0]) + 2;
+        return insertLines(text, lineEnd(text, pair.key.range[1]), blockEntry(entry, indent, `${' '.repeat(indent)}- `));
+    };
+    // A `stocks: [a, b]` list that has to take an entry's own lines
+    const flowPair = pair => (text, index, entry) => {
+        const seq = pair.value;
+        if (text.slice(seq.range[0], seq.range[1]).includes('#')) {
+            throw new Error('Lists written as [a, b] with comments inside must be edited by hand');
+        }
+        const indent = column(text, pair.key.range[0]) + 2;
+        const prefix = `${' '.repeat(indent)}- `;
+        const lines = seq.items.map(item => `${prefix}${flowSource(text, item).replace(/\s*\n\s*/g, ' ')}\n`);
+        lines.splice(index, 0, blockEntry(entry, indent, prefix));
+        const keyLine = splice(text, text.indexOf(':', pair.key.range[1]) + 1, seq.range[1], '');
+        return insertLines(keyLine, lineEnd(keyLine, pair.key.range[1]), lines.join(''));
+    };
+
+    const sections = doc.get('sections');
+    if (isSeq(sections)) {
+        return sections.items.map((section) => {
+            if (!isMap(section) || section.flow) {
+                return { seq: null, insertEmpty: () => { throw new Error('Sections written as flow maps must be edited by hand'); } };
+            }
+            const pair = section.items.find(p => isScalar(p.key) && p.key.value === 'stocks');
+            if (pair) {
+                return { seq: isSeq(pair.value) ? pair.value : null, insertEmpty: emptyPair(pair), unflow: flowPair(pair) };
+            }
+            // Section without a stocks key: add one after its last line
+            return {
+                seq: null,
+                insertEmpty(text, entry) {
+                    const keyColumn = column(text, section.items[0].key.range[0]);
+                    const indent = keyColumn + 2;
+                    return insertLines(text, blockEnd(text, section.range[0]),
+                        `${' '.repeat(keyColumn)}stocks:\n${blockEntry(entry, indent, `${' '.repeat(indent)}- `)}`);
+                }
+            };
+        });
+    }
+    if (sections != null) {
+        throw new Error('sections in config.yaml must be a list');
+    }
+
+    // Legacy format — a single unnamed section
+    if (doc.contents !== null && !isMap(doc.contents)) {
+        throw new Error('config.yaml must be a map of settings');
+    }
+    const pair = doc.contents?.items.find(p => isScalar(p.key) && p.key.value === 'watchlist');
+    if (pair) {
+        return [{ seq: isSeq(pair.value) ? pair.value : null, insertEmpty: emptyPair(pair), unflow: flowPair(pair) }];
+    }
+    return [{
+        seq: null,
+        insertEmpty: (text, entry) => insertLines(text, text.length, `watchlist:\n${blockEntry(entry, 2, '  - ')}`)
+    }];
+}
+
+function sectionAt(lists, section) {
+    if (!Number.isInteger(section) || section < 0 || section >= lists.length) {
+        throw new Error(`section must be a section index from 0 to ${lists.length - 1}`);
+    }
+    return lists[section];
+}
+
+// Where a symbol is listed: [{ section, index }]
+function findSymbol(lists, symbol) {
+    const found = [];
+    lists.forEach((list, section) => {
+        (list.seq?.items ?? []).forEach((item, index) => {
+            if (entrySymbol(item) === symbol) found.push({ section, index });
+        });
+    });
+    return found;
+}
+
+// "      - " in front of a block list's entries
+function blockPrefix(text, seq) {
+    const first = seq.items[0].range[0];
+    const prefix = text.slice(lineStart(text, first), first);
+    if (!/^ *- +$/.test(prefix)) {
+        throw new Error('List entries must each start on their own "- " line to be edited; edit this list by hand');
+    }
+    return prefix;
+}
+
+/**
+ * Lines for an entry in a block list whose dashes are at `indent`. An entry
+ * taken from another block list keeps its own lines, shifted over.
+ */
+function blockEntry(entry, indent, prefix) {
+    if (entry.block === null) return `${prefix}${entry.inline}\n`;
+    const shift = indent - entry.indent;
+    return entry.block.split('\n').map((line) => {
+        if (!line) return line;
+        return shift >= 0 ? ' '.repeat(shift) + line : line.slice(Math.min(-shift, line.length - line.trimStart().length));
+    }).join('\n');
+}
+
+function rewriteFlow(text, seq, inlines) {
+    if (text.slice(seq.range[0], seq.range[1]).includes('#')) {
+        throw new Error('Lists written as [a, b] with comments inside must be edited by hand');
+    }
+    return splice(text, seq.range[0], seq.range[1], `[${inlines.join(', ')}]`);
+}
+
+const flowSource = (text, item) => text.slice(item.range[0], item.range[1]);
+
+function insertEntry(text, list, index, entry) {
+    const items = list.seq?.items ?? [];
+    if (index === undefined || index === null) index = items.length;
+    if (!Number.isInteger(index) || index < 0 || index > items.length) {
+        throw new Error(`index must be a position from 0 to ${items.length}`);
+    }
+    if (list.seq?.flow && entry.commented) {
+        // Written inline the entry would drop its comments, so the list becomes a block list
+        return list.unflow(text, index, entry);
+    }
+    if (items.length === 0) {
+        return list.seq?.flow ? rewriteFlow(text, list.seq, [entry.inline]) : list.insertEmpty(text, entry);
+    }
+    if (list.seq.flow) {
+        const inlines = items.map(item => flowSource(text, item));
+        inlines.splice(index, 0, entry.inline);
+        return rewriteFlow(text, list.seq, inlines);
+    }
+    const prefix = blockPrefix(text, list.seq);
+    const at = index < items.length
+        ? lineStart(text, items[index].range[0])
+        : blockEnd(text, items[items.length - 1].range[0]);
+    return insertLines(text, at, blockEntry(entry, prefix.indexOf('-'), prefix));
+}
+
+// Cut one entry out; returns the new text and the entry, ready to insert elsewhere
+function removeEntry(text, list, index) {
+    const item = list.seq.items[index];
+    const inline = isScalar(item) || list.seq.flow
+        ? flowSource(text, item)
+        : stringify(item.toJSON(), { collectionStyle: 'flow' }).trim();
+
+    if (list.seq.flow) {
+        const inlines = list.seq.items.map(i => flowSource(text, i)).filter((_, i) => i !== index);
+        return { text: rewriteFlow(text, list.seq, inlines), entry: { inline, block: null, indent: null } };
+    }
+    const prefix = blockPrefix(text, list.seq);
+    const start = lineStart(text, item.range[0]);
+    const end = blockEnd(text, item.range[0]);
+    const block = text.slice(start, end);
+    return {
+        text: splice(text, start, end, ''),
+        entry: {
+            inline,
+            block: block.endsWith('\n') ? block : `${block}\n`,
+            indent: prefix.indexOf('-'),
+            commented: /(^|\s)#/.test(block)
+        }
+    };
+}
+
+/**
+ * Add a bare ticker to a section.
+ *
+ * @param {string} text - config.yaml contents
+ * @param {Object} edit
+ * @param {string} edit.symbol
+ * @param {number} [edit.section=0]
+ * @param {number} [edit.index] - Position in the section; the end by default
+ * @returns {string} New contents
+ * @throws {Error} When the symbol is already listed or the section doesn't exist
+ */
+export function addWatchlistSymbol(text, { symbol, section = 0, index }) {
+    const lists = sectionLists(parse(text));
+    const target = sectionAt(lists, section);
+    if (findSymbol(lists, symbol).length > 0) {
+        throw new Error(`${symbol} is already in the watchlist`);
+    }
+    return insertEntry(text, target, index, { inline: stringify(symbol).trim(), block: null, indent: null });
+}
+
+/**
+ * Remove a symbol, along with any position data configured with it.
+ *
+ * @param {string} text - config.yaml contents
+ * @param {Object} edit
+ * @param {string} edit.symbol
+ * @param {number} [edit.section] - Only remove it from this section; every section by default
+ * @returns {string} New contents
+ * @throws {Error} When the symbol isn't listed (in that section)
+ */
+export function removeWatchlistSymbol(text, { symbol, section }) {
+    let lists = sectionLists(parse(text));
+    if (section !== undefined) sectionAt(lists, section);
+    let found = findSymbol(lists, symbol).filter(at => section === undefined || at.section === section);
+    if (found.length === 0) {
+        throw new Error(`${symbol} is not in ${section === undefined ? 'the watchlist' : `section ${section}`}`);
+    }
+    // One at a time, re-reading positions after each cut
+    while (found.length > 0) {
+        text = removeEntry(text, lists[found[0].section], found[0].index).text;
+        lists = sectionLists(parse(text));
+        found = findSymbol(lists, symbol).filter(at => section === undefined || at.section === section);
+    }
+    return text;
+}
+
+/**
+ * Move a symbol's entry to another section, or another place in its own.
+ *
+ * @param {string} text - config.yaml contents
+ * @param {Object} edit
+ * @param {string} edit.symbol
+ * @param {number} edit.section - Destination section
+ * @param {number} [edit.index] - Position in the destination once the entry is taken out; the end by default
+ * @param {number} [edit.from] - Section to take it from, when it is listed in more than one
+ * @returns {string} New contents
+ * @throws {Error} When the symbol isn't listed, or is listed more than once and `from` is missing
+ */
+export function moveWatchlistSymbol(text, { symbol, section, index, from }) {
+    const lists = sectionLists(parse(text));
+    sectionAt(lists, section);
+    const found = findSymbol(lists, symbol).filter(at => from === undefined || at.section === from);
+    if (found.length === 0) {
+        throw new Error(`${symbol} is not in ${from === undefined ? 'the watchlist' : `section ${from}`}`);
+    }
+    if (found.length > 1) {
+        throw new Error(`${symbol} is listed more than once; say which section to move it from`);
+    }
+
+    const removed = removeEntry(text, lists[found[0].section], found[0].index);
+    const after = sectionLists(parse(removed.text));
+    return insertEntry(removed.text, after[section], index, removed.entry);
+}
+
+const LEGACY_SECTIONS = 'config.yaml lists symbols under watchlist:, which has no sections; move them under sections: first';
+
+/**
+ * The `sections:` list and where each section sits in the text:
+ * `{ seq, blocks: [{ start, body, end }] }`. start..body are the blank lines
+ * between a section and the one above, which stay put when sections move;
+ * body..end are the section's own lines, starting with any comments above it.
+ */
+function sectionBlocks(text, doc) {
+    const pair = isMap(doc.contents) ? doc.contents.items.find(p => isScalar(p.key) && p.key.value === 'sections') : null;
+    const seq = pair?.value;
+    if (!isSeq(seq)) {
+        throw new Error(seq && !(isScalar(seq) && seq.value === null) ? 'sections in config.yaml must be a list' : LEGACY_SECTIONS);
+    }
+    if (seq.flow) {
+        throw new Error('Sections written as [...] must be edited by hand');
+    }
+
+    let previous = lineEnd(text, pair.key.range[1]);
+    const blocks = seq.items.map((item) => {
+        const first = lineStart(text, item.range[0]);
+        if (!/^ *- +$/.test(text.slice(first, item.range[0]))) {
+            throw new Error('Sections must each start on their own "- " line to be edited; edit them by hand');
+        }
+        let body = previous;
+        while (body < first && !text.slice(body, lineEnd(text, body)).trim()) body = lineEnd(text, body);
+        const block = { start: previous, body, end: blockEnd(text, item.range[0]) };
+        previous = block.end;
+        return block;
+    });
+    return { seq, blocks };
+}
+
+function sectionMap(seq, section) {
+    sectionAt(seq.items, section);
+    const item = seq.items[section];
+    if (!isMap(item) || item.flow) {
+        throw new Error(`Section ${section} must be written as a block with name: and stocks: to be edited`);
+    }
+    return item;
+}
+
+// A trimmed section name no other section uses
+function sectionName(seq, name, except) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new Error('name must be a section name');
+    }
+    if (seq.items.some((item, i) => i !== except && isMap(item) && String(item.get('name') ?? '').trim() === trimmed)) {
+        throw new Error(`There is already a section named ${trimmed}`);
+    }
+    return trimmed;
+}
+
+// Index pairs [i, j] of a longest common subsequence of two symbol lists
+function commonOrder(current, target) {
+    const lengths = Array.from({ length: current.length + 1 }, () => new Array(target.length + 1).fill(0));
+    for (let i = current.length - 1; i >= 0; i--) {
+        for (let j = target.length - 1; j >= 0; j--) {
+            lengths[i][j] = current[i] === target[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const pairs = [];
+    for (let i = 0, j = 0; i < current.length && j < target.length;) {
+        if (current[i] === target[j]) pairs.push([i++, j++]);
+        else if (lengths[i + 1][j] >= lengths[i][j + 1]) i++;
+        else j++;
+    }
+    return pairs;
+}
+
+// Put whole sections in a new order; order[i] is the current index of the section to go i-th
+function reorderSections(text, order) {
+    const { blocks } = sectionBlocks(text, parse(text));
+    const bodies = blocks.map(({ body, end }) => {
+        const lines = text.slice(body, end);
+        return lines.endsWith('\n') ? lines : `${lines}\n`;
+    });
+    const reordered = order.map((from, i) => text.slice(blocks[i].start, blocks[i].body) + bodies[from]).join('');
+    return splice(text, blocks[0].start, blocks[blocks.length - 1].end, reordered);
+}
+
+/**
+ * Add an empty named section.
+ *
+ * @param {string} text - config.yaml contents
+ * @param {Object} edit
+ * @param {string} edit.name - Must differ from the other sections' names
+ * @param {number} [edit.index] - Position among the sections; the end by default
+ * @returns {string} New contents
+ * @throws {Error} When the name is taken, or the config has no sections: list
+ */
+export function addSection(text, { name, index }) {
+    const { seq, blocks } = sectionBlocks(text, parse(text));
+    const value = stringify(sectionName(seq, name)).trim();
+    if (index === undefined || index === null) index = blocks.length;
+    if (!Number.isInteger(index) || index < 0 || index > blocks.length) {
+        throw new Error(`index must be a position from 0 to ${blocks.length}`);
+    }
+
+    const first = seq.items[0].range[0];
+    const prefix = text.slice(lineStart(text, first), first);
+    const lines = `${prefix}name: ${value}\n${' '.repeat(prefix.length)}stocks:\n`;
+    // Spaced from its neighbours the way the second section is from the first
+    const separator = blocks.length > 1 ? text.slice(blocks[1].start, blocks[1].body) : '';
+    return index === blocks.length
+        ? insertLines(text, blocks[index - 1].end, separator + lines)
+        : splice(text, blocks[index].body, blocks[index].body, lines + separator);
+}
+
+/**
+ * Rename a section.
+ *
+ * @param {string} text - config.yaml contents
+ * @param {Object} edit
+ * @param {number} edit.section
+ * @param {string} edit.name - Must differ from the other sections' names
+ * @returns {string} New contents
+ * @throws {Error} When the section doesn't exist or the name is taken
+ */
+export function renameSection(text, { section, name }) {
+    const { seq } = sectionBlocks(text, parse(text));
+    const item = sectionMap(seq, section);
+    const value = stringify(sectionName(seq, name, section)).trim();
+
+    const pair = item.items.find(p => isScalar(p.key) && p.key.value === 'name');
+    if (pair?.value && pair.value.range[1] > pair.value.range[0]) {
+        return splice(text, pair.value.range[0], pair.value.range[1], value);
+    }
+    if (pair) {
+        // `name:` with nothing after it
+        const colon = text.indexOf(':', pair.key.range[1]) + 1;
+        return splice(text, colon, colon, ` ${value}`);
+    }
+    return splice(text, item.range[0], item.range[0], `name: ${value}\n${' '.repeat(column(text, item.range[0]))}`);
+}
+
+/**
+ * Delete a section along with its symbols and their position data. The
+ * comment lines just above it go too.
+ *
+ * @param {string} text - config.yaml contents
+ * @param {Object} edit
+ * @param {number} edit.section
+ * @returns {string} New contents
+ * @throws {Error} When the section doesn't exist or is the only one
+ */
+export function deleteSection(text, { section }) {
+    const { blocks } = sectionBlocks(text, parse(text));
+    sectionAt(blocks, section);
+    if (blocks.length === 1) {
+        throw new Error('The only section can\'t be deleted');
+    }
+    // The first section's place goes to the second, minus the blank lines above that
+    return section === 0
+        ? splice(text, blocks[0].body, blocks[1].body, '')
+        : splice(text, blocks[section].start, blocks[section].end, '');
+}
+
+/**
+ * Put sections and symbols in a new order, as the dashboard's drag and drop
+ * leaves them. As many entries as possible stay where they are; the rest are
+ * moved as moveWatchlistSymbol would, so position data and comments go with
+ * them.
+ *
+ * @param {string} text - config.yaml contents
+ * @param {Array<{ section: number, stocks: string[] }>} layout - Every section
+ *   once, by its current index, in the new order, each with its symbols in
+ *   their new order. Symbols can change sections but not be added or left out.
+ * @returns {string} New contents
+ * @throws {Error} When the layout doesn't hold the same sections and symbols as the file
+ */
+export function reorderWatchlist(text, layout) {
+    let lists = sectionLists(parse(text));
+    const valid = Array.isArray(layout) && layout.length === lists.length
+        && layout.every(s => Number.isInteger(s?.section) && s.section >= 0 && s.section < lists.length
+            && Array.isArray(s.stocks) && s.stocks.every(symbol => typeof symbol === 'string'))
+        && new Set(layout.map(s => s.section)).size === lists.length;
+    if (!valid) {
+        throw new Error(`sections must list each of the ${lists.length} sections once, as { section, stocks }`);
+    }
+
+    const counts = new Map();
+    for (const list of lists) {
+        for (const item of list.seq?.items ?? []) {
+            const symbol = entrySymbol(item);
+            if (symbol === null) {
+                throw new Error('config.yaml has watchlist entries without a symbol; fix them by hand first');
+            }
+            counts.set(symbol, (counts.get(symbol) ?? 0) + 1);
+        }
+    }
+    layout.forEach(s => s.stocks.forEach(symbol => counts.set(symbol, (counts.get(symbol) ?? 0) - 1)));
+    const unlisted = [...counts].filter(([, count]) => count < 0).map(([symbol]) => symbol);
+    if (unlisted.length > 0) {
+        throw new Error(`${unlisted.join(', ')} ${unlisted.length === 1 ? 'is' : 'are'} not in config.yaml`);
+    }
+    const left = [...counts].filter(([, count]) => count > 0).map(([symbol]) => symbol);
+    if (left.length > 0) {
+        throw new Error(`The new order leaves out ${left.join(', ')}`);
+    }
+
+    if (layout.some((s, i) => s.section !== i)) {
+        text = reorderSections(text, layout.map(s => s.section));
+    }
+
+    // Entries in the longest run already in the new order stay put. The rest
+    // are cut out, last first so earlier positions hold, then put back front
+    // to back, each preferring an entry cut from its own section
+    lists = sectionLists(parse(text));
+    const kept = layout.map(({ stocks }, section) => commonOrder((lists[section].seq?.items ?? []).map(entrySymbol), stocks));
+    const moving = [];
+    for (let section = lists.length - 1; section >= 0; section--) {
+        const keep = new Set(kept[section].map(([i]) => i));
+        for (let i = (lists[section].seq?.items.length ?? 0) - 1; i >= 0; i--) {
+            if (keep.has(i)) continue;
+            const list = sectionLists(parse(text))[section];
+            const symbol = entrySymbol(list.seq.items[i]);
+            const removed = removeEntry(text, list, i);
+            text = removed.text;
+            moving.push({ symbol, section, entry: removed.entry });
+        }
+    }
+    layout.forEach(({ stocks }, section) => {
+        const placed = new Set(kept[section].map(([, j]) => j));
+        stocks.forEach((symbol, index) => {
+            if (placed.has(index)) return;
+            const candidates = moving.filter(m => m.symbol === symbol);
+            const move = candidates.find(m => m.section === section) ?? candidates[0];
+            moving.splice(moving.indexOf(move), 1);
+            text = insertEntry(text, sectionLists(parse(text))[section], index, move.entry);
+        });
+    });
+    return text;
+}
+
+/**
+ * Replace a file's contents, atomically where possible: the text goes to a
+ * temporary file that is renamed over the original, so the config watcher
+ * never reads half a file. A file bind-mounted on its own into a container
+ * (as docker-compose.yml does with config.yaml) can't be renamed over, and
+ * is rewritten in place instead.
+ *
+ * @param {string} file
+ * @param {string} text
+ */
+export function writeConfigFile(file, text) {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    try {
+        fs.writeFileSync(temp, text, { mode: fs.statSync(file).mode });
+        fs.renameSync(temp, file);
+    } catch {
+        fs.rmSync(temp, { force: true });
+        fs.writeFileSync(file, text);
+    }
+}
@@ -1,6 +1,56 @@
 import { load } from 'js-yaml';
 import fs from 'fs';
 
+/**
+ * Normalise a single `sections[].stocks` entry.
+ *
+ * Entries are either a bare ticker string (watch only) or an object carrying
+ * position data: `{ symbol, shares, costBasis, lots }`. `costBasis` is the
+ * per-share price paid. When `lots` is given, shares and cost basis are
+ * derived from the lots (weighted average) and any top-level values ignored.
+ *
+ * @param {string|Object} entry - Raw YAML entry
+ * @returns {{ symbol: string, holding: Object|null }|null} null for unusable entries
+ */
+export function normalizeStockEntry(entry) {
+    if (typeof entry === 'string') {
+        return { symbol: entry, holding: null };
+    }
+    if (!entry || typeof entry !== 'object' || typeof entry.symbol !== 'string' || !entry.symbol.trim()) {
+        return null;
+    }
+
+    const symbol = entry.symbol.trim();
+    const toNumber = v => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+    if (Array.isArray(entry.lots) && entry.lots.length > 0) {
+        const lots = entry.lots
+            .map(lot => ({
+                shares: toNumber(lot?.shares),
+                costBasis: toNumber(lot?.costBasis),
+                date: lot?.date != null ? String(lot.date) : null
+            }))
+            .filter(lot => lot.shares !== null);
+        const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+        const costed = lots.every(lot => lot.costBasis !== null);
+        const totalCost = lots.reduce((sum, lot) => sum + lot.shares * (lot.costBasis ?? 0), 0);
+        return {
+            symbol,
+            holding: {
+                shares,
+                costBasis: costed && shares !== 0 ? totalCost / shares : null,
+                lots
+            }
+        };
+    }
+
+    const shares = toNumber(entry.shares);
+    if (shares === null) {
+        return { symbol, holding: null };
+    }
+    return { symbol, holding: { shares, costBasis: toNumber(entry.costBasis), lots: [] } };
+}
+
 /**
  * Parse a YAML config file and return the parsed config object.
  *
@@ -9,18 +59,43 @@ import fs from 'fs';
  * @throws {Error} On file-not-found or YAML parse errors
  */
 export function parseConfigFile(configPath) {
-    const configFile = fs.readFileSync(configPath, 'utf8');
+    return parseConfigText(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * Parse config YAML text, e.g. to check an edit loads before it is written.
+ *
+ * @param {string} configFile - Contents of config.yaml
+ * @returns {Object} Parsed config object, as from parseConfigFile
+ * @throws {Error} On YAML parse errors
+ */
+export function parseConfigText(configFile) {
     const trimmedConfig = configFile.trim();
     const config = trimmedConfig ? load(trimmedConfig) : {};
 
-    let sections;
+    let rawSections;
     if (config?.sections) {
-        sections = config.sections.map(s => ({ name: s.name ?? null, stocks: s.stocks || [] }));
+        rawSections = config.sections.map(s => ({ name: s.name ?? null, stocks: s.stocks || [] }));
     } else {
         // Legacy format — single unnamed section
-        sections = [{ name: null, stocks: config?.watchlist || [] }];
+        rawSections = [{ name: null, stocks: config?.watchlist || [] }];
     }
 
+    // Position data is pulled out into `holdings` so sections stay plain symbol lists
+    const holdings = {};
+    const sections = rawSections.map(section => {
+        const stocks = [];
+        for (const entry of section.stocks) {
+            const normalized = normalizeStockEntry(entry);
+            if (!normalized) continue;
+            stocks.push(normalized.symbol);
+            if (normalized.holding && !(normalized.symbol in holdings)) {
+                holdings[normalized.symbol] = normalized.holding;
+            }
+        }
+        return { name: section.name, stocks };
+    });
+
     const rawCrypto = config?.crypto ?? [];
     const cryptoSymbols = rawCrypto
         .filter(s => typeof s === 'string' && s.trim().length > 0)
@@ -28,7 +103,7 @@ export function parseConfigFile(configPath) {
     const cryptoTickers = cryptoSymbols.map(s => `${s}-USD`);
 
     const watchlist = [...cryptoTickers, ...sections.flatMap(s => s.stocks)];
-    return { sections, watchlist, config, cryptoSymbols, cryptoTickers };
+    return { sections, watchlist, config, cryptoSymbols, cryptoTickers, holdings };
 }
 
 /**
@@ -0,0 +1,103 @@
+/**
+ * Minimal RFC 4180 CSV parser for broker exports.
+ */
+
+// Split CSV text into rows, remembering the 1-based line each row starts on
+function tokenize(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ cells: row, line: rowLine });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+
+    return rows.filter(r => r.cells.some(f => f.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ * Blank lines are dropped.
+ *
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Parsed rows
+ */
+export function parseCsv(text) {
+    return tokenize(text).map(r => r.cells);
+}
+
+/**
+ * Parse CSV text with a header row into records keyed by header name.
+ * Each record carries its 1-based source line number as `__line`.
+ *
+ * Broker exports often put disclaimers or account banners above the real
+ * header; the first row for which `isHeader` returns true is used.
+ *
+ * @param {string} text - Raw CSV content
+ * @param {(cells: string[]) => boolean} [isHeader] - Header row detector
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+export function parseCsvRecords(text, isHeader = () => true) {
+    const rows = tokenize(text);
+    const headerIndex = rows.findIndex(r => isHeader(r.cells));
+    if (headerIndex === -1) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = rows[headerIndex].cells.map(h => h.trim());
+    const records = rows.slice(headerIndex + 1).map(({ cells, line }) => {
+        const record = { __line: line };
+        headers.forEach((h, j) => { record[h] = (cells[j] ?? '').trim(); });
+        return record;
+    });
+    return { headers, records };
+}
+
+/**
+ * Serialise rows to CSV, quoting fields that contain commas, quotes or newlines.
+ *
+ * @param {Array<Array<string|number|null>>} rows - Rows of cells
+ * @returns {string} CSV text with a trailing newline
+ */
+export function toCsv(rows) {
+    const escape = value => {
+        const text = value == null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
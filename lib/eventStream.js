@@ -0,0 +1,90 @@
+/**
+ * Server-Sent Events fan-out for /api/stream.
+ *
+ * The hub keeps the open responses, serialises events in the text/event-stream
+ * format and sends a comment heartbeat so proxies don't close idle streams.
+ */
+
+/**
+ * Serialise one SSE message.
+ *
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serialisable payload
+ * @param {number} [id] - Event id (lets clients see gaps after reconnecting)
+ * @returns {string}
+ */
+export function formatSseEvent(event, data, id) {
+    const lines = [];
+    if (id != null) lines.push(`id: ${id}`);
+    lines.push(`event: ${event}`);
+    lines.push(`data: ${JSON.stringify(data)}`);
+    return lines.join('\n') + '\n\n';
+}
+
+/**
+ * Create an event hub.
+ *
+ * @param {{ heartbeatMs?: number }} [options]
+ * @returns {{ subscribe: Function, send: Function, publish: Function, size: Function, close: Function }}
+ */
+export function createEventHub({ heartbeatMs = 25000 } = {}) {
+    const clients = new Set();
+    let nextId = 1;
+    let heartbeat = null;
+
+    function stopHeartbeat() {
+        if (heartbeat) {
+            clearInterval(heartbeat);
+            heartbeat = null;
+        }
+    }
+
+    function remove(res) {
+        clients.delete(res);
+        if (clients.size === 0) stopHeartbeat();
+    }
+
+    /**
+     * Register an open response. It is dropped automatically when the
+     * connection closes.
+     *
+     * @param {import('http').ServerResponse} res - Response with SSE headers already sent
+     */
+    function subscribe(res) {
+        clients.add(res);
+        res.on('close', () => remove(res));
+        if (!heartbeat && heartbeatMs > 0) {
+            heartbeat = setInterval(() => {
+                for (const client of clients) client.write(': ping\n\n');
+            }, heartbeatMs);
+            heartbeat.unref?.();
+        }
+    }
+
+    /**
+     * Send an event to a single client.
+     */
+    function send(res, event, data) {
+        res.write(formatSseEvent(event, data, nextId++));
+    }
+
+    /**
+     * Send an event to every connected client.
+     */
+    function publish(event, data) {
+        if (clients.size === 0) return;
+        const message = formatSseEvent(event, data, nextId++);
+        for (const client of clients) client.write(message);
+    }
+
+    /**
+     * End every stream and stop the heartbeat.
+     */
+    function close() {
+        for (const client of clients) client.end();
+        clients.clear();
+        stopHeartbeat();
+    }
+
+    return { subscribe, send, publish, size: () => clients.size, close };
+}
@@ -36,3 +36,145 @@ export function buildFundamentalsHTML(f) {
         `<span class="fund-item"><span class="fund-label">${label}</span><span class="fund-value">${value}</span></span>`
     ).join('');
 }
+
+export function formatCurrency(v) {
+    if (v == null) return null;
+    const sign = v < 0 ? '-' : '';
+    return sign + '$' + Math.abs(v).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+export function formatSignedCurrency(v) {
+    if (v == null) return null;
+    return (v >= 0 ? '+' : '') + formatCurrency(v);
+}
+
+// Tooltip lines for a candlestick bar ({ open, high, low, close, volume })
+export function formatCandleTooltip(bar) {
+    const lines = [
+        `Open ${formatCurrency(bar.open)}`,
+        `High ${formatCurrency(bar.high)}`,
+        `Low ${formatCurrency(bar.low)}`,
+        `Close ${formatCurrency(bar.close)}`
+    ];
+    if (bar.volume > 0) lines.push(`Vol ${formatVolume(bar.volume)}`);
+    return lines;
+}
+
+function pnlClass(v) {
+    if (v > 0) return 'positive';
+    if (v < 0) return 'negative';
+    return '';
+}
+
+function pnlValue(amount, percent) {
+    const pct = percent != null ? ` (${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%)` : '';
+    return `<span class="pnl-value ${pnlClass(amount)}">${formatSignedCurrency(amount)}${pct}</span>`;
+}
+
+function pnlSpan(label, amount, percent) {
+    return `<span class="pnl-item"><span class="pnl-label">${label}</span>${pnlValue(amount, percent)}</span>`;
+}
+
+export function buildPositionHTML(p) {
+    const items = [
+        `<span class="pnl-item"><span class="pnl-label">${p.shares} sh</span><span class="pnl-value">${formatCurrency(p.marketValue)}</span></span>`
+    ];
+    if (p.unrealizedPnl != null) items.push(pnlSpan('P&amp;L', p.unrealizedPnl, p.unrealizedPnlPercent));
+    items.push(pnlSpan('Day', p.dayPnl, null));
+    return items.join('');
+}
+
+export function buildSectionTotalsHTML(t) {
+    const items = [`<span class="pnl-value">${formatCurrency(t.marketValue)}</span>`];
+    items.push(pnlSpan('Day', t.dayPnl, t.dayPnlPercent));
+    if (t.unrealizedPnl != null) items.push(pnlSpan('P&amp;L', t.unrealizedPnl, t.unrealizedPnlPercent));
+    return items.join('');
+}
+
+export function buildPortfolioSummaryHTML(summary) {
+    const t = summary.totals;
+    const stats = [
+        `<div class="summary-stat"><span class="summary-label">Total value</span><span class="summary-value">${formatCurrency(t.marketValue)}</span></div>`,
+        `<div class="summary-stat"><span class="summary-label">Day</span>${pnlValue(t.dayPnl, t.dayPnlPercent)}</div>`
+    ];
+    if (t.unrealizedPnl != null) {
+        stats.push(`<div class="summary-stat"><span class="summary-label">Unrealized</span>${pnlValue(t.unrealizedPnl, t.unrealizedPnlPercent)}</div>`);
+    }
+    const allocation = summary.sections.map(s =>
+        `<span class="allocation-item"><span class="allocation-name">${escapeHTML(s.name ?? 'Holdings')}</span><span class="allocation-weight">${(s.weight ?? 0).toFixed(1)}%</span></span>`
+    ).join('');
+    return `<div class="summary-stats">${stats.join('')}</div><div class="summary-allocation">${allocation}</div>`;
+}
+
+export function formatTimeAgo(iso, now = Date.now()) {
+    const seconds = Math.max(0, Math.round((now - new Date(iso).getTime()) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+// Compact duration until an event: '45m', '2h 14m', '3d 4h'
+export function formatCountdown(ms) {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    if (minutes < 1) return '<1m';
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    return `${Math.floor(minutes / 1440)}d ${Math.floor(minutes / 60) % 24}h`;
+}
+
+const MARKET_PILL_STATES = {
+    REGULAR:   { label: 'Open',   cls: 'pill-open'     },
+    PRE:       { label: 'Pre',    cls: 'pill-extended'  },
+    POST:      { label: 'After',  cls: 'pill-extended'  },
+    PREPRE:    { label: 'Closed', cls: 'pill-closed'    },
+    POSTPOST:  { label: 'Closed', cls: 'pill-closed'    },
+};
+
+export function buildMarketPillHTML({ displayName, marketState, reason, nextOpen, nextClose }, now = Date.now()) {
+    const s = MARKET_PILL_STATES[marketState] ?? { label: 'Closed', cls: 'pill-closed' };
+    // Count down to the close while open, otherwise to the next open
+    let countdown = '';
+    if (marketState === 'REGULAR' && nextClose) {
+        countdown = `closes in ${formatCountdown(new Date(nextClose).getTime() - now)}`;
+    } else if (marketState !== 'REGULAR' && nextOpen) {
+        countdown = `opens in ${formatCountdown(new Date(nextOpen).getTime() - now)}`;
+    }
+    const title = reason ? ` title="${reason}"` : '';
+    return `<span class="market-pill ${s.cls}"${title}><span class="status-dot"></span>${displayName}<span class="pill-status">${s.label}</span>` +
+        (countdown ? `<span class="pill-countdown">${countdown}</span>` : '') + '</span>';
+}
+
+export function buildAlertItemHTML(alert, { snoozed = false, now = Date.now() } = {}) {
+    const acknowledged = alert.acknowledged_at != null;
+    const meta = [formatTimeAgo(alert.fired_at, now)];
+    if (snoozed) meta.push('<span class="alert-snoozed"><i class="fas fa-clock"></i> snoozed</span>');
+    const actions = [];
+    if (!acknowledged) {
+        actions.push('<button class="alert-action" data-action="ack" title="Acknowledge"><i class="fas fa-check"></i></button>');
+    }
+    if (!snoozed) {
+        actions.push('<button class="alert-action" data-action="snooze" title="Snooze this rule for 1 hour"><i class="fas fa-bell-slash"></i></button>');
+    }
+    return `<li class="alert-item${acknowledged ? '' : ' unread'}" data-alert-id="${alert.id}">` +
+        `<div class="alert-item-body"><span class="alert-item-message">${escapeHTML(alert.message)}</span>` +
+        `<span class="alert-item-meta">${meta.join(' · ')}</span></div>` +
+        `<div class="alert-item-actions">${actions.join('')}</div></li>`;
+}
+
+// Escape text from outside sources (search results, provider names) for innerHTML
+export function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+export function buildSearchResultHTML({ symbol, name, exchange, type, inWatchlist }) {
+    const meta = [exchange, type].filter(Boolean).map(escapeHTML).join(' · ');
+    const action = inWatchlist
+        ? '<span class="search-result-listed"><i class="fas fa-check"></i> Listed</span>'
+        : '<button class="search-result-add" data-action="add" title="Add to watchlist"><i class="fas fa-plus"></i> Add</button>';
+    return `<li class="search-result" data-symbol="${escapeHTML(symbol)}">` +
+        `<div class="search-result-body"><span class="search-result-symbol">${escapeHTML(symbol)}</span>` +
+        `<span class="search-result-name">${escapeHTML(name || symbol)}</span>` +
+        (meta ? `<span class="search-result-meta">${meta}</span>` : '') + '</div>' +
+        `${action}</li>`;
+}
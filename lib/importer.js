@@ -0,0 +1,139 @@
+/**
+ * Broker CSV import pipeline: parse → map → validate → de-duplicate → preview.
+ *
+ * Planning is side-effect free so the same plan can be shown as a preview and
+ * then committed; callers write the `new` rows with importTransactions().
+ */
+
+import { parseCsvRecords } from './csv.js';
+import { detectMapping, mappingMatches, mapRecord } from './brokerMappings.js';
+import { validateTransaction, derivePositions, findOversells, describeOversell } from './ledger.js';
+
+/**
+ * Identity of a transaction for duplicate detection. Notes and ids are
+ * ignored so re-importing the same export (or a manually entered twin)
+ * produces the same key.
+ */
+export function transactionFingerprint(tx) {
+    const num = v => (v == null ? '' : Number(v).toFixed(6));
+    return [tx.symbol, tx.type, tx.date, num(tx.shares), num(tx.price), num(tx.amount), num(tx.ratio)].join('|');
+}
+
+/**
+ * Build an import plan from broker CSV text.
+ *
+ * Each data row ends up with one status:
+ *   new — valid and not already in the ledger
+ *   duplicate — matches an existing transaction (or an earlier identical row
+ *               beyond the number already stored, so genuine repeated fills
+ *               in one file are kept)
+ *   invalid — failed validation, the symbol is unknown to the quote provider,
+ *             or it sells more shares than the ledger holds at that date
+ *   skipped — action type the ledger does not track
+ *
+ * @param {Object} options
+ * @param {string} options.text - CSV file contents
+ * @param {Object<string, Object>} options.mappings - Available broker mappings
+ * @param {string} [options.broker] - Mapping name; auto-detected from headers when omitted
+ * @param {Object[]} [options.existing] - Transactions already in the ledger
+ * @param {(symbol: string) => Promise<boolean>} [options.validateSymbol] - Symbol lookup
+ * @returns {Promise<Object>} Plan with rows, summary counts and position changes
+ * @throws {Error} When the broker is unknown or no mapping fits the file
+ */
+export async function planImport({ text, mappings, broker, existing = [], validateSymbol }) {
+    let mapping = null;
+    if (broker) {
+        mapping = mappings[broker];
+        if (!mapping) {
+            throw new Error(`Unknown broker mapping "${broker}". Available: ${Object.keys(mappings).join(', ')}`);
+        }
+    }
+
+    const { headers, records } = parseCsvRecords(text, cells =>
+        mapping ? mappingMatches(mapping, cells.map(c => c.trim())) : !!detectMapping(mappings, cells.map(c => c.trim())));
+    mapping ??= detectMapping(mappings, headers);
+    if (!mapping || headers.length === 0) {
+        throw new Error('Could not find a header row matching any broker mapping');
+    }
+
+    const rows = records.map(record => {
+        const mapped = mapRecord(mapping, record);
+        if (!mapped) {
+            return { line: record.__line, status: 'skipped', transaction: null, errors: [] };
+        }
+        const { value, errors } = validateTransaction(mapped);
+        return { line: record.__line, status: value ? 'new' : 'invalid', transaction: value ?? mapped, errors };
+    });
+
+    if (validateSymbol) {
+        const symbols = [...new Set(rows.filter(r => r.status === 'new').map(r => r.transaction.symbol))];
+        const known = new Map();
+        for (const symbol of symbols) {
+            known.set(symbol, await validateSymbol(symbol));
+        }
+        for (const row of rows) {
+            if (row.status === 'new' && !known.get(row.transaction.symbol)) {
+                row.status = 'invalid';
+                row.errors = [`Unknown symbol ${row.transaction.symbol}`];
+            }
+        }
+    }
+
+    const stored = new Map();
+    for (const tx of existing) {
+        const key = transactionFingerprint(tx);
+        stored.set(key, (stored.get(key) ?? 0) + 1);
+    }
+    const seen = new Map();
+    for (const row of rows) {
+        if (row.status !== 'new') continue;
+        const key = transactionFingerprint(row.transaction);
+        const occurrence = (seen.get(key) ?? 0) + 1;
+        seen.set(key, occurrence);
+        if (occurrence <= (stored.get(key) ?? 0)) row.status = 'duplicate';
+    }
+
+    // Imported rows are stored after the existing ones, so replay them that way
+    let nextId = Math.max(0, ...existing.map(tx => tx.id ?? 0));
+    const pending = new Map(rows.filter(r => r.status === 'new').map(r => [{ ...r.transaction, id: ++nextId }, r]));
+    for (const oversell of findOversells([...existing, ...pending.keys()])) {
+        const row = pending.get(oversell.transaction);
+        if (row) {
+            row.status = 'invalid';
+            row.errors = [describeOversell(oversell)];
+        }
+    }
+
+    const toAdd = rows.filter(r => r.status === 'new').map(r => r.transaction);
+    const summary = { total: rows.length, new: 0, duplicate: 0, invalid: 0, skipped: 0 };
+    for (const row of rows) summary[row.status]++;
+
+    return {
+        broker: mapping.name,
+        summary,
+        rows,
+        positionChanges: diffPositions(derivePositions(existing), derivePositions([...existing, ...toAdd]))
+    };
+}
+
+/**
+ * Per-symbol share and cost changes between two derived position sets.
+ *
+ * @returns {Object[]} [{ symbol, sharesBefore, sharesAfter, costBasisBefore, costBasisAfter }]
+ */
+export function diffPositions(before, after) {
+    const changes = [];
+    for (const symbol of Object.keys(after).sort()) {
+        const a = after[symbol];
+        const b = before[symbol];
+        if (b && b.shares === a.shares && b.totalCost === a.totalCost && b.dividends === a.dividends) continue;
+        changes.push({
+            symbol,
+            sharesBefore: b?.shares ?? 0,
+            sharesAfter: a.shares,
+            costBasisBefore: b?.costBasis ?? null,
+            costBasisAfter: a.costBasis
+        });
+    }
+    return changes;
+}
@@ -0,0 +1,235 @@
+/**
+ * Transaction ledger validation and position derivation.
+ *
+ * Positions are rebuilt from the full transaction history using the average
+ * cost method, so share counts and cost basis never need hand-editing.
+ */
+
+export const TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'split', 'fee', 'transfer'];
+
+// Share counts below this are treated as a closed position (float noise from splits/sells)
+const SHARE_EPSILON = 1e-9;
+
+function optionalNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Validate and normalise a transaction from user input.
+ *
+ * Required fields by type:
+ *   buy / sell — shares > 0, price >= 0 (optional fees)
+ *   dividend / fee — amount > 0
+ *   split — ratio > 0 (2 for a 2-for-1 split)
+ *   transfer — shares != 0 (negative moves shares out); price is the
+ *              per-share cost basis carried in
+ *
+ * Sells may name the buy they close with `lot_id` (specific-lot matching).
+ *
+ * @param {Object} input - Raw transaction fields (e.g. a JSON request body)
+ * @returns {{ value: Object|null, errors: string[] }}
+ */
+export function validateTransaction(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return { value: null, errors: ['Transaction must be an object'] };
+    }
+
+    const symbol = typeof input.symbol === 'string' ? input.symbol.trim().toUpperCase() : '';
+    if (!symbol) errors.push('symbol is required');
+
+    const type = typeof input.type === 'string' ? input.type.trim().toLowerCase() : '';
+    if (!TRANSACTION_TYPES.includes(type)) {
+        errors.push(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    const rawDate = input.date != null ? String(input.date) : '';
+    const parsedDate = new Date(rawDate);
+    if (!rawDate || Number.isNaN(parsedDate.getTime())) errors.push('date must be a valid date');
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(rawDate) || Number.isNaN(parsedDate.getTime())
+        ? rawDate
+        : parsedDate.toISOString();
+
+    const value = {
+        symbol,
+        type,
+        date,
+        shares: optionalNumber(input.shares),
+        price: optionalNumber(input.price),
+        amount: optionalNumber(input.amount),
+        fees: optionalNumber(input.fees) ?? 0,
+        ratio: optionalNumber(input.ratio),
+        lot_id: optionalNumber(input.lot_id),
+        notes: typeof input.notes === 'string' && input.notes.trim() ? input.notes.trim() : null
+    };
+
+    for (const field of ['shares', 'price', 'amount', 'fees', 'ratio', 'lot_id']) {
+        if (Number.isNaN(value[field])) errors.push(`${field} must be a number`);
+    }
+    if (value.fees < 0) errors.push('fees must not be negative');
+    if (value.lot_id !== null && !Number.isNaN(value.lot_id)) {
+        if (!Number.isInteger(value.lot_id)) errors.push('lot_id must be a transaction id');
+        else if (type !== 'sell') errors.push('lot_id only applies to sells');
+    }
+
+    switch (type) {
+        case 'buy':
+        case 'sell':
+            if (!(value.shares > 0)) errors.push(`shares must be greater than 0 for a ${type}`);
+            if (value.price === null || value.price < 0) errors.push(`price is required for a ${type}`);
+            break;
+        case 'dividend':
+        case 'fee':
+            if (!(value.amount > 0)) errors.push(`amount must be greater than 0 for a ${type}`);
+            break;
+        case 'split':
+            if (!(value.ratio > 0)) errors.push('ratio must be greater than 0 for a split');
+            break;
+        case 'transfer':
+            if (!value.shares) errors.push('shares must be non-zero for a transfer');
+            if (value.price !== null && value.price < 0) errors.push('price must not be negative');
+            break;
+    }
+
+    return errors.length > 0 ? { value: null, errors } : { value, errors };
+}
+
+/**
+ * Compare two transactions by trade date, then by id (insertion order).
+ */
+export function compareTransactions(a, b) {
+    if (a.date < b.date) return -1;
+    if (a.date > b.date) return 1;
+    return (a.id ?? 0) - (b.id ?? 0);
+}
+
+/**
+ * Replay a ledger into per-symbol positions using average cost.
+ *
+ * @param {Object[]} transactions - Ledger rows (any order)
+ * @returns {Object<string, Object>} Symbol → { shares, costBasis, totalCost, realizedGain, dividends, fees }
+ */
+export function derivePositions(transactions) {
+    const positions = {};
+    const get = symbol => (positions[symbol] ??= {
+        shares: 0, totalCost: 0, realizedGain: 0, dividends: 0, fees: 0
+    });
+
+    for (const tx of [...transactions].sort(compareTransactions)) {
+        const p = get(tx.symbol);
+        const fees = tx.fees ?? 0;
+        const averageCost = p.shares > SHARE_EPSILON ? p.totalCost / p.shares : 0;
+
+        switch (tx.type) {
+            case 'buy':
+                p.shares += tx.shares;
+                p.totalCost += tx.shares * tx.price + fees;
+                p.fees += fees;
+                break;
+            case 'sell': {
+                const costOut = averageCost * tx.shares;
+                p.realizedGain += tx.shares * tx.price - fees - costOut;
+                p.totalCost -= costOut;
+                p.shares -= tx.shares;
+                p.fees += fees;
+                break;
+            }
+            case 'dividend':
+                p.dividends += tx.amount;
+                break;
+            case 'split':
+                p.shares *= tx.ratio;
+                break;
+            case 'fee':
+                p.realizedGain -= tx.amount;
+                p.fees += tx.amount;
+                break;
+            case 'transfer':
+                if (tx.shares > 0) {
+                    p.totalCost += tx.shares * (tx.price ?? averageCost);
+                } else {
+                    p.totalCost += averageCost * tx.shares;
+                }
+                p.shares += tx.shares;
+                break;
+        }
+
+        if (Math.abs(p.shares) < SHARE_EPSILON) {
+            p.shares = 0;
+            p.totalCost = 0;
+        }
+    }
+
+    for (const p of Object.values(positions)) {
+        p.costBasis = p.shares > 0 ? p.totalCost / p.shares : null;
+    }
+    return positions;
+}
+
+/**
+ * Find sells and outgoing transfers that take more shares than were held at
+ * that point in the ledger (splits included). Replaying an oversell through
+ * derivePositions would book the whole sale as gain against a flat position.
+ * Oversold rows are left out of the replay, so each is judged on its own.
+ *
+ * @param {Object[]} transactions - Ledger rows (any order)
+ * @returns {{ transaction: Object, held: number }[]} Oversold rows in trade order
+ */
+export function findOversells(transactions) {
+    const held = {};
+    const oversells = [];
+
+    for (const tx of [...transactions].sort(compareTransactions)) {
+        const shares = held[tx.symbol] ?? 0;
+        const out = tx.type === 'sell' ? tx.shares
+            : tx.type === 'transfer' && tx.shares < 0 ? -tx.shares
+            : 0;
+
+        if (out > 0 && out > shares + SHARE_EPSILON) {
+            oversells.push({ transaction: tx, held: shares });
+            continue;
+        }
+
+        switch (tx.type) {
+            case 'buy':
+            case 'transfer':
+                held[tx.symbol] = shares + tx.shares;
+                break;
+            case 'sell':
+                held[tx.symbol] = shares - tx.shares;
+                break;
+            case 'split':
+                held[tx.symbol] = shares * tx.ratio;
+                break;
+        }
+    }
+    return oversells;
+}
+
+/**
+ * Human-readable reason for an oversell from findOversells.
+ */
+export function describeOversell({ transaction, held }) {
+    const what = transaction.type === 'sell' ? 'sell' : 'transfer out';
+    const shares = Math.abs(transaction.shares);
+    return `${what} of ${shares} ${transaction.symbol} on ${transaction.date} exceeds the ${held} shares held`;
+}
+
+/**
+ * Reduce derived positions to the holdings shape used by calculatePosition,
+ * keeping only symbols with shares still held.
+ *
+ * @param {Object<string, Object>} positions - Result of derivePositions
+ * @returns {Object<string, { shares: number, costBasis: number|null, lots: Array }>}
+ */
+export function positionsToHoldings(positions) {
+    const holdings = {};
+    for (const [symbol, p] of Object.entries(positions)) {
+        if (p.shares > 0) {
+            holdings[symbol] = { shares: p.shares, costBasis: p.costBasis, lots: [] };
+        }
+    }
+    return holdings;
+}
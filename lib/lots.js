@@ -0,0 +1,238 @@
+/**
+ * Tax-lot matching and realized gains reporting.
+ *
+ * Buys (and inbound transfers) open lots; sells close them using one of:
+ *   fifo — oldest lots first
+ *   lifo — newest lots first
+ *   specific — the lot named by the sell's lot_id first, then FIFO
+ *   average — cost is the running average of the symbol's shares, kept as a
+ *             pool that each sell takes avg × shares out of; lots are still
+ *             consumed FIFO, but only to decide the holding period
+ */
+
+import { compareTransactions } from './ledger.js';
+
+export const LOT_METHODS = ['fifo', 'lifo', 'specific', 'average'];
+
+const SHARE_EPSILON = 1e-9;
+
+/**
+ * Whether a lot acquired on `acquired` and sold on `sold` is long-term
+ * (held for more than one year).
+ *
+ * @param {string} acquired - Acquisition date (YYYY-MM-DD or ISO)
+ * @param {string} sold - Sale date (YYYY-MM-DD or ISO)
+ * @returns {boolean}
+ */
+export function isLongTerm(acquired, sold) {
+    const anniversary = new Date(acquired.slice(0, 10) + 'T00:00:00Z');
+    anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+    return new Date(sold.slice(0, 10) + 'T00:00:00Z') > anniversary;
+}
+
+function orderLots(lots, method, lotId) {
+    const ordered = method === 'lifo' ? [...lots].reverse() : [...lots];
+    if (method === 'specific' && lotId != null) {
+        const index = ordered.findIndex(l => l.lotId === lotId);
+        if (index > 0) ordered.unshift(...ordered.splice(index, 1));
+    }
+    return ordered;
+}
+
+/**
+ * Replay a ledger, matching sells against open lots.
+ *
+ * @param {Object[]} transactions - Ledger rows (any order)
+ * @param {string} [method='fifo'] - One of LOT_METHODS
+ * @returns {{ realized: Object[], openLots: Object<string, Object[]> }}
+ *   realized — one entry per (sell, lot) pair with proceeds, cost and term;
+ *   openLots — remaining lots per symbol
+ * @throws {Error} On an unknown method
+ */
+export function matchLots(transactions, method = 'fifo') {
+    if (!LOT_METHODS.includes(method)) {
+        throw new Error(`Unknown lot method "${method}". Use one of: ${LOT_METHODS.join(', ')}`);
+    }
+
+    const openLots = {};
+    const realized = [];
+    const lotsFor = symbol => (openLots[symbol] ??= []);
+    // Average-cost pool per symbol: shares held and their total cost
+    const pools = {};
+    const poolFor = symbol => (pools[symbol] ??= { shares: 0, cost: 0 });
+    const poolAverage = pool => (pool.shares > SHARE_EPSILON ? pool.cost / pool.shares : 0);
+    // Take shares out of the pool at its average cost; returns that average
+    const drawPool = (pool, shares) => {
+        const avg = poolAverage(pool);
+        const held = Math.max(0, Math.min(shares, pool.shares));
+        pool.cost -= avg * held;
+        pool.shares -= shares;
+        if (pool.shares <= SHARE_EPSILON) pool.cost = 0;
+        return avg;
+    };
+    const heldShares = lots => lots.reduce((sum, l) => sum + l.shares, 0);
+    const averageCost = lots => {
+        const shares = heldShares(lots);
+        return shares > SHARE_EPSILON ? lots.reduce((sum, l) => sum + l.shares * l.costPerShare, 0) / shares : 0;
+    };
+
+    for (const tx of [...transactions].sort(compareTransactions)) {
+        const lots = lotsFor(tx.symbol);
+        const pool = poolFor(tx.symbol);
+
+        switch (tx.type) {
+            case 'buy':
+                pool.shares += tx.shares;
+                pool.cost += tx.shares * tx.price + (tx.fees ?? 0);
+                lots.push({
+                    lotId: tx.id ?? null,
+                    acquired: tx.date,
+                    shares: tx.shares,
+                    costPerShare: (tx.shares * tx.price + (tx.fees ?? 0)) / tx.shares
+                });
+                break;
+            case 'transfer':
+                if (tx.shares > 0) {
+                    const costPerShare = tx.price ?? (method === 'average' ? poolAverage(pool) : averageCost(lots));
+                    pool.shares += tx.shares;
+                    pool.cost += tx.shares * costPerShare;
+                    lots.push({
+                        lotId: tx.id ?? null,
+                        acquired: tx.date,
+                        shares: tx.shares,
+                        costPerShare
+                    });
+                } else {
+                    drawPool(pool, -tx.shares);
+                    consume(lots, -tx.shares, 'fifo', null);
+                }
+                break;
+            case 'split':
+                pool.shares *= tx.ratio;
+                for (const lot of lots) {
+                    lot.shares *= tx.ratio;
+                    lot.costPerShare /= tx.ratio;
+                }
+                break;
+            case 'sell': {
+                const avg = drawPool(pool, tx.shares);
+                const proceedsPerShare = (tx.shares * tx.price - (tx.fees ?? 0)) / tx.shares;
+                const taken = consume(lots, tx.shares, method === 'average' ? 'fifo' : method, tx.lot_id ?? null);
+                for (const part of taken) {
+                    const costPerShare = method === 'average' ? avg : part.costPerShare;
+                    const proceeds = part.shares * proceedsPerShare;
+                    const costBasis = part.shares * costPerShare;
+                    realized.push({
+                        symbol: tx.symbol,
+                        sellId: tx.id ?? null,
+                        lotId: part.lotId,
+                        acquired: part.acquired,
+                        sold: tx.date,
+                        shares: part.shares,
+                        proceeds,
+                        costBasis,
+                        gain: proceeds - costBasis,
+                        term: part.acquired && isLongTerm(part.acquired, tx.date) ? 'long' : 'short'
+                    });
+                }
+                break;
+            }
+        }
+    }
+
+    for (const symbol of Object.keys(openLots)) {
+        if (openLots[symbol].length === 0) delete openLots[symbol];
+    }
+    return { realized, openLots };
+}
+
+// Remove `shares` from the lots in the given order; returns the slices taken.
+// Selling more than is held yields a slice with no lot (unknown basis → zero cost).
+function consume(lots, shares, method, lotId) {
+    const taken = [];
+    let remaining = shares;
+    for (const lot of orderLots(lots, method, lotId)) {
+        if (remaining <= SHARE_EPSILON) break;
+        const used = Math.min(lot.shares, remaining);
+        taken.push({ lotId: lot.lotId, acquired: lot.acquired, shares: used, costPerShare: lot.costPerShare });
+        lot.shares -= used;
+        remaining -= used;
+    }
+    if (remaining > SHARE_EPSILON) {
+        taken.push({ lotId: null, acquired: null, shares: remaining, costPerShare: 0 });
+    }
+    for (let i = lots.length - 1; i >= 0; i--) {
+        if (lots[i].shares <= SHARE_EPSILON) lots.splice(i, 1);
+    }
+    return taken;
+}
+
+function emptyTotals() {
+    return { proceeds: 0, costBasis: 0, gain: 0 };
+}
+
+/**
+ * Build the realized gains report for a calendar year.
+ *
+ * @param {Object[]} transactions - Full ledger
+ * @param {{ year: number, method?: string }} options
+ * @returns {Object} { year, method, rows, totals: { short, long, total }, dividends, openLots }
+ */
+export function buildRealizedGainsReport(transactions, { year, method = 'fifo' }) {
+    const yearEnd = `${year}-12-31`;
+    const inScope = transactions.filter(tx => tx.date.slice(0, 10) <= yearEnd);
+    const { realized, openLots } = matchLots(inScope, method);
+
+    const rows = realized.filter(r => r.sold.startsWith(String(year)));
+    const totals = { short: emptyTotals(), long: emptyTotals(), total: emptyTotals() };
+    for (const row of rows) {
+        for (const bucket of [totals[row.term], totals.total]) {
+            bucket.proceeds += row.proceeds;
+            bucket.costBasis += row.costBasis;
+            bucket.gain += row.gain;
+        }
+    }
+
+    const dividends = inScope
+        .filter(tx => tx.type === 'dividend' && tx.date.startsWith(String(year)))
+        .reduce((sum, tx) => sum + tx.amount, 0);
+
+    return { year, method, rows, totals, dividends, openLots };
+}
+
+/**
+ * Value open lots at the given per-symbol prices.
+ *
+ * @param {Object<string, Object[]>} openLots - From matchLots/buildRealizedGainsReport
+ * @param {Object<string, number|null>} prices - Symbol → price (null when unknown)
+ * @returns {Object[]} Flat list of lots with marketValue and unrealizedGain (null without a price)
+ */
+export function valueOpenLots(openLots, prices) {
+    return Object.entries(openLots).flatMap(([symbol, lots]) => lots.map(lot => {
+        const price = prices[symbol] ?? null;
+        const marketValue = price != null ? lot.shares * price : null;
+        return {
+            symbol,
+            ...lot,
+            price,
+            marketValue,
+            unrealizedGain: marketValue != null ? marketValue - lot.shares * lot.costPerShare : null
+        };
+    }));
+}
+
+/**
+ * Flatten report rows into CSV-ready arrays (header first).
+ *
+ * @param {Object} report - Result of buildRealizedGainsReport
+ * @returns {Array<Array<string|number>>}
+ */
+export function realizedGainsRows(report) {
+    const round = v => Math.round(v * 100) / 100;
+    return [
+        ['symbol', 'acquired', 'sold', 'shares', 'proceeds', 'cost_basis', 'gain', 'term', 'method'],
+        ...report.rows.map(r => [
+            r.symbol, r.acquired ?? '', r.sold, r.shares, round(r.proceeds), round(r.costBasis), round(r.gain), r.term, report.method
+        ])
+    ];
+}
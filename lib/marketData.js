@@ -0,0 +1,261 @@
+import { createYahooProvider } from './providers/yahoo.js';
+import { createStooqProvider } from './providers/stooq.js';
+import { createRestProvider } from './providers/rest.js';
+
+/**
+ * Market data access through interchangeable providers.
+ *
+ * A provider is `{ name, type, quote(symbols), history?(symbol, opts), search?(query) }`:
+ *   quote   → quotes in Yahoo Finance shape (symbols it doesn't know are left out)
+ *   history → [{ date, open, high, low, close, volume }]
+ *   search  → [{ symbol, name, exchange, type }]
+ *
+ * Each symbol has an ordered provider list (`providers.symbols`, falling back
+ * to `providers.order`). When a provider throws, or doesn't return a symbol,
+ * the next one in that symbol's list is tried. A provider that throws is put
+ * on a cooldown and tried last until the cooldown ends.
+ */
+
+export const PROVIDER_TYPES = ['yahoo', 'stooq', 'rest'];
+
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+/**
+ * Validate the `providers:` block of config.yaml. A `yahoo` source always
+ * exists, so an empty block keeps today's Yahoo-only behaviour.
+ *
+ * @param {Object} [raw] - Parsed YAML block
+ * @returns {{ sources: Object[], order: string[], symbols: Object<string, string[]>, cooldownMs: number, errors: string[] }}
+ */
+export function parseProviderConfig(raw) {
+    const errors = [];
+    const sources = [];
+    const names = new Set();
+
+    const rawSources = Array.isArray(raw?.sources) ? raw.sources : [];
+    rawSources.forEach((source, i) => {
+        const where = `providers.sources[${i}]`;
+        if (!source || !PROVIDER_TYPES.includes(source.type)) {
+            errors.push(`${where}: type must be one of ${PROVIDER_TYPES.join(', ')}`);
+            return;
+        }
+        const name = source.name ? String(source.name) : source.type;
+        if (names.has(name)) {
+            errors.push(`${where}: duplicate provider name "${name}"`);
+            return;
+        }
+        if (source.type === 'rest' && (!source.quoteUrl || !source.quoteFields?.regularMarketPrice)) {
+            errors.push(`${where}: rest requires quoteUrl and quoteFields.regularMarketPrice`);
+            return;
+        }
+        names.add(name);
+        sources.push({ ...source, name });
+    });
+    if (!names.has('yahoo')) {
+        sources.unshift({ name: 'yahoo', type: 'yahoo' });
+        names.add('yahoo');
+    }
+
+    const known = (list, where) => {
+        const valid = [];
+        for (const name of Array.isArray(list) ? list : [list]) {
+            if (names.has(String(name))) valid.push(String(name));
+            else errors.push(`${where}: unknown provider "${name}"`);
+        }
+        return valid;
+    };
+
+    let order = raw?.order != null ? known(raw.order, 'providers.order') : [];
+    if (order.length === 0) order = ['yahoo'];
+
+    const symbols = {};
+    for (const [symbol, list] of Object.entries(raw?.symbols ?? {})) {
+        const chain = known(list, `providers.symbols.${symbol}`);
+        if (chain.length > 0) symbols[symbol.toUpperCase()] = chain;
+    }
+
+    const cooldownSeconds = Number.isFinite(raw?.cooldownSeconds) && raw.cooldownSeconds >= 0
+        ? raw.cooldownSeconds
+        : DEFAULT_COOLDOWN_SECONDS;
+
+    return { sources, order, symbols, cooldownMs: cooldownSeconds * 1000, errors };
+}
+
+/**
+ * Build a provider from a validated source config.
+ *
+ * @param {Object} source - Entry from parseProviderConfig().sources
+ * @param {{ yahooClient: Object, fetch?: Function }} deps
+ * @returns {Object} Provider
+ */
+export function createProvider(source, { yahooClient, fetch }) {
+    switch (source.type) {
+        case 'yahoo':
+            return createYahooProvider({ name: source.name, client: yahooClient });
+        case 'stooq':
+            return createStooqProvider({ ...source, fetch });
+        case 'rest':
+            return createRestProvider({ ...source, fetch });
+        default:
+            throw new Error(`Unknown provider type: ${source.type}`);
+    }
+}
+
+/**
+ * Route quote, history and search requests across providers with failover.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.providers - Provider instances
+ * @param {string[]} options.order - Default provider order
+ * @param {Object<string, string[]>} [options.symbols] - Per-symbol provider order (upper-case keys)
+ * @param {number} [options.cooldownMs] - How long a failed provider is tried last
+ * @param {Function} [options.onError] - (provider, error) => void, called on every provider failure
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ quote: Function, history: Function, search: Function, status: Function }}
+ */
+export function createMarketData({
+    providers,
+    order,
+    symbols = {},
+    cooldownMs = DEFAULT_COOLDOWN_SECONDS * 1000,
+    onError = () => {},
+    now = Date.now
+}) {
+    const byName = new Map(providers.map(provider => [provider.name, provider]));
+    const health = new Map(providers.map(provider => [provider.name, {
+        failures: 0,
+        lastError: null,
+        lastFailureAt: null,
+        cooldownUntil: null
+    }]));
+
+    const coolingDown = provider => (health.get(provider.name).cooldownUntil ?? 0) > now();
+
+    // Providers for a symbol that support `method`, healthy ones first
+    function chainFor(symbol, method) {
+        const chain = (symbols[symbol?.toUpperCase()] ?? order)
+            .map(name => byName.get(name))
+            .filter(provider => typeof provider?.[method] === 'function');
+        return [...chain.filter(p => !coolingDown(p)), ...chain.filter(coolingDown)];
+    }
+
+    function succeeded(provider) {
+        const state = health.get(provider.name);
+        state.failures = 0;
+        state.cooldownUntil = null;
+    }
+
+    function failed(provider, error) {
+        const state = health.get(provider.name);
+        state.failures++;
+        state.lastError = error.message;
+        state.lastFailureAt = new Date(now()).toISOString();
+        state.cooldownUntil = now() + cooldownMs;
+        onError(provider, error);
+    }
+
+    // Try each provider in turn until one returns a non-empty result
+    async function firstResult(chain, call) {
+        let lastError = null;
+        for (const provider of chain) {
+            try {
+                const result = await call(provider);
+                succeeded(provider);
+                if (result.length > 0) return result;
+            } catch (error) {
+                failed(provider, error);
+                lastError = error;
+            }
+        }
+        if (lastError) throw lastError;
+        return [];
+    }
+
+    /**
+     * Quote several symbols, grouping them into one request per provider.
+     *
+     * @param {string[]} requested
+     * @returns {Promise<Object[]>} Quotes (with `provider` set) in request order; unknown symbols are left out
+     * @throws The last provider error when no symbol could be quoted at all
+     */
+    async function quote(requested) {
+        const results = new Map();
+        const tried = new Map(requested.map(symbol => [symbol, new Set()]));
+        let pending = [...requested];
+        let lastError = null;
+
+        while (pending.length > 0) {
+            const groups = new Map();
+            for (const symbol of pending) {
+                const provider = chainFor(symbol, 'quote').find(p => !tried.get(symbol).has(p.name));
+                if (!provider) continue;
+                tried.get(symbol).add(provider.name);
+                if (!groups.has(provider)) groups.set(provider, []);
+                groups.get(provider).push(symbol);
+            }
+            pending = [];
+
+            await Promise.all([...groups].map(async ([provider, batch]) => {
+                try {
+                    const quotes = await provider.quote(batch);
+                    succeeded(provider);
+                    const bySymbol = new Map(quotes.map(q => [String(q.symbol).toUpperCase(), q]));
+                    for (const symbol of batch) {
+                        const found = bySymbol.get(symbol.toUpperCase());
+                        if (found) results.set(symbol, { ...found, symbol, provider: found.provider ?? provider.name });
+                        else pending.push(symbol);
+                    }
+                } catch (error) {
+                    failed(provider, error);
+                    lastError = error;
+                    pending.push(...batch);
+                }
+            }));
+        }
+
+        if (results.size === 0 && lastError) throw lastError;
+        return requested.filter(symbol => results.has(symbol)).map(symbol => results.get(symbol));
+    }
+
+    /**
+     * Price history for a symbol from the first provider that has any.
+     *
+     * @param {string} symbol
+     * @param {{ from: Date|string|number, to?: Date|string|number, interval?: string }} options
+     * @returns {Promise<Object[]>} Bars, oldest first
+     */
+    function history(symbol, options) {
+        return firstResult(chainFor(symbol, 'history'), provider => provider.history(symbol, options));
+    }
+
+    /**
+     * Symbol search through the default provider order.
+     *
+     * @param {string} query
+     * @returns {Promise<Object[]>}
+     * @throws When no configured provider supports search
+     */
+    function search(query) {
+        const chain = chainFor(null, 'search');
+        if (chain.length === 0) {
+            return Promise.reject(new Error('No configured provider supports search'));
+        }
+        return firstResult(chain, provider => provider.search(query));
+    }
+
+    /**
+     * Health of every provider, for the status endpoint.
+     */
+    function status() {
+        return providers.map(provider => ({
+            name: provider.name,
+            type: provider.type,
+            capabilities: ['quote', 'history', 'search'].filter(method => typeof provider[method] === 'function'),
+            healthy: !coolingDown(provider),
+            ...health.get(provider.name),
+            cooldownUntil: coolingDown(provider) ? new Date(health.get(provider.name).cooldownUntil).toISOString() : null
+        }));
+    }
+
+    return { quote, history, search, status };
+}
@@ -0,0 +1,533 @@
+/**
+ * Exchange trading calendar: session hours, holidays and early closes.
+ *
+ * Session times are local to each exchange's time zone, so daylight saving is
+ * handled by Intl rather than by hand. Only US exchanges have pre- and
+ * post-market sessions; elsewhere the market is either in its regular session
+ * or closed (including lunch breaks in Asia).
+ *
+ * Holidays are computed from rules (fixed dates, nth weekdays, Easter offsets,
+ * equinoxes) so the calendar doesn't expire. Holidays that follow the lunar
+ * calendar (Lunar New Year, Diwali, Eid…) are not covered; on those days the
+ * calendar reports a normal session and Yahoo's marketState is the only
+ * signal that the market is shut.
+ */
+
+// Yahoo Finance exchange codes → human-readable display names.
+// Codes that share a display name are intentionally merged into one pill
+// (e.g. NMS/NGM/NCM are all NASDAQ tiers but the same exchange operationally).
+// NYSE Arca (PCX) opens/closes with NYSE so we fold it in — no need for a
+// separate pill that would confuse users.
+export const EXCHANGE_DISPLAY = {
+    // US
+    NMS: 'NASDAQ', NGM: 'NASDAQ', NCM: 'NASDAQ',
+    NYQ: 'NYSE', PCX: 'NYSE', ASE: 'NYSE',
+    // UK
+    LSE: 'London',
+    // Europe
+    HEL: 'Helsinki', STO: 'Stockholm', CPH: 'Copenhagen', OSL: 'Oslo',
+    ETR: 'XETRA', PAR: 'Euronext Paris', AMS: 'Euronext AMS',
+    MCE: 'Madrid', MIL: 'Milan', SWX: 'SIX Swiss',
+    // Asia-Pacific
+    TYO: 'Tokyo', OSA: 'Osaka', HKG: 'Hong Kong',
+    SGX: 'Singapore', ASX: 'ASX', TAI: 'Taiwan',
+    BSE: 'BSE India', NSE: 'NSE India',
+    // Americas
+    TSX: 'TSX', SAO: 'B3',
+};
+
+const SUN = 0, MON = 1, THU = 4, FRI = 5, SAT = 6;
+
+// Calendar dates are UTC midnights, so day arithmetic ignores the host zone
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+function dateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+const isWeekend = date => date.getUTCDay() === SAT || date.getUTCDay() === SUN;
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDate(year, month, day);
+}
+
+// Holiday rules. `observe` says what happens when the date falls on a weekend:
+//   'nearest' — Saturday → Friday, Sunday → Monday (US)
+//   'next'    — the next weekday that isn't already a holiday (UK, Canada, Australia)
+//   'sunday'  — like 'next', but only for Sundays (Japan, Hong Kong, Singapore)
+// Without it a weekend holiday is simply dropped.
+const fixed = (month, day, name, observe) => ({ name, observe, date: year => utcDate(year, month, day) });
+const easter = (offset, name) => ({ name, date: year => addDays(easterSunday(year), offset) });
+// n-th `weekday` of the month counting from day `from`; n = -1 is the last one in the month
+const nth = (month, weekday, n, name, from = 1) => ({
+    name,
+    date(year) {
+        if (n < 0) {
+            const last = utcDate(year, month + 1, 0);
+            return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+        }
+        const first = utcDate(year, month, from);
+        return addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+    }
+});
+const dayAfter = (rule, name) => ({ name, date: year => addDays(rule.date(year), 1) });
+// Japanese equinox days (valid 1980–2099)
+const equinox = (month, base, name) => ({
+    name,
+    observe: 'sunday',
+    date: year => utcDate(year, month, Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4)))
+});
+
+const GOOD_FRIDAY = easter(-2, 'Good Friday');
+const EASTER_MONDAY = easter(1, 'Easter Monday');
+const US_THANKSGIVING = nth(11, THU, 4, 'Thanksgiving Day');
+
+const US_CALENDAR = {
+    timeZone: 'America/New_York', pre: '04:00', open: '09:30', close: '16:00', post: '20:00',
+    holidays: [
+        fixed(1, 1, "New Year's Day", 'sunday'),
+        nth(1, MON, 3, 'Martin Luther King Jr. Day'),
+        nth(2, MON, 3, "Washington's Birthday"),
+        GOOD_FRIDAY,
+        nth(5, MON, -1, 'Memorial Day'),
+        fixed(6, 19, 'Juneteenth', 'nearest'),
+        fixed(7, 4, 'Independence Day', 'nearest'),
+        nth(9, MON, 1, 'Labor Day'),
+        US_THANKSGIVING,
+        fixed(12, 25, 'Christmas Day', 'nearest'),
+    ],
+    earlyCloses: {
+        close: '13:00',
+        days: [fixed(7, 3, 'Independence Day eve'), dayAfter(US_THANKSGIVING, 'Day after Thanksgiving'), fixed(12, 24, 'Christmas Eve')]
+    }
+};
+
+// The holidays most continental European exchanges share
+const EUROPE_HOLIDAYS = [
+    fixed(1, 1, "New Year's Day"),
+    GOOD_FRIDAY,
+    EASTER_MONDAY,
+    fixed(5, 1, 'Labour Day'),
+    fixed(12, 24, 'Christmas Eve'),
+    fixed(12, 25, 'Christmas Day'),
+    fixed(12, 26, "St. Stephen's Day"),
+    fixed(12, 31, "New Year's Eve"),
+];
+const EURONEXT_HOLIDAYS = [
+    fixed(1, 1, "New Year's Day"),
+    GOOD_FRIDAY,
+    EASTER_MONDAY,
+    fixed(5, 1, 'Labour Day'),
+    fixed(12, 25, 'Christmas Day'),
+    fixed(12, 26, 'Boxing Day'),
+];
+const EURONEXT_EARLY_CLOSES = { close: '14:05', days: [fixed(12, 24, 'Christmas Eve'), fixed(12, 31, "New Year's Eve")] };
+const ASCENSION = easter(39, 'Ascension Day');
+const WHIT_MONDAY = easter(50, 'Whit Monday');
+const MIDSUMMER_EVE = nth(6, FRI, 1, 'Midsummer Eve', 19);
+
+const JAPAN_CALENDAR = {
+    timeZone: 'Asia/Tokyo', open: '09:00', close: '15:30', breaks: [['11:30', '12:30']],
+    holidays: [
+        fixed(1, 1, "New Year's Day"),
+        fixed(1, 2, 'Market holiday'),
+        fixed(1, 3, 'Market holiday'),
+        nth(1, MON, 2, 'Coming of Age Day'),
+        fixed(2, 11, 'National Foundation Day', 'sunday'),
+        fixed(2, 23, "Emperor's Birthday", 'sunday'),
+        equinox(3, 20.8431, 'Vernal Equinox Day'),
+        fixed(4, 29, 'Showa Day', 'sunday'),
+        fixed(5, 3, 'Constitution Memorial Day', 'sunday'),
+        fixed(5, 4, 'Greenery Day', 'sunday'),
+        fixed(5, 5, "Children's Day", 'sunday'),
+        nth(7, MON, 3, 'Marine Day'),
+        fixed(8, 11, 'Mountain Day', 'sunday'),
+        nth(9, MON, 3, 'Respect for the Aged Day'),
+        equinox(9, 23.2488, 'Autumnal Equinox Day'),
+        nth(10, MON, 2, 'Sports Day'),
+        fixed(11, 3, 'Culture Day', 'sunday'),
+        fixed(11, 23, 'Labour Thanksgiving Day', 'sunday'),
+        fixed(12, 31, 'Market holiday'),
+    ]
+};
+
+const INDIA_CALENDAR = {
+    timeZone: 'Asia/Kolkata', open: '09:15', close: '15:30',
+    holidays: [
+        fixed(1, 26, 'Republic Day'),
+        GOOD_FRIDAY,
+        fixed(5, 1, 'Maharashtra Day'),
+        fixed(8, 15, 'Independence Day'),
+        fixed(10, 2, 'Gandhi Jayanti'),
+        fixed(12, 25, 'Christmas'),
+    ]
+};
+
+// Display name → calendar (HH:MM times are exchange local time)
+export const MARKET_HOURS = {
+    'NASDAQ': US_CALENDAR,
+    'NYSE': US_CALENDAR,
+    'London': {
+        timeZone: 'Europe/London', open: '08:00', close: '16:30',
+        holidays: [
+            fixed(1, 1, "New Year's Day", 'next'),
+            GOOD_FRIDAY,
+            EASTER_MONDAY,
+            nth(5, MON, 1, 'Early May Bank Holiday'),
+            nth(5, MON, -1, 'Spring Bank Holiday'),
+            nth(8, MON, -1, 'Summer Bank Holiday'),
+            fixed(12, 25, 'Christmas Day', 'next'),
+            fixed(12, 26, 'Boxing Day', 'next'),
+        ],
+        earlyCloses: { close: '12:30', days: [fixed(12, 24, 'Christmas Eve'), fixed(12, 31, "New Year's Eve")] }
+    },
+    'Helsinki': {
+        timeZone: 'Europe/Helsinki', open: '10:00', close: '18:30',
+        holidays: [...EUROPE_HOLIDAYS, ASCENSION, MIDSUMMER_EVE, fixed(12, 6, 'Independence Day')]
+    },
+    'Stockholm': {
+        timeZone: 'Europe/Stockholm', open: '09:00', close: '17:30',
+        holidays: [...EUROPE_HOLIDAYS, ASCENSION, fixed(6, 6, 'National Day'), MIDSUMMER_EVE]
+    },
+    'Copenhagen': {
+        timeZone: 'Europe/Copenhagen', open: '09:00', close: '17:00',
+        holidays: [...EUROPE_HOLIDAYS, easter(-3, 'Maundy Thursday'), ASCENSION, WHIT_MONDAY, fixed(6, 5, 'Constitution Day')]
+    },
+    'Oslo': {
+        timeZone: 'Europe/Oslo', open: '09:00', close: '16:20',
+        holidays: [...EUROPE_HOLIDAYS, easter(-3, 'Maundy Thursday'), ASCENSION, WHIT_MONDAY, fixed(5, 17, 'Constitution Day')]
+    },
+    'XETRA': { timeZone: 'Europe/Berlin', open: '09:00', close: '17:30', holidays: EUROPE_HOLIDAYS },
+    'Euronext Paris': {
+        timeZone: 'Europe/Paris', open: '09:00', close: '17:30',
+        holidays: EURONEXT_HOLIDAYS, earlyCloses: EURONEXT_EARLY_CLOSES
+    },
+    'Euronext AMS': {
+        timeZone: 'Europe/Amsterdam', open: '09:00', close: '17:30',
+        holidays: EURONEXT_HOLIDAYS, earlyCloses: EURONEXT_EARLY_CLOSES
+    },
+    'Madrid': {
+        timeZone: 'Europe/Madrid', open: '09:00', close: '17:30',
+        holidays: EURONEXT_HOLIDAYS,
+        earlyCloses: { close: '14:00', days: [fixed(12, 24, 'Christmas Eve'), fixed(12, 31, "New Year's Eve")] }
+    },
+    'Milan': { timeZone: 'Europe/Rome', open: '09:00', close: '17:30', holidays: EUROPE_HOLIDAYS },
+    'SIX Swiss': {
+        timeZone: 'Europe/Zurich', open: '09:00', close: '17:30',
+        holidays: [...EUROPE_HOLIDAYS, fixed(1, 2, "Berchtold's Day"), ASCENSION, WHIT_MONDAY, fixed(8, 1, 'Swiss National Day')]
+    },
+    'Tokyo': JAPAN_CALENDAR,
+    'Osaka': JAPAN_CALENDAR,
+    'Hong Kong': {
+        timeZone: 'Asia/Hong_Kong', open: '09:30', close: '16:00', breaks: [['12:00', '13:00']],
+        holidays: [
+            fixed(1, 1, "New Year's Day", 'sunday'),
+            GOOD_FRIDAY,
+            EASTER_MONDAY,
+            fixed(5, 1, 'Labour Day', 'sunday'),
+            fixed(7, 1, 'HKSAR Establishment Day', 'sunday'),
+            fixed(10, 1, 'National Day', 'sunday'),
+            fixed(12, 25, 'Christmas Day', 'sunday'),
+            fixed(12, 26, 'Boxing Day', 'sunday'),
+        ],
+        earlyCloses: { close: '12:00', days: [fixed(12, 24, 'Christmas Eve'), fixed(12, 31, "New Year's Eve")] }
+    },
+    'Singapore': {
+        timeZone: 'Asia/Singapore', open: '09:00', close: '17:00', breaks: [['12:00', '13:00']],
+        holidays: [
+            fixed(1, 1, "New Year's Day", 'sunday'),
+            GOOD_FRIDAY,
+            fixed(5, 1, 'Labour Day', 'sunday'),
+            fixed(8, 9, 'National Day', 'sunday'),
+            fixed(12, 25, 'Christmas Day', 'sunday'),
+        ],
+        earlyCloses: { close: '12:00', days: [fixed(12, 24, 'Christmas Eve'), fixed(12, 31, "New Year's Eve")] }
+    },
+    'ASX': {
+        timeZone: 'Australia/Sydney', open: '10:00', close: '16:00',
+        holidays: [
+            fixed(1, 1, "New Year's Day", 'next'),
+            fixed(1, 26, 'Australia Day', 'next'),
+            GOOD_FRIDAY,
+            EASTER_MONDAY,
+            fixed(4, 25, 'Anzac Day'),
+            nth(6, MON, 2, "King's Birthday"),
+            fixed(12, 25, 'Christmas Day', 'next'),
+            fixed(12, 26, 'Boxing Day', 'next'),
+        ],
+        earlyCloses: { close: '14:10', days: [fixed(12, 24, 'Christmas Eve'), fixed(12, 31, "New Year's Eve")] }
+    },
+    'Taiwan': {
+        timeZone: 'Asia/Taipei', open: '09:00', close: '13:30',
+        holidays: [
+            fixed(1, 1, "New Year's Day"),
+            fixed(2, 28, 'Peace Memorial Day'),
+            fixed(4, 4, "Children's Day"),
+            fixed(5, 1, 'Labour Day'),
+            fixed(10, 10, 'National Day'),
+        ]
+    },
+    'BSE India': INDIA_CALENDAR,
+    'NSE India': INDIA_CALENDAR,
+    'TSX': {
+        timeZone: 'America/Toronto', open: '09:30', close: '16:00',
+        holidays: [
+            fixed(1, 1, "New Year's Day", 'next'),
+            nth(2, MON, 3, 'Family Day'),
+            GOOD_FRIDAY,
+            nth(5, MON, 1, 'Victoria Day', 18),
+            fixed(7, 1, 'Canada Day', 'next'),
+            nth(8, MON, 1, 'Civic Holiday'),
+            nth(9, MON, 1, 'Labour Day'),
+            nth(10, MON, 2, 'Thanksgiving'),
+            fixed(12, 25, 'Christmas Day', 'next'),
+            fixed(12, 26, 'Boxing Day', 'next'),
+        ],
+        earlyCloses: { close: '13:00', days: [fixed(12, 24, 'Christmas Eve')] }
+    },
+    'B3': {
+        timeZone: 'America/Sao_Paulo', open: '10:00', close: '17:00',
+        holidays: [
+            fixed(1, 1, "New Year's Day"),
+            easter(-48, 'Carnival'),
+            easter(-47, 'Carnival'),
+            GOOD_FRIDAY,
+            fixed(4, 21, 'Tiradentes'),
+            fixed(5, 1, 'Labour Day'),
+            easter(60, 'Corpus Christi'),
+            fixed(9, 7, 'Independence Day'),
+            fixed(10, 12, 'Our Lady of Aparecida'),
+            fixed(11, 2, "All Souls' Day"),
+            fixed(11, 15, 'Republic Day'),
+            fixed(11, 20, 'Black Consciousness Day'),
+            fixed(12, 24, 'Christmas Eve'),
+            fixed(12, 25, 'Christmas Day'),
+            fixed(12, 31, "New Year's Eve"),
+        ]
+    },
+};
+
+const holidayCache = new Map();
+
+/**
+ * Holidays an exchange is closed for in a year, with weekend holidays moved
+ * to the day they are observed.
+ *
+ * @param {string} displayName - Key of MARKET_HOURS
+ * @param {number} year
+ * @returns {Map<string, string>} YYYY-MM-DD → holiday name (empty for unknown exchanges)
+ */
+export function getHolidays(displayName, year) {
+    const cacheKey = `${displayName}:${year}`;
+    if (holidayCache.has(cacheKey)) return holidayCache.get(cacheKey);
+
+    const rules = MARKET_HOURS[displayName]?.holidays ?? [];
+    const dates = rules.map(rule => rule.date(year));
+    const actual = new Set(dates.map(dateKey));
+    const holidays = new Map();
+    // Substitutes skip days that are holidays in their own right
+    const free = date => !isWeekend(date) && !actual.has(dateKey(date)) && !holidays.has(dateKey(date));
+
+    rules.forEach((rule, i) => {
+        let date = dates[i];
+        const day = date.getUTCDay();
+        if (rule.observe === 'nearest' && isWeekend(date)) {
+            date = addDays(date, day === SAT ? -1 : 1);
+        } else if ((rule.observe === 'next' && isWeekend(date)) || (rule.observe === 'sunday' && day === SUN)) {
+            do date = addDays(date, 1); while (!free(date));
+        } else if (isWeekend(date)) {
+            return;
+        }
+        if (!holidays.has(dateKey(date))) holidays.set(dateKey(date), rule.name);
+    });
+
+    holidayCache.set(cacheKey, holidays);
+    return holidays;
+}
+
+const formatters = new Map();
+
+function toMinutes(hhmm) {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Wall-clock time in a time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone name
+ * @returns {{ year: number, month: number, day: number, weekday: number, minutes: number }}
+ *   weekday 0 = Sunday; minutes since local midnight
+ */
+export function localTime(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(p => [p.type, Number(p.value)]));
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        weekday: utcDate(parts.year, parts.month, parts.day).getUTCDay(),
+        minutes: parts.hour * 60 + parts.minute
+    };
+}
+
+// The instant a local wall-clock time occurs in a time zone
+function zonedInstant(timeZone, date, minutes) {
+    const wall = date.getTime() + minutes * 60000;
+    let guess = wall;
+    for (let i = 0; i < 2; i++) {
+        const local = localTime(new Date(guess), timeZone);
+        guess += wall - (utcDate(local.year, local.month, local.day).getTime() + local.minutes * 60000);
+    }
+    return new Date(guess);
+}
+
+/**
+ * The trading day on a local calendar date.
+ *
+ * @param {string} displayName - Key of MARKET_HOURS
+ * @param {Date} date - UTC midnight of the local date
+ * @returns {{ closed: string|null, earlyClose: string|null, segments: Array<[number, number]> }}
+ *   closed — 'Weekend' or a holiday name; earlyClose — name of a shortened day;
+ *   segments — [start, end) minutes of the regular session, split at breaks
+ */
+function tradingDay(displayName, date) {
+    const hours = MARKET_HOURS[displayName];
+    if (isWeekend(date)) return { closed: 'Weekend', earlyClose: null, segments: [] };
+    const holiday = getHolidays(displayName, date.getUTCFullYear()).get(dateKey(date));
+    if (holiday) return { closed: holiday, earlyClose: null, segments: [] };
+
+    const early = hours.earlyCloses?.days.find(rule => dateKey(rule.date(date.getUTCFullYear())) === dateKey(date));
+    const close = toMinutes(early ? hours.earlyCloses.close : hours.close);
+    const segments = [];
+    let start = toMinutes(hours.open);
+    for (const [breakStart, breakEnd] of hours.breaks ?? []) {
+        if (toMinutes(breakStart) >= close) break;
+        segments.push([start, toMinutes(breakStart)]);
+        start = toMinutes(breakEnd);
+    }
+    segments.push([start, close]);
+    return { closed: null, earlyClose: early?.name ?? null, segments };
+}
+
+/**
+ * Where an exchange is in its trading week.
+ *
+ * @param {string} displayName - Key of MARKET_HOURS (e.g. 'NYSE')
+ * @param {Date} [now]
+ * @returns {{ session: 'pre'|'regular'|'post'|'closed', reason: string, nextOpen: string|null, nextClose: string|null }|null}
+ *   reason — why the market is in this session ('Weekend', a holiday name, 'Lunch break'…);
+ *   nextOpen/nextClose — ISO times the regular session next opens and closes. null for unknown exchanges.
+ */
+export function getMarketStatus(displayName, now = new Date()) {
+    const hours = MARKET_HOURS[displayName];
+    if (!hours) return null;
+
+    const local = localTime(now, hours.timeZone);
+    const todayDate = utcDate(local.year, local.month, local.day);
+    const today = tradingDay(displayName, todayDate);
+    const minutes = local.minutes;
+
+    let session = 'closed';
+    let reason = today.closed;
+    if (!reason) {
+        const { segments } = today;
+        const open = segments[0][0];
+        const close = segments.at(-1)[1];
+        if (segments.some(([start, end]) => minutes >= start && minutes < end)) {
+            session = 'regular';
+            reason = today.earlyClose ? `${today.earlyClose} (early close)` : 'Regular session';
+        } else if (minutes >= open && minutes < close) {
+            reason = 'Lunch break';
+        } else if (minutes < open) {
+            const pre = hours.pre && minutes >= toMinutes(hours.pre);
+            session = pre ? 'pre' : 'closed';
+            reason = pre ? 'Pre-market' : 'Before the open';
+        } else {
+            const post = hours.post && minutes < toMinutes(hours.post);
+            session = post ? 'post' : 'closed';
+            reason = post ? 'After hours' : 'After the close';
+        }
+    }
+
+    // Walk forward to the next session boundaries (two weeks covers any holiday run)
+    let nextOpen = null;
+    let nextClose = null;
+    for (let offset = 0; offset < 14 && !nextOpen; offset++) {
+        const date = addDays(todayDate, offset);
+        for (const [start, end] of tradingDay(displayName, date).segments) {
+            const startAt = zonedInstant(hours.timeZone, date, start);
+            const endAt = zonedInstant(hours.timeZone, date, end);
+            if (endAt <= now) continue;
+            if (startAt > now) {
+                nextOpen = startAt;
+                nextClose ??= endAt;
+                break;
+            }
+            nextClose = endAt;
+        }
+    }
+
+    return {
+        session,
+        reason,
+        nextOpen: nextOpen?.toISOString() ?? null,
+        nextClose: nextClose?.toISOString() ?? null
+    };
+}
+
+/**
+ * Which session an exchange is in.
+ *
+ * @param {string} displayName - Key of MARKET_HOURS (e.g. 'NYSE')
+ * @param {Date} [date]
+ * @returns {'pre'|'regular'|'post'|'closed'|null} null for exchanges without known hours
+ */
+export function getMarketSession(displayName, date = new Date()) {
+    return getMarketStatus(displayName, date)?.session ?? null;
+}
+
+// Yahoo marketState → session, for exchanges we have no hours for
+const YAHOO_STATES = { REGULAR: 'regular', PRE: 'pre', POST: 'post', PREPRE: 'closed', POSTPOST: 'closed', CLOSED: 'closed' };
+
+/**
+ * Polling class for a symbol: 'crypto' trades around the clock, otherwise the
+ * exchange's current session folded into 'regular', 'extended' or 'closed'.
+ * Exchanges without known hours fall back to Yahoo's last marketState, and
+ * symbols we know nothing about yet count as 'regular'.
+ *
+ * @param {{ crypto?: boolean, exchange?: string, marketState?: string }} symbolInfo
+ * @param {Date} [date]
+ * @returns {'crypto'|'regular'|'extended'|'closed'}
+ */
+export function tradingPhase({ crypto = false, exchange, marketState } = {}, date = new Date()) {
+    if (crypto || exchange === 'CCC') return 'crypto';
+    const session = getMarketSession(EXCHANGE_DISPLAY[exchange], date) ?? YAHOO_STATES[marketState] ?? 'regular';
+    return session === 'pre' || session === 'post' ? 'extended' : session;
+}
@@ -0,0 +1,134 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Versioned schema migrations.
+ *
+ * Each migration is a file in `migrations/` named `<version>_<name>.js`
+ * (e.g. `003_add_watchlist_order.js`) exporting `async function up(db)`,
+ * where `db` is a storage handle (see lib/storage.js); check `db.dialect`
+ * where SQLite and PostgreSQL need different SQL.
+ *
+ * Versions are whole numbers starting at 1 with no gaps. The
+ * `schema_migrations` table records which versions a database has applied;
+ * pending migrations run in order, each in its own transaction together with
+ * its `schema_migrations` row, so a failed migration leaves nothing behind.
+ *
+ * A migration may export `baseline` naming a dialect (e.g. 'postgres') whose
+ * whole schema it creates. An empty database of that dialect starts there,
+ * and the earlier versions, written for another dialect, never run on it.
+ *
+ * Migrations are append-only: once a version has shipped, fix mistakes in a
+ * new migration rather than editing the old one. A database that has applied
+ * a version this build doesn't know about was migrated by a newer release,
+ * and is refused rather than written to with an older idea of the schema.
+ */
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Validate and order a list of migrations.
+ *
+ * @param {{ version: number, name: string, up: Function }[]} migrations
+ * @returns {{ version: number, name: string, up: Function }[]} Sorted by version
+ * @throws {Error} On duplicate or missing versions, or a migration without `up`
+ */
+export function sortMigrations(migrations) {
+    const sorted = [...migrations].sort((a, b) => a.version - b.version);
+    sorted.forEach((migration, i) => {
+        const label = `${migration.version}_${migration.name}`;
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${label} does not export an up(db) function`);
+        }
+        if (migration.version !== i + 1) {
+            throw new Error(migration.version === sorted[i - 1]?.version
+                ? `Duplicate migration version ${migration.version}`
+                : `Missing migration version ${i + 1} (next is ${label})`);
+        }
+    });
+    return sorted;
+}
+
+/**
+ * Load the migration files in a directory.
+ *
+ * @param {string} dir
+ * @returns {Promise<{ version: number, name: string, up: Function, baseline: string|null }[]>} Sorted by version
+ */
+export async function loadMigrations(dir) {
+    const files = fs.readdirSync(dir).filter(file => FILE_PATTERN.test(file));
+    const migrations = await Promise.all(files.map(async (file) => {
+        const [, version, name] = file.match(FILE_PATTERN);
+        const module = await import(pathToFileURL(path.join(dir, file)).href);
+        return { version: Number(version), name, up: module.up, baseline: module.baseline ?? null };
+    }));
+    return sortMigrations(migrations);
+}
+
+/**
+ * Highest applied migration version, or 0 for a database that has none.
+ *
+ * @param {Object} db - Storage handle
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+    const row = await db.get('SELECT MAX(version) AS version FROM schema_migrations');
+    return row?.version ?? 0;
+}
+
+/**
+ * Apply pending migrations to a database.
+ *
+ * @param {Object} db - Storage handle
+ * @param {{ version: number, name: string, up: Function, baseline?: string|null }[]} migrations - From loadMigrations
+ * @param {Object} [options]
+ * @param {Function} [options.onApply] - (migration) => void, after each one commits
+ * @param {Function} [options.now] - Clock in ms, for applied_at
+ * @returns {Promise<{ from: number, to: number, applied: string[] }>} Versions before and after,
+ *   and the `<version>_<name>` of each migration applied
+ * @throws {Error} When the database is newer than the migrations, or a migration fails
+ */
+export async function runMigrations(db, migrations, { onApply = () => {}, now = Date.now } = {}) {
+    const sorted = sortMigrations(migrations);
+    const latest = sorted.length;
+    const from = await getSchemaVersion(db);
+
+    if (from > latest) {
+        throw new Error(
+            `Database schema version ${from} is newer than this build supports (${latest}). ` +
+            'Upgrade PortfolioWrangler or restore a backup made by this version.'
+        );
+    }
+
+    // An empty database starts from the latest baseline for its dialect, if any
+    const baseline = from === 0 ? sorted.findLast(m => m.baseline === db.dialect) : undefined;
+    const start = baseline ? baseline.version - 1 : from;
+
+    const applied = [];
+    for (const migration of sorted.slice(start)) {
+        const label = `${migration.version}_${migration.name}`;
+        try {
+            await db.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.run(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, new Date(now()).toISOString()]
+                );
+            });
+        } catch (error) {
+            throw new Error(`Migration ${label} failed: ${error.message}`, { cause: error });
+        }
+        applied.push(label);
+        onApply(migration);
+    }
+
+    return { from, to: Math.max(from, latest), applied };
+}
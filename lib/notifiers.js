@@ -0,0 +1,259 @@
+/**
+ * Delivery of fired alerts to notification channels configured in
+ * config.yaml under `notifications.channels`.
+ *
+ * Channel types:
+ *   webhook — POST a JSON body (templated with {{field}} placeholders)
+ *   ntfy    — POST the message text to <url>/<topic>
+ *   gotify  — POST to <url>/message with an application token
+ *   smtp    — send an email through an SMTP server
+ *
+ * Each channel retries failed sends with exponential backoff and is rate
+ * limited over a sliding window; every outcome is reported to `onDelivery`
+ * so it can be written to the delivery log.
+ */
+
+import nodemailer from 'nodemailer';
+
+export const CHANNEL_TYPES = ['webhook', 'ntfy', 'gotify', 'smtp'];
+
+const DEFAULTS = {
+    retries: 2,
+    retryDelayMs: 1000,
+    timeoutMs: 10000,
+    rateLimit: { max: 30, perMinutes: 60 }
+};
+
+const REQUIRED_FIELDS = {
+    webhook: ['url'],
+    ntfy: ['url', 'topic'],
+    gotify: ['url', 'token'],
+    smtp: ['host', 'from', 'to']
+};
+
+const MINUTE = 60 * 1000;
+
+function nonNegativeInteger(value, fallback) {
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function positiveInteger(value, fallback) {
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Validate and normalise notification channels from config.yaml.
+ *
+ * @param {Array} rawChannels - `notifications.channels` (may be undefined)
+ * @returns {{ channels: Object[], errors: string[] }}
+ */
+export function parseNotifierChannels(rawChannels) {
+    const channels = [];
+    const errors = [];
+    if (rawChannels == null) return { channels, errors };
+    if (!Array.isArray(rawChannels)) {
+        return { channels, errors: ['notifications.channels must be a list'] };
+    }
+
+    const names = new Set();
+    rawChannels.forEach((raw, index) => {
+        const where = `notifications.channels[${index}]`;
+        if (!CHANNEL_TYPES.includes(raw?.type)) {
+            errors.push(`${where}: type must be one of ${CHANNEL_TYPES.join(', ')}`);
+            return;
+        }
+        const missing = REQUIRED_FIELDS[raw.type].filter(field => raw[field] == null || raw[field] === '');
+        if (missing.length > 0) {
+            errors.push(`${where}: ${raw.type} requires ${missing.join(', ')}`);
+            return;
+        }
+        const name = raw.name ? String(raw.name) : `${raw.type}-${index + 1}`;
+        if (names.has(name)) {
+            errors.push(`${where}: duplicate channel name "${name}"`);
+            return;
+        }
+        names.add(name);
+
+        const rateLimit = raw.rateLimit === false ? null : {
+            max: nonNegativeInteger(raw.rateLimit?.max, DEFAULTS.rateLimit.max),
+            perMinutes: Number.isFinite(raw.rateLimit?.perMinutes) && raw.rateLimit.perMinutes > 0
+                ? raw.rateLimit.perMinutes
+                : DEFAULTS.rateLimit.perMinutes
+        };
+
+        channels.push({
+            ...raw,
+            name,
+            url: raw.url ? String(raw.url).replace(/\/+$/, '') : raw.url,
+            retries: nonNegativeInteger(raw.retries, DEFAULTS.retries),
+            retryDelayMs: nonNegativeInteger(raw.retryDelayMs, DEFAULTS.retryDelayMs),
+            // A zero timeout would abort every delivery before it starts
+            timeoutMs: positiveInteger(raw.timeoutMs, DEFAULTS.timeoutMs),
+            rateLimit
+        });
+    });
+
+    return { channels, errors };
+}
+
+/**
+ * Substitute {{field}} placeholders with alert values. A string that is
+ * exactly one placeholder keeps the value's type (so prices stay numbers);
+ * objects and arrays are rendered recursively.
+ *
+ * @param {*} template - String, object or array template
+ * @param {Object} vars - Values available to placeholders
+ * @returns {*} Rendered copy of the template
+ */
+export function renderTemplate(template, vars) {
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+        if (whole) return vars[whole[1]] ?? null;
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => String(vars[key] ?? ''));
+    }
+    if (Array.isArray(template)) return template.map(item => renderTemplate(item, vars));
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, renderTemplate(v, vars)]));
+    }
+    return template;
+}
+
+const alertTitle = alert => `PortfolioWrangler: ${alert.symbol} alert`;
+
+async function postOrThrow(fetchFn, url, options, timeoutMs) {
+    const response = await fetchFn(url, { method: 'POST', signal: AbortSignal.timeout(timeoutMs), ...options });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+}
+
+const SENDERS = {
+    webhook(channel, alert, deps) {
+        const body = channel.body ? renderTemplate(channel.body, alert) : alert;
+        return postOrThrow(deps.fetch, channel.url, {
+            headers: { 'Content-Type': 'application/json', ...channel.headers },
+            body: JSON.stringify(body)
+        }, channel.timeoutMs);
+    },
+
+    ntfy(channel, alert, deps) {
+        const headers = { Title: alertTitle(alert) };
+        if (channel.priority != null) headers.Priority = String(channel.priority);
+        if (channel.tags) headers.Tags = [].concat(channel.tags).join(',');
+        if (channel.token) headers.Authorization = `Bearer ${channel.token}`;
+        return postOrThrow(deps.fetch, `${channel.url}/${encodeURIComponent(channel.topic)}`, {
+            headers,
+            body: alert.message
+        }, channel.timeoutMs);
+    },
+
+    gotify(channel, alert, deps) {
+        return postOrThrow(deps.fetch, `${channel.url}/message`, {
+            headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': channel.token },
+            body: JSON.stringify({ title: alertTitle(alert), message: alert.message, priority: channel.priority ?? 5 })
+        }, channel.timeoutMs);
+    },
+
+    async smtp(channel, alert, deps, state) {
+        state.transport ??= deps.createTransport({
+            host: channel.host,
+            port: channel.port ?? (channel.secure ? 465 : 587),
+            secure: !!channel.secure,
+            ignoreTLS: channel.starttls === false,
+            auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined,
+            connectionTimeout: channel.timeoutMs
+        });
+        await state.transport.sendMail({
+            from: channel.from,
+            to: [].concat(channel.to).join(', '),
+            subject: renderTemplate(channel.subject ?? '[PortfolioWrangler] {{message}}', alert),
+            text: [
+                alert.message,
+                '',
+                `Symbol: ${alert.symbol}`,
+                `Rule: ${alert.ruleId}`,
+                `Price: ${alert.price}`,
+                `Fired: ${alert.firedAt}`
+            ].join('\n')
+        });
+    }
+};
+
+/**
+ * Create a notifier that fans alerts out to every channel.
+ *
+ * @param {Object[]} channels - Normalised channels from parseNotifierChannels
+ * @param {Object} [deps] - Injectable collaborators (for tests)
+ * @param {Function} [deps.fetch] - fetch implementation
+ * @param {Function} [deps.createTransport] - nodemailer-compatible transport factory
+ * @param {Function} [deps.sleep] - (ms) => Promise, used between retries
+ * @param {Function} [deps.now] - Clock in ms, used for rate limiting
+ * @param {Function} [deps.onDelivery] - Called with each delivery record
+ * @returns {{ notify: Function, channels: Object[] }}
+ */
+export function createNotifier(channels, deps = {}) {
+    const {
+        fetch: fetchFn = globalThis.fetch,
+        createTransport = nodemailer.createTransport,
+        sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+        now = Date.now,
+        onDelivery = async () => {}
+    } = deps;
+    const state = new Map(channels.map(c => [c.name, { sentAt: [], transport: null }]));
+
+    function rateLimited(channel, s, time) {
+        if (!channel.rateLimit) return false;
+        const windowStart = time - channel.rateLimit.perMinutes * MINUTE;
+        s.sentAt = s.sentAt.filter(t => t > windowStart);
+        return s.sentAt.length >= channel.rateLimit.max;
+    }
+
+    async function deliver(channel, alert) {
+        const s = state.get(channel.name);
+        const record = {
+            alertId: alert.id ?? null,
+            channel: channel.name,
+            channelType: channel.type,
+            status: 'sent',
+            attempts: 0,
+            error: null,
+            deliveredAt: null
+        };
+
+        if (rateLimited(channel, s, now())) {
+            record.status = 'rate_limited';
+        } else {
+            s.sentAt.push(now());
+            for (;;) {
+                record.attempts++;
+                try {
+                    await SENDERS[channel.type](channel, alert, { fetch: fetchFn, createTransport }, s);
+                    record.status = 'sent';
+                    record.error = null;
+                    break;
+                } catch (error) {
+                    record.status = 'failed';
+                    record.error = error.message;
+                    if (record.attempts > channel.retries) break;
+                    await sleep(channel.retryDelayMs * 2 ** (record.attempts - 1));
+                }
+            }
+        }
+
+        record.deliveredAt = new Date(now()).toISOString();
+        await onDelivery(record);
+        return record;
+    }
+
+    /**
+     * Send an alert to all channels in parallel.
+     *
+     * @param {Object} alert - Fired alert (with its stored `id` when available)
+     * @returns {Promise<Object[]>} One delivery record per channel
+     */
+    function notify(alert) {
+        return Promise.all(channels.map(channel => deliver(channel, alert)));
+    }
+
+    return { notify, channels };
+}
@@ -0,0 +1,212 @@
+/**
+ * Batched quote polling with adaptive pacing.
+ *
+ * The watchlist is split into batches of `batchSize` symbols, one multi-symbol
+ * quote request per batch. Batches are spread evenly over `cycleSeconds` so
+ * every symbol refreshes once per cycle whatever the list size (never faster
+ * than `minDelaySeconds` between requests). Failed batches back the pace off
+ * exponentially — harder for rate limits — and successes recover it.
+ *
+ * Symbols can be polled less often than every cycle (e.g. while their market
+ * is closed): each cycle only includes the symbols whose interval will have
+ * elapsed by the time the cycle's window is over.
+ */
+
+export const DEFAULT_POLLING = {
+    batchSize: 20,
+    cycleSeconds: 60,
+    minDelaySeconds: 2,
+    maxBackoffSeconds: 300,
+    extendedSeconds: 120,
+    closedSeconds: 900,
+    cryptoSeconds: 60
+};
+
+function positive(value, fallback) {
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Normalise the `polling:` block of config.yaml.
+ *
+ * @param {Object} [raw] - Parsed YAML block
+ * @returns {{ batchSize: number, cycleMs: number, minDelayMs: number, maxBackoffMs: number, intervals: Object }}
+ *   intervals — ms between polls of a symbol per trading phase (regular, extended, closed, crypto)
+ */
+export function parsePollingConfig(raw) {
+    const seconds = key => positive(raw?.[key], DEFAULT_POLLING[key]) * 1000;
+    const cycleMs = seconds('cycleSeconds');
+    return {
+        batchSize: Math.floor(positive(raw?.batchSize, DEFAULT_POLLING.batchSize)) || 1,
+        cycleMs,
+        minDelayMs: seconds('minDelaySeconds'),
+        maxBackoffMs: seconds('maxBackoffSeconds'),
+        intervals: {
+            regular: cycleMs,
+            extended: seconds('extendedSeconds'),
+            closed: seconds('closedSeconds'),
+            crypto: seconds('cryptoSeconds')
+        }
+    };
+}
+
+/**
+ * Split symbols into batches.
+ *
+ * @param {string[]} symbols
+ * @param {number} size
+ * @returns {string[][]}
+ */
+export function chunk(symbols, size) {
+    const batches = [];
+    for (let i = 0; i < symbols.length; i += size) {
+        batches.push(symbols.slice(i, i + size));
+    }
+    return batches;
+}
+
+/**
+ * Work out the pacing for a watchlist of a given size.
+ *
+ * @param {number} symbolCount
+ * @param {Object} polling - Result of parsePollingConfig
+ * @returns {{ batches: number, delayMs: number, windowMs: number }}
+ *   delayMs — gap between batch requests; windowMs — time for a full cycle
+ */
+export function planCycle(symbolCount, polling) {
+    const batches = Math.max(1, Math.ceil(symbolCount / polling.batchSize));
+    const delayMs = Math.max(polling.minDelayMs, polling.cycleMs / batches);
+    return { batches, delayMs, windowMs: delayMs * batches };
+}
+
+/**
+ * Whether an upstream error means we are being rate limited.
+ */
+export function isRateLimitError(error) {
+    return /\b429\b|too many requests|rate limit/i.test(error?.message ?? '');
+}
+
+/**
+ * Create a poller that runs batches back to back, waiting the planned delay
+ * (times the current backoff) between requests. A batch never starts before
+ * the previous one has finished.
+ *
+ * @param {Object} options
+ * @param {Function} options.getSymbols - () => current symbol list (read at the start of each cycle)
+ * @param {Function} options.fetchBatch - async (symbols) => void; throws on upstream failure
+ * @param {Object} options.polling - Result of parsePollingConfig
+ * @param {Function} [options.intervalFor] - (symbol, now) => ms between polls of that symbol; default every cycle
+ * @param {Function} [options.onError] - (error, batch, backoff) => void
+ * @param {Function} [options.setTimer] - setTimeout replacement (tests)
+ * @param {Function} [options.clearTimer] - clearTimeout replacement (tests)
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ start: Function, stop: Function, stats: Function }}
+ */
+export function createPollScheduler({
+    getSymbols,
+    fetchBatch,
+    polling,
+    intervalFor = () => 0,
+    onError = () => {},
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+    now = Date.now
+}) {
+    let batches = [];
+    let batchIndex = 0;
+    let backoff = 1;
+    let timer = null;
+    let running = false;
+    let cycleStartedAt = null;
+    let lastCycleMs = null;
+    let errors = 0;
+    let rateLimited = 0;
+    // Symbol → time of its last successful fetch
+    const lastPolled = new Map();
+
+    const currentPlan = () => planCycle(getSymbols().length, polling);
+    // Backing off further than maxBackoffMs between requests is pointless
+    const maxBackoff = () => Math.max(1, polling.maxBackoffMs / currentPlan().delayMs);
+
+    function schedule() {
+        if (!running) return;
+        timer = setTimer(tick, currentPlan().delayMs * backoff);
+    }
+
+    async function tick() {
+        timer = null;
+        if (!running) return;
+
+        if (batchIndex >= batches.length) {
+            const startedAt = now();
+            const { windowMs } = currentPlan();
+            // Include symbols that come due before this cycle's window ends
+            const due = getSymbols().filter(symbol => {
+                const last = lastPolled.get(symbol);
+                return last == null || startedAt - last + windowMs >= intervalFor(symbol, startedAt);
+            });
+            batches = chunk(due, polling.batchSize);
+            batchIndex = 0;
+            if (batches.length > 0) {
+                if (cycleStartedAt != null) lastCycleMs = startedAt - cycleStartedAt;
+                cycleStartedAt = startedAt;
+            }
+        }
+
+        const batch = batches[batchIndex++];
+        if (batch) {
+            try {
+                await fetchBatch(batch);
+                const polledAt = now();
+                for (const symbol of batch) lastPolled.set(symbol, polledAt);
+                backoff = Math.max(1, backoff / 2);
+            } catch (error) {
+                const limited = isRateLimitError(error);
+                errors++;
+                if (limited) rateLimited++;
+                backoff = Math.min(backoff * (limited ? 4 : 2), maxBackoff());
+                onError(error, batch, backoff);
+            }
+        }
+        schedule();
+    }
+
+    /**
+     * Start polling; the first batch is fetched immediately.
+     */
+    function start() {
+        if (running) return;
+        running = true;
+        timer = setTimer(tick, 0);
+    }
+
+    /**
+     * Stop polling. A batch already in flight finishes but schedules nothing.
+     */
+    function stop() {
+        running = false;
+        if (timer) clearTimer(timer);
+        timer = null;
+    }
+
+    /**
+     * Current pacing, for logging and the status endpoint.
+     */
+    function stats() {
+        const plan = currentPlan();
+        return {
+            symbols: getSymbols().length,
+            batchSize: polling.batchSize,
+            batches: plan.batches,
+            delayMs: plan.delayMs,
+            windowMs: plan.windowMs,
+            backoff,
+            lastCycleMs,
+            cycleSymbols: batches.reduce((sum, batch) => sum + batch.length, 0),
+            errors,
+            rateLimited
+        };
+    }
+
+    return { start, stop, stats };
+}
@@ -0,0 +1,118 @@
+/**
+ * Position and P&L maths shared between the server and the browser (app.js).
+ * This file must remain free of DOM and Node-only references.
+ */
+
+/**
+ * Calculate position value and P&L for a holding at the given price.
+ *
+ * @param {{ shares: number, costBasis: number|null }} holding - Normalised holding from the config
+ * @param {number} price - Current price per share (extended-hours aware)
+ * @param {number} change - Price change per share since the previous close
+ * @returns {Object|null} Position figures, or null when there is no holding or price
+ */
+export function calculatePosition(holding, price, change) {
+    if (!holding || !Number.isFinite(holding.shares) || !Number.isFinite(price)) {
+        return null;
+    }
+
+    const { shares, costBasis } = holding;
+    const marketValue = shares * price;
+    const totalCost = costBasis != null ? shares * costBasis : null;
+    const unrealizedPnl = totalCost != null ? marketValue - totalCost : null;
+    const unrealizedPnlPercent = totalCost ? (unrealizedPnl / totalCost) * 100 : null;
+    const dayPnl = Number.isFinite(change) ? shares * change : 0;
+
+    return {
+        shares,
+        costBasis: costBasis ?? null,
+        marketValue,
+        totalCost,
+        unrealizedPnl,
+        unrealizedPnlPercent,
+        dayPnl
+    };
+}
+
+/**
+ * Sum a list of positions into subtotals. Null entries are ignored, and
+ * positions without a cost basis are left out of the cost/unrealized totals.
+ *
+ * @param {Array<Object|null>} positions - Results of calculatePosition
+ * @returns {Object|null} Subtotals, or null when there are no positions
+ */
+export function summarizePositions(positions) {
+    const valid = positions.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    let marketValue = 0;
+    let dayPnl = 0;
+    let totalCost = 0;
+    let costedValue = 0;
+    for (const p of valid) {
+        marketValue += p.marketValue;
+        dayPnl += p.dayPnl;
+        if (p.totalCost != null) {
+            totalCost += p.totalCost;
+            costedValue += p.marketValue;
+        }
+    }
+
+    const hasCost = valid.some(p => p.totalCost != null);
+    const unrealizedPnl = hasCost ? costedValue - totalCost : null;
+    const previousValue = marketValue - dayPnl;
+
+    return {
+        marketValue,
+        dayPnl,
+        dayPnlPercent: previousValue ? (dayPnl / previousValue) * 100 : null,
+        totalCost: hasCost ? totalCost : null,
+        unrealizedPnl,
+        unrealizedPnlPercent: hasCost && totalCost ? (unrealizedPnl / totalCost) * 100 : null
+    };
+}
+
+/**
+ * Build the portfolio-wide summary: totals, per-section subtotals with their
+ * share of the portfolio, and per-position allocation. Symbols without a
+ * holding or without a known price are skipped. A symbol listed in more than
+ * one section appears in each, but counts once towards the totals.
+ *
+ * @param {Array<{ name: string|null, stocks: string[] }>} sections - Parsed config sections
+ * @param {Object<string, Object>} holdings - Symbol → normalised holding
+ * @param {Map<string, { price: number, change: number }>} prices - Latest prices by symbol
+ * @returns {{ totals: Object|null, sections: Object[], positions: Object[] }}
+ */
+export function buildPortfolioSummary(sections, holdings, prices) {
+    const sectionSummaries = sections.map(section => {
+        const positions = [];
+        for (const symbol of section.stocks) {
+            const latest = prices.get(symbol);
+            const position = latest ? calculatePosition(holdings[symbol], latest.price, latest.change) : null;
+            if (position) positions.push({ symbol, ...position });
+        }
+        return { name: section.name, positions, totals: summarizePositions(positions) };
+    });
+
+    // A symbol listed in several sections is one holding, counted once
+    const allPositions = [...new Map(sectionSummaries.flatMap(s => s.positions).map(p => [p.symbol, p])).values()];
+    const totals = summarizePositions(allPositions);
+    const total = totals?.marketValue ?? 0;
+    const weightOf = value => (total ? (value / total) * 100 : null);
+
+    return {
+        totals,
+        sections: sectionSummaries
+            .filter(s => s.totals)
+            .map(s => ({ name: s.name, ...s.totals, weight: weightOf(s.totals.marketValue) })),
+        positions: sectionSummaries.flatMap(s => s.positions.map(p => ({
+            symbol: p.symbol,
+            section: s.name,
+            marketValue: p.marketValue,
+            dayPnl: p.dayPnl,
+            unrealizedPnl: p.unrealizedPnl,
+            weight: weightOf(p.marketValue),
+            sectionWeight: s.totals.marketValue ? (p.marketValue / s.totals.marketValue) * 100 : null
+        })))
+    };
+}
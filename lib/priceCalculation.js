@@ -25,7 +25,7 @@ export function calculatePriceFromQuote(quote) {
     // Calculate final values
     const finalPrice = extendedPrice || regularPrice;
     const finalChange = (extendedPrice ? extendedChange + regularChange : regularChange) || 0;
-    const finalChangePercent = (finalChange / previousClose) * 100;
+    const finalChangePercent = previousClose ? (finalChange / previousClose) * 100 : 0;
 
     return {
         finalPrice,
@@ -41,6 +41,28 @@ export function calculatePriceFromQuote(quote) {
     };
 }
 
+/**
+ * Fill in the change fields of a quote from its price and previous close.
+ * Providers other than Yahoo often only report one or the other.
+ *
+ * @param {Object} quote - Quote in Yahoo Finance shape
+ * @returns {Object} The same quote with regularMarketChange/ChangePercent set where derivable
+ */
+export function completeQuote(quote) {
+    const price = quote.regularMarketPrice;
+    const previousClose = quote.regularMarketPreviousClose;
+    if (quote.regularMarketChange == null && price != null && previousClose != null) {
+        quote.regularMarketChange = price - previousClose;
+    }
+    if (quote.regularMarketPreviousClose == null && price != null && quote.regularMarketChange != null) {
+        quote.regularMarketPreviousClose = price - quote.regularMarketChange;
+    }
+    if (quote.regularMarketChangePercent == null && quote.regularMarketChange != null && quote.regularMarketPreviousClose) {
+        quote.regularMarketChangePercent = (quote.regularMarketChange / quote.regularMarketPreviousClose) * 100;
+    }
+    return quote;
+}
+
 /**
  * Format a Yahoo Finance quote into the API response format.
  *
@@ -63,6 +85,7 @@ export function formatApiResponse(quote) {
             marketState: priceData.marketState
         },
         companyName: quote.longName || quote.shortName || quote.symbol,
+        provider: quote.provider ?? null,
         fundamentals: {
             marketCap: quote.marketCap ?? null,
             fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh ?? null,
@@ -0,0 +1,20 @@
+/**
+ * HTTP helpers shared by the CSV and JSON providers.
+ */
+
+/**
+ * GET a URL and return the response body, throwing on non-2xx statuses.
+ * The status is part of the message so callers can spot rate limiting (429).
+ *
+ * @param {Function} fetchFn - fetch implementation
+ * @param {string} url
+ * @param {{ headers?: Object, timeoutMs?: number }} [options]
+ * @returns {Promise<Response>}
+ */
+export async function getOrThrow(fetchFn, url, { headers = {}, timeoutMs = 10000 } = {}) {
+    const response = await fetchFn(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+    return response;
+}
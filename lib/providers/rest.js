@@ -0,0 +1,164 @@
+import { completeQuote } from '../priceCalculation.js';
+import { getOrThrow } from './http.js';
+
+/**
+ * Generic REST/JSON market data provider.
+ *
+ * URLs are templates with `{{symbol}}`, `{{query}}`, `{{from}}`, `{{to}}` and
+ * `{{interval}}` placeholders (values are URL-encoded). `*Path` options are
+ * dot paths to the data inside the JSON response, and `*Fields` map our field
+ * names to dot paths inside each item, e.g.
+ *
+ *   quoteFields: { regularMarketPrice: 'last', regularMarketPreviousClose: 'prev.close' }
+ *
+ * Only the endpoints that are configured are offered; a provider without a
+ * `historyUrl` simply has no history.
+ */
+
+// Quote fields the rest of the app treats as numbers (APIs often send strings)
+const NUMERIC_QUOTE_FIELDS = new Set([
+    'regularMarketPrice', 'regularMarketPreviousClose', 'regularMarketChange', 'regularMarketChangePercent',
+    'preMarketPrice', 'preMarketChange', 'postMarketPrice', 'postMarketChange',
+    'fiftyTwoWeekHigh', 'fiftyTwoWeekLow', 'marketCap', 'trailingPE', 'forwardPE',
+    'regularMarketVolume', 'averageVolume'
+]);
+const DEFAULT_HISTORY_FIELDS = { date: 'date', open: 'open', high: 'high', low: 'low', close: 'close', volume: 'volume' };
+const DEFAULT_SEARCH_FIELDS = { symbol: 'symbol', name: 'name', exchange: 'exchange', type: 'type' };
+
+/**
+ * Read a dot path ('data.quotes.0.price') from an object. An empty path returns the object.
+ */
+export function getPath(value, path) {
+    if (!path) return value;
+    return String(path).split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+/**
+ * Fill `{{name}}` placeholders in a URL template with URL-encoded values.
+ */
+export function fillUrl(template, vars) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => encodeURIComponent(vars[key] ?? ''));
+}
+
+function mapFields(item, fields) {
+    const mapped = {};
+    for (const [field, path] of Object.entries(fields)) {
+        const value = getPath(item, path);
+        if (value !== undefined) mapped[field] = value;
+    }
+    return mapped;
+}
+
+function toNumber(value) {
+    if (value == null || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+// Epoch seconds, epoch milliseconds or a date string → ISO
+function toIsoDate(value) {
+    if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+    return new Date(value).toISOString();
+}
+
+/**
+ * @param {Object} options - Source config from `providers.sources[]`
+ * @param {string} options.name
+ * @param {string} options.quoteUrl
+ * @param {string} [options.quotePath] - Path to the quote object in the response
+ * @param {Object} options.quoteFields - Yahoo quote field → path in the quote object; regularMarketPrice is required
+ * @param {string} [options.historyUrl]
+ * @param {string} [options.historyPath] - Path to the array of bars
+ * @param {Object} [options.historyFields]
+ * @param {string} [options.searchUrl]
+ * @param {string} [options.searchPath] - Path to the array of results
+ * @param {Object} [options.searchFields]
+ * @param {Object} [options.headers]
+ * @param {number} [options.timeoutMs=10000]
+ * @param {Function} [options.fetch] - fetch implementation (tests)
+ * @returns {{ name: string, type: string, quote: Function, history?: Function, search?: Function }}
+ */
+export function createRestProvider({
+    name,
+    quoteUrl,
+    quotePath,
+    quoteFields,
+    historyUrl,
+    historyPath,
+    historyFields = DEFAULT_HISTORY_FIELDS,
+    searchUrl,
+    searchPath,
+    searchFields = DEFAULT_SEARCH_FIELDS,
+    headers = {},
+    timeoutMs = 10000,
+    fetch: fetchFn = globalThis.fetch
+}) {
+    async function getJson(url) {
+        const response = await getOrThrow(fetchFn, url, { headers: { Accept: 'application/json', ...headers }, timeoutMs });
+        return response.json();
+    }
+
+    async function quoteOne(symbol) {
+        const item = getPath(await getJson(fillUrl(quoteUrl, { symbol })), quotePath);
+        const quote = mapFields(item ?? {}, quoteFields);
+        for (const field of Object.keys(quote)) {
+            if (NUMERIC_QUOTE_FIELDS.has(field)) quote[field] = toNumber(quote[field]);
+        }
+        if (quote.regularMarketPrice == null) return null;
+        return completeQuote({ ...quote, symbol, provider: name });
+    }
+
+    const provider = {
+        name,
+        type: 'rest',
+
+        // One request per symbol; a symbol that fails or has no price is left out
+        async quote(symbols) {
+            const results = await Promise.allSettled(symbols.map(quoteOne));
+            const quotes = results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value);
+            const failure = results.find(r => r.status === 'rejected');
+            if (quotes.length === 0 && failure) throw failure.reason;
+            return quotes;
+        }
+    };
+
+    if (historyUrl) {
+        provider.history = async (symbol, { from, to, interval = '1d' }) => {
+            const url = fillUrl(historyUrl, {
+                symbol,
+                interval,
+                from: new Date(from).toISOString(),
+                to: new Date(to ?? Date.now()).toISOString()
+            });
+            const bars = getPath(await getJson(url), historyPath) ?? [];
+            return bars
+                .map(bar => mapFields(bar, historyFields))
+                .filter(bar => bar.date != null && toNumber(bar.close) !== null)
+                .map(bar => ({
+                    date: toIsoDate(bar.date),
+                    open: toNumber(bar.open),
+                    high: toNumber(bar.high),
+                    low: toNumber(bar.low),
+                    close: toNumber(bar.close),
+                    volume: toNumber(bar.volume)
+                }));
+        };
+    }
+
+    if (searchUrl) {
+        provider.search = async (query) => {
+            const results = getPath(await getJson(fillUrl(searchUrl, { query })), searchPath) ?? [];
+            return results
+                .map(result => mapFields(result, searchFields))
+                .filter(result => result.symbol)
+                .map(result => ({
+                    symbol: String(result.symbol),
+                    name: result.name ?? String(result.symbol),
+                    exchange: result.exchange ?? null,
+                    type: result.type ?? null
+                }));
+        };
+    }
+
+    return provider;
+}
@@ -0,0 +1,108 @@
+import { parseCsvRecords } from '../csv.js';
+import { completeQuote } from '../priceCalculation.js';
+import { getOrThrow } from './http.js';
+
+/**
+ * Stooq market data provider (free CSV endpoints, no API key).
+ *
+ * Stooq tickers carry a market suffix (`aapl.us`, `vod.uk`). Symbols without
+ * a dot get `suffix` appended; anything else can be mapped explicitly with
+ * `symbols: { 'NOVO-B.CO': 'novo-b.dk' }`. Stooq has no search endpoint and
+ * no pre/post-market prices.
+ */
+
+const INTERVALS = { '1d': 'd', '1wk': 'w', '1mo': 'm' };
+
+function number(value) {
+    const n = Number.parseFloat(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+// Case-insensitive column lookup; Stooq's header names vary between endpoints
+function column(record, ...names) {
+    for (const [key, value] of Object.entries(record)) {
+        if (names.includes(key.toLowerCase())) return value;
+    }
+    return undefined;
+}
+
+function stooqDate(date) {
+    return new Date(date).toISOString().slice(0, 10).replaceAll('-', '');
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.name='stooq']
+ * @param {string} [options.url='https://stooq.com']
+ * @param {string} [options.suffix='.us'] - Appended to symbols without a market suffix
+ * @param {Object} [options.symbols] - Symbol → Stooq ticker overrides
+ * @param {number} [options.timeoutMs=10000]
+ * @param {Function} [options.fetch] - fetch implementation (tests)
+ * @returns {{ name: string, type: string, quote: Function, history: Function }}
+ */
+export function createStooqProvider({
+    name = 'stooq',
+    url = 'https://stooq.com',
+    suffix = '.us',
+    symbols: overrides = {},
+    timeoutMs = 10000,
+    fetch: fetchFn = globalThis.fetch
+}) {
+    const baseUrl = url.replace(/\/+$/, '');
+    const toStooq = symbol => (overrides[symbol] ?? (symbol.includes('.') ? symbol : `${symbol}${suffix}`)).toLowerCase();
+
+    return {
+        name,
+        type: 'stooq',
+
+        async quote(symbols) {
+            const bySymbol = new Map(symbols.map(symbol => [toStooq(symbol).toUpperCase(), symbol]));
+            const query = symbols.map(toStooq).map(encodeURIComponent).join('+');
+            const response = await getOrThrow(fetchFn, `${baseUrl}/q/l/?s=${query}&f=sd2t2ohlcpvn&h&e=csv`, { timeoutMs });
+            const { records } = parseCsvRecords(await response.text());
+
+            const quotes = [];
+            for (const record of records) {
+                const symbol = bySymbol.get(String(column(record, 'symbol') ?? '').toUpperCase());
+                const close = number(column(record, 'close'));
+                // Unknown tickers come back as a row of N/D
+                if (!symbol || close === null) continue;
+                const date = column(record, 'date');
+                const time = column(record, 'time');
+                quotes.push(completeQuote({
+                    symbol,
+                    shortName: column(record, 'name') || symbol,
+                    regularMarketPrice: close,
+                    regularMarketPreviousClose: number(column(record, 'prev', 'previous', 'prev close')),
+                    regularMarketOpen: number(column(record, 'open')),
+                    regularMarketDayHigh: number(column(record, 'high')),
+                    regularMarketDayLow: number(column(record, 'low')),
+                    regularMarketVolume: number(column(record, 'volume')),
+                    regularMarketTime: date && time ? `${date}T${time}` : date ?? null,
+                    provider: name
+                }));
+            }
+            return quotes;
+        },
+
+        async history(symbol, { from, to, interval = '1d' }) {
+            const stooqInterval = INTERVALS[interval];
+            if (!stooqInterval) {
+                throw new Error(`Stooq has no ${interval} history`);
+            }
+            const params = `s=${encodeURIComponent(toStooq(symbol))}&i=${stooqInterval}&d1=${stooqDate(from)}&d2=${stooqDate(to ?? Date.now())}`;
+            const response = await getOrThrow(fetchFn, `${baseUrl}/q/d/l/?${params}`, { timeoutMs });
+            const { records } = parseCsvRecords(await response.text());
+            return records
+                .filter(record => number(column(record, 'close')) !== null)
+                .map(record => ({
+                    date: new Date(`${column(record, 'date')}T00:00:00Z`).toISOString(),
+                    open: number(column(record, 'open')),
+                    high: number(column(record, 'high')),
+                    low: number(column(record, 'low')),
+                    close: number(column(record, 'close')),
+                    volume: number(column(record, 'volume'))
+                }));
+        }
+    };
+}
@@ -0,0 +1,57 @@
+/**
+ * Yahoo Finance market data provider.
+ *
+ * Wraps a yahoo-finance2 client (or the mock from createYahooFinanceClient).
+ * Yahoo's quote shape is the canonical one every provider returns, so quotes
+ * pass through unchanged apart from the provider tag.
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} [options.name='yahoo']
+ * @param {Object} options.client - yahoo-finance2 instance or mock
+ * @returns {{ name: string, type: string, quote: Function, history: Function, search: Function }}
+ */
+export function createYahooProvider({ name = 'yahoo', client }) {
+    return {
+        name,
+        type: 'yahoo',
+
+        async quote(symbols) {
+            const quotes = await client.quote(symbols);
+            return (quotes ?? []).filter(Boolean).map(quote => ({ ...quote, provider: name }));
+        },
+
+        async history(symbol, { from, to, interval = '1d' }) {
+            if (typeof client.chart !== 'function') {
+                throw new Error('Yahoo history is not available from this client');
+            }
+            const result = await client.chart(symbol, { period1: from, period2: to, interval });
+            return (result?.quotes ?? [])
+                .filter(bar => bar.close != null)
+                .map(bar => ({
+                    date: new Date(bar.date).toISOString(),
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close,
+                    volume: bar.volume ?? null
+                }));
+        },
+
+        async search(query) {
+            if (typeof client.search !== 'function') {
+                throw new Error('Yahoo search is not available from this client');
+            }
+            const result = await client.search(query, { newsCount: 0 });
+            return (result?.quotes ?? [])
+                .filter(quote => quote.isYahooFinance && quote.symbol)
+                .map(quote => ({
+                    symbol: quote.symbol,
+                    name: quote.longname ?? quote.shortname ?? quote.symbol,
+                    exchange: quote.exchDisp ?? quote.exchange ?? null,
+                    type: quote.quoteType ?? null
+                }));
+        }
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * Shared quote cache for /api/stock/:symbol.
+ *
+ * Entries are `{ fetchedAt, response, ... }` objects — the shape the poller
+ * stores in latestPrices. A lookup hook lets the cache serve the poller's
+ * results directly, so browser requests only reach Yahoo when the freshest
+ * quote we hold is older than the TTL. Concurrent misses for a symbol share
+ * one upstream request, and a failed refresh falls back to the stale entry.
+ */
+
+export const DEFAULT_QUOTE_TTL_SECONDS = 60;
+
+/**
+ * Create a quote cache.
+ *
+ * @param {Object} options
+ * @param {Function} options.fetchQuote - async (symbol) => entry; throws when no quote is available
+ * @param {Function} [options.lookup] - (symbol) => entry|undefined from another store (e.g. latestPrices)
+ * @param {Function} [options.getTtlMs] - () => TTL in ms, read on every request so config reloads apply
+ * @param {number} [options.maxEntries=500] - Entries kept for symbols the lookup doesn't cover
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ get: Function, set: Function }}
+ */
+export function createQuoteCache({
+    fetchQuote,
+    lookup = () => undefined,
+    getTtlMs = () => DEFAULT_QUOTE_TTL_SECONDS * 1000,
+    maxEntries = 500,
+    now = Date.now
+}) {
+    const entries = new Map();
+    const inflight = new Map();
+
+    const usable = entry => entry?.response != null && Number.isFinite(entry.fetchedAt);
+
+    function freshest(symbol) {
+        const candidates = [entries.get(symbol), lookup(symbol)].filter(usable);
+        return candidates.sort((a, b) => b.fetchedAt - a.fetchedAt)[0] ?? null;
+    }
+
+    /**
+     * Store an entry (oldest entries are evicted past maxEntries).
+     */
+    function set(symbol, entry) {
+        entries.delete(symbol);
+        entries.set(symbol, entry);
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    function refresh(symbol) {
+        if (!inflight.has(symbol)) {
+            const request = fetchQuote(symbol)
+                .then(entry => {
+                    set(symbol, entry);
+                    return entry;
+                })
+                .finally(() => inflight.delete(symbol));
+            inflight.set(symbol, request);
+        }
+        return inflight.get(symbol);
+    }
+
+    /**
+     * Get a quote, fetching upstream only when the freshest one is older than the TTL.
+     *
+     * @param {string} symbol
+     * @returns {Promise<{ entry: Object, status: 'hit'|'miss'|'stale', ageMs: number }>}
+     * @throws When the upstream fetch fails and nothing is cached
+     */
+    async function get(symbol) {
+        const cached = freshest(symbol);
+        if (cached && now() - cached.fetchedAt < getTtlMs()) {
+            return { entry: cached, status: 'hit', ageMs: now() - cached.fetchedAt };
+        }
+        try {
+            const entry = await refresh(symbol);
+            return { entry, status: 'miss', ageMs: Math.max(0, now() - entry.fetchedAt) };
+        } catch (error) {
+            if (!cached) throw error;
+            return { entry: cached, status: 'stale', ageMs: now() - cached.fetchedAt };
+        }
+    }
+
+    return { get, set };
+}
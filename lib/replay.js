@@ -0,0 +1,195 @@
+import fs from 'node:fs';
+
+/**
+ * Recorded Yahoo Finance sessions for offline development.
+ *
+ * A recording is JSONL with one quote per line, stamped with the time it was
+ * fetched:
+ *
+ *   {"t":"2026-10-19T13:30:02.114Z","quote":{"symbol":"AAPL","regularMarketPrice":150.1,"marketState":"REGULAR",...}}
+ *
+ * The recording client wraps a live client and appends every quote it
+ * returns. The replay client stands in for yahoo-finance2 and answers each
+ * request with the latest recorded quote at the current replay time, so
+ * prices move and market states change as they did in the recorded session.
+ */
+
+/**
+ * Parse a JSONL recording into per-symbol timelines.
+ *
+ * @param {string} text - File contents
+ * @returns {{ start: number, end: number, timelines: Map<string, { t: number, quote: Object }[]> }}
+ * @throws {Error} On a malformed line or an empty recording
+ */
+export function parseRecording(text) {
+    const timelines = new Map();
+    let start = Infinity;
+    let end = -Infinity;
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid recording line ${i + 1}: ${error.message}`, { cause: error });
+        }
+        const t = Date.parse(record?.t);
+        const symbol = record?.quote?.symbol;
+        if (!Number.isFinite(t) || !symbol) {
+            throw new Error(`Invalid recording line ${i + 1}: expected {"t": <ISO time>, "quote": {"symbol": ...}}`);
+        }
+        if (!timelines.has(symbol)) timelines.set(symbol, []);
+        timelines.get(symbol).push({ t, quote: record.quote });
+        start = Math.min(start, t);
+        end = Math.max(end, t);
+    });
+
+    if (timelines.size === 0) {
+        throw new Error('Recording contains no quotes');
+    }
+    for (const timeline of timelines.values()) {
+        timeline.sort((a, b) => a.t - b.t);
+    }
+    return { start, end, timelines };
+}
+
+// Latest entry at or before `t`, or undefined when the symbol has no quote yet
+function entryAt(timeline, t) {
+    let lo = 0;
+    let hi = timeline.length - 1;
+    let found;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (timeline[mid].t <= t) {
+            found = timeline[mid];
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * Client that replays a recording in place of yahoo-finance2.
+ *
+ * Replay time starts at the first recorded quote when the client is created
+ * and advances `speed` times faster than the wall clock. At the end of the
+ * recording it starts over when `loop` is set, otherwise it holds the final
+ * quotes.
+ *
+ * @param {Object} options
+ * @param {ReturnType<typeof parseRecording>} options.recording
+ * @param {number} [options.speed=1] - Replay speed multiplier
+ * @param {boolean} [options.loop=true]
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ quote: Function, search: Function, position: Function }}
+ */
+export function createReplayClient({ recording, speed = 1, loop = true, now = Date.now }) {
+    const startedAt = now();
+    const duration = recording.end - recording.start;
+
+    // Current point in the recording, as a recorded timestamp
+    function position() {
+        const elapsed = (now() - startedAt) * speed;
+        if (duration === 0) return recording.start;
+        if (loop) return recording.start + (elapsed % (duration + 1));
+        return recording.start + Math.min(elapsed, duration);
+    }
+
+    function quoteAt(symbol, t) {
+        const timeline = recording.timelines.get(symbol);
+        return timeline ? entryAt(timeline, t)?.quote : undefined;
+    }
+
+    return {
+        async quote(symbol) {
+            const t = position();
+            if (Array.isArray(symbol)) {
+                return symbol.map(s => quoteAt(s, t)).filter(Boolean);
+            }
+            const quote = quoteAt(symbol, t);
+            if (!quote) {
+                throw new Error(`No recorded Yahoo Finance quote for symbol ${symbol}`);
+            }
+            return quote;
+        },
+
+        // Matches recorded symbols and names, in yahoo-finance2's search shape
+        async search(query) {
+            const needle = String(query).toLowerCase();
+            const t = position();
+            const quotes = [];
+            for (const [symbol, timeline] of recording.timelines) {
+                const quote = entryAt(timeline, t)?.quote ?? timeline[0].quote;
+                const names = [symbol, quote.shortName, quote.longName].filter(Boolean).map(s => s.toLowerCase());
+                if (!names.some(name => name.includes(needle))) continue;
+                quotes.push({
+                    symbol,
+                    shortname: quote.shortName,
+                    longname: quote.longName,
+                    exchDisp: quote.fullExchangeName ?? quote.exchange,
+                    quoteType: quote.quoteType,
+                    isYahooFinance: true
+                });
+            }
+            return { quotes };
+        },
+
+        position: () => new Date(position())
+    };
+}
+
+/**
+ * Wrap a client so every quote it returns is appended to a recording file.
+ * Write failures are reported through `onError` and never fail the request.
+ *
+ * @param {Object} options
+ * @param {Object} options.client - yahoo-finance2 instance or mock
+ * @param {string} options.file - JSONL file to append to
+ * @param {Function} [options.onError] - (error) => void
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {Object} Client with the same interface, `quote` recording as it goes,
+ *   plus `flush()` resolving once queued writes have finished
+ */
+export function createRecordingClient({ client, file, onError = () => {}, now = Date.now }) {
+    let writes = Promise.resolve();
+
+    function record(quotes) {
+        const t = new Date(now()).toISOString();
+        const lines = quotes.filter(q => q?.symbol).map(quote => JSON.stringify({ t, quote }) + '\n').join('');
+        if (!lines) return;
+        // Chained so lines from overlapping requests are never interleaved
+        writes = writes
+            .then(() => fs.promises.appendFile(file, lines))
+            .catch(onError);
+    }
+
+    return new Proxy(client, {
+        get(target, prop) {
+            if (prop === 'flush') {
+                return () => writes;
+            }
+            if (prop !== 'quote') {
+                const value = Reflect.get(target, prop);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+            return async (symbol, ...rest) => {
+                const result = await target.quote(symbol, ...rest);
+                record(Array.isArray(result) ? result : [result]);
+                return result;
+            };
+        }
+    });
+}
+
+/**
+ * Load a recording from disk and build a replay client.
+ *
+ * @param {string} file
+ * @param {Object} [options] - speed, loop, now (see createReplayClient)
+ */
+export function loadReplayClient(file, options = {}) {
+    return createReplayClient({ ...options, recording: parseRecording(fs.readFileSync(file, 'utf8')) });
+}
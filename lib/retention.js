@@ -0,0 +1,283 @@
+import { BAR_INTERVALS } from './bars.js';
+
+/**
+ * Retention and downsampling for stored price data.
+ *
+ * The `retention.tiers` list in config.yaml describes how finely
+ * price_history is kept as it ages. Each tier covers the `days` after the
+ * tiers before it and keeps one row (the last) per `resolution` bucket:
+ *
+ *   tiers:
+ *     - { resolution: raw, days: 7 }   # every poll for a week
+ *     - { resolution: 5m, days: 90 }   # then one price per 5 minutes
+ *     - { resolution: 1d }             # then one per day, forever
+ *
+ * If the last tier has `days`, anything older is deleted. Intraday bars
+ * follow the same tiers: a bar interval is dropped once its age reaches a
+ * tier coarser than itself. Daily bars are always kept.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// setTimeout fires at once when given more than 2^31-1 ms (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Tier resolution → bucket length in ms (raw keeps every row)
+export const RESOLUTIONS = {
+    raw: 0,
+    '1m': MINUTE_MS,
+    '5m': 5 * MINUTE_MS,
+    '15m': 15 * MINUTE_MS,
+    '1h': 60 * MINUTE_MS,
+    '1d': DAY_MS
+};
+
+export const DEFAULT_RETENTION = {
+    tiers: [
+        { resolution: 'raw', days: 7 },
+        { resolution: '5m', days: 90 },
+        { resolution: '1d' }
+    ],
+    compactEveryHours: 6,
+    vacuumEveryDays: 7
+};
+
+function parseTiers(rawTiers, errors) {
+    if (!Array.isArray(rawTiers) || rawTiers.length === 0) {
+        errors.push('retention.tiers: expected a non-empty list');
+        return null;
+    }
+    const tiers = [];
+    let fromDays = 0;
+    let ok = true;
+    rawTiers.forEach((tier, i) => {
+        const where = `retention.tiers[${i}]`;
+        const last = i === rawTiers.length - 1;
+        if (!(tier?.resolution in RESOLUTIONS)) {
+            errors.push(`${where}: resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+            ok = false;
+            return;
+        }
+        const days = tier.days ?? null;
+        if (days === null ? !last : !(Number.isFinite(days) && days > 0)) {
+            errors.push(`${where}: days must be a positive number${last ? '' : ' (only the last tier may omit it)'}`);
+            ok = false;
+            return;
+        }
+        const resolutionMs = RESOLUTIONS[tier.resolution];
+        if (tiers.length > 0 && resolutionMs < tiers[tiers.length - 1].resolutionMs) {
+            errors.push(`${where}: resolution must not be finer than the tier before it`);
+            ok = false;
+            return;
+        }
+        tiers.push({
+            resolution: tier.resolution,
+            resolutionMs,
+            fromDays,
+            toDays: days === null ? null : fromDays + days
+        });
+        if (days !== null) fromDays += days;
+    });
+    return ok ? tiers : null;
+}
+
+/**
+ * Normalise the `retention:` block of config.yaml. Invalid tiers fall back
+ * to the default tiers as a whole, so a typo never deletes more than intended.
+ *
+ * @param {Object} [raw] - Parsed YAML block
+ * @returns {{ tiers: Object[], compactIntervalMs: number, vacuumIntervalMs: number|null, errors: string[] }}
+ *   tiers — `{ resolution, resolutionMs, fromDays, toDays }` with toDays null for "forever";
+ *   vacuumIntervalMs — null when vacuumEveryDays is 0
+ */
+export function parseRetentionConfig(raw) {
+    const errors = [];
+    const tiers = (raw?.tiers !== undefined && parseTiers(raw.tiers, errors))
+        || parseTiers(DEFAULT_RETENTION.tiers, []);
+
+    let compactEveryHours = raw?.compactEveryHours ?? DEFAULT_RETENTION.compactEveryHours;
+    if (!(Number.isFinite(compactEveryHours) && compactEveryHours > 0)) {
+        errors.push('retention.compactEveryHours: must be a positive number');
+        compactEveryHours = DEFAULT_RETENTION.compactEveryHours;
+    }
+    let vacuumEveryDays = raw?.vacuumEveryDays ?? DEFAULT_RETENTION.vacuumEveryDays;
+    if (!(Number.isFinite(vacuumEveryDays) && vacuumEveryDays >= 0)) {
+        errors.push('retention.vacuumEveryDays: must be a number of days (0 turns VACUUM off)');
+        vacuumEveryDays = DEFAULT_RETENTION.vacuumEveryDays;
+    }
+
+    return {
+        tiers,
+        compactIntervalMs: compactEveryHours * 60 * MINUTE_MS,
+        vacuumIntervalMs: vacuumEveryDays > 0 ? vacuumEveryDays * DAY_MS : null,
+        errors
+    };
+}
+
+/**
+ * Work out what a compaction run should do at a point in time.
+ *
+ * @param {Object[]} tiers - From parseRetentionConfig
+ * @param {number} now - ms since epoch
+ * @returns {{ thin: { from: string, to: string, bucketMs: number }[], deleteBefore: string|null, bars: { interval: string, before: string }[] }}
+ *   thin — price_history ranges [from, to) to keep one row per bucket in;
+ *   deleteBefore — price_history rows older than this are removed;
+ *   bars — intraday bars of `interval` older than `before` are removed
+ */
+export function planCompaction(tiers, now) {
+    const at = days => new Date(now - days * DAY_MS).toISOString();
+    const last = tiers[tiers.length - 1];
+
+    const thin = tiers
+        .filter(tier => tier.resolutionMs > 0)
+        .map(tier => ({
+            from: tier.toDays === null ? new Date(0).toISOString() : at(tier.toDays),
+            to: at(tier.fromDays),
+            bucketMs: tier.resolutionMs
+        }));
+
+    const bars = [];
+    for (const [interval, intervalMs] of Object.entries(BAR_INTERVALS)) {
+        const coarser = tiers.find(tier => tier.resolutionMs > intervalMs);
+        if (coarser) bars.push({ interval, before: at(coarser.fromDays) });
+        else if (last.toDays !== null) bars.push({ interval, before: at(last.toDays) });
+    }
+
+    return {
+        thin,
+        deleteBefore: last.toDays === null ? null : at(last.toDays),
+        bars
+    };
+}
+
+/**
+ * Runs compaction, VACUUM and backups on their own timers. Runs never
+ * overlap: a run that comes due while another is going waits for it. Each
+ * run*() resolves to the run's record (as in status()) and never rejects.
+ * reconfigure() swaps in new intervals without losing the last records or
+ * letting a run start beside one already going.
+ *
+ * @param {Object} options
+ * @param {Function} options.compact - async () => result summary (stored as lastCompaction.result)
+ * @param {Function} options.vacuum - async () => void
+ * @param {Function} [options.backup] - async () => result summary (stored as lastBackup.result)
+ * @param {number} options.compactIntervalMs
+ * @param {number|null} options.vacuumIntervalMs - null turns VACUUM off
+ * @param {number|null} [options.backupIntervalMs=null] - null turns scheduled backups off
+ * @param {number} [options.initialDelayMs=60000] - Wait before the first compaction after start
+ * @param {Function} [options.onError] - (task, error) => void, task is 'compaction', 'vacuum' or 'backup'
+ * @param {Function} [options.setTimer]
+ * @param {Function} [options.clearTimer]
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ start: Function, stop: Function, reconfigure: Function, runCompaction: Function, runVacuum: Function, runBackup: Function, status: Function }}
+ */
+export function createMaintenanceScheduler({
+    compact,
+    vacuum,
+    backup = async () => {},
+    compactIntervalMs,
+    vacuumIntervalMs,
+    backupIntervalMs = null,
+    initialDelayMs = 60 * 1000,
+    onError = () => {},
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+    now = Date.now
+}) {
+    const timers = {};
+    const due = {};
+    const last = { compaction: null, vacuum: null, backup: null };
+    const intervals = { compactIntervalMs, vacuumIntervalMs, backupIntervalMs };
+    let started = false;
+    let running = Promise.resolve();
+    // Bumped by stop() so a run already under way doesn't reschedule itself
+    let generation = 0;
+
+    function run(task, fn) {
+        running = running.then(async () => {
+            const startedAt = now();
+            try {
+                const result = await fn();
+                last[task] = { at: new Date(startedAt).toISOString(), durationMs: now() - startedAt, result: result ?? null };
+            } catch (error) {
+                last[task] = { at: new Date(startedAt).toISOString(), durationMs: now() - startedAt, error: error.message };
+                onError(task, error);
+            }
+            return last[task];
+        });
+        return running;
+    }
+
+    function schedule(task, delayMs, fn, intervalMs) {
+        const scheduledIn = generation;
+        due[task] = now() + delayMs;
+        // Longer delays than a timer can hold are waited out in steps
+        const arm = (ms) => {
+            if (ms > MAX_TIMER_MS) {
+                timers[task] = setTimer(() => arm(due[task] - now()), MAX_TIMER_MS);
+                return;
+            }
+            timers[task] = setTimer(async () => {
+                delete timers[task];
+                await run(task, fn);
+                if (scheduledIn === generation) schedule(task, intervalMs, fn, intervalMs);
+            }, Math.max(0, ms));
+        };
+        arm(delayMs);
+    }
+
+    const runCompaction = () => run('compaction', compact);
+    const runVacuum = () => run('vacuum', vacuum);
+    const runBackup = () => run('backup', backup);
+
+    function start() {
+        started = true;
+        schedule('compaction', initialDelayMs, compact, intervals.compactIntervalMs);
+        if (intervals.vacuumIntervalMs) schedule('vacuum', intervals.vacuumIntervalMs, vacuum, intervals.vacuumIntervalMs);
+        if (intervals.backupIntervalMs) schedule('backup', intervals.backupIntervalMs, backup, intervals.backupIntervalMs);
+    }
+
+    function stop() {
+        started = false;
+        generation++;
+        for (const task of Object.keys(timers)) {
+            clearTimer(timers[task]);
+            delete timers[task];
+        }
+        for (const task of Object.keys(due)) delete due[task];
+    }
+
+    return {
+        start,
+        stop,
+        /**
+         * Take new intervals (same names and meaning as the options), restarting
+         * the timers if the scheduler is running.
+         */
+        reconfigure(changes) {
+            Object.assign(intervals, {
+                compactIntervalMs: changes.compactIntervalMs,
+                vacuumIntervalMs: changes.vacuumIntervalMs,
+                backupIntervalMs: changes.backupIntervalMs ?? null
+            });
+            if (started) {
+                stop();
+                start();
+            }
+        },
+        runCompaction,
+        runVacuum,
+        runBackup,
+        status() {
+            const iso = ms => (ms == null ? null : new Date(ms).toISOString());
+            return {
+                lastCompaction: last.compaction,
+                lastVacuum: last.vacuum,
+                lastBackup: last.backup,
+                nextCompactionAt: iso(due.compaction),
+                nextVacuumAt: iso(due.vacuum),
+                nextBackupAt: iso(due.backup)
+            };
+        }
+    };
+}
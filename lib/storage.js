@@ -0,0 +1,166 @@
+import { DEFAULT_WRITE_BATCH } from './writeQueue.js';
+
+/**
+ * Storage backends for db.js.
+ *
+ * db.js writes its SQL once, with `?` placeholders, and runs it through a
+ * storage handle. Each backend opens a handle with the same shape:
+ *
+ *   dialect              'sqlite' or 'postgres'
+ *   all(sql, params)     → rows
+ *   get(sql, params)     → first row, or undefined
+ *   run(sql, params)     → { changes }
+ *   exec(sql)            statements without parameters
+ *   transaction(fn)      → fn(tx) with a handle on one connection; commits, or rolls back if fn throws
+ *   epochSeconds(expr)   SQL for whole seconds since the epoch of a timestamp column
+ *   greatest(a, b), least(a, b)  SQL for the larger/smaller of two values
+ *   size()               → { sizeBytes, freeBytes|null }
+ *   vacuum(tables)       give space freed by deletes in those tables back
+ *   backup(file)         online copy of the database into a new file (SQLite only; use pg_dump for PostgreSQL)
+ *   close()
+ *
+ * Timestamps go in and come out as ISO strings on both backends. SQLite (a
+ * file under data/ by default, in WAL mode) is the default; PostgreSQL suits
+ * deployments that share one history between several dashboards, and can
+ * keep price_history in a TimescaleDB hypertable. The backend is picked at
+ * startup from the `storage:` block of config.yaml.
+ */
+
+export const STORAGE_DRIVERS = ['sqlite', 'postgres'];
+
+const DEFAULT_POOL_SIZE = 10;
+const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// storage.writeBatch, for either driver; invalid values fall back to the defaults
+function parseWriteBatch(raw, errors) {
+    const writeBatch = { ...DEFAULT_WRITE_BATCH };
+    for (const key of Object.keys(DEFAULT_WRITE_BATCH)) {
+        const value = raw?.[key];
+        if (value === undefined) continue;
+        if (isPositiveInteger(value)) writeBatch[key] = value;
+        else errors.push(`storage.writeBatch.${key}: must be a positive whole number`);
+    }
+    return writeBatch;
+}
+
+function parseSqliteOptions(raw, env, errors) {
+    const options = raw ?? {};
+    const file = options.path ?? env.DATABASE_PATH ?? null;
+    if (file !== null && (typeof file !== 'string' || !file.trim())) {
+        errors.push('storage.sqlite.path: must be a file path');
+    }
+    if (options.wal !== undefined && typeof options.wal !== 'boolean') {
+        errors.push('storage.sqlite.wal: must be true or false');
+    }
+    const busyTimeoutMs = options.busyTimeoutMs ?? DEFAULT_BUSY_TIMEOUT_MS;
+    if (!(Number.isInteger(busyTimeoutMs) && busyTimeoutMs >= 0)) {
+        errors.push('storage.sqlite.busyTimeoutMs: must be a whole number of milliseconds');
+    }
+    return { path: file, wal: options.wal !== false, busyTimeoutMs };
+}
+
+/**
+ * Validate the `storage:` block of config.yaml. Unlike most blocks, errors
+ * here are fatal: quietly falling back to SQLite would split the history
+ * between two databases.
+ *
+ * @param {Object} [raw] - Parsed YAML block
+ * @param {Object} [env] - Environment; DATABASE_PATH and DATABASE_URL stand in for
+ *   sqlite.path and postgres.url
+ * @returns {{ driver: string, sqlite: Object|null, postgres: Object|null, writeBatch: { flushMs: number, maxSize: number }, errors: string[] }}
+ *   sqlite — `{ path (null for data/stocks.db), wal, busyTimeoutMs }`;
+ *   postgres — `{ url, schema, poolSize, timescale }`
+ */
+export function parseStorageConfig(raw, env = process.env) {
+    const errors = [];
+    const writeBatch = parseWriteBatch(raw?.writeBatch, errors);
+    const driver = raw?.driver ?? 'sqlite';
+    if (!STORAGE_DRIVERS.includes(driver)) {
+        errors.push(`storage.driver: must be one of ${STORAGE_DRIVERS.join(', ')}`);
+        return { driver: 'sqlite', sqlite: null, postgres: null, writeBatch, errors };
+    }
+    if (driver !== 'postgres') {
+        return { driver, sqlite: parseSqliteOptions(raw?.sqlite, env, errors), postgres: null, writeBatch, errors };
+    }
+
+    const options = raw.postgres ?? {};
+    const url = options.url ?? env.DATABASE_URL;
+    if (!url) {
+        errors.push('storage.postgres.url: required (or set DATABASE_URL)');
+    }
+    const schema = options.schema ?? null;
+    if (schema !== null && !/^[a-z_][a-z0-9_]*$/.test(schema)) {
+        errors.push('storage.postgres.schema: must be a lowercase SQL identifier');
+    }
+    const poolSize = options.poolSize ?? DEFAULT_POOL_SIZE;
+    if (!isPositiveInteger(poolSize)) {
+        errors.push('storage.postgres.poolSize: must be a positive whole number');
+    }
+    return {
+        driver,
+        sqlite: null,
+        postgres: { url: url ?? null, schema, poolSize, timescale: options.timescale === true },
+        writeBatch,
+        errors
+    };
+}
+
+/**
+ * Open a storage handle for parsed settings. Backends are imported on
+ * demand, so the PostgreSQL driver is only loaded when it's used.
+ *
+ * @param {ReturnType<typeof parseStorageConfig>} settings
+ * @param {Object} options
+ * @param {string} options.sqliteFile - Database file for the sqlite driver, with sqlite.path resolved
+ * @returns {Promise<Object>} Storage handle
+ */
+export async function openStorage(settings, { sqliteFile }) {
+    if (settings.driver === 'postgres') {
+        const { openPostgresStorage } = await import('./storage/postgres.js');
+        return openPostgresStorage(settings.postgres);
+    }
+    const { openSqliteStorage } = await import('./storage/sqlite.js');
+    return openSqliteStorage({
+        file: sqliteFile,
+        wal: settings.sqlite?.wal,
+        busyTimeoutMs: settings.sqlite?.busyTimeoutMs
+    });
+}
+
+/**
+ * Short description of where data is stored, for the startup log. Leaves
+ * credentials out of PostgreSQL URLs.
+ *
+ * @param {ReturnType<typeof parseStorageConfig>} settings
+ * @param {Object} options
+ * @param {string} options.sqliteFile
+ * @returns {string}
+ */
+export function describeStorage(settings, { sqliteFile }) {
+    if (settings.driver !== 'postgres') return `SQLite (${sqliteFile}${settings.sqlite?.wal === false ? '' : ', WAL'})`;
+    let target = 'PostgreSQL';
+    try {
+        const url = new URL(settings.postgres.url);
+        target += ` (${url.host}${url.pathname}${settings.postgres.schema ? `, schema ${settings.postgres.schema}` : ''})`;
+    } catch {
+        // Connection strings that aren't URLs are left out rather than risk logging a password
+    }
+    return settings.postgres.timescale ? `${target} with TimescaleDB` : target;
+}
+
+/**
+ * Turn price_history into a TimescaleDB hypertable, partitioned on
+ * timestamp. Safe to repeat: an existing hypertable is left alone, and
+ * existing rows are moved into chunks the first time.
+ *
+ * @param {Object} db - PostgreSQL storage handle, after migrations
+ * @returns {Promise<void>}
+ */
+export async function enableTimescale(db) {
+    await db.exec('CREATE EXTENSION IF NOT EXISTS timescaledb');
+    await db.get(
+        `SELECT create_hypertable('price_history', 'timestamp', if_not_exists => TRUE, migrate_data => TRUE)`
+    );
+}
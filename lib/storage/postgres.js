@@ -0,0 +1,121 @@
+import pg from 'pg';
+
+/**
+ * PostgreSQL storage backend (see lib/storage.js for the handle interface).
+ *
+ * Queries run on a connection pool; a transaction checks one connection out
+ * for its whole run. `?` placeholders are rewritten to `$1, $2, ...`.
+ * Timestamp columns are `timestamptz` and come back as ISO strings, and
+ * bigint counts and ids come back as numbers, so rows look the same as
+ * SQLite's.
+ */
+
+const INT8_OID = 20;
+const TIMESTAMPTZ_OID = 1184;
+
+const parseTimestamptz = pg.types.getTypeParser(TIMESTAMPTZ_OID);
+
+const types = {
+    getTypeParser(oid, format) {
+        if (oid === INT8_OID) return Number;
+        if (oid === TIMESTAMPTZ_OID) return value => parseTimestamptz(value).toISOString();
+        return pg.types.getTypeParser(oid, format);
+    }
+};
+
+/**
+ * Rewrite `?` placeholders as numbered ones, leaving quoted text alone.
+ *
+ * @param {string} sql
+ * @returns {string}
+ */
+export function toPositional(sql) {
+    let n = 0;
+    let quoted = false;
+    let out = '';
+    for (const char of sql) {
+        if (char === "'") quoted = !quoted;
+        out += char === '?' && !quoted ? `$${++n}` : char;
+    }
+    return out;
+}
+
+// Query methods over a pool, or a single checked-out client inside a transaction
+function createHandle(queryable, pool) {
+    const query = (sql, params = []) => queryable.query(toPositional(sql), params);
+    const handle = {
+        dialect: 'postgres',
+        all: async (sql, params) => (await query(sql, params)).rows,
+        get: async (sql, params) => (await query(sql, params)).rows[0],
+        async run(sql, params) {
+            const result = await query(sql, params);
+            return { changes: result.rowCount ?? 0 };
+        },
+        // Simple-query protocol, so several statements can go in one call
+        exec: async (sql) => { await queryable.query(sql); },
+        async transaction(fn) {
+            // Already on a transaction's connection: run in that transaction
+            if (queryable !== pool) return fn(handle);
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await fn(createHandle(client, pool));
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+        epochSeconds: expr => `FLOOR(EXTRACT(EPOCH FROM ${expr}))::bigint`,
+        greatest: (a, b) => `GREATEST(${a}, ${b})`,
+        least: (a, b) => `LEAST(${a}, ${b})`,
+        async size() {
+            const row = await handle.get('SELECT pg_database_size(current_database()) AS size');
+            // Dead rows are reused in place by PostgreSQL, so there's no free-page figure like SQLite's
+            return { sizeBytes: row.size, freeBytes: null };
+        },
+        // Marks space from deleted rows reusable and refreshes planner statistics
+        async vacuum(tables = []) {
+            await queryable.query(`VACUUM (ANALYZE) ${tables.join(', ')}`);
+        },
+        async backup() {
+            throw new Error('Built-in backups need SQLite; back up PostgreSQL with pg_dump');
+        },
+        close: () => pool.end()
+    };
+    return handle;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.url - Connection string
+ * @param {string|null} [options.schema] - Schema to keep the tables in (created if missing)
+ * @param {number} [options.poolSize=10]
+ * @param {Function} [options.onError] - (error) => void, for errors on idle pooled connections
+ * @returns {Promise<Object>} Storage handle
+ */
+export async function openPostgresStorage({
+    url,
+    schema = null,
+    poolSize = 10,
+    onError = error => console.error('PostgreSQL connection error:', error.message)
+}) {
+    const pool = new pg.Pool({
+        connectionString: url,
+        max: poolSize,
+        types,
+        options: schema ? `-c search_path=${schema}` : undefined
+    });
+    pool.on('error', onError);
+    try {
+        if (schema) await pool.query(`CREATE SCHEMA IF NOT EXISTS ${schema}`);
+        else await pool.query('SELECT 1');
+    } catch (error) {
+        await pool.end();
+        throw error;
+    }
+    return createHandle(pool, pool);
+}
@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+/**
+ * SQLite storage backend (see lib/storage.js for the handle interface).
+ *
+ * One connection serves the whole app. Transactions and plain statements take
+ * turns on it, so a batch of queued writes can't collide with a backfill or an
+ * import, and a request's insert can't slip into someone else's transaction
+ * and be lost when that one rolls back. Other
+ * processes (the import CLI, backups, the sqlite3 shell) get their own
+ * connections: WAL mode lets them read while the server writes, and the busy
+ * timeout makes a writer wait for a lock instead of failing with SQLITE_BUSY.
+ */
+
+/**
+ * Wrap an open `sqlite` database in a storage handle.
+ *
+ * @param {Object} handle - From sqlite's open()
+ * @returns {Object} Storage handle
+ */
+export function createSqliteStorage(handle) {
+    // Resolves when the transaction ahead has finished
+    let turn = Promise.resolve();
+
+    // Run fn once the connection is free, holding it until fn settles
+    function exclusive(fn) {
+        const result = turn.then(fn);
+        turn = result.catch(() => {});
+        return result;
+    }
+
+    // Statements straight on the connection, for whoever holds it
+    const direct = {
+        all: (sql, params = []) => handle.all(sql, params),
+        get: (sql, params = []) => handle.get(sql, params),
+        async run(sql, params = []) {
+            const result = await handle.run(sql, params);
+            return { changes: result.changes };
+        },
+        exec: sql => handle.exec(sql)
+    };
+
+    const storage = {
+        dialect: 'sqlite',
+        all: (sql, params) => exclusive(() => direct.all(sql, params)),
+        get: (sql, params) => exclusive(() => direct.get(sql, params)),
+        run: (sql, params) => exclusive(() => direct.run(sql, params)),
+        exec: sql => exclusive(() => direct.exec(sql)),
+        transaction(fn) {
+            return exclusive(async () => {
+                // Inside the transaction, statements and transaction() use the connection it already holds
+                const tx = { ...storage, ...direct, transaction: inner => inner(tx) };
+                await handle.exec('BEGIN');
+                try {
+                    const value = await fn(tx);
+                    await handle.exec('COMMIT');
+                    return value;
+                } catch (error) {
+                    await handle.exec('ROLLBACK');
+                    throw error;
+                }
+            });
+        },
+        epochSeconds: expr => `CAST(strftime('%s', ${expr}) AS INTEGER)`,
+        greatest: (a, b) => `MAX(${a}, ${b})`,
+        least: (a, b) => `MIN(${a}, ${b})`,
+        async size() {
+            const pageSize = (await handle.get('PRAGMA page_size')).page_size;
+            const pageCount = (await handle.get('PRAGMA page_count')).page_count;
+            const freePages = (await handle.get('PRAGMA freelist_count')).freelist_count;
+            return { sizeBytes: pageSize * pageCount, freeBytes: pageSize * freePages };
+        },
+        // Rebuilds the file so pages freed by deletes go back to the filesystem
+        vacuum: () => exclusive(() => handle.exec('VACUUM')),
+        // Consistent copy of the live database into a new file; other connections keep working meanwhile
+        backup: file => exclusive(() => handle.run('VACUUM INTO ?', [file])),
+        close: () => handle.close()
+    };
+    return storage;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - Database file, or ':memory:'; missing directories are created
+ * @param {boolean} [options.wal=true] - Write-ahead logging; turn off for network filesystems
+ * @param {number} [options.busyTimeoutMs=5000] - How long to wait for another connection's lock
+ * @param {boolean} [options.readOnly=false] - Open an existing file (e.g. a backup) without changing it
+ * @returns {Promise<Object>} Storage handle
+ */
+export async function openSqliteStorage({ file, wal = true, busyTimeoutMs = 5000, readOnly = false }) {
+    if (readOnly) {
+        return createSqliteStorage(await open({ filename: file, mode: sqlite3.OPEN_READONLY, driver: sqlite3.Database }));
+    }
+    if (file !== ':memory:') {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    const handle = await open({ filename: file, driver: sqlite3.Database });
+    try {
+        await handle.exec(`PRAGMA busy_timeout = ${Number(busyTimeoutMs)}`);
+        // The journal mode is stored in the file, so switch back explicitly when WAL is turned off
+        await handle.exec(wal ? 'PRAGMA journal_mode = WAL' : 'PRAGMA journal_mode = DELETE');
+        // With WAL, NORMAL only syncs at checkpoints and is still safe against corruption
+        if (wal) await handle.exec('PRAGMA synchronous = NORMAL');
+    } catch (error) {
+        await handle.close();
+        throw error;
+    }
+    return createSqliteStorage(handle);
+}
@@ -0,0 +1,98 @@
+/**
+ * Batched background writes.
+ *
+ * Pushing a write returns straight away; the queue collects writes for up to
+ * `flushMs` (or until `maxSize` are waiting) and hands them to `write` as one
+ * batch, which the caller commits in a single transaction. Only one batch is
+ * written at a time and writes keep their order, so a slow disk delays
+ * storage without holding up whoever pushes. If writes pile up past
+ * `maxPending`, the oldest are dropped and counted rather than let memory grow
+ * without limit.
+ */
+
+export const DEFAULT_WRITE_BATCH = {
+    flushMs: 250,
+    maxSize: 500
+};
+
+/**
+ * @param {Object} options
+ * @param {Function} options.write - async (items) => void, for one batch in push order
+ * @param {number} [options.flushMs=250] - Longest a write waits for others to batch with
+ * @param {number} [options.maxSize=500] - Writes per batch; a full batch is written at once
+ * @param {number} [options.maxPending=50000] - Writes kept waiting before the oldest are dropped
+ * @param {Function} [options.onError] - (error, items) => void when a batch fails; its writes are lost
+ * @param {Function} [options.setTimer]
+ * @param {Function} [options.clearTimer]
+ * @param {Function} [options.now] - Clock in ms
+ * @returns {{ push: Function, flush: Function, status: Function }}
+ */
+export function createWriteQueue({
+    write,
+    flushMs = DEFAULT_WRITE_BATCH.flushMs,
+    maxSize = DEFAULT_WRITE_BATCH.maxSize,
+    maxPending = 50000,
+    onError = () => {},
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+    now = Date.now
+}) {
+    const pending = [];
+    let timer = null;
+    let writing = 0;
+    let draining = Promise.resolve();
+    const counts = { written: 0, batches: 0, failed: 0, dropped: 0 };
+    let lastBatch = null;
+
+    // Write everything pending, one batch at a time; resolves once the queue is empty
+    function drain() {
+        if (timer !== null) {
+            clearTimer(timer);
+            timer = null;
+        }
+        draining = draining.then(async () => {
+            while (pending.length > 0) {
+                const batch = pending.splice(0, maxSize);
+                const startedAt = now();
+                writing = batch.length;
+                try {
+                    await write(batch);
+                    counts.written += batch.length;
+                    lastBatch = { at: new Date(startedAt).toISOString(), size: batch.length, durationMs: now() - startedAt };
+                } catch (error) {
+                    counts.failed += batch.length;
+                    lastBatch = { at: new Date(startedAt).toISOString(), size: batch.length, durationMs: now() - startedAt, error: error.message };
+                    onError(error, batch);
+                } finally {
+                    counts.batches++;
+                    writing = 0;
+                }
+            }
+        });
+        return draining;
+    }
+
+    return {
+        push(item) {
+            pending.push(item);
+            if (pending.length > maxPending) {
+                const excess = pending.length - maxPending;
+                pending.splice(0, excess);
+                counts.dropped += excess;
+            }
+            if (pending.length >= maxSize) {
+                drain();
+            } else if (timer === null) {
+                timer = setTimer(() => {
+                    timer = null;
+                    drain();
+                }, flushMs);
+            }
+        },
+        // Resolves once everything pushed so far has been written (or failed); never rejects
+        flush: () => drain(),
+        status() {
+            return { pending: pending.length, writing, ...counts, lastBatch };
+        }
+    };
+}
@@ -0,0 +1,82 @@
+import YahooFinance from 'yahoo-finance2';
+import { loadReplayClient, createRecordingClient } from './replay.js';
+
+/**
+ * Create the Yahoo Finance client used by the server and CLI tools.
+ *
+ * When YAHOO_FINANCE_MOCK_DATA is set it must be a JSON object mapping
+ * symbols to quote responses; a stub client serving those is returned
+ * instead of hitting the network. Like yahoo-finance2, passing an array of
+ * symbols returns an array of the quotes found (unknown symbols are omitted).
+ *
+ * YAHOO_FINANCE_REPLAY names a recorded session (see lib/replay.js) to play
+ * back instead, at YAHOO_FINANCE_REPLAY_SPEED times real time (default 1),
+ * starting over at the end unless YAHOO_FINANCE_REPLAY_LOOP is "false".
+ * YAHOO_FINANCE_RECORD names a file that every quote returned is appended to.
+ *
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {{ quote: Function }} yahoo-finance2 instance or mock
+ * @throws {Error} When the mock data is not a JSON object, or the replay settings are invalid
+ */
+export function createYahooFinanceClient(env = {}) {
+    const client = env.YAHOO_FINANCE_REPLAY ? createReplayFromEnv(env) : createClient(env);
+    if (!env.YAHOO_FINANCE_RECORD) {
+        return client;
+    }
+    return createRecordingClient({
+        client,
+        file: env.YAHOO_FINANCE_RECORD,
+        onError: error => console.error(`Failed to record quotes to ${env.YAHOO_FINANCE_RECORD}:`, error.message)
+    });
+}
+
+function createReplayFromEnv(env) {
+    const speed = env.YAHOO_FINANCE_REPLAY_SPEED == null ? 1 : Number(env.YAHOO_FINANCE_REPLAY_SPEED);
+    if (!Number.isFinite(speed) || speed <= 0) {
+        throw new Error('Invalid YAHOO_FINANCE_REPLAY_SPEED: expected a positive number');
+    }
+    try {
+        return loadReplayClient(env.YAHOO_FINANCE_REPLAY, {
+            speed,
+            loop: env.YAHOO_FINANCE_REPLAY_LOOP !== 'false'
+        });
+    } catch (error) {
+        throw new Error(`Invalid YAHOO_FINANCE_REPLAY: ${error.message}`, { cause: error });
+    }
+}
+
+function createClient(env) {
+    const mockData = env.YAHOO_FINANCE_MOCK_DATA;
+    if (!mockData) {
+        return new YahooFinance();
+    }
+
+    let quoteResponses;
+    try {
+        quoteResponses = JSON.parse(mockData);
+    } catch (error) {
+        throw new Error(
+            `Invalid YAHOO_FINANCE_MOCK_DATA: expected JSON object mapping symbols to quote responses (${error.message})`,
+            { cause: error }
+        );
+    }
+
+    if (!quoteResponses || typeof quoteResponses !== 'object' || Array.isArray(quoteResponses)) {
+        throw new Error('Invalid YAHOO_FINANCE_MOCK_DATA: expected JSON object mapping symbols to quote responses');
+    }
+
+    // Entries may leave out `symbol`; real quotes always carry it and callers match on it
+    const mockQuote = symbol => ({ symbol, ...quoteResponses[symbol] });
+
+    return {
+        async quote(symbol) {
+            if (Array.isArray(symbol)) {
+                return symbol.filter(s => s in quoteResponses).map(mockQuote);
+            }
+            if (!(symbol in quoteResponses)) {
+                throw new Error(`No mock Yahoo Finance quote configured for symbol ${symbol}`);
+            }
+            return mockQuote(symbol);
+        }
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * The schema as it stood when versioned migrations were introduced.
+ *
+ * Databases created before then already have some or all of these tables, so
+ * everything is created only if missing, and columns that older releases
+ * added on startup are added here when a table predates them.
+ */
+
+// Columns added to existing tables before migrations were versioned
+const LEGACY_COLUMNS = [
+    { table: 'price_history', column: 'market_state', type: 'TEXT' },
+    { table: 'transactions', column: 'lot_id', type: 'INTEGER' },
+    { table: 'alerts', column: 'acknowledged_at', type: 'DATETIME' }
+];
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS price_history (
+            symbol TEXT,
+            timestamp DATETIME,
+            price REAL,
+            change REAL,
+            change_percent REAL,
+            market_state TEXT,
+            PRIMARY KEY (symbol, timestamp)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_symbol_timestamp
+        ON price_history(symbol, timestamp);
+
+        CREATE TABLE IF NOT EXISTS transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            symbol TEXT NOT NULL,
+            type TEXT NOT NULL,
+            date TEXT NOT NULL,
+            shares REAL,
+            price REAL,
+            amount REAL,
+            fees REAL NOT NULL DEFAULT 0,
+            ratio REAL,
+            lot_id INTEGER,
+            notes TEXT,
+            created_at DATETIME NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_transactions_symbol_date
+        ON transactions(symbol, date);
+
+        CREATE TABLE IF NOT EXISTS alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id TEXT NOT NULL,
+            symbol TEXT NOT NULL,
+            type TEXT NOT NULL,
+            message TEXT NOT NULL,
+            price REAL,
+            threshold REAL,
+            fired_at DATETIME NOT NULL,
+            acknowledged_at DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_alerts_fired_at
+        ON alerts(fired_at);
+
+        CREATE TABLE IF NOT EXISTS alert_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            alert_id INTEGER,
+            channel TEXT NOT NULL,
+            channel_type TEXT NOT NULL,
+            status TEXT NOT NULL,
+            attempts INTEGER NOT NULL,
+            error TEXT,
+            delivered_at DATETIME NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert_id
+        ON alert_deliveries(alert_id);
+
+        CREATE TABLE IF NOT EXISTS alert_snoozes (
+            rule_id TEXT PRIMARY KEY,
+            until DATETIME NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS daily_bars (
+            symbol TEXT NOT NULL,
+            date TEXT NOT NULL,
+            open REAL,
+            high REAL,
+            low REAL,
+            close REAL NOT NULL,
+            volume REAL,
+            PRIMARY KEY (symbol, date)
+        );
+
+        CREATE TABLE IF NOT EXISTS bars (
+            symbol TEXT NOT NULL,
+            interval TEXT NOT NULL,
+            start DATETIME NOT NULL,
+            open REAL NOT NULL,
+            high REAL NOT NULL,
+            low REAL NOT NULL,
+            close REAL NOT NULL,
+            volume REAL NOT NULL DEFAULT 0,
+            PRIMARY KEY (symbol, interval, start)
+        );
+    `);
+
+    for (const { table, column, type } of LEGACY_COLUMNS) {
+        const columns = await db.all(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * The PostgreSQL schema, matching what 001_initial_schema gives SQLite.
+ *
+ * 001 is SQLite-only SQL, so a new PostgreSQL database starts here instead
+ * (this is its baseline, see lib/migrations.js) and never runs 001. Time
+ * columns are timestamptz, so price_history can become a TimescaleDB
+ * hypertable; SQLite keeps ISO strings. On SQLite there is nothing to do.
+ */
+
+export const baseline = 'postgres';
+
+const POSTGRES_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS price_history (
+        symbol TEXT NOT NULL,
+        timestamp TIMESTAMPTZ NOT NULL,
+        price DOUBLE PRECISION,
+        change DOUBLE PRECISION,
+        change_percent DOUBLE PRECISION,
+        market_state TEXT,
+        PRIMARY KEY (symbol, timestamp)
+    );
+
+    CREATE TABLE IF NOT EXISTS transactions (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        symbol TEXT NOT NULL,
+        type TEXT NOT NULL,
+        date TEXT NOT NULL,
+        shares DOUBLE PRECISION,
+        price DOUBLE PRECISION,
+        amount DOUBLE PRECISION,
+        fees DOUBLE PRECISION NOT NULL DEFAULT 0,
+        ratio DOUBLE PRECISION,
+        lot_id BIGINT,
+        notes TEXT,
+        created_at TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transactions_symbol_date
+    ON transactions(symbol, date);
+
+    CREATE TABLE IF NOT EXISTS alerts (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        rule_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        price DOUBLE PRECISION,
+        threshold DOUBLE PRECISION,
+        fired_at TIMESTAMPTZ NOT NULL,
+        acknowledged_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alerts_fired_at
+    ON alerts(fired_at);
+
+    CREATE TABLE IF NOT EXISTS alert_deliveries (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        alert_id BIGINT,
+        channel TEXT NOT NULL,
+        channel_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL,
+        error TEXT,
+        delivered_at TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert_id
+    ON alert_deliveries(alert_id);
+
+    CREATE TABLE IF NOT EXISTS alert_snoozes (
+        rule_id TEXT PRIMARY KEY,
+        until TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS daily_bars (
+        symbol TEXT NOT NULL,
+        date TEXT NOT NULL,
+        open DOUBLE PRECISION,
+        high DOUBLE PRECISION,
+        low DOUBLE PRECISION,
+        close DOUBLE PRECISION NOT NULL,
+        volume DOUBLE PRECISION,
+        PRIMARY KEY (symbol, date)
+    );
+
+    CREATE TABLE IF NOT EXISTS bars (
+        symbol TEXT NOT NULL,
+        interval TEXT NOT NULL,
+        start TIMESTAMPTZ NOT NULL,
+        open DOUBLE PRECISION NOT NULL,
+        high DOUBLE PRECISION NOT NULL,
+        low DOUBLE PRECISION NOT NULL,
+        close DOUBLE PRECISION NOT NULL,
+        volume DOUBLE PRECISION NOT NULL DEFAULT 0,
+        PRIMARY KEY (symbol, interval, start)
+    );
+`;
+
+export async function up(db) {
+    if (db.dialect !== 'postgres') return;
+    await db.exec(POSTGRES_SCHEMA);
+}
@@ -2,13 +2,86 @@ import 'dotenv/config';
 import express from 'express';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import YahooFinance from 'yahoo-finance2';
 import fs from 'fs';
-import { initializeDatabase, addPriceHistory, getPriceHistory } from './db.js';
+import {
+    initializeDatabase,
+    getPriceHistory,
+    getPriceHistoryRange,
+    getPriceHistorySymbols,
+    exportPriceHistory,
+    mergePriceHistory,
+    addTransaction,
+    getTransactions,
+    getTransaction,
+    updateTransaction,
+    deleteTransaction,
+    importTransactions,
+    getPriceAt,
+    addAlert,
+    getAlerts,
+    addAlertDelivery,
+    getAlertDeliveries,
+    getAlert,
+    countUnacknowledgedAlerts,
+    acknowledgeAlerts,
+    setAlertSnooze,
+    getAlertSnoozes,
+    deleteAlertSnooze,
+    upsertDailyBars,
+    getDailyBars,
+    getLatestDailyBarDate,
+    getBars,
+    thinPriceHistory,
+    deletePriceHistoryBefore,
+    deleteBarsBefore,
+    getStorageStats,
+    vacuumDatabase,
+    applyQueuedWrites,
+    sqliteFileFor
+} from './db.js';
 import { networkInterfaces } from 'os';
 import { calculatePriceFromQuote, formatApiResponse, formatCachedResponse } from './lib/priceCalculation.js';
-import { parseConfigFile, diffWatchlist } from './lib/configLoader.js';
+import { parseConfigFile, parseConfigText, diffWatchlist } from './lib/configLoader.js';
+import {
+    addWatchlistSymbol,
+    removeWatchlistSymbol,
+    moveWatchlistSymbol,
+    reorderWatchlist,
+    addSection,
+    renameSection,
+    deleteSection,
+    writeConfigFile
+} from './lib/configEditor.js';
+import { calculatePosition, buildPortfolioSummary } from './lib/portfolio.js';
+import { validateTransaction, derivePositions, positionsToHoldings, findOversells, describeOversell } from './lib/ledger.js';
+import { loadMappings } from './lib/brokerMappings.js';
+import { planImport } from './lib/importer.js';
+import { LOT_METHODS, buildRealizedGainsReport, valueOpenLots, realizedGainsRows } from './lib/lots.js';
+import { toCsv } from './lib/csv.js';
+import { parseAlertRules, createAlertEngine } from './lib/alerts.js';
+import { parseNotifierChannels, createNotifier } from './lib/notifiers.js';
+import { createEventHub } from './lib/eventStream.js';
+import { createQuoteCache, DEFAULT_QUOTE_TTL_SECONDS } from './lib/quoteCache.js';
+import { parsePollingConfig, createPollScheduler, isRateLimitError } from './lib/pollScheduler.js';
+import { EXCHANGE_DISPLAY, getMarketStatus, tradingPhase } from './lib/marketHours.js';
+import { createBackfiller, DAILY_RANGES, rangeStart } from './lib/backfill.js';
+import { BAR_INTERVALS, createBarRecorder } from './lib/bars.js';
+import { RESOLUTIONS, parseRetentionConfig, planCompaction, createMaintenanceScheduler } from './lib/retention.js';
 import { getAppVersion } from './lib/version.js';
+import { createYahooFinanceClient } from './lib/yahooClient.js';
+import { parseProviderConfig, createProvider, createMarketData } from './lib/marketData.js';
+import { parseStorageConfig, describeStorage } from './lib/storage.js';
+import { openSqliteStorage } from './lib/storage/sqlite.js';
+import { createWriteQueue } from './lib/writeQueue.js';
+import {
+    PRICE_HISTORY_COLUMNS,
+    parseBackupConfig,
+    createBackupManager,
+    priceHistoryCsvRows,
+    priceHistoryColumns,
+    parsePriceHistoryCsv,
+    parsePriceHistoryColumns
+} from './lib/backup.js';
 
 const app = express();
 
@@ -22,37 +95,60 @@ console.log(`App version: ${appVersion.commitHash} (built ${appVersion.buildTime
 
 // Config state
 const configPath = process.env.CONFIG_PATH || path.join(__dirname, 'config.yaml');
+// Storage handle (SQLite or PostgreSQL), set once initializeDatabase() resolves during startup
+let db;
+// Batches polled prices and bars into transactions off the poll loop, created with the database
+let writeQueue = null;
 let watchlist = [];
 let sections = [];
 let config;
 let watchlistVersion = 0;
 let cryptoSymbols = [];
 let cryptoTickers = [];
+// Maps symbol → { shares, costBasis, lots } for stocks configured as positions
+let holdings = {};
 // Maps a normalised display name → { displayName, marketState }
 let marketStates = new Map();
-
-// Yahoo Finance exchange codes → human-readable display names.
-// Codes that share a display name are intentionally merged into one pill
-// (e.g. NMS/NGM/NCM are all NASDAQ tiers but the same exchange operationally).
-// NYSE Arca (PCX) opens/closes with NYSE so we fold it in — no need for a
-// separate pill that would confuse users.
-const EXCHANGE_DISPLAY = {
-    // US
-    NMS: 'NASDAQ', NGM: 'NASDAQ', NCM: 'NASDAQ',
-    NYQ: 'NYSE', PCX: 'NYSE', ASE: 'NYSE',
-    // UK
-    LSE: 'London',
-    // Europe
-    HEL: 'Helsinki', STO: 'Stockholm', CPH: 'Copenhagen', OSL: 'Oslo',
-    ETR: 'XETRA', PAR: 'Euronext Paris', AMS: 'Euronext AMS',
-    MCE: 'Madrid', MIL: 'Milan', SWX: 'SIX Swiss',
-    // Asia-Pacific
-    TYO: 'Tokyo', OSA: 'Osaka', HKG: 'Hong Kong',
-    SGX: 'Singapore', ASX: 'ASX', TAI: 'Taiwan',
-    BSE: 'BSE India', NSE: 'NSE India',
-    // Americas
-    TSX: 'TSX', SAO: 'B3',
-};
+// Price alert rules from the config's alerts: block, evaluated on every poll
+let alertEngine = createAlertEngine([]);
+// Channels fired alerts are pushed to (webhook, ntfy, gotify, smtp)
+let notifier = createNotifier([]);
+// Maps rule id → ISO time until which that rule's alerts are suppressed
+let alertSnoozes = new Map();
+// Connected /api/stream clients
+const streamHub = createEventHub();
+// Yahoo Finance client, wrapped by the `yahoo` market data provider
+const yahooFinance = createYahooFinanceClient(process.env);
+if (process.env.YAHOO_FINANCE_REPLAY) {
+    console.log(`Replaying recorded quotes from ${process.env.YAHOO_FINANCE_REPLAY}`);
+}
+if (process.env.YAHOO_FINANCE_RECORD) {
+    console.log(`Recording quotes to ${process.env.YAHOO_FINANCE_RECORD}`);
+}
+// Clock for the trading calendar — follows the recording while replaying one
+const marketClock = () => yahooFinance.position?.() ?? new Date();
+// Quote/history/search routing across the providers in the config's providers: block
+let marketData = null;
+let providerConfig = null;
+// Fills daily_bars for the 1M–5Y charts; re-run periodically to add each new day
+const backfiller = createBackfiller({
+    fetchHistory: (symbol, options) => marketData.history(symbol, options),
+    storeBars: (symbol, bars) => upsertDailyBars(db, symbol, bars),
+    latestBarDate: symbol => getLatestDailyBarDate(db, symbol),
+    onComplete: (symbol, count) => {
+        if (count > 0) console.log(`Backfilled ${count} daily bars for ${symbol}`);
+    },
+    onError: (symbol, error) => console.warn(`Daily bar backfill failed for ${symbol}: ${error.message}`)
+});
+const BACKFILL_REFRESH_MS = 6 * 60 * 60 * 1000;
+// Aggregates each polled price into the 1m/5m/1h candlestick bars
+const barRecorder = createBarRecorder({ storeBars: bars => writeQueue.push({ type: 'bars', bars }) });
+// Downsampling tiers from config.retention, backup settings from config.backup, and the
+// compaction/VACUUM/backup timers that apply them
+let retentionPolicy = null;
+let backupSettings = null;
+let backups = null;
+let maintenance = null;
 
 // OTC/Pink Sheet exchanges are skipped entirely. ADRs like RYCEY/TOTDY trade on
 // these during US hours — identical to NYSE/NASDAQ hours already shown — so
@@ -82,8 +178,31 @@ function loadConfig({ initial = false } = {}) {
         const newConfig = result.config;
 
         if (!initial) {
+            if (JSON.stringify(newConfig.storage) !== JSON.stringify(config.storage)) {
+                console.warn('Storage settings changed — restart the server to apply them');
+            }
             const diff = diffWatchlist(watchlist, newWatchlist);
             if (!diff.changed) {
+                const pollingChanged = JSON.stringify(newConfig.polling) !== JSON.stringify(config.polling);
+                config = newConfig;
+                applyMarketDataProviders(newConfig.providers);
+                applyMaintenance(newConfig.retention, newConfig.backup);
+                if (pollingChanged) {
+                    console.log('Polling settings changed, rescheduling updates');
+                    calculateUpdateSchedule();
+                }
+                applyAlertRules(newConfig.alerts, newWatchlist);
+                applyNotifierChannels(newConfig.notifications?.channels);
+                const sectionsChanged = JSON.stringify(result.sections) !== JSON.stringify(sections);
+                if (sectionsChanged || JSON.stringify(result.holdings) !== JSON.stringify(holdings)) {
+                    // Positions or layout changed but symbols didn't — no need to restart polling
+                    watchlist = newWatchlist;
+                    sections = result.sections;
+                    holdings = result.holdings;
+                    bumpWatchlistVersion();
+                    console.log(sectionsChanged ? 'Sections changed, watchlist symbols are identical' : 'Holdings changed, watchlist is identical');
+                    return;
+                }
                 console.log('Config file changed but watchlist is identical, skipping reload');
                 return;
             }
@@ -92,13 +211,16 @@ function loadConfig({ initial = false } = {}) {
             // Clean up latestPrices for removed symbols
             for (const symbol of diff.removed) {
                 latestPrices.delete(symbol);
+                barRecorder.forget(symbol);
             }
 
             // Reset market states — will repopulate on next poll cycle
             marketStates.clear();
+            publishMarketStatus();
 
-            // Load initial prices for newly added symbols
+            // Load initial prices for newly added symbols and fetch their daily history
             loadInitialPricesForSymbols(diff.added);
+            if (db) backfiller.backfill(diff.added);
         }
 
         watchlist = newWatchlist;
@@ -106,12 +228,17 @@ function loadConfig({ initial = false } = {}) {
         config = newConfig;
         cryptoSymbols = result.cryptoSymbols ?? [];
         cryptoTickers = result.cryptoTickers ?? [];
-        watchlistVersion++;
+        holdings = result.holdings ?? {};
+        applyAlertRules(newConfig.alerts, newWatchlist);
+        applyNotifierChannels(newConfig.notifications?.channels);
+        applyMarketDataProviders(newConfig.providers);
+        applyMaintenance(newConfig.retention, newConfig.backup);
+        bumpWatchlistVersion();
 
         console.log('Successfully loaded configuration file');
         console.log('Loaded watchlist contains', watchlist.length, 'items:', watchlist);
 
-        // Restart the update loop on reload (initial schedule is started at module level)
+        // Restart the update loop on reload (initial schedule starts once the database is ready)
         if (!initial) {
             calculateUpdateSchedule();
         }
@@ -131,47 +258,267 @@ function loadConfig({ initial = false } = {}) {
     }
 }
 
-// Initial config load (exits on failure)
-loadConfig({ initial: true });
+// Clients rebuild their cards when the version changes
+function bumpWatchlistVersion() {
+    watchlistVersion++;
+    streamHub.publish('watchlist', { watchlistVersion });
+}
 
-const PORT = process.env.PORT || config.server?.port || 3000;
+// Yahoo's last marketState per exchange, plus the calendar's view of when it
+// next opens and closes (null for exchanges the calendar doesn't know)
+function marketStatusPayload() {
+    const now = marketClock();
+    const markets = [...marketStates.values()].map(market => {
+        const calendar = getMarketStatus(market.displayName, now);
+        return {
+            ...market,
+            session: calendar?.session ?? null,
+            reason: calendar?.reason ?? null,
+            nextOpen: calendar?.nextOpen ?? null,
+            nextClose: calendar?.nextClose ?? null
+        };
+    });
+    return { markets, asOf: now.toISOString() };
+}
+
+// Push the market pills, but only when a state actually changed
+let lastPublishedMarkets = '[]';
+function publishMarketStatus() {
+    const markets = JSON.stringify([...marketStates.values()]);
+    if (markets === lastPublishedMarkets) return;
+    lastPublishedMarkets = markets;
+    streamHub.publish('market-status', marketStatusPayload());
+}
+
+// Swap in new alert rules, keeping trigger state when the rules are unchanged
+function applyAlertRules(rawAlerts, symbols) {
+    const { rules, errors } = parseAlertRules(rawAlerts);
+    for (const error of errors) {
+        console.warn(`Ignoring alert rule — ${error}`);
+    }
+    for (const rule of rules.filter(r => !symbols.includes(r.symbol))) {
+        console.warn(`Alert rule ${rule.id} will never fire: ${rule.symbol} is not in the watchlist`);
+    }
+    if (JSON.stringify(rules) !== JSON.stringify(alertEngine.rules)) {
+        alertEngine = createAlertEngine(rules);
+        console.log(`Loaded ${rules.length} alert rule(s)`);
+    }
+}
+
+// Swap in new notification channels, keeping retry/rate-limit state when unchanged
+function applyNotifierChannels(rawChannels) {
+    const { channels, errors } = parseNotifierChannels(rawChannels);
+    for (const error of errors) {
+        console.warn(`Ignoring notification channel — ${error}`);
+    }
+    if (JSON.stringify(channels) !== JSON.stringify(notifier.channels)) {
+        notifier = createNotifier(channels, {
+            onDelivery: delivery => {
+                if (delivery.status !== 'sent') {
+                    console.warn(`Alert delivery via ${delivery.channel} ${delivery.status}${delivery.error ? `: ${delivery.error}` : ''}`);
+                }
+                return addAlertDelivery(db, delivery).catch(error => console.error('Error saving alert delivery:', error));
+            }
+        });
+        console.log(`Loaded ${channels.length} notification channel(s)`);
+    }
+}
+
+// Rebuild the market data providers when the providers: block changes
+function applyMarketDataProviders(rawProviders) {
+    const { sources, order, symbols, cooldownMs, errors } = parseProviderConfig(rawProviders);
+    for (const error of errors) {
+        console.warn(`Ignoring provider setting — ${error}`);
+    }
+    const settings = { sources, order, symbols, cooldownMs };
+    if (JSON.stringify(settings) === JSON.stringify(providerConfig)) return;
+
+    providerConfig = settings;
+    marketData = createMarketData({
+        providers: settings.sources.map(source => createProvider(source, { yahooClient: yahooFinance })),
+        order: settings.order,
+        symbols: settings.symbols,
+        cooldownMs: settings.cooldownMs,
+        onError: (provider, error) => console.warn(`Market data provider ${provider.name} failed: ${error.message}`)
+    });
+    console.log(`Market data providers: ${settings.order.join(' → ')}` +
+        (Object.keys(settings.symbols).length > 0 ? ` (${Object.keys(settings.symbols).length} symbol override(s))` : ''));
+}
+
+// Reschedule the maintenance timers when the retention: or backup: block changes
+function applyMaintenance(rawRetention, rawBackup) {
+    const { tiers, compactIntervalMs, vacuumIntervalMs, errors } = parseRetentionConfig(rawRetention);
+    for (const error of errors) {
+        console.warn(`Ignoring retention setting — ${error}`);
+    }
+    const backup = parseBackupConfig(rawBackup);
+    for (const error of backup.errors) {
+        console.warn(`Ignoring backup setting — ${error}`);
+    }
+    const policy = { tiers, compactIntervalMs, vacuumIntervalMs };
+    const settings = { dir: backup.dir, intervalMs: backup.intervalMs, keep: backup.keep };
+    if (JSON.stringify(policy) === JSON.stringify(retentionPolicy)
+        && JSON.stringify(settings) === JSON.stringify(backupSettings)) return;
+
+    retentionPolicy = policy;
+    backupSettings = settings;
+    backups = createBackupManager({
+        dir: path.resolve(__dirname, settings.dir),
+        keep: settings.keep,
+        backup: file => db.backup(file),
+        // Named after the database file, e.g. stocks-2026-10-19T05-17-25-123Z.db
+        prefix: path.parse(sqliteFileFor(parseStorageConfig(config.storage))).name
+    });
+    // One scheduler for the server's life, so a reload can't start a run beside
+    // one already going or lose the last-run records; startup starts it
+    const intervals = { compactIntervalMs, vacuumIntervalMs, backupIntervalMs: settings.intervalMs };
+    if (maintenance) {
+        maintenance.reconfigure(intervals);
+    } else {
+        maintenance = createMaintenanceScheduler({
+            compact: compactStorage,
+            vacuum: () => vacuumDatabase(db),
+            backup: backupDatabase,
+            ...intervals,
+            onError: (task, error) => console.error(`Storage ${task} failed:`, error)
+        });
+    }
+    console.log('Retention: ' + tiers.map(t => `${t.resolution} ${t.toDays === null ? 'forever' : `to ${t.toDays}d`}`).join(', '));
+    if (settings.intervalMs) {
+        console.log(`Backups: every ${settings.intervalMs / 3600000}h to ${settings.dir}, keeping ${settings.keep}`);
+    }
+}
+
+// Back up the database into the backup directory and rotate old backups out
+async function backupDatabase() {
+    const result = await backups.run();
+    console.log(`Backed up database to ${result.file}` +
+        (result.removed.length > 0 ? ` (removed ${result.removed.length} old backup(s))` : ''));
+    return result;
+}
 
-// Initialize Yahoo Finance
-function createYahooFinanceClient() {
-    const mockData = process.env.YAHOO_FINANCE_MOCK_DATA;
-    if (!mockData) {
-        return new YahooFinance();
+// Downsample price_history and drop expired intraday bars per the retention tiers
+async function compactStorage() {
+    const plan = planCompaction(retentionPolicy.tiers, Date.now());
+    let priceHistoryRemoved = 0;
+    let barsRemoved = 0;
+    for (const range of plan.thin) {
+        priceHistoryRemoved += await thinPriceHistory(db, range);
     }
+    if (plan.deleteBefore) {
+        priceHistoryRemoved += await deletePriceHistoryBefore(db, plan.deleteBefore);
+    }
+    for (const { interval, before } of plan.bars) {
+        barsRemoved += await deleteBarsBefore(db, interval, before);
+    }
+    console.log(`Compaction removed ${priceHistoryRemoved} price_history rows and ${barsRemoved} bars`);
+    return { priceHistoryRemoved, barsRemoved };
+}
 
-    let quoteResponses;
+// Store a fired alert, then hand it to the notification channels
+async function dispatchAlert(alert) {
+    const snoozedUntil = alertSnoozes.get(alert.ruleId);
+    if (snoozedUntil && snoozedUntil > alert.firedAt) {
+        console.log(`Alert (snoozed until ${snoozedUntil}): ${alert.message}`);
+        return;
+    }
+    console.log(`Alert: ${alert.message}`);
     try {
-        quoteResponses = JSON.parse(mockData);
+        const id = await addAlert(db, alert);
+        streamHub.publish('alert', await getAlert(db, id));
+        await notifier.notify({ ...alert, id });
     } catch (error) {
-        throw new Error(
-            `Invalid YAHOO_FINANCE_MOCK_DATA: expected JSON object mapping symbols to quote responses (${error.message})`,
-            { cause: error }
-        );
+        console.error('Error dispatching alert:', error);
     }
+}
 
-    if (!quoteResponses || typeof quoteResponses !== 'object' || Array.isArray(quoteResponses)) {
-        throw new Error('Invalid YAHOO_FINANCE_MOCK_DATA: expected JSON object mapping symbols to quote responses');
-    }
+// Initial config load (exits on failure)
+loadConfig({ initial: true });
 
+const PORT = process.env.PORT || config.server?.port || 3000;
+
+// Shape a Yahoo quote like a latestPrices entry
+function quoteToEntry(quote) {
+    const priceData = calculatePriceFromQuote(quote);
     return {
-        async quote(symbol) {
-            if (!(symbol in quoteResponses)) {
-                throw new Error(`No mock Yahoo Finance quote configured for symbol ${symbol}`);
-            }
-            return quoteResponses[symbol];
-        }
+        price: priceData.finalPrice,
+        change: priceData.finalChange,
+        changePercent: priceData.finalChangePercent,
+        regularMarketPrice: priceData.regularMarketPrice,
+        regularMarketChange: priceData.regularMarketChange,
+        regularMarketChangePercent: priceData.regularMarketChangePercent,
+        isExtendedHours: priceData.isExtendedHours,
+        extendedHoursPrice: priceData.extendedHoursPrice,
+        extendedHoursChange: priceData.extendedHoursChange,
+        marketState: priceData.marketState,
+        exchange: quote.exchange ?? null,
+        fullExchangeName: quote.fullExchangeName ?? null,
+        fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh ?? null,
+        fiftyTwoWeekLow: quote.fiftyTwoWeekLow ?? null,
+        // Cumulative for the day; bars store the difference between polls
+        volume: quote.regularMarketVolume ?? null,
+        fetchedAt: Date.now(),
+        // Same payload /api/stock/:symbol returns, for the quote cache and stream pushes
+        response: formatApiResponse(quote),
     };
 }
 
-const yahooFinance = createYahooFinanceClient();
+async function fetchQuoteEntry(symbol) {
+    const [quote] = await marketData.quote([symbol]);
+    if (!quote) {
+        throw new Error(`No quote returned for ${symbol}`);
+    }
+    return quoteToEntry(quote);
+}
+
+// One request per provider; returns symbol → entry for the quotes that came back
+async function fetchQuoteEntries(symbols) {
+    const quotes = await marketData.quote(symbols);
+    return new Map(quotes.map(quote => [quote.symbol, quoteToEntry(quote)]));
+}
+
+// Browser quote requests are served from the poller's results (or a recent
+// on-demand fetch) and only reach Yahoo once the quote is older than the TTL
+const quoteCache = createQuoteCache({
+    fetchQuote: fetchQuoteEntry,
+    lookup: symbol => latestPrices.get(symbol),
+    getTtlMs: () => (config.server?.quoteTtlSeconds ?? DEFAULT_QUOTE_TTL_SECONDS) * 1000
+});
 
 // Initialize database and load initial prices
-let db;
 let latestPrices = new Map();
+// Positions replayed from the transactions table (symbol → derived position)
+let ledgerPositions = {};
+
+async function refreshLedgerPositions() {
+    ledgerPositions = derivePositions(await getTransactions(db));
+}
+
+// Oversells a ledger change would introduce: adding a transaction, replacing
+// the one with `id`, or deleting it (no transaction). Ones already in the
+// ledger are not blamed on an unrelated edit.
+async function oversellErrors({ transaction = null, id = null }) {
+    const existing = await getTransactions(db);
+    const before = new Set(findOversells(existing).map(o => o.transaction));
+    const after = existing.filter(tx => tx.id !== id);
+    if (transaction) {
+        after.push({ ...transaction, id: id ?? Math.max(0, ...existing.map(tx => tx.id)) + 1 });
+    }
+    return findOversells(after).filter(o => !before.has(o.transaction)).map(describeOversell);
+}
+
+async function refreshAlertSnoozes() {
+    alertSnoozes = new Map((await getAlertSnoozes(db)).map(s => [s.rule_id, s.until]));
+}
+
+// Symbols with ledger history are driven by the ledger; config holdings cover the rest
+function currentHoldings() {
+    const merged = { ...holdings };
+    for (const symbol of Object.keys(ledgerPositions)) {
+        delete merged[symbol];
+    }
+    return { ...merged, ...positionsToHoldings(ledgerPositions) };
+}
 
 async function loadInitialPricesForSymbols(symbols) {
     for (const symbol of symbols) {
@@ -200,124 +547,443 @@ async function loadInitialPricesForSymbols(symbols) {
         fs.mkdirSync(dataDir);
     }
 
-    db = await initializeDatabase();
-    console.log('Database initialized');
+    const storage = parseStorageConfig(config.storage);
+    for (const error of storage.errors) {
+        console.error(`Invalid storage setting — ${error}`);
+    }
+    if (storage.errors.length > 0) {
+        process.exit(1);
+    }
+
+    try {
+        db = await initializeDatabase(storage);
+    } catch (error) {
+        console.error('Database initialization failed:', error.message);
+        process.exit(1);
+    }
+    console.log(`Database initialized: ${describeStorage(storage, { sqliteFile: sqliteFileFor(storage) })}`);
+    writeQueue = createWriteQueue({
+        write: writes => applyQueuedWrites(db, writes),
+        flushMs: storage.writeBatch.flushMs,
+        maxSize: storage.writeBatch.maxSize,
+        onError: (error, writes) => console.error(`Failed to store ${writes.length} queued write(s):`, error.message)
+    });
+
+    // Write out queued prices before exiting
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, async () => {
+            console.log(`${signal} received, flushing ${writeQueue.status().pending} queued write(s)`);
+            await writeQueue.flush();
+            await db.close();
+            process.exit(0);
+        });
+    }
+
+    await refreshLedgerPositions();
+    await refreshAlertSnoozes();
 
     // Load initial prices for all watchlist symbols
     await loadInitialPricesForSymbols(watchlist);
+
+    // Start polling once the database is ready to store results
+    calculateUpdateSchedule();
+
+    // Fill in daily bars for symbols that have none, then keep them current
+    backfiller.backfill(watchlist);
+    setInterval(() => backfiller.backfill(watchlist), BACKFILL_REFRESH_MS);
+
+    // Retention compaction, VACUUM and scheduled backups
+    maintenance.start();
 })();
 
-// Request scheduling
-const UPDATE_INTERVAL = 10000; // 10 seconds between each stock update
-let updateInterval;
+// Request scheduling — the watchlist is polled in batches paced by config.polling
+let poller = null;
 
 function calculateUpdateSchedule() {
-    const stockCount = watchlist.length;
-    if (stockCount === 0) return;
+    poller?.stop();
+    poller = null;
+    if (watchlist.length === 0) return;
 
-    console.log(`Update schedule:
-        - Stocks to update: ${stockCount}
-        - Update interval: ${UPDATE_INTERVAL}ms between stocks`);
+    const polling = parsePollingConfig(config.polling);
 
-    // Clear existing interval if any
-    if (updateInterval) {
-        clearInterval(updateInterval);
+    // Trading phase of a symbol from its last known exchange
+    function phaseOf(symbol, date = marketClock()) {
+        const entry = latestPrices.get(symbol);
+        return tradingPhase({
+            crypto: cryptoTickers.includes(symbol),
+            exchange: entry?.exchange,
+            marketState: entry?.marketState
+        }, date);
     }
 
-    // Function to update a stock using Yahoo Finance
-    async function updateStock(symbol) {
-        try {
-            const quote = await yahooFinance.quote(symbol);
-            const priceData = calculatePriceFromQuote(quote);
-
-            // Store in database
-            await addPriceHistory(db, symbol, priceData.finalPrice, priceData.finalChange, priceData.finalChangePercent, priceData.marketState ?? null);
-
-            console.log(`Updated ${symbol} at ${new Date().toLocaleTimeString()}`);
-
-            return {
-                price: priceData.finalPrice,
-                change: priceData.finalChange,
-                changePercent: priceData.finalChangePercent,
-                regularMarketPrice: priceData.regularMarketPrice,
-                regularMarketChange: priceData.regularMarketChange,
-                regularMarketChangePercent: priceData.regularMarketChangePercent,
-                isExtendedHours: priceData.isExtendedHours,
-                extendedHoursPrice: priceData.extendedHoursPrice,
-                extendedHoursChange: priceData.extendedHoursChange,
-                marketState: priceData.marketState,
-                exchange: quote.exchange ?? null,
-                fullExchangeName: quote.fullExchangeName ?? null,
-            };
-        } catch (error) {
-            console.error(`Error updating ${symbol}:`, error);
-            return null;
+    // Fetch one batch, queue each quote for storage and fan it out to clients and alerts
+    async function updateStocks(symbols) {
+        const entries = await fetchQuoteEntries(symbols);
+        for (const symbol of symbols) {
+            const entry = entries.get(symbol);
+            if (!entry) {
+                console.warn(`No quote returned for ${symbol}`);
+                continue;
+            }
+            // Stored rows, bars and alerts follow the recording while replaying one
+            const at = marketClock();
+            // A closed market keeps returning the same price — don't store it again
+            const previous = latestPrices.get(symbol);
+            const unchanged = previous?.price === entry.price && previous?.change === entry.change;
+            try {
+                if (!(unchanged && phaseOf(symbol, at) === 'closed')) {
+                    writeQueue.push({
+                        type: 'price',
+                        symbol,
+                        timestamp: at.toISOString(),
+                        price: entry.price,
+                        change: entry.change,
+                        changePercent: entry.changePercent,
+                        marketState: entry.marketState ?? null
+                    });
+                    await barRecorder.record(symbol, { time: at.getTime(), price: entry.price, volume: entry.volume });
+                }
+            } catch (error) {
+                console.error(`Error storing price for ${symbol}:`, error);
+            }
+            recordStockResult(symbol, entry, at);
         }
+        console.log(`Updated ${entries.size}/${symbols.length} symbols at ${new Date().toLocaleTimeString()}`);
     }
 
-    function recordStockResult(symbol, result) {
+    function recordStockResult(symbol, result, at) {
         latestPrices.set(symbol, result);
         if (result.exchange && result.marketState && !isOtcExchange(result.exchange, result.fullExchangeName)) {
             const displayName = EXCHANGE_DISPLAY[result.exchange] ?? result.fullExchangeName ?? result.exchange;
             marketStates.set(displayName, { displayName, marketState: result.marketState });
+            publishMarketStatus();
+        }
+        streamHub.publish('price', {
+            symbol,
+            ...result.response,
+            position: positionFor(symbol, result.price, result.change)
+        });
+        for (const alert of alertEngine.evaluate(symbol, result, at.getTime())) {
+            dispatchAlert(alert);
         }
     }
 
-    // Start the update cycle
-    let currentIndex = 0;
-    updateInterval = setInterval(async () => {
-        const symbol = watchlist[currentIndex];
-        const result = await updateStock(symbol);
-        if (result) recordStockResult(symbol, result);
-        currentIndex = (currentIndex + 1) % stockCount;
-    }, UPDATE_INTERVAL);
-
-    // Run the first update immediately
-    updateStock(watchlist[0]).then(result => {
-        if (result) recordStockResult(watchlist[0], result);
+    poller = createPollScheduler({
+        getSymbols: () => watchlist,
+        fetchBatch: updateStocks,
+        polling,
+        intervalFor: symbol => polling.intervals[phaseOf(symbol)],
+        onError: (error, batch, backoff) => {
+            const reason = isRateLimitError(error) ? 'Rate limited' : 'Error';
+            console.error(`${reason} updating [${batch.join(', ')}]: ${error.message} — backing off ${backoff}x`);
+        }
     });
+
+    const { symbols, batches, batchSize, delayMs, windowMs } = poller.stats();
+    console.log(`Update schedule:
+        - Symbols to update: ${symbols} in ${batches} batch(es) of up to ${batchSize}
+        - Delay between batches: ${Math.round(delayMs)}ms
+        - Every symbol refreshes within: ${Math.round(windowMs / 1000)}s during regular hours
+        - Otherwise every: ${['extended', 'closed', 'crypto'].map(phase => `${phase} ${polling.intervals[phase] / 1000}s`).join(', ')}`);
+
+    poller.start();
 }
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
+// Position figures for a configured holding, or null for watch-only symbols
+function positionFor(symbol, price, change) {
+    return calculatePosition(currentHoldings()[symbol], price, change);
+}
+
+// Serve only the dashboard's own files. The app directory also holds
+// config.yaml, which can carry notifier and database credentials, and data/,
+// with the database and its backups.
+const STATIC_FILES = ['index.html', 'app.js', 'styles.css', 'lib/formatters.js', 'lib/portfolio.js'];
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+for (const file of STATIC_FILES) {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
+// Price history restores can be far bigger than any other request body
+const RESTORE_BODY_LIMIT = '100mb';
+app.use('/api/admin/restore', express.json({ limit: RESTORE_BODY_LIMIT }));
 app.use(express.json());
 
 // Endpoint to fetch stock data
+// Tell clients how old a quote is: Age in seconds, the fetch time, and whether
+// it came from the cache (HIT), upstream (MISS) or an outdated fallback (STALE)
+function setQuoteAgeHeaders(res, status, fetchedAt) {
+    res.set({
+        'X-Cache': status.toUpperCase(),
+        'Age': String(Math.max(0, Math.floor((Date.now() - fetchedAt) / 1000))),
+        'X-Quote-Fetched-At': new Date(fetchedAt).toISOString()
+    });
+}
+
 app.get('/api/stock/:symbol', async (req, res) => {
+    const { symbol } = req.params;
     try {
-        const { symbol } = req.params;
-        const data = await yahooFinance.quote(symbol);
-
-        if (!data) {
-            // If live data fetch fails, try to return cached data from database
-            const cachedData = latestPrices.get(symbol);
-            if (cachedData) {
-                res.json(formatCachedResponse(symbol, cachedData));
-                return;
-            }
-            res.status(500).json({ error: 'Failed to fetch stock data' });
+        const { entry, status } = await quoteCache.get(symbol);
+        setQuoteAgeHeaders(res, status, entry.fetchedAt);
+        res.json({
+            ...entry.response,
+            position: positionFor(symbol, entry.price, entry.change)
+        });
+    } catch (error) {
+        // If live data fetch fails, try to return the price loaded from the database
+        const cachedData = latestPrices.get(symbol);
+        if (cachedData && typeof cachedData.price !== 'undefined') {
+            setQuoteAgeHeaders(res, 'stale', new Date(cachedData.timestamp ?? Date.now()).getTime());
+            res.json({
+                ...formatCachedResponse(symbol, { ...cachedData, change: cachedData.change ?? 0, changePercent: cachedData.changePercent ?? 0 }),
+                position: positionFor(symbol, cachedData.price, cachedData.change)
+            });
             return;
         }
-
-        res.json(formatApiResponse(data));
-    } catch (error) {
         console.error('Error fetching stock data:', error);
         res.status(500).json({ error: 'Failed to fetch stock data' });
     }
 });
 
-// Get price history for a symbol
+const HISTORY_MAX_LIMIT = 20000;
+
+// ISO date or epoch milliseconds → ISO string; undefined when absent, null when invalid
+function parseHistoryTime(value) {
+    if (value === undefined || value === '') return undefined;
+    const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// Get price history for a symbol: ?from=&to= (ISO or epoch ms), ?interval= (a
+// retention resolution; raw by default) and ?limit= (newest rows kept)
 app.get('/api/history/:symbol', async (req, res) => {
+    const { symbol } = req.params;
+    const from = parseHistoryTime(req.query.from);
+    const to = parseHistoryTime(req.query.to);
+    const interval = req.query.interval ?? 'raw';
+    const limit = req.query.limit ? Number(req.query.limit) : 5000;
+    const problems = [];
+    if (from === null) problems.push('from must be an ISO date or epoch milliseconds');
+    if (to === null) problems.push('to must be an ISO date or epoch milliseconds');
+    if (from && to && from > to) problems.push('from must not be after to');
+    if (!(interval in RESOLUTIONS)) problems.push(`interval must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+        problems.push(`limit must be an integer from 1 to ${HISTORY_MAX_LIMIT}`);
+    }
+    if (problems.length > 0) {
+        res.status(400).json({ error: 'Invalid history query', details: problems });
+        return;
+    }
+
     try {
-        const { symbol } = req.params;
-        const history = await getPriceHistory(db, symbol);
-        res.json(history);
+        const { rows, truncated } = await getPriceHistoryRange(db, symbol, {
+            from,
+            to,
+            bucketMs: RESOLUTIONS[interval],
+            limit
+        });
+        res.json({
+            symbol,
+            interval,
+            from: from ?? null,
+            to: to ?? null,
+            limit,
+            count: rows.length,
+            truncated,
+            // What was actually returned, which may be narrower than from–to
+            first: rows[0]?.timestamp ?? null,
+            last: rows[rows.length - 1]?.timestamp ?? null,
+            rows
+        });
     } catch (error) {
         console.error('Error fetching price history:', error);
         res.status(500).json({ error: 'Failed to fetch price history' });
     }
 });
 
+// Database size, row counts and the retention jobs' last and next runs
+app.get('/api/storage', async (req, res) => {
+    try {
+        res.json({
+            ...await getStorageStats(db),
+            retention: retentionPolicy.tiers.map(({ resolution, fromDays, toDays }) => ({ resolution, fromDays, toDays })),
+            ...maintenance.status(),
+            writeQueue: writeQueue.status()
+        });
+    } catch (error) {
+        console.error('Error fetching storage stats:', error);
+        res.status(500).json({ error: 'Failed to fetch storage stats' });
+    }
+});
+
+// Backups, exports and restores. Like the rest of the API these have no authentication, so
+// only expose the server on networks you trust (see README).
+
+// Back up the SQLite database now; rotation follows config.yaml `backup.keep`
+app.post('/api/admin/backup', async (req, res) => {
+    if (db.dialect !== 'sqlite') {
+        res.status(400).json({ error: 'Built-in backups need SQLite; back up PostgreSQL with pg_dump' });
+        return;
+    }
+    try {
+        // Queued behind any compaction or VACUUM in progress
+        const run = await maintenance.runBackup();
+        if (run.error) {
+            res.status(500).json({ error: `Backup failed: ${run.error}` });
+            return;
+        }
+        res.json({ ...run.result, at: run.at, durationMs: run.durationMs });
+    } catch (error) {
+        console.error('Error backing up database:', error);
+        res.status(500).json({ error: 'Failed to back up the database' });
+    }
+});
+
+// Backups in the backup directory, newest first
+app.get('/api/admin/backups', (req, res) => {
+    try {
+        res.json({ dir: backupSettings.dir, keep: backupSettings.keep, backups: backups.list() });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups' });
+    }
+});
+
+// Download price_history as CSV or columnar JSON: ?symbols= (comma-separated; all by
+// default), ?from=&to= (ISO or epoch ms) and ?format=csv|json. Written a symbol at a time.
+app.get('/api/admin/export', async (req, res) => {
+    const from = parseHistoryTime(req.query.from);
+    const to = parseHistoryTime(req.query.to);
+    const format = req.query.format ?? 'csv';
+    const problems = [];
+    if (from === null) problems.push('from must be an ISO date or epoch milliseconds');
+    if (to === null) problems.push('to must be an ISO date or epoch milliseconds');
+    if (from && to && from > to) problems.push('from must not be after to');
+    if (!['csv', 'json'].includes(format)) problems.push('format must be csv or json');
+    if (problems.length > 0) {
+        res.status(400).json({ error: 'Invalid export query', details: problems });
+        return;
+    }
+
+    try {
+        const stored = await getPriceHistorySymbols(db);
+        const requested = req.query.symbols ? String(req.query.symbols).split(',').map(s => s.trim()).filter(Boolean) : null;
+        const symbols = requested ? stored.filter(symbol => requested.includes(symbol)) : stored;
+
+        res.type(format === 'json' ? 'application/json' : 'text/csv');
+        res.attachment(`price-history-${new Date().toISOString().slice(0, 10)}.${format}`);
+        if (format === 'json') res.write('{');
+        else res.write(toCsv([PRICE_HISTORY_COLUMNS]));
+        for (const [i, symbol] of symbols.entries()) {
+            const rows = await exportPriceHistory(db, symbol, { from, to });
+            if (format === 'json') {
+                res.write(`${i > 0 ? ',' : ''}${JSON.stringify(symbol)}:${JSON.stringify(priceHistoryColumns(rows))}`);
+            } else if (rows.length > 0) {
+                res.write(toCsv(priceHistoryCsvRows(rows)));
+            }
+        }
+        res.end(format === 'json' ? '}' : undefined);
+    } catch (error) {
+        console.error('Error exporting price history:', error);
+        if (res.headersSent) {
+            // Part of the file is already out; cut it short rather than let it look complete
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export price history' });
+        }
+    }
+});
+
+// Merge price history into the database from an export (CSV, or columnar JSON) in the body, or
+// from ?backup=<file> in the backup directory. Rows already stored are skipped, never overwritten.
+app.post('/api/admin/restore', express.text({ type: ['text/csv', 'text/plain'], limit: RESTORE_BODY_LIMIT }), async (req, res) => {
+    if (req.query.backup) {
+        const file = backups.pathFor(String(req.query.backup));
+        if (!file) {
+            res.status(404).json({ error: `No backup named ${req.query.backup}` });
+            return;
+        }
+        let source;
+        try {
+            source = await openSqliteStorage({ file, readOnly: true });
+            let received = 0;
+            let inserted = 0;
+            // A symbol at a time, so a large backup never sits in memory whole
+            for (const symbol of await getPriceHistorySymbols(source)) {
+                const rows = await exportPriceHistory(source, symbol);
+                received += rows.length;
+                inserted += await mergePriceHistory(db, rows);
+            }
+            res.json({ received, inserted, skipped: received - inserted });
+        } catch (error) {
+            console.error('Error restoring from backup:', error);
+            res.status(500).json({ error: 'Failed to restore from backup' });
+        } finally {
+            await source?.close();
+        }
+        return;
+    }
+
+    let parsed;
+    if (typeof req.body === 'string' && req.body.trim()) {
+        parsed = parsePriceHistoryCsv(req.body);
+    } else if (req.is('application/json') && req.body && typeof req.body === 'object') {
+        parsed = parsePriceHistoryColumns(req.body);
+    } else {
+        res.status(400).json({ error: 'Expected CSV or columnar JSON in the request body, or ?backup=' });
+        return;
+    }
+    if (parsed.errors.length > 0) {
+        res.status(400).json({ error: 'Invalid price history', details: parsed.errors });
+        return;
+    }
+
+    try {
+        const inserted = await mergePriceHistory(db, parsed.rows);
+        res.json({ received: parsed.rows.length, inserted, skipped: parsed.rows.length - inserted });
+    } catch (error) {
+        console.error('Error restoring price history:', error);
+        res.status(500).json({ error: 'Failed to restore price history' });
+    }
+});
+
+// Intraday OHLCV bars for the candlestick view
+app.get('/api/bars/:symbol', async (req, res) => {
+    const { symbol } = req.params;
+    const interval = req.query.interval ?? '5m';
+    if (!BAR_INTERVALS[interval]) {
+        res.status(400).json({ error: `interval must be one of ${Object.keys(BAR_INTERVALS).join(', ')}` });
+        return;
+    }
+    const limit = req.query.limit ? Number(req.query.limit) : 500;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+        res.status(400).json({ error: 'limit must be an integer from 1 to 5000' });
+        return;
+    }
+    try {
+        const bars = await getBars(db, symbol, interval, limit);
+        res.json({ symbol, interval, bars });
+    } catch (error) {
+        console.error('Error fetching bars:', error);
+        res.status(500).json({ error: 'Failed to fetch bars' });
+    }
+});
+
+// Daily bars for the long-range chart buttons (1M, 6M, 1Y, 5Y)
+app.get('/api/daily-bars/:symbol', async (req, res) => {
+    const { symbol } = req.params;
+    const range = req.query.range ?? '1Y';
+    if (!DAILY_RANGES[range]) {
+        res.status(400).json({ error: `range must be one of ${Object.keys(DAILY_RANGES).join(', ')}` });
+        return;
+    }
+    try {
+        const bars = await getDailyBars(db, symbol, { from: rangeStart(range) });
+        res.json({ symbol, range, bars, backfilling: backfiller.pending().includes(symbol) });
+    } catch (error) {
+        console.error('Error fetching daily bars:', error);
+        res.status(500).json({ error: 'Failed to fetch daily bars' });
+    }
+});
+
 // Get watchlist
 app.get('/api/watchlist', (req, res) => {
     // Convert latestPrices Map to an object for each symbol
@@ -331,7 +997,8 @@ app.get('/api/watchlist', (req, res) => {
                     '10. change percent': (data.changePercent || 0).toString()
                 },
                 fromCache: true,
-                companyName: symbol
+                companyName: symbol,
+                position: positionFor(symbol, data.price, data.change)
             };
         }
     }
@@ -346,6 +1013,395 @@ app.get('/api/watchlist', (req, res) => {
     });
 });
 
+// Watchlist edits from the dashboard are written to config.yaml (see lib/configEditor.js) and
+// picked up through loadConfig(), exactly like a hand edit, which bumps watchlistVersion
+
+const SYMBOL_PATTERN = /^[A-Z0-9^][A-Z0-9.^=-]{0,19}$/;
+const SEARCH_MAX_RESULTS = 10;
+
+// Apply an edit to config.yaml's text, write it back and reload. Everything from reading the
+// file to reloading it is synchronous, so two requests can't interleave their edits.
+function editConfigFile(res, edit) {
+    let text;
+    try {
+        text = fs.readFileSync(configPath, 'utf8');
+    } catch (error) {
+        console.error('Error reading config file:', error);
+        res.status(500).json({ error: 'Failed to read config.yaml' });
+        return;
+    }
+    try {
+        text = edit(text);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
+    // Leave the file alone if the edit wouldn't load; loadConfig only logs failures
+    try {
+        parseConfigText(text);
+    } catch (error) {
+        console.error('Edited config file does not parse:', error);
+        res.status(500).json({ error: `The edited config.yaml would not load: ${error.message}` });
+        return;
+    }
+    try {
+        writeConfigFile(configPath, text);
+    } catch (error) {
+        console.error('Error writing config file:', error);
+        res.status(500).json({ error: 'Failed to write config.yaml' });
+        return;
+    }
+    loadConfig();
+    res.json({ watchlistVersion, watchlist, sections });
+}
+
+// Symbol search for the header search box, through the providers' search
+app.get('/api/search', async (req, res) => {
+    const query = String(req.query.q ?? '').trim();
+    if (!query) {
+        res.status(400).json({ error: 'q is required' });
+        return;
+    }
+    try {
+        const listed = new Set(watchlist);
+        const results = (await marketData.search(query)).slice(0, SEARCH_MAX_RESULTS);
+        res.json({ query, results: results.map(result => ({ ...result, inWatchlist: listed.has(result.symbol) })) });
+    } catch (error) {
+        console.error('Error searching symbols:', error.message);
+        res.status(500).json({ error: 'Symbol search failed' });
+    }
+});
+
+// Add a symbol: { symbol, section (index, default 0), index (default: the end) }
+app.post('/api/watchlist/symbols', async (req, res) => {
+    const symbol = String(req.body?.symbol ?? '').trim().toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) {
+        res.status(400).json({ error: 'symbol must be a ticker such as AAPL, BRK-B or ^GSPC' });
+        return;
+    }
+    // Only symbols a provider can quote, so a typo never lands in config.yaml
+    let quoted;
+    try {
+        quoted = (await marketData.quote([symbol])).length > 0;
+    } catch {
+        quoted = false;
+    }
+    if (!quoted) {
+        res.status(400).json({ error: `No quote found for ${symbol}` });
+        return;
+    }
+    editConfigFile(res, text => addWatchlistSymbol(text, { symbol, section: req.body.section ?? 0, index: req.body.index }));
+});
+
+// Remove a symbol (with any position data written with it); ?section= limits it to one section
+app.delete('/api/watchlist/symbols/:symbol', (req, res) => {
+    const section = req.query.section !== undefined ? Number(req.query.section) : undefined;
+    editConfigFile(res, text => removeWatchlistSymbol(text, { symbol: req.params.symbol.trim(), section }));
+});
+
+// Move a symbol: { section, index (default: the end), from (when it is in several sections) }
+app.patch('/api/watchlist/symbols/:symbol', (req, res) => {
+    const { section, index, from } = req.body ?? {};
+    editConfigFile(res, text => moveWatchlistSymbol(text, { symbol: req.params.symbol.trim(), section, index, from }));
+});
+
+// Reorder sections and symbols: { sections: [{ section (current index), stocks: [symbols] }] },
+// every section once in its new place with its symbols in their new order
+app.put('/api/watchlist', (req, res) => {
+    editConfigFile(res, text => reorderWatchlist(text, req.body?.sections));
+});
+
+// Change one section: { action: 'add', name, index } | { action: 'rename', section, name } | { action: 'delete', section }
+app.patch('/api/watchlist', (req, res) => {
+    const { action, section, name, index } = req.body ?? {};
+    editConfigFile(res, (text) => {
+        if (action === 'add') return addSection(text, { name, index });
+        if (action === 'rename') return renameSection(text, { section, name });
+        if (action === 'delete') return deleteSection(text, { section });
+        throw new Error('action must be add, rename or delete');
+    });
+});
+
+// Portfolio totals, section weights and allocation from the latest polled prices
+app.get('/api/portfolio/summary', (req, res) => {
+    res.json({
+        ...buildPortfolioSummary(sections, currentHoldings(), latestPrices),
+        watchlistVersion,
+        asOf: new Date().toISOString()
+    });
+});
+
+// Transaction ledger
+app.get('/api/transactions', async (req, res) => {
+    try {
+        const symbol = typeof req.query.symbol === 'string' ? req.query.symbol.trim().toUpperCase() : undefined;
+        res.json(await getTransactions(db, { symbol }));
+    } catch (error) {
+        console.error('Error fetching transactions:', error);
+        res.status(500).json({ error: 'Failed to fetch transactions' });
+    }
+});
+
+app.get('/api/transactions/:id', async (req, res) => {
+    try {
+        const tx = await getTransaction(db, Number(req.params.id));
+        if (!tx) {
+            res.status(404).json({ error: 'Transaction not found' });
+            return;
+        }
+        res.json(tx);
+    } catch (error) {
+        console.error('Error fetching transaction:', error);
+        res.status(500).json({ error: 'Failed to fetch transaction' });
+    }
+});
+
+app.post('/api/transactions', async (req, res) => {
+    const { value, errors } = validateTransaction(req.body);
+    if (!value) {
+        res.status(400).json({ error: 'Invalid transaction', details: errors });
+        return;
+    }
+    try {
+        const oversells = await oversellErrors({ transaction: value });
+        if (oversells.length > 0) {
+            res.status(400).json({ error: 'Invalid transaction', details: oversells });
+            return;
+        }
+        const id = await addTransaction(db, value);
+        await refreshLedgerPositions();
+        res.status(201).json(await getTransaction(db, id));
+    } catch (error) {
+        console.error('Error adding transaction:', error);
+        res.status(500).json({ error: 'Failed to add transaction' });
+    }
+});
+
+app.put('/api/transactions/:id', async (req, res) => {
+    const { value, errors } = validateTransaction(req.body);
+    if (!value) {
+        res.status(400).json({ error: 'Invalid transaction', details: errors });
+        return;
+    }
+    try {
+        const id = Number(req.params.id);
+        const oversells = await oversellErrors({ transaction: value, id });
+        if (oversells.length > 0) {
+            res.status(400).json({ error: 'Invalid transaction', details: oversells });
+            return;
+        }
+        if (!await updateTransaction(db, id, value)) {
+            res.status(404).json({ error: 'Transaction not found' });
+            return;
+        }
+        await refreshLedgerPositions();
+        res.json(await getTransaction(db, id));
+    } catch (error) {
+        console.error('Error updating transaction:', error);
+        res.status(500).json({ error: 'Failed to update transaction' });
+    }
+});
+
+app.delete('/api/transactions/:id', async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const oversells = await oversellErrors({ id });
+        if (oversells.length > 0) {
+            res.status(400).json({ error: 'Deleting this transaction would oversell', details: oversells });
+            return;
+        }
+        if (!await deleteTransaction(db, id)) {
+            res.status(404).json({ error: 'Transaction not found' });
+            return;
+        }
+        await refreshLedgerPositions();
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting transaction:', error);
+        res.status(500).json({ error: 'Failed to delete transaction' });
+    }
+});
+
+// Broker CSV import. The raw CSV is the request body; ?preview=true returns the
+// plan without writing, ?broker= forces a mapping instead of auto-detecting.
+app.post('/api/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        res.status(400).json({ error: 'Expected CSV text in the request body' });
+        return;
+    }
+
+    let plan;
+    try {
+        plan = await planImport({
+            text: req.body,
+            mappings: loadMappings(config),
+            broker: req.query.broker || undefined,
+            existing: await getTransactions(db),
+            validateSymbol: async (symbol) => {
+                try {
+                    return (await marketData.quote([symbol])).length > 0;
+                } catch {
+                    return false;
+                }
+            }
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
+
+    try {
+        const preview = req.query.preview === 'true' || req.query.preview === '1';
+        let imported = 0;
+        if (!preview) {
+            imported = await importTransactions(db, plan.rows.filter(r => r.status === 'new').map(r => r.transaction));
+            await refreshLedgerPositions();
+        }
+        res.json({ preview, imported, ...plan });
+    } catch (error) {
+        console.error('Error importing transactions:', error);
+        res.status(500).json({ error: 'Failed to import transactions' });
+    }
+});
+
+// Realized gains for a tax year. Lot method comes from ?method= or
+// config.yaml `reports.lotMethod` (default FIFO); ?format=csv downloads the rows.
+app.get('/api/reports/realized-gains', async (req, res) => {
+    const year = req.query.year ? Number(req.query.year) : new Date().getFullYear();
+    if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+        res.status(400).json({ error: 'year must be a four-digit year' });
+        return;
+    }
+    const method = String(req.query.method || config.reports?.lotMethod || 'fifo').toLowerCase();
+    if (!LOT_METHODS.includes(method)) {
+        res.status(400).json({ error: `method must be one of: ${LOT_METHODS.join(', ')}` });
+        return;
+    }
+
+    try {
+        const report = buildRealizedGainsReport(await getTransactions(db), { year, method });
+
+        if (req.query.format === 'csv') {
+            res.type('text/csv');
+            res.attachment(`realized-gains-${year}-${method}.csv`);
+            res.send(toCsv(realizedGainsRows(report)));
+            return;
+        }
+
+        // Value lots still open at year end from our own price history
+        const yearEnd = new Date(Date.UTC(year + 1, 0, 1)).toISOString();
+        const prices = {};
+        for (const symbol of Object.keys(report.openLots)) {
+            prices[symbol] = (await getPriceAt(db, symbol, yearEnd))?.price ?? null;
+        }
+
+        res.json({ ...report, openLots: valueOpenLots(report.openLots, prices) });
+    } catch (error) {
+        console.error('Error building realized gains report:', error);
+        res.status(500).json({ error: 'Failed to build realized gains report' });
+    }
+});
+
+// Positions derived from the ledger, including closed ones with realized gains
+app.get('/api/positions', (req, res) => {
+    res.json({ positions: ledgerPositions, asOf: new Date().toISOString() });
+});
+
+// Configured alert rules plus recently fired alerts (newest first)
+app.get('/api/alerts', async (req, res) => {
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit <= 0) {
+        res.status(400).json({ error: 'limit must be a positive integer' });
+        return;
+    }
+    try {
+        const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : undefined;
+        const afterId = req.query.afterId ? Number(req.query.afterId) : undefined;
+        const alerts = await getAlerts(db, { symbol, afterId, limit });
+        await refreshAlertSnoozes();
+        res.json({
+            rules: alertEngine.rules,
+            alerts,
+            unacknowledged: await countUnacknowledgedAlerts(db),
+            snoozes: [...alertSnoozes].map(([ruleId, until]) => ({ ruleId, until }))
+        });
+    } catch (error) {
+        console.error('Error fetching alerts:', error);
+        res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+});
+
+// Acknowledge the alerts listed in `ids`, or all of them when no ids are given
+app.post('/api/alerts/acknowledge', async (req, res) => {
+    const ids = req.body?.ids;
+    if (ids !== undefined && !(Array.isArray(ids) && ids.every(Number.isInteger))) {
+        res.status(400).json({ error: 'ids must be a list of alert ids' });
+        return;
+    }
+    try {
+        const acknowledged = await acknowledgeAlerts(db, ids);
+        res.json({ acknowledged, unacknowledged: await countUnacknowledgedAlerts(db) });
+    } catch (error) {
+        console.error('Error acknowledging alerts:', error);
+        res.status(500).json({ error: 'Failed to acknowledge alerts' });
+    }
+});
+
+// Snooze the rule behind an alert for `minutes` (default 60); also acknowledges the alert
+app.post('/api/alerts/:id/snooze', async (req, res) => {
+    const minutes = req.body?.minutes ?? 60;
+    if (!(Number.isFinite(minutes) && minutes > 0)) {
+        res.status(400).json({ error: 'minutes must be a positive number' });
+        return;
+    }
+    try {
+        const alert = await getAlert(db, Number(req.params.id));
+        if (!alert) {
+            res.status(404).json({ error: 'Alert not found' });
+            return;
+        }
+        const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+        await setAlertSnooze(db, alert.rule_id, until);
+        await acknowledgeAlerts(db, [alert.id]);
+        alertSnoozes.set(alert.rule_id, until);
+        res.json({ ruleId: alert.rule_id, until });
+    } catch (error) {
+        console.error('Error snoozing alert:', error);
+        res.status(500).json({ error: 'Failed to snooze alert' });
+    }
+});
+
+// Lift a rule's snooze early
+app.delete('/api/alerts/snoozes/:ruleId', async (req, res) => {
+    try {
+        if (!await deleteAlertSnooze(db, req.params.ruleId)) {
+            res.status(404).json({ error: 'Snooze not found' });
+            return;
+        }
+        alertSnoozes.delete(req.params.ruleId);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing snooze:', error);
+        res.status(500).json({ error: 'Failed to remove snooze' });
+    }
+});
+
+// Notification delivery log (newest first), optionally for one alert
+app.get('/api/alerts/deliveries', async (req, res) => {
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit <= 0) {
+        res.status(400).json({ error: 'limit must be a positive integer' });
+        return;
+    }
+    try {
+        const alertId = req.query.alertId ? Number(req.query.alertId) : undefined;
+        res.json({ deliveries: await getAlertDeliveries(db, { alertId, limit }) });
+    } catch (error) {
+        console.error('Error fetching alert deliveries:', error);
+        res.status(500).json({ error: 'Failed to fetch alert deliveries' });
+    }
+});
+
 // Version endpoint
 app.get('/api/version', (req, res) => {
     res.json(appVersion);
@@ -353,11 +1409,49 @@ app.get('/api/version', (req, res) => {
 
 // Market status endpoint
 app.get('/api/market-status', (req, res) => {
-    res.json({ markets: [...marketStates.values()], asOf: new Date().toISOString() });
+    res.json(marketStatusPayload());
+});
+
+// Market data providers with their capabilities and failover health
+app.get('/api/providers', (req, res) => {
+    res.json({ order: providerConfig.order, symbols: providerConfig.symbols, providers: marketData.status() });
+});
+
+// Poller pacing: batches, delay between requests, refresh window and backoff
+app.get('/api/poller', (req, res) => {
+    res.json(poller?.stats() ?? null);
 });
 
-// Start the update schedule
-calculateUpdateSchedule();
+// Live updates: prices as they're polled, market-state changes, watchlist
+// version bumps and fired alerts. The first `hello` event carries a snapshot
+// (app version, watchlist version, market status, latest prices) so a
+// reconnecting client can catch up without re-polling.
+app.get('/api/stream', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const prices = {};
+    for (const [symbol, data] of latestPrices.entries()) {
+        if (data && typeof data.price !== 'undefined') {
+            prices[symbol] = {
+                ...(data.response ?? formatCachedResponse(symbol, { ...data, change: data.change ?? 0, changePercent: data.changePercent ?? 0 })),
+                position: positionFor(symbol, data.price, data.change)
+            };
+        }
+    }
+    streamHub.subscribe(res);
+    streamHub.send(res, 'hello', {
+        version: appVersion,
+        watchlistVersion,
+        ...marketStatusPayload(),
+        prices
+    });
+});
 
 // Watch config file for changes
 function watchConfigFile() {